@@ -0,0 +1,185 @@
+// ====================================================================================
+// GITHUB CONTROLLER - PROPOSE CHANGES TESTS
+// Runs the branch + pull request flow against a local mock of the GitHub REST API
+// ====================================================================================
+
+import { GitHubController } from '../../../backend/controllers/GitHubController';
+import { GitHubService } from '../../../services/githubService';
+import { StorageService } from '../../../backend/services/StorageService';
+import { GitHubConfig } from '../../../shared/types';
+import { installFigmaMock } from '../../fixtures';
+
+// Mock Figma API (used by ErrorHandler notifications)
+const mockFigma = {
+  notify: jest.fn(),
+};
+
+installFigmaMock(mockFigma);
+
+interface MockRequestBody {
+  base_tree?: string;
+  tree?: Array<{ path: string }>;
+  parents?: string[];
+  head?: string;
+  base?: string;
+  body?: string;
+  [key: string]: unknown;
+}
+
+interface MockRequest {
+  method: string;
+  path: string;
+  body: MockRequestBody;
+}
+
+/**
+ * Minimal in-memory GitHub: serves file contents and records Git Data API writes
+ */
+function createGitHubMock(files: Record<string, unknown>) {
+  const requests: MockRequest[] = [];
+
+  const respond = (status: number, body: unknown) => ({
+    ok: status >= 200 && status < 300,
+    status,
+    statusText: status === 404 ? 'Not Found' : 'OK',
+    json: async () => body,
+    text: async () => JSON.stringify(body),
+  });
+
+  const fetchMock = jest.fn(async (url: string, init: { method?: string; body?: string } = {}) => {
+    const method = init.method || 'GET';
+    const path = url.replace('http://github.mock', '').split('?')[0];
+    const body: MockRequestBody = init.body ? JSON.parse(init.body) : {};
+    requests.push({ method, path, body });
+
+    const contents = path.match(/^\/repos\/acme\/tokens\/contents\/(.+)$/);
+    if (method === 'GET' && contents) {
+      const file = files[contents[1]];
+      return file === undefined
+        ? respond(404, { message: 'Not Found' })
+        : respond(200, { content: Buffer.from(JSON.stringify(file)).toString('base64') });
+    }
+
+    const routes: Record<string, unknown> = {
+      'GET /repos/acme/tokens/git/ref/heads/main': { object: { sha: 'base-sha' } },
+      'GET /repos/acme/tokens/git/commits/base-sha': { sha: 'base-sha', tree: { sha: 'base-tree' } },
+      'POST /repos/acme/tokens/git/blobs': { sha: `blob-${requests.length}` },
+      'POST /repos/acme/tokens/git/trees': { sha: 'new-tree' },
+      'POST /repos/acme/tokens/git/commits': { sha: 'new-commit' },
+      'POST /repos/acme/tokens/git/refs': { ref: 'refs/heads/x' },
+      'POST /repos/acme/tokens/pulls': { number: 42, html_url: 'https://github.mock/acme/tokens/pull/42' },
+    };
+
+    const route = routes[`${method} ${path}`];
+    return route ? respond(201, route) : respond(404, { message: 'Not Found' });
+  });
+
+  return { fetchMock, requests };
+}
+
+describe('GitHubController.proposeChanges', () => {
+  const config: GitHubConfig = {
+    token: 'test-token',
+    owner: 'acme',
+    repo: 'tokens',
+    branch: 'main',
+    apiBaseUrl: 'http://github.mock',
+  };
+
+  const existing = {
+    color: { primary: { $type: 'color', $value: '#0066ff' } },
+  };
+
+  let controller: GitHubController;
+  let requests: MockRequest[];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    const mock = createGitHubMock({ 'tokens/color.json': existing });
+    requests = mock.requests;
+    // @ts-expect-error - the mock implements only the Response fields the service reads
+    global.fetch = mock.fetchMock;
+    controller = new GitHubController(new GitHubService(), new StorageService());
+  });
+
+  test('commits changed files to a new branch and opens a pull request', async () => {
+    const result = await controller.proposeChanges(config, {
+      branchName: 'tokens/update',
+      files: [
+        { path: 'tokens/color.json', content: { color: { primary: { $type: 'color', $value: '#0055ee' } } } },
+        { path: 'tokens/spacing.json', content: { spacing: { sm: { $type: 'dimension', $value: '4px' } } } },
+      ],
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data).toEqual({
+      number: 42,
+      url: 'https://github.mock/acme/tokens/pull/42',
+      branch: 'tokens/update',
+      files: ['tokens/color.json', 'tokens/spacing.json'],
+    });
+
+    const tree = requests.find(r => r.method === 'POST' && r.path.endsWith('/git/trees'))!;
+    expect(tree.body.base_tree).toBe('base-tree');
+    expect(tree.body.tree!.map(entry => entry.path)).toEqual(['tokens/color.json', 'tokens/spacing.json']);
+
+    const commit = requests.find(r => r.method === 'POST' && r.path.endsWith('/git/commits'))!;
+    expect(commit.body.parents).toEqual(['base-sha']);
+
+    const ref = requests.find(r => r.path.endsWith('/git/refs'))!;
+    expect(ref.body).toEqual({ ref: 'refs/heads/tokens/update', sha: 'new-commit' });
+
+    const pull = requests.find(r => r.path.endsWith('/pulls'))!;
+    expect(pull.body.head).toBe('tokens/update');
+    expect(pull.body.base).toBe('main');
+    expect(pull.body.body).toContain('### `tokens/color.json`');
+    expect(pull.body.body).toContain('### `tokens/spacing.json` (new file)');
+  });
+
+  test('skips files that are unchanged on the base branch', async () => {
+    const result = await controller.proposeChanges(config, {
+      files: [
+        { path: 'tokens/color.json', content: existing },
+        { path: 'tokens/spacing.json', content: { spacing: { sm: { $type: 'dimension', $value: '4px' } } } },
+      ],
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data!.files).toEqual(['tokens/spacing.json']);
+    expect(result.data!.branch).toMatch(/^tokens\/update-\d+$/);
+    expect(requests.filter(r => r.path.endsWith('/git/blobs'))).toHaveLength(1);
+  });
+
+  test('fails without writing when nothing changed', async () => {
+    const result = await controller.proposeChanges(config, {
+      files: [{ path: 'tokens/color.json', content: existing }],
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('No token changes to propose');
+    expect(requests.some(r => r.method === 'POST')).toBe(false);
+  });
+
+  test('fails without writing when only extensions changed', async () => {
+    const scoped = {
+      color: { primary: { $type: 'color', $value: '#0066ff', $extensions: { figma: { scopes: ['ALL_FILLS'] } } } },
+    };
+
+    const result = await controller.proposeChanges(config, {
+      files: [{ path: 'tokens/color.json', content: scoped }],
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('No token changes to propose');
+    expect(requests.some(r => r.method === 'POST')).toBe(false);
+  });
+
+  test('surfaces GitHub API errors', async () => {
+    const result = await controller.proposeChanges({ ...config, branch: 'missing' }, {
+      files: [{ path: 'tokens/new.json', content: { a: { $value: 1 } } }],
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('GitHub API error (404)');
+  });
+});
@@ -0,0 +1,182 @@
+// ====================================================================================
+// PROJECT CONTROLLER TESTS
+// Tests for creating, switching, renaming and deleting workspace projects
+// ====================================================================================
+
+import { ProjectController } from '../../../backend/controllers/ProjectController';
+import { StorageService } from '../../../backend/services/StorageService';
+import { StorageAdapter } from '../../../core/services/StorageAdapter';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenState } from '../../../shared/types';
+import { PROJECT_HISTORY_LIMIT } from '../../../shared/constants';
+import { createToken, installFigmaMock } from '../../fixtures';
+
+// Mock Figma API
+const mockStorage: Record<string, unknown> = {};
+const mockFigma = {
+  clientStorage: {
+    getAsync: jest.fn(async (key: string) => mockStorage[key]),
+    setAsync: jest.fn(async (key: string, value: unknown) => {
+      mockStorage[key] = value;
+    }),
+    deleteAsync: jest.fn(async (key: string) => {
+      delete mockStorage[key];
+    }),
+  },
+  notify: jest.fn(),
+};
+
+installFigmaMock(mockFigma);
+
+const tokenState = (fileName: string): TokenState => ({
+  tokenFiles: {
+    [fileName]: { name: fileName, path: fileName, content: {}, source: 'local' },
+  },
+  tokenSource: 'local',
+});
+
+const projectToken = (projectId: string) =>
+  createToken('color.primary', 'color', '#ff0000', {
+    id: `${projectId}-token`,
+    projectId,
+    collection: 'semantic',
+    source: { type: 'local', location: 'tokens.json', imported: '2025-01-01' },
+  });
+
+describe('ProjectController', () => {
+  let storage: StorageService;
+  let projectStorage: StorageAdapter;
+  let repository: TokenRepository;
+  let controller: ProjectController;
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach(key => delete mockStorage[key]);
+    jest.clearAllMocks();
+
+    storage = new StorageService();
+    projectStorage = new StorageAdapter();
+    repository = new TokenRepository();
+    controller = new ProjectController(storage, projectStorage, repository);
+  });
+
+  test('starts with the default project', async () => {
+    const result = await controller.listProjects();
+
+    expect(result.data!.activeProjectId).toBe('default');
+    expect(result.data!.projects).toEqual([
+      expect.objectContaining({ id: 'default', name: 'Default', collections: [], history: [] }),
+    ]);
+  });
+
+  test('derives unique ids from project names', async () => {
+    const first = await controller.createProject('  Brand A ');
+    const second = await controller.createProject('Brand-A!');
+
+    expect(first.data).toEqual(expect.objectContaining({ id: 'brand-a', name: 'Brand A' }));
+    expect(second.data!.id).toBe('brand-a-2');
+
+    const list = await controller.listProjects();
+    expect(list.data!.projects.map(project => project.id)).toEqual(['default', 'brand-a', 'brand-a-2']);
+  });
+
+  test('rejects empty and duplicate names', async () => {
+    await controller.createProject('Core');
+
+    expect((await controller.createProject('   ')).error).toContain('Project name is required');
+    expect((await controller.createProject('core')).error).toContain('already exists');
+    expect((await controller.renameProject('default', 'CORE')).error).toContain('already exists');
+  });
+
+  test('scopes the saved source config to the active project', async () => {
+    await storage.saveTokenState(tokenState('default.json'));
+    await controller.createProject('Brand A');
+
+    const switched = await controller.switchProject('brand-a');
+    await storage.saveTokenState(tokenState('brand.json'));
+
+    expect(switched.data!.activeProjectId).toBe('brand-a');
+    expect(Object.keys(JSON.parse(mockStorage['tokenState'] as string).tokenFiles)).toEqual(['default.json']);
+    expect(Object.keys(JSON.parse(mockStorage['tokenState:brand-a'] as string).tokenFiles)).toEqual(['brand.json']);
+
+    await controller.switchProject('default');
+    expect(Object.keys((await storage.getTokenState()).data!.tokenFiles)).toEqual(['default.json']);
+  });
+
+  test('restores the project used last', async () => {
+    await controller.createProject('Brand A');
+    await controller.switchProject('brand-a');
+
+    const restarted = new ProjectController(new StorageService(), projectStorage, repository);
+    const result = await restarted.restoreActiveProject();
+
+    expect(result.data).toBe('brand-a');
+    expect((await restarted.listProjects()).data!.activeProjectId).toBe('brand-a');
+  });
+
+  test('falls back to the first project when the saved one is gone', async () => {
+    mockStorage['activeProject'] = 'removed';
+
+    const result = await controller.restoreActiveProject();
+
+    expect(result.data).toBe('default');
+  });
+
+  test('renames without changing the id', async () => {
+    await controller.createProject('Brand A');
+
+    const result = await controller.renameProject('brand-a', 'Brand Alpha');
+
+    expect(result.data!.projects[1]).toEqual(expect.objectContaining({ id: 'brand-a', name: 'Brand Alpha' }));
+  });
+
+  test('lists sync history newest first with the collections of the last successful sync', async () => {
+    await projectStorage.appendSyncHistory('default', {
+      syncedAt: '2025-01-01T00:00:00.000Z', tokenCount: 3, collections: ['primitive'], success: true,
+    });
+    await projectStorage.appendSyncHistory('default', {
+      syncedAt: '2025-01-02T00:00:00.000Z', tokenCount: 3, collections: [], success: false, error: 'Variable limit reached',
+    });
+
+    const project = (await controller.listProjects()).data!.projects[0];
+
+    expect(project.history.map(entry => entry.success)).toEqual([false, true]);
+    expect(project.collections).toEqual(['primitive']);
+  });
+
+  test('keeps at most PROJECT_HISTORY_LIMIT syncs', async () => {
+    for (let i = 0; i < PROJECT_HISTORY_LIMIT + 2; i++) {
+      await projectStorage.appendSyncHistory('default', {
+        syncedAt: new Date(i * 1000).toISOString(), tokenCount: i, collections: [], success: true,
+      });
+    }
+
+    const history = (await projectStorage.loadSyncHistory('default')).data!;
+
+    expect(history).toHaveLength(PROJECT_HISTORY_LIMIT);
+    expect(history[0].tokenCount).toBe(PROJECT_HISTORY_LIMIT + 1);
+  });
+
+  test('refuses to delete the active project', async () => {
+    const result = await controller.deleteProject('default');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('Switch to another project first');
+  });
+
+  test('deletes everything stored for a project', async () => {
+    await controller.createProject('Brand A');
+    await controller.switchProject('brand-a');
+    await storage.saveTokenState(tokenState('brand.json'));
+    await projectStorage.save('brand-a', [projectToken('brand-a')]);
+    repository.add([projectToken('brand-a'), projectToken('default')]);
+    await controller.switchProject('default');
+
+    const result = await controller.deleteProject('brand-a');
+
+    expect(result.data!.projects.map(project => project.id)).toEqual(['default']);
+    expect(mockStorage['tokenState:brand-a']).toBeUndefined();
+    expect(mockStorage['project:brand-a']).toBeUndefined();
+    expect(repository.getByProject('brand-a')).toEqual([]);
+    expect(repository.getByProject('default')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,146 @@
+// ====================================================================================
+// VARIABLE EXPORTER TESTS
+// Tests for serializing Figma variables to W3C token JSON
+// ====================================================================================
+
+import { VariableExporter } from '../../../backend/services/VariableExporter';
+import { installFigmaMock } from '../../fixtures';
+
+// Mock Figma API
+const mockFigma = {
+  variables: {
+    getLocalVariableCollectionsAsync: jest.fn(),
+    getLocalVariablesAsync: jest.fn(),
+    getVariableByIdAsync: jest.fn(),
+  },
+};
+
+installFigmaMock(mockFigma);
+
+function createVariable(overrides: Record<string, unknown>): Record<string, unknown> {
+  return {
+    id: 'var-1',
+    name: 'color/primary',
+    resolvedType: 'COLOR',
+    variableCollectionId: 'collection-primitive',
+    description: '',
+    scopes: ['ALL_SCOPES'],
+    codeSyntax: {},
+    valuesByMode: {},
+    ...overrides,
+  };
+}
+
+describe('VariableExporter', () => {
+  let exporter: VariableExporter;
+
+  beforeEach(() => {
+    exporter = new VariableExporter();
+    jest.clearAllMocks();
+
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([
+      {
+        id: 'collection-primitive',
+        name: 'primitive',
+        defaultModeId: 'p-1',
+        modes: [{ modeId: 'p-1', name: 'Mode 1' }],
+      },
+      {
+        id: 'collection-semantic',
+        name: 'semantic',
+        defaultModeId: 's-light',
+        modes: [
+          { modeId: 's-light', name: 'light' },
+          { modeId: 's-dark', name: 'dark' },
+        ],
+      },
+    ]);
+
+    mockFigma.variables.getLocalVariablesAsync.mockResolvedValue([
+      createVariable({
+        id: 'var-blue',
+        name: 'color/blue/500',
+        description: 'Brand blue',
+        codeSyntax: { WEB: '--color-blue-500' },
+        valuesByMode: { 'p-1': { r: 0, g: 0.4, b: 1, a: 1 } },
+      }),
+      createVariable({
+        id: 'var-gray',
+        name: 'color/gray/900',
+        valuesByMode: { 'p-1': { r: 0, g: 0, b: 0, a: 0.5 } },
+      }),
+      createVariable({
+        id: 'var-space',
+        name: 'spacing/md',
+        resolvedType: 'FLOAT',
+        scopes: ['GAP'],
+        valuesByMode: { 'p-1': 16 },
+      }),
+      createVariable({
+        id: 'var-surface',
+        name: 'surface/default',
+        variableCollectionId: 'collection-semantic',
+        valuesByMode: {
+          's-light': { type: 'VARIABLE_ALIAS', id: 'var-blue' },
+          's-dark': { type: 'VARIABLE_ALIAS', id: 'var-gray' },
+        },
+      }),
+    ]);
+  });
+
+  test('exports one file per collection', async () => {
+    const result = await exporter.exportCollections();
+
+    expect(result.success).toBe(true);
+    expect(result.data!.map(f => f.name)).toEqual(['primitive.json', 'semantic.json']);
+  });
+
+  test('exports only the requested collections', async () => {
+    const result = await exporter.exportCollections(['semantic']);
+
+    expect(result.data!.map(f => f.collection)).toEqual(['semantic']);
+  });
+
+  test('nests variables into groups with type, value and description', async () => {
+    const result = await exporter.exportCollections();
+    const primitive = result.data![0].content;
+
+    expect(primitive.color.blue['500']).toEqual({
+      $type: 'color',
+      $value: '#0066ff',
+      $description: 'Brand blue',
+      $extensions: {
+        figma: { scopes: ['ALL_SCOPES'], codeSyntax: { WEB: '--color-blue-500' } },
+      },
+    });
+    expect(primitive.color.gray['900'].$value).toBe('#00000080');
+  });
+
+  test('exports scoped floats as px dimensions', async () => {
+    const result = await exporter.exportCollections();
+    const spacing = result.data![0].content.spacing.md;
+
+    expect(spacing.$type).toBe('dimension');
+    expect(spacing.$value).toBe('16px');
+  });
+
+  test('exports aliases as references with per-mode values', async () => {
+    const result = await exporter.exportCollections();
+    const surface = result.data![1].content.surface.default;
+
+    expect(surface.$value).toBe('{color.blue.500}');
+    expect(surface.$extensions.mode).toEqual({
+      light: '{color.blue.500}',
+      dark: '{color.gray.900}',
+    });
+  });
+
+  test('returns failure when the Figma API throws', async () => {
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockRejectedValue(new Error('boom'));
+
+    const result = await exporter.exportCollections();
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('boom');
+  });
+});
@@ -0,0 +1,169 @@
+// ====================================================================================
+// GITLAB FILE SOURCE TESTS
+// Unit tests for GitLabFileSource adapter against a mocked GitLab REST API
+// ====================================================================================
+
+import { GitLabFileSource, GitLabFileSourceConfig } from '../../../core/adapters/GitLabFileSource';
+
+interface MockResponseInit {
+  status?: number;
+  body?: unknown;
+  headers?: Record<string, string>;
+}
+
+// Shaped like Figma's FetchResponse: headers only as a lower-cased headersObject
+function mockResponse({ status = 200, body = {}, headers = {} }: MockResponseInit): FetchResponse {
+  return {
+    ok: status >= 200 && status < 300,
+    redirected: false,
+    status,
+    statusText: status === 404 ? 'Not Found' : 'OK',
+    type: 'basic',
+    url: '',
+    headersObject: headers,
+    arrayBuffer: async () => new ArrayBuffer(0),
+    json: async () => body,
+    text: async () => (typeof body === 'string' ? body : JSON.stringify(body)),
+  };
+}
+
+describe('GitLabFileSource', () => {
+  let fileSource: GitLabFileSource;
+  let fetchMock: jest.Mock;
+  let testConfig: GitLabFileSourceConfig;
+
+  beforeEach(() => {
+    fileSource = new GitLabFileSource();
+    fetchMock = jest.fn();
+    global.fetch = fetchMock;
+    testConfig = {
+      source: 'gitlab',
+      token: 'glpat-test',
+      baseUrl: 'https://gitlab.example.com/',
+      projectId: 'design/tokens',
+      ref: 'main',
+    };
+  });
+
+  describe('getSourceType()', () => {
+    test('should return "gitlab"', () => {
+      expect(fileSource.getSourceType()).toBe('gitlab');
+    });
+  });
+
+  describe('fetchFileList()', () => {
+    test('should follow X-Next-Page and keep only JSON blobs', async () => {
+      fetchMock
+        .mockResolvedValueOnce(mockResponse({
+          body: [
+            { id: 'a', name: 'color.json', type: 'blob', path: 'tokens/color.json' },
+            { id: 'b', name: 'tokens', type: 'tree', path: 'tokens' },
+          ],
+          headers: { 'x-next-page': '2' },
+        }))
+        .mockResolvedValueOnce(mockResponse({
+          body: [
+            { id: 'c', name: 'README.md', type: 'blob', path: 'README.md' },
+            { id: 'd', name: 'spacing.json', type: 'blob', path: 'tokens/spacing.json' },
+          ],
+          headers: { 'x-next-page': '' },
+        }));
+
+      const result = await fileSource.fetchFileList(testConfig);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([
+        { path: 'tokens/color.json', type: 'file', sha: 'a' },
+        { path: 'tokens/spacing.json', type: 'file', sha: 'd' },
+      ]);
+      expect(fetchMock).toHaveBeenCalledTimes(2);
+      expect(fetchMock.mock.calls[1][0]).toContain('page=2');
+    });
+
+    test('should encode namespaced project paths and send the token header', async () => {
+      fetchMock.mockResolvedValueOnce(mockResponse({ body: [] }));
+
+      await fileSource.fetchFileList(testConfig);
+
+      const [url, init] = fetchMock.mock.calls[0];
+      expect(url).toMatch(/^https:\/\/gitlab\.example\.com\/api\/v4\/projects\/design%2Ftokens\/repository\/tree\?/);
+      expect(url).toContain('recursive=true');
+      expect(url).toContain('ref=main');
+      expect(init.headers['PRIVATE-TOKEN']).toBe('glpat-test');
+    });
+
+    test('should return failure on API errors', async () => {
+      fetchMock.mockResolvedValueOnce(mockResponse({ status: 404, body: { message: '404 Project Not Found' } }));
+
+      const result = await fileSource.fetchFileList(testConfig);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('GitLab API error (404)');
+    });
+  });
+
+  describe('fetchFileContent()', () => {
+    test('should fetch and parse raw file content', async () => {
+      fetchMock.mockResolvedValueOnce(mockResponse({ body: '{"color":{"$value":"#fff"}}' }));
+
+      const result = await fileSource.fetchFileContent(testConfig, 'tokens/color.json');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ color: { $value: '#fff' } });
+      expect(fetchMock.mock.calls[0][0]).toBe(
+        'https://gitlab.example.com/api/v4/projects/design%2Ftokens/repository/files/tokens%2Fcolor.json/raw?ref=main'
+      );
+    });
+
+    test('should return failure for invalid JSON', async () => {
+      fetchMock.mockResolvedValueOnce(mockResponse({ body: 'not json' }));
+
+      const result = await fileSource.fetchFileContent(testConfig, 'broken.json');
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe('fetchMultipleFiles()', () => {
+    test('should return contents in request order', async () => {
+      fetchMock.mockImplementation(async (url: string) =>
+        mockResponse({ body: url.indexOf('a.json') !== -1 ? '{"a":1}' : '{"b":2}' })
+      );
+
+      const result = await fileSource.fetchMultipleFiles(testConfig, ['a.json', 'b.json']);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual([{ a: 1 }, { b: 2 }]);
+    });
+
+    test('should fail when any file cannot be fetched', async () => {
+      fetchMock.mockImplementation(async (url: string) =>
+        url.indexOf('missing.json') !== -1 ? mockResponse({ status: 404 }) : mockResponse({ body: '{}' })
+      );
+
+      const result = await fileSource.fetchMultipleFiles(testConfig, ['a.json', 'missing.json']);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('missing.json');
+    });
+  });
+
+  describe('validateConfig()', () => {
+    test('should return true when the project is reachable', async () => {
+      fetchMock.mockResolvedValueOnce(mockResponse({ body: { id: 1 } }));
+
+      const result = await fileSource.validateConfig(testConfig);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBe(true);
+    });
+
+    test('should return false without a project', async () => {
+      const result = await fileSource.validateConfig({ ...testConfig, projectId: '' });
+
+      expect(result.success).toBe(true);
+      expect(result.data).toBe(false);
+      expect(fetchMock).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,286 @@
+// ====================================================================================
+// TOKENS STUDIO FORMAT STRATEGY TESTS
+// Unit tests for TokensStudioFormatStrategy
+// ====================================================================================
+
+import { TokensStudioFormatStrategy } from '../../../core/adapters/TokensStudioFormatStrategy';
+import { StyleDictionaryFormatStrategy } from '../../../core/adapters/StyleDictionaryFormatStrategy';
+import { TokenData, ProcessedToken } from '../../../shared/types';
+
+describe('TokensStudioFormatStrategy', () => {
+  let strategy: TokensStudioFormatStrategy;
+
+  const parse = (data: TokenData): ProcessedToken[] => {
+    const result = strategy.parseTokens(data);
+    expect(result.success).toBe(true);
+    return result.data!;
+  };
+
+  const find = (tokens: ProcessedToken[], path: string): ProcessedToken | undefined =>
+    tokens.find(token => token.path.join('.') === path);
+
+  beforeEach(() => {
+    strategy = new TokensStudioFormatStrategy();
+  });
+
+  describe('detectFormat()', () => {
+    test('should return 1 when $themes or $metadata is present', () => {
+      expect(strategy.detectFormat({ $metadata: { tokenSetOrder: [] } })).toBe(1);
+      expect(strategy.detectFormat({ $themes: [] })).toBe(1);
+    });
+
+    test('should score tokens that carry both value and type', () => {
+      const data: TokenData = {
+        color: {
+          primary: { value: '#0066ff', type: 'color' },
+          secondary: { value: '#ff6600' },
+        },
+      };
+
+      expect(strategy.detectFormat(data)).toBe(0.5);
+    });
+
+    test('should return 0 for W3C tokens', () => {
+      expect(strategy.detectFormat({ color: { primary: { $value: '#fff', $type: 'color' } } })).toBe(0);
+    });
+
+    test('should tie with Style Dictionary on typed value tokens', () => {
+      const data: TokenData = { spacing: { sm: { value: '4', type: 'spacing' } } };
+
+      expect(strategy.detectFormat(data)).toBe(new StyleDictionaryFormatStrategy().detectFormat(data));
+    });
+  });
+
+  describe('parseTokens()', () => {
+    test('should map Tokens Studio types to universal types', () => {
+      const tokens = parse({
+        size: { lg: { value: '24', type: 'sizing' } },
+        radius: { md: { value: '8', type: 'borderRadius' } },
+        font: {
+          family: { value: 'Inter', type: 'fontFamilies' },
+          weight: { value: 'Bold', type: 'fontWeights' },
+        },
+        opacity: { half: { value: '0.5', type: 'opacity' } },
+      });
+
+      expect(find(tokens, 'size.lg')?.type).toBe('dimension');
+      expect(find(tokens, 'radius.md')?.type).toBe('dimension');
+      expect(find(tokens, 'font.family')?.type).toBe('fontFamily');
+      expect(find(tokens, 'font.weight')?.type).toBe('fontWeight');
+      expect(find(tokens, 'opacity.half')?.type).toBe('number');
+    });
+
+    test('should merge token sets in $metadata order without set names in paths', () => {
+      const tokens = parse({
+        core: { color: { brand: { value: '#0000ff', type: 'color' } } },
+        brand: { color: { brand: { value: '#ff0000', type: 'color' } } },
+        $metadata: { tokenSetOrder: ['core', 'brand'] },
+      });
+
+      expect(tokens).toHaveLength(1);
+      expect(tokens[0].path).toEqual(['color', 'brand']);
+      expect(tokens[0].value).toBe('#ff0000');
+    });
+
+    test('should evaluate math with references and keep the expression as original value', () => {
+      const tokens = parse({
+        spacing: {
+          base: { value: '8px', type: 'spacing' },
+          lg: { value: '{spacing.base} * 2', type: 'spacing' },
+          xl: { value: '$spacing.lg + 8', type: 'spacing' },
+          ratio: { value: '3 / 2', type: 'number' },
+        },
+      });
+
+      expect(find(tokens, 'spacing.lg')?.value).toBe('16px');
+      expect(find(tokens, 'spacing.lg')?.originalValue).toBe('{spacing.base} * 2');
+      expect(find(tokens, 'spacing.xl')?.value).toBe('24px');
+      expect(find(tokens, 'spacing.ratio')?.value).toBe(1.5);
+    });
+
+    test('should leave math with unknown references unevaluated', () => {
+      const tokens = parse({ spacing: { lg: { value: '{other.base} * 2', type: 'spacing' } } });
+
+      expect(tokens[0].value).toBe('{other.base} * 2');
+    });
+
+    test('should rewrite legacy $references to {references}', () => {
+      const tokens = parse({
+        color: {
+          blue: { value: '#0000ff', type: 'color' },
+          primary: { value: '$color.blue', type: 'color' },
+        },
+      });
+
+      const primary = find(tokens, 'color.primary')!;
+      expect(primary.value).toBe('{color.blue}');
+      expect(strategy.isReference(primary.value)).toBe(true);
+    });
+
+    test('should convert boxShadow to shadow values', () => {
+      const tokens = parse({
+        shadow: {
+          card: {
+            type: 'boxShadow',
+            value: [
+              { x: '0', y: '2', blur: '4', spread: '0', color: '#00000033', type: 'dropShadow' },
+              { x: '0', y: '1', blur: '{shadow.blur}', color: '#0000001a', type: 'innerShadow' },
+            ],
+          },
+          blur: { value: '2 * 3', type: 'dimension' },
+        },
+      });
+
+      const card = find(tokens, 'shadow.card')!;
+      expect(card.type).toBe('shadow');
+      expect(card.value).toEqual([
+        { offsetX: '0', offsetY: '2', blur: '4', spread: '0', color: '#00000033', inset: false },
+        { offsetX: '0', offsetY: '1', blur: '{shadow.blur}', spread: 0, color: '#0000001a', inset: true },
+      ]);
+    });
+
+    test('should keep typography and border values', () => {
+      const tokens = parse({
+        heading: {
+          value: { fontFamily: '{font.family}', fontSize: '16 * 2', lineHeight: '120%' },
+          type: 'typography',
+        },
+        divider: { value: { color: '#cccccc', width: '1', style: 'solid' }, type: 'border' },
+      });
+
+      expect(find(tokens, 'heading')?.value).toEqual({ fontFamily: '{font.family}', fontSize: 32, lineHeight: '120%' });
+      expect(find(tokens, 'divider')?.type).toBe('border');
+      expect(find(tokens, 'divider')?.value).toEqual({ color: '#cccccc', width: '1', style: 'solid' });
+    });
+
+    test('should split composition tokens into one token per property', () => {
+      const tokens = parse({
+        space: { md: { value: '16', type: 'spacing' } },
+        card: {
+          value: { paddingTop: '{space.md}', fill: '#ffffff', borderRadiusTopLeft: '8', opacity: '0.5', label: 'Card' },
+          type: 'composition',
+          description: 'Card surface',
+        },
+      });
+
+      expect(find(tokens, 'card')).toBeUndefined();
+      expect(tokens.filter(token => token.path[0] === 'card').map(token => [token.path[1], token.type, token.value])).toEqual([
+        ['paddingTop', 'spacing', '{space.md}'],
+        ['fill', 'color', '#ffffff'],
+        ['borderRadiusTopLeft', 'dimension', '8'],
+        ['opacity', 'number', '0.5'],
+        ['label', 'string', 'Card'],
+      ]);
+      expect(find(tokens, 'card.fill')?.description).toBe('Card surface');
+    });
+
+    test('should map themes to per-mode values from their enabled sets', () => {
+      const tokens = parse({
+        core: {
+          gray: {
+            white: { value: '#ffffff', type: 'color' },
+            black: { value: '#000000', type: 'color' },
+          },
+        },
+        light: { bg: { value: '{gray.white}', type: 'color' }, fg: { value: '{gray.black}', type: 'color' } },
+        dark: { bg: { value: '{gray.black}', type: 'color' }, fg: { value: '{bg}', type: 'color' } },
+        $themes: [
+          { name: 'Light', selectedTokenSets: { core: 'enabled', light: 'enabled' } },
+          { name: 'Dark', selectedTokenSets: { core: 'enabled', dark: 'enabled' } },
+        ],
+        $metadata: { tokenSetOrder: ['core', 'light', 'dark'] },
+      });
+
+      const bg = find(tokens, 'bg')!;
+      expect(bg.value).toBe('{gray.white}');
+      expect(bg.extensions?.mode).toEqual({ Light: '{gray.white}', Dark: '{gray.black}' });
+      expect(find(tokens, 'fg')?.extensions?.mode).toEqual({ Light: '{gray.black}', Dark: '{bg}' });
+
+      // Same value in every theme - no per-mode values needed
+      expect(find(tokens, 'gray.white')?.extensions).toBeUndefined();
+    });
+
+    test('should not import source sets and inline references to their tokens', () => {
+      const tokens = parse({
+        core: {
+          gray: { white: { value: '#ffffff', type: 'color' } },
+          space: { base: { value: '4', type: 'spacing' } },
+        },
+        light: {
+          bg: { value: '{gray.white}', type: 'color' },
+          gap: { value: '{space.base} * 2', type: 'spacing' },
+          border: { value: { color: '{gray.white}', width: '1' }, type: 'border' },
+        },
+        $themes: [{ name: 'Light', selectedTokenSets: { core: 'source', light: 'enabled' } }],
+        $metadata: { tokenSetOrder: ['core', 'light'] },
+      });
+
+      expect(tokens.map(token => token.path.join('.'))).toEqual(['bg', 'gap', 'border']);
+      expect(find(tokens, 'bg')?.value).toBe('#ffffff');
+      expect(find(tokens, 'bg')?.originalValue).toBe('{gray.white}');
+      expect(find(tokens, 'gap')?.value).toBe(8);
+      expect(find(tokens, 'border')?.value).toEqual({ color: '#ffffff', width: '1' });
+    });
+
+    test('should turn theme groups into collections with their themes as modes', () => {
+      const tokens = parse({
+        core: { blue: { value: '#0000ff', type: 'color' }, red: { value: '#ff0000', type: 'color' } },
+        brandA: { brand: { primary: { value: '{blue}', type: 'color' } } },
+        brandB: { brand: { primary: { value: '{red}', type: 'color' } } },
+        light: { surface: { value: '#ffffff', type: 'color' } },
+        dark: { surface: { value: '#000000', type: 'color' } },
+        $themes: [
+          { name: 'Light', group: 'Mode', selectedTokenSets: { light: 'enabled' } },
+          { name: 'A', group: 'Brand', selectedTokenSets: { core: 'enabled', brandA: 'enabled' } },
+          { name: 'Dark', group: 'Mode', selectedTokenSets: { dark: 'enabled' } },
+          { name: 'B', group: 'Brand', selectedTokenSets: { core: 'enabled', brandB: 'enabled' } },
+        ],
+        $metadata: { tokenSetOrder: ['core', 'brandA', 'brandB', 'light', 'dark'] },
+      });
+
+      expect(tokens.map(token => [token.path.join('.'), token.collection])).toEqual([
+        ['surface', 'Mode'],
+        ['blue', 'Brand'],
+        ['red', 'Brand'],
+        ['brand.primary', 'Brand'],
+      ]);
+      expect(find(tokens, 'surface')?.extensions?.mode).toEqual({ Light: '#ffffff', Dark: '#000000' });
+      expect(find(tokens, 'brand.primary')?.extensions?.mode).toEqual({ A: '{blue}', B: '{red}' });
+    });
+
+    test('should keep $extensions', () => {
+      const tokens = parse({
+        color: {
+          hover: {
+            value: '#0066ff',
+            type: 'color',
+            $extensions: { 'studio.tokens': { modify: { type: 'darken', value: '0.2' } } },
+          },
+        },
+      });
+
+      expect(tokens[0].extensions).toEqual({ 'studio.tokens': { modify: { type: 'darken', value: '0.2' } } });
+    });
+  });
+
+  describe('mergeTokenSetFiles()', () => {
+    test('should name sets by path relative to the $themes/$metadata folder', () => {
+      const document = TokensStudioFormatStrategy.mergeTokenSetFiles([
+        { path: 'tokens/$themes.json', data: [] as unknown as TokenData },
+        { path: 'tokens/$metadata.json', data: { tokenSetOrder: ['core/colors'] } },
+        { path: 'tokens/core/colors.json', data: { blue: { value: '#00f', type: 'color' } } },
+      ]);
+
+      expect(Object.keys(document).sort()).toEqual(['$metadata', '$themes', 'core/colors']);
+      expect(document['core/colors']).toEqual({ blue: { value: '#00f', type: 'color' } });
+    });
+  });
+
+  describe('extractReference()', () => {
+    test('should extract both reference syntaxes', () => {
+      expect(strategy.extractReference('{color.primary}')).toBe('color.primary');
+      expect(strategy.extractReference('$color.primary')).toBe('color.primary');
+      expect(strategy.extractReference('#fff')).toBeNull();
+    });
+  });
+});
@@ -238,6 +238,118 @@ describe('W3CTokenFormatStrategy', () => {
       expect(strategy.normalizeValue('16px', 'dimension')).toBe('16px');
       expect(strategy.normalizeValue(400, 'fontWeight')).toBe(400);
     });
+
+    test('should canonicalize DTCG structured values', () => {
+      expect(strategy.normalizeValue({ colorSpace: 'srgb', components: [1, 0, 0] }, 'color')).toEqual({
+        colorSpace: 'srgb',
+        components: [1, 0, 0],
+        alpha: 1,
+        hex: '#ff0000'
+      });
+      expect(strategy.normalizeValue({ value: 1.5, unit: 'rem' }, 'spacing')).toEqual({ value: 1.5, unit: 'rem' });
+      expect(strategy.normalizeValue({ value: 200, unit: 'ms' }, 'duration')).toEqual({ value: 200, unit: 'ms' });
+    });
+  });
+
+  describe('group properties', () => {
+    test('should inherit $type from the nearest group that declares one', () => {
+      const data: TokenData = {
+        size: {
+          $type: 'dimension',
+          base: { $value: 4 },
+          font: {
+            $type: 'fontSize',
+            body: { $value: '16px' },
+            weight: { $value: 400, $type: 'fontWeight' }
+          }
+        }
+      };
+
+      const result = strategy.parseTokens(data);
+
+      expect(result.data!.map(token => token.type)).toEqual(['dimension', 'fontSize', 'fontWeight']);
+    });
+
+    test('should apply $deprecated from groups unless a token overrides it', () => {
+      const data: TokenData = {
+        legacy: {
+          $deprecated: 'Use brand colors',
+          red: { $value: '#ff0000', $type: 'color' },
+          blue: { $value: '#0000ff', $type: 'color', $deprecated: false },
+          green: { $value: '#00ff00', $type: 'color', $deprecated: true }
+        },
+        current: { $value: '#000000', $type: 'color' }
+      };
+
+      const result = strategy.parseTokens(data);
+
+      expect(result.data!.map(token => token.deprecated)).toEqual(['Use brand colors', undefined, true, undefined]);
+    });
+
+    test('should keep token and nearest group descriptions', () => {
+      const data: TokenData = {
+        color: {
+          $description: 'All colors',
+          brand: {
+            $description: 'Brand palette',
+            primary: { $value: '#0000ff', $type: 'color', $description: 'Primary' }
+          },
+          gray: { $value: '#777777', $type: 'color' }
+        }
+      };
+
+      const result = strategy.parseTokens(data);
+      const [primary, gray] = result.data!;
+
+      expect(primary.description).toBe('Primary');
+      expect(primary.groupDescription).toBe('Brand palette');
+      expect(gray.description).toBeUndefined();
+      expect(gray.groupDescription).toBe('All colors');
+    });
+  });
+
+  describe('DTCG structured values', () => {
+    test('should round-trip structured colors, dimensions and durations', () => {
+      const data: TokenData = {
+        brand: { $type: 'color', $value: { colorSpace: 'oklch', components: [0.628, 0.2577, 29.23], alpha: 1, hex: '#ff0000' } },
+        gap: { $type: 'dimension', $value: { value: 0.5, unit: 'rem' } },
+        quick: { $type: 'duration', $value: { value: 0.2, unit: 's' } }
+      };
+
+      const result = strategy.parseTokens(data);
+
+      expect(result.success).toBe(true);
+      expect(result.data!.map(token => token.value)).toEqual([
+        data.brand.$value,
+        data.gap.$value,
+        data.quick.$value
+      ]);
+    });
+
+    test('should keep invalid structured values raw and warn', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+      const data: TokenData = {
+        gap: { $type: 'dimension', $value: { value: '8', unit: 'px' } }
+      };
+
+      const result = strategy.parseTokens(data);
+
+      expect(result.success).toBe(true);
+      expect(result.data![0].value).toEqual({ value: '8', unit: 'px' });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('gap: Invalid dimension value'));
+      warn.mockRestore();
+    });
+
+    test('should infer duration and dimension from structured values', () => {
+      const data: TokenData = {
+        quick: { $value: { value: 120, unit: 'ms' } },
+        gap: { $value: { value: 4, unit: 'px' } }
+      };
+
+      const result = strategy.parseTokens(data);
+
+      expect(result.data!.map(token => token.type)).toEqual(['duration', 'dimension']);
+    });
   });
 
   describe('type inference', () => {
@@ -253,6 +365,17 @@ describe('W3CTokenFormatStrategy', () => {
       expect(result.data![0].type).toBe('color');
     });
 
+    test('should infer color from CSS Color 4 functions', () => {
+      const data: TokenData = {
+        brand: { $value: 'oklch(62% 0.19 260)' },
+        accent: { $value: 'color(display-p3 1 0.2 0.4)' }
+      };
+
+      const result = strategy.parseTokens(data);
+
+      expect(result.data!.map(token => token.type)).toEqual(['color', 'color']);
+    });
+
     test('should infer color from path', () => {
       const data: TokenData = {
         color: {
@@ -339,5 +462,39 @@ describe('W3CTokenFormatStrategy', () => {
 
       expect(result.data![0].type).toBe('shadow');
     });
+
+    test('should infer border from border properties', () => {
+      const data: TokenData = {
+        test: {
+          $value: {
+            color: '{color.gray.300}',
+            width: '1px',
+            style: 'solid'
+          }
+        }
+      };
+
+      const result = strategy.parseTokens(data);
+
+      expect(result.data![0].type).toBe('border');
+    });
+
+    test('should infer gradient from CSS gradients and stop arrays', () => {
+      const data: TokenData = {
+        hero: {
+          $value: 'linear-gradient(90deg, {color.brand.500}, #ffffff)'
+        },
+        glow: {
+          $value: [
+            { color: '#ff0000', position: 0 },
+            { color: '#0000ff', position: 1 }
+          ]
+        }
+      };
+
+      const result = strategy.parseTokens(data);
+
+      expect(result.data!.map(token => token.type)).toEqual(['gradient', 'gradient']);
+    });
   });
 });
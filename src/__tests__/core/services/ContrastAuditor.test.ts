@@ -0,0 +1,125 @@
+// ====================================================================================
+// CONTRAST AUDITOR TESTS
+// Tests for pairing, per-mode resolution and scoring of color pairs
+// ====================================================================================
+
+import { ContrastAuditor } from '../../../core/services/ContrastAuditor';
+import { Token } from '../../../core/models/Token';
+
+function createToken(name: string, value: unknown, overrides: Record<string, unknown> = {}): Token {
+  return {
+    id: `${name}${overrides.theme ? `:${overrides.theme}` : ''}`,
+    path: name.split('.'),
+    name: name.split('.').pop(),
+    qualifiedName: name,
+    type: 'color',
+    value,
+    rawValue: value,
+    projectId: 'test',
+    collection: 'semantic',
+    sourceFormat: 'w3c',
+    source: { type: 'local', location: 'semantic.json', imported: '2025-01-01' },
+    extensions: {},
+    tags: [],
+    status: 'active',
+    created: '2025-01-01',
+    lastModified: '2025-01-01',
+    ...overrides,
+  } as Token;
+}
+
+describe('ContrastAuditor', () => {
+  let auditor: ContrastAuditor;
+
+  beforeEach(() => {
+    auditor = new ContrastAuditor();
+  });
+
+  test('pairs text.* with surface.* by default and rates each pair', () => {
+    const report = auditor.audit([
+      createToken('text.default', '#000000'),
+      createToken('text.muted', '#999999'),
+      createToken('surface.default', '#ffffff'),
+      createToken('border.default', '#cccccc'),
+    ]);
+
+    expect(report.modes).toEqual(['Default']);
+    expect(report.results.map(result => [result.foreground, result.background, result.wcag, result.pass])).toEqual([
+      ['text.default', 'surface.default', 'AAA', true],
+      ['text.muted', 'surface.default', 'Fail', false],
+    ]);
+    expect(report.results[0]).toEqual(expect.objectContaining({
+      ratio: 21,
+      apca: 106,
+      foregroundColor: '#000000',
+      backgroundColor: '#ffffff',
+      source: 'path',
+    }));
+    expect(report.counts).toEqual({ pass: 1, fail: 1 });
+  });
+
+  test('only pairs tokens with equal captures', () => {
+    const report = auditor.audit([
+      createToken('text.on.primary', '#ffffff'),
+      createToken('text.on.danger', '#ffffff'),
+      createToken('bg.primary', '#1e40af'),
+      createToken('bg.danger', '#b91c1c'),
+    ], { pairs: [{ foreground: 'text.on.{role}', background: 'bg.{role}' }] });
+
+    expect(report.results.map(result => `${result.foreground} / ${result.background}`)).toEqual([
+      'text.on.primary / bg.primary',
+      'text.on.danger / bg.danger',
+    ]);
+  });
+
+  test('pairs backgrounds declared in $extensions.contrast', () => {
+    const report = auditor.audit([
+      createToken('brand.ink', '#000000', {
+        extensions: { w3c: { contrast: { background: ['{brand.paper}', 'brand.missing'] } } },
+      }),
+      createToken('brand.paper', '#ffffff'),
+    ], { pairs: [] });
+
+    expect(report.results).toHaveLength(2);
+    expect(report.results[0]).toEqual(expect.objectContaining({ background: 'brand.paper', source: 'extension', pass: true }));
+    expect(report.results[1]).toEqual(expect.objectContaining({
+      background: 'brand.missing',
+      pass: false,
+      error: 'Token not found: brand.missing',
+    }));
+  });
+
+  test('rates every mode, following references within the mode', () => {
+    const report = auditor.audit([
+      createToken('gray.50', '#fafafa', { collection: 'primitive' }),
+      createToken('gray.900', '#111111', { collection: 'primitive' }),
+      createToken('text.default', '{gray.900}', {
+        extensions: { w3c: { mode: { light: '{gray.900}', dark: '{gray.50}' } } },
+      }),
+      createToken('surface.default', '#ffffff', { theme: 'light' }),
+      createToken('surface.default', '#000000', { theme: 'dark' }),
+    ]);
+
+    expect(report.modes).toEqual(['light', 'dark']);
+    expect(report.results.map(result => [result.mode, result.foregroundColor, result.backgroundColor, result.pass])).toEqual([
+      ['light', '#111111', '#ffffff', true],
+      ['dark', '#fafafa', '#000000', true],
+    ]);
+  });
+
+  test('applies the configured minimums', () => {
+    const tokens = [createToken('text.default', '#767676'), createToken('surface.default', '#ffffff')];
+
+    expect(auditor.audit(tokens).results[0].pass).toBe(true);
+    expect(auditor.audit(tokens, { minimum: { wcag: 4.5, apca: 75 } }).results[0].pass).toBe(false);
+    expect(auditor.audit(tokens, { minimum: { wcag: 7, apca: 0 } }).results[0].pass).toBe(false);
+    expect(auditor.audit(tokens, { minimum: { wcag: 4.5, apca: 0 } }).results[0].pass).toBe(true);
+  });
+
+  test('maps ratios to WCAG levels', () => {
+    expect(ContrastAuditor.wcagLevel(7)).toBe('AAA');
+    expect(ContrastAuditor.wcagLevel(4.5)).toBe('AA');
+    expect(ContrastAuditor.wcagLevel(3)).toBe('AA Large');
+    expect(ContrastAuditor.wcagLevel(2.99)).toBe('Fail');
+  });
+});
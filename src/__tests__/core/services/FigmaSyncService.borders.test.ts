@@ -0,0 +1,147 @@
+// ====================================================================================
+// FIGMA SYNC SERVICE - BORDER TESTS
+// Tests for syncing border tokens as grouped color and width variables
+// ====================================================================================
+
+import { FigmaSyncService } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import {
+  MockVariable,
+  createToken,
+  createFigmaMock,
+  installFigmaMock,
+  createMockCollection,
+  recordCreatedVariables,
+} from '../../fixtures';
+
+const mockFigma = createFigmaMock();
+installFigmaMock(mockFigma);
+
+describe('FigmaSyncService borders', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+  let createdVariables: MockVariable[];
+
+  const primitives = () => [
+    createToken('color.gray.300', 'color', '#d1d5db'),
+    createToken('border.width.thin', 'dimension', '1px'),
+  ];
+
+  const variable = (name: string) => createdVariables.find(v => v.name === name)!;
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+    createdVariables = [];
+    const mockCollection = createMockCollection('primitive');
+
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([mockCollection]);
+    mockFigma.variables.createVariableCollection.mockReturnValue(mockCollection);
+    mockFigma.variables.getLocalVariablesAsync.mockResolvedValue([]);
+    recordCreatedVariables(mockFigma, createdVariables);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('syncs color and width variables aliasing the referenced tokens', async () => {
+    const tokens = [
+      ...primitives(),
+      createToken('button.border', 'border', { color: '{color.gray.300}', width: '{border.width.thin}', style: 'solid' }),
+    ];
+    repository.add(tokens);
+
+    const result = await service.syncTokens(tokens);
+
+    expect(result.success).toBe(true);
+    expect(variable('button/border/color').resolvedType).toBe('COLOR');
+    expect(variable('button/border/width').resolvedType).toBe('FLOAT');
+    expect(variable('button/border/color').setValueForMode).toHaveBeenCalledWith('mode-1', {
+      type: 'VARIABLE_ALIAS',
+      id: variable('color/gray/300').id,
+    });
+    expect(variable('button/border/width').setValueForMode).toHaveBeenCalledWith('mode-1', {
+      type: 'VARIABLE_ALIAS',
+      id: variable('border/width/thin').id,
+    });
+    expect(result.data!.outcomes.get('button.border')).toEqual({});
+  });
+
+  test('writes literal border parts as values', async () => {
+    const token = createToken('card.border', 'border', { color: '#ff0000', width: 2, strokeStyle: 'dashed' });
+    repository.add([token]);
+
+    await service.syncTokens([token]);
+
+    const [, color] = variable('card/border/color').setValueForMode.mock.calls[0];
+    expect(color).toMatchObject({ r: 1, g: 0, b: 0 });
+    expect(variable('card/border/width').setValueForMode).toHaveBeenCalledWith('mode-1', 2);
+  });
+
+  test('aliases the parts of a border it references', async () => {
+    const tokens = [
+      ...primitives(),
+      createToken('button.border', 'border', { color: '{color.gray.300}', width: '{border.width.thin}' }),
+      createToken('input.border', 'border', '{button.border}', { aliasTo: 'button.border' }),
+    ];
+    repository.add(tokens);
+
+    await service.syncTokens(tokens);
+
+    expect(variable('input/border/color').setValueForMode).toHaveBeenCalledWith('mode-1', {
+      type: 'VARIABLE_ALIAS',
+      id: variable('button/border/color').id,
+    });
+    expect(variable('input/border/width').setValueForMode).toHaveBeenCalledWith('mode-1', {
+      type: 'VARIABLE_ALIAS',
+      id: variable('button/border/width').id,
+    });
+  });
+
+  test('records the part variables on the border token', async () => {
+    const token = createToken('card.border', 'border', { color: '#000000', width: '1px' });
+    repository.add([token]);
+
+    await service.syncTokens([token]);
+
+    expect(repository.get('card.border')!.extensions.figma).toMatchObject({
+      partVariableIds: {
+        color: variable('card/border/color').id,
+        width: variable('card/border/width').id,
+      },
+    });
+  });
+
+  test('reports invalid borders instead of skipping them silently', async () => {
+    const token = createToken('card.border', 'border', { color: '#000000', width: '1px', style: 'wavy' });
+    repository.add([token]);
+
+    const result = await service.syncTokens([token]);
+
+    expect(createdVariables).toHaveLength(0);
+    expect(result.data!.stats.skipped).toBe(1);
+    expect(result.data!.outcomes.get('card.border')!.error).toContain('Unknown stroke style: wavy');
+  });
+
+  test('plans the part variables', async () => {
+    const tokens = [
+      ...primitives(),
+      createToken('button.border', 'border', { color: '{color.gray.300}', width: '2px' }),
+    ];
+    repository.add(tokens);
+
+    const result = await service.planSync(tokens);
+
+    expect(result.success).toBe(true);
+    const entries = result.data!.entries.filter(entry => (entry.tokenPath || '').indexOf('button.border') === 0);
+    expect(entries.map(entry => [entry.name, entry.action, entry.after])).toEqual([
+      ['button/border/color', 'create', '{color/gray/300}'],
+      ['button/border/width', 'create', '2'],
+    ]);
+  });
+});
@@ -0,0 +1,168 @@
+// ====================================================================================
+// FIGMA SYNC SERVICE - COLOR STYLE TESTS
+// Tests for the per-collection paint style output of color tokens
+// ====================================================================================
+
+import { FigmaSyncService, SyncOptions } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { Token } from '../../../core/models/Token';
+import {
+  MockVariable,
+  createToken,
+  createFigmaMock,
+  installFigmaMock,
+  createMockCollection,
+  recordCreatedVariables,
+} from '../../fixtures';
+
+const mockFigma = {
+  ...createFigmaMock(),
+  getLocalPaintStylesAsync: jest.fn(),
+  getLocalTextStylesAsync: jest.fn(),
+  getLocalEffectStylesAsync: jest.fn(),
+  createPaintStyle: jest.fn(),
+};
+installFigmaMock(mockFigma);
+
+interface MockPaintStyle {
+  name: string;
+  description: string;
+  paints: Array<Record<string, unknown>>;
+}
+
+describe('FigmaSyncService color styles', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+  let createdVariables: MockVariable[];
+  let paintStyles: MockPaintStyle[];
+
+  const tokens = () => [
+    createToken('color.brand.500', 'color', '#ff0000', { description: 'Brand red' }),
+    createToken('space.small', 'dimension', '4px'),
+    createToken('text.accent', 'color', '{color.brand.500}', {
+      collection: 'semantic',
+      aliasTo: 'color.brand.500',
+      resolvedValue: '#ff0000',
+    }),
+    createToken('text.muted', 'color', '#0000ff', { collection: 'semantic' }),
+  ];
+
+  const sync = async (syncTokens: Token[], options: SyncOptions) => {
+    repository.add(syncTokens);
+    const result = await service.syncTokens(syncTokens, options);
+    expect(result.success).toBe(true);
+    return result.data!;
+  };
+
+  const style = (name: string) => paintStyles.find(s => s.name === name);
+  const variableId = (name: string) => createdVariables.find(variable => variable.name === name)!.id;
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+    createdVariables = [];
+    paintStyles = [];
+
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([]);
+    mockFigma.variables.createVariableCollection.mockImplementation((name: string) => createMockCollection(name, `collection-${name}`));
+    mockFigma.variables.getLocalVariablesAsync.mockResolvedValue([]);
+    recordCreatedVariables(mockFigma, createdVariables);
+    mockFigma.getLocalPaintStylesAsync.mockImplementation(async () => paintStyles);
+    mockFigma.getLocalTextStylesAsync.mockResolvedValue([]);
+    mockFigma.getLocalEffectStylesAsync.mockResolvedValue([]);
+    mockFigma.createPaintStyle.mockImplementation(() => {
+      const created: MockPaintStyle = { name: '', description: '', paints: [] };
+      paintStyles.push(created);
+      return created;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('creates no paint styles by default', async () => {
+    await sync(tokens(), {});
+
+    expect(paintStyles).toHaveLength(0);
+    expect(createdVariables.map(variable => variable.name)).toEqual(['color/brand/500', 'space/small', 'text/accent', 'text/muted']);
+  });
+
+  test("'also' adds paint styles bound to the color variables", async () => {
+    const result = await sync(tokens(), { colorStyles: { primitive: 'also' } });
+
+    expect(createdVariables.some(variable => variable.name === 'color/brand/500')).toBe(true);
+    expect(paintStyles.map(s => s.name)).toEqual(['color/brand/500']);
+    expect(style('color/brand/500')).toEqual({
+      name: 'color/brand/500',
+      description: 'Brand red',
+      paints: [{
+        type: 'SOLID',
+        color: { r: 1, g: 0, b: 0 },
+        opacity: 1,
+        boundVariables: { color: { type: 'VARIABLE_ALIAS', id: variableId('color/brand/500') } },
+      }],
+    });
+    expect(result.outcomes.get('color.brand.500')).toEqual({ variableId: variableId('color/brand/500') });
+  });
+
+  test("'instead' writes styles bound to the variables the colors alias", async () => {
+    const result = await sync(tokens(), { colorStyles: { semantic: 'instead' } });
+
+    expect(createdVariables.map(variable => variable.name)).toEqual(['color/brand/500', 'space/small']);
+    expect(style('text/accent')!.paints[0].boundVariables).toEqual({
+      color: { type: 'VARIABLE_ALIAS', id: variableId('color/brand/500') },
+    });
+    expect(style('text/muted')!.paints[0]).toEqual({ type: 'SOLID', color: { r: 0, g: 0, b: 1 }, opacity: 1 });
+    expect(result.outcomes.get('text.accent')).toEqual({});
+  });
+
+  test('follows aliases through collections without variables', async () => {
+    await sync(tokens(), { colorStyles: { primitive: 'instead', semantic: 'instead' } });
+
+    expect(createdVariables.map(variable => variable.name)).toEqual(['space/small']);
+    expect(style('text/accent')!.paints[0].boundVariables).toBeUndefined();
+    expect(style('text/accent')!.paints[0].color).toEqual({ r: 1, g: 0, b: 0 });
+  });
+
+  test('writes one style for the themes of a color', async () => {
+    await sync([
+      createToken('surface.base', 'color', '#ffffff', { id: 'surface.base.light', theme: 'light' }),
+      createToken('surface.base', 'color', '#000000', { id: 'surface.base.dark', theme: 'dark' }),
+    ], { colorStyles: { primitive: 'also' } });
+
+    expect(mockFigma.createPaintStyle).toHaveBeenCalledTimes(1);
+    expect(style('surface/base')!.paints[0].boundVariables).toEqual({
+      color: { type: 'VARIABLE_ALIAS', id: variableId('surface/base') },
+    });
+  });
+
+  test('does not style the colors of borders', async () => {
+    await sync([
+      createToken('card.border', 'border', { color: '#000000', width: '1px' }),
+    ], { colorStyles: { primitive: 'also' } });
+
+    expect(paintStyles).toHaveLength(0);
+    expect(createdVariables.some(variable => variable.name === 'card/border/color')).toBe(true);
+  });
+
+  test('plans styles and only the variables that are kept', async () => {
+    const planTokens = tokens();
+    repository.add(planTokens);
+
+    const result = await service.planSync(planTokens, { colorStyles: { primitive: 'also', semantic: 'instead' } });
+
+    expect(result.data!.entries.map(entry => [entry.kind, entry.name])).toEqual(expect.arrayContaining([
+      ['style', 'color/brand/500'],
+      ['variable', 'color/brand/500'],
+      ['style', 'text/accent'],
+      ['style', 'text/muted'],
+    ]));
+    expect(result.data!.entries.filter(entry => entry.kind === 'variable').map(entry => entry.name))
+      .toEqual(['color/brand/500', 'space/small']);
+  });
+});
@@ -0,0 +1,178 @@
+// ====================================================================================
+// FIGMA SYNC SERVICE - GRADIENT TESTS
+// Tests for syncing gradient tokens to paint styles with bound stop colors
+// ====================================================================================
+
+import { FigmaSyncService } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { Token } from '../../../core/models/Token';
+import {
+  MockVariable,
+  createToken,
+  createFigmaMock,
+  installFigmaMock,
+  createMockCollection,
+  recordCreatedVariables,
+} from '../../fixtures';
+
+const mockFigma = {
+  ...createFigmaMock(),
+  getLocalPaintStylesAsync: jest.fn(),
+  getLocalTextStylesAsync: jest.fn(),
+  getLocalEffectStylesAsync: jest.fn(),
+  createPaintStyle: jest.fn(),
+};
+installFigmaMock(mockFigma);
+
+interface MockPaintStyle {
+  name: string;
+  description: string;
+  paints: Array<{
+    type: string;
+    gradientTransform: number[][];
+    gradientStops: Array<{ position: number; color: Record<string, number>; boundVariables?: { color: { id: string } } }>;
+  }>;
+}
+
+describe('FigmaSyncService gradients', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+  let createdVariables: MockVariable[];
+  let paintStyles: MockPaintStyle[];
+
+  const colors = () => [
+    createToken('color.brand.500', 'color', '#ff0000'),
+    createToken('color.white', 'color', '#ffffff'),
+  ];
+
+  const sync = async (tokens: Token[]) => {
+    repository.add(tokens);
+    const result = await service.syncTokens(tokens);
+    expect(result.success).toBe(true);
+    return result.data!;
+  };
+
+  const variableId = (name: string) => createdVariables.find(variable => variable.name === name)!.id;
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+
+    createdVariables = [];
+    paintStyles = [];
+
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([]);
+    mockFigma.variables.createVariableCollection.mockImplementation((name: string) => createMockCollection(name, `collection-${name}`));
+    mockFigma.variables.getLocalVariablesAsync.mockResolvedValue([]);
+    recordCreatedVariables(mockFigma, createdVariables);
+    mockFigma.getLocalPaintStylesAsync.mockImplementation(async () => paintStyles);
+    mockFigma.getLocalTextStylesAsync.mockResolvedValue([]);
+    mockFigma.getLocalEffectStylesAsync.mockResolvedValue([]);
+    mockFigma.createPaintStyle.mockImplementation(() => {
+      const style: MockPaintStyle = { name: '', description: '', paints: [] };
+      paintStyles.push(style);
+      return style;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('binds stop colors to the variables they reference', async () => {
+    // The gradient comes first and lives in another collection than its colors
+    const result = await sync([
+      createToken('gradient.hero', 'gradient', 'linear-gradient(90deg, {color.brand.500} 0%, {color.white} 100%)', {
+        collection: 'semantic',
+        description: 'Hero background',
+      }),
+      ...colors(),
+    ]);
+
+    expect(paintStyles).toHaveLength(1);
+    const [style] = paintStyles;
+    expect(style.name).toBe('gradient/hero');
+    expect(style.description).toBe('Hero background');
+    expect(style.paints).toEqual([{
+      type: 'GRADIENT_LINEAR',
+      gradientTransform: [[1, 0, 0], [0, 1, 0]],
+      gradientStops: [
+        {
+          position: 0,
+          color: { r: 1, g: 0, b: 0, a: 1 },
+          boundVariables: { color: { type: 'VARIABLE_ALIAS', id: variableId('color/brand/500') } },
+        },
+        {
+          position: 1,
+          color: { r: 1, g: 1, b: 1, a: 1 },
+          boundVariables: { color: { type: 'VARIABLE_ALIAS', id: variableId('color/white') } },
+        },
+      ],
+    }]);
+    expect(result.outcomes.get('gradient.hero')).toEqual({});
+  });
+
+  test('takes kind and angle of DTCG gradients from $extensions', async () => {
+    await sync([
+      createToken('gradient.glow', 'gradient', [
+        { color: '#ff0000', position: 0 },
+        { color: '#0000ff', position: 0.8 },
+      ], { extensions: { w3c: { gradient: { type: 'radial' } } } }),
+    ]);
+
+    const [paint] = paintStyles[0].paints;
+    expect(paint.type).toBe('GRADIENT_RADIAL');
+    expect(paint.gradientStops[1]).toEqual({ position: 0.8, color: { r: 0, g: 0, b: 1, a: 1 } });
+  });
+
+  test('uses the settings of the gradient an alias points to', async () => {
+    const tokens = [
+      createToken('gradient.brand', 'gradient', [
+        { color: '#ff0000', position: 0 },
+        { color: '#0000ff', position: 1 },
+      ], { extensions: { w3c: { gradient: { angle: 90 } } } }),
+      createToken('hero.background', 'gradient', '{gradient.brand}', { aliasTo: 'gradient.brand' }),
+    ];
+    repository.add(tokens);
+    await new TokenResolver(repository).resolveAllTokens('test');
+
+    await sync(tokens);
+
+    const hero = paintStyles.find(style => style.name === 'hero/background')!;
+    expect(hero.paints[0].gradientTransform).toEqual([[1, 0, 0], [0, 1, 0]]);
+  });
+
+  test('updates an existing paint style in place', async () => {
+    paintStyles.push({ name: 'gradient/hero', description: '', paints: [] });
+
+    const result = await sync([createToken('gradient.hero', 'gradient', 'linear-gradient(#000, #fff)')]);
+
+    expect(mockFigma.createPaintStyle).not.toHaveBeenCalled();
+    expect(paintStyles[0].paints[0].type).toBe('GRADIENT_LINEAR');
+    expect(result.stats.updated).toBe(1);
+  });
+
+  test('reports gradients whose stop colors cannot be resolved', async () => {
+    const result = await sync([
+      createToken('gradient.hero', 'gradient', 'linear-gradient({color.missing}, #fff)'),
+    ]);
+
+    expect(paintStyles).toHaveLength(0);
+    expect(result.outcomes.get('gradient.hero')!.error).toBe('Unresolved gradient stop color: {color.missing}');
+  });
+
+  test('plans gradients as styles', async () => {
+    const tokens = [createToken('gradient.hero', 'gradient', 'linear-gradient(#000, #fff)')];
+    repository.add(tokens);
+
+    const result = await service.planSync(tokens);
+
+    expect(result.data!.entries).toEqual([
+      expect.objectContaining({ action: 'create', kind: 'style', name: 'gradient/hero' }),
+    ]);
+  });
+});
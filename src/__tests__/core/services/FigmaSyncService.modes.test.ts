@@ -0,0 +1,139 @@
+// ====================================================================================
+// FIGMA SYNC SERVICE - MODE TESTS
+// Tests for syncing themed tokens into collection modes
+// ====================================================================================
+
+import { FigmaSyncService } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import {
+  MockCollection,
+  MockVariable,
+  createToken,
+  createFigmaMock,
+  installFigmaMock,
+  createMockCollection,
+  recordCreatedVariables,
+} from '../../fixtures';
+
+const mockFigma = createFigmaMock();
+installFigmaMock(mockFigma);
+
+describe('FigmaSyncService modes', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+  let mockCollection: MockCollection;
+  let createdVariables: MockVariable[];
+
+  const surfaceToken = (value: string, overrides: Record<string, unknown> = {}) =>
+    createToken('color.surface', 'color', value, { collection: 'semantic', resolvedValue: value, ...overrides });
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+    jest.clearAllMocks();
+
+    createdVariables = [];
+    let modeCounter = 1;
+
+    mockCollection = createMockCollection('semantic');
+    mockCollection.renameMode.mockImplementation((modeId: string, name: string) => {
+      const mode = mockCollection.modes.find(m => m.modeId === modeId);
+      if (mode) mode.name = name;
+    });
+    mockCollection.addMode.mockImplementation((name: string) => {
+      const modeId = `mode-${++modeCounter}`;
+      mockCollection.modes.push({ modeId, name });
+      return modeId;
+    });
+
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([mockCollection]);
+    mockFigma.variables.createVariableCollection.mockReturnValue(mockCollection);
+    mockFigma.variables.getLocalVariablesAsync.mockResolvedValue([]);
+    recordCreatedVariables(mockFigma, createdVariables);
+  });
+
+  test('renames the default mode and adds modes for additional themes', async () => {
+    const light = surfaceToken('#ffffff', { id: 'light', theme: 'light' });
+    const dark = surfaceToken('#000000', { id: 'dark', theme: 'dark' });
+
+    repository.add([light, dark]);
+    const result = await service.syncTokens([light, dark]);
+
+    expect(result.success).toBe(true);
+    expect(mockCollection.renameMode).toHaveBeenCalledWith('mode-1', 'light');
+    expect(mockCollection.addMode).toHaveBeenCalledWith('dark');
+    expect(service.getCollectionModes('semantic')!.get('dark')).toBe('mode-2');
+  });
+
+  test('writes each theme into the same variable on its own mode', async () => {
+    const light = surfaceToken('#ffffff', { id: 'light', theme: 'light' });
+    const dark = surfaceToken('#000000', { id: 'dark', theme: 'dark' });
+
+    repository.add([light, dark]);
+    await service.syncTokens([light, dark]);
+
+    expect(createdVariables).toHaveLength(1);
+    const variable = createdVariables[0];
+    expect(variable.setValueForMode).toHaveBeenCalledWith('mode-1', { r: 1, g: 1, b: 1 });
+    expect(variable.setValueForMode).toHaveBeenCalledWith('mode-2', { r: 0, g: 0, b: 0 });
+  });
+
+  test('keeps unthemed tokens on the default mode', async () => {
+    const token = surfaceToken('#ffffff', { id: 'token-1' });
+
+    repository.add([token]);
+    await service.syncTokens([token]);
+
+    expect(mockCollection.renameMode).not.toHaveBeenCalled();
+    expect(mockCollection.addMode).not.toHaveBeenCalled();
+    expect(createdVariables[0].setValueForMode).toHaveBeenCalledWith('mode-1', { r: 1, g: 1, b: 1 });
+  });
+
+  test('applies $extensions.mode values and aliases per mode', async () => {
+    const base = createToken('gray.900', 'color', '#111111', { id: 'gray-900', resolvedValue: '#111111' });
+    const surface = surfaceToken('#ffffff', {
+      id: 'surface',
+      extensions: {
+        w3c: { mode: { light: '#ffffff', dark: '{gray.900}' } },
+      },
+    });
+
+    repository.add([base, surface]);
+    await service.syncTokens([base, surface]);
+
+    const surfaceVar = createdVariables.find(v => v.name === 'color/surface');
+    const grayVar = createdVariables.find(v => v.name === 'gray/900');
+    const darkModeId = service.getCollectionModes('semantic')!.get('dark');
+
+    expect(surfaceVar!.setValueForMode).toHaveBeenCalledWith(darkModeId, {
+      type: 'VARIABLE_ALIAS',
+      id: grayVar!.id,
+    });
+  });
+
+  test('falls back to the default mode when a mode cannot be added', async () => {
+    mockCollection.modes = [{ modeId: 'mode-1', name: 'light' }];
+    mockCollection.addMode.mockImplementation(() => {
+      throw new Error('Mode limit reached');
+    });
+    const dark = surfaceToken('#000000', { id: 'dark', theme: 'dark' });
+
+    repository.add([dark]);
+    const result = await service.syncTokens([dark]);
+
+    expect(result.success).toBe(true);
+    expect(createdVariables[0].setValueForMode).toHaveBeenCalledWith('mode-1', { r: 0, g: 0, b: 0 });
+  });
+
+  test('records mode metadata in token extensions', async () => {
+    const dark = surfaceToken('#ffffff', { id: 'dark', theme: 'dark' });
+
+    repository.add([dark]);
+    await service.syncTokens([dark]);
+
+    const updated = repository.get('dark')!;
+    expect(updated.extensions.figma!.modeName).toBe('dark');
+    expect(updated.extensions.figma!.modeId).toBe('mode-1');
+  });
+});
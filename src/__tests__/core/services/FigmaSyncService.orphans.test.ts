@@ -0,0 +1,171 @@
+// ====================================================================================
+// FIGMA SYNC SERVICE - ORPHAN TESTS
+// Tests for detecting and pruning variables whose token was removed
+// ====================================================================================
+
+import { FigmaSyncService } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { Token } from '../../../core/models/Token';
+import { PLUGIN_DATA_KEYS } from '../../../shared/constants';
+import { createToken, createFigmaMock, installFigmaMock } from '../../fixtures';
+
+interface MockVariable {
+  id: string;
+  name: string;
+  resolvedType: string;
+  variableCollectionId: string;
+  valuesByMode: Record<string, unknown>;
+  setValueForMode: jest.Mock;
+  setVariableCodeSyntax: jest.Mock;
+  getPluginData: (key: string) => string;
+  setPluginData: (key: string, value: string) => void;
+  remove: jest.Mock;
+}
+
+let variables: MockVariable[] = [];
+
+function createVariable(id: string, name: string, pluginData: Record<string, string> = {}, collectionId = 'collection-1'): MockVariable {
+  const data: Record<string, string> = { ...pluginData };
+  const variable: MockVariable = {
+    id,
+    name,
+    resolvedType: 'COLOR',
+    variableCollectionId: collectionId,
+    valuesByMode: {},
+    setValueForMode: jest.fn(),
+    setVariableCodeSyntax: jest.fn(),
+    getPluginData: (key: string) => data[key] || '',
+    setPluginData: (key: string, value: string) => {
+      data[key] = value;
+    },
+    remove: jest.fn(() => {
+      variables = variables.filter(v => v !== variable);
+    }),
+  };
+  return variable;
+}
+
+const mockFigma = createFigmaMock();
+mockFigma.variables.getLocalVariablesAsync.mockImplementation(async () => variables.slice());
+mockFigma.variables.getVariableByIdAsync.mockImplementation(async (id: string) => variables.find(v => v.id === id) || null);
+mockFigma.variables.createVariable.mockImplementation((name: string) => {
+  const variable = createVariable(`var-${name}`, name);
+  variables.push(variable);
+  return variable;
+});
+installFigmaMock(mockFigma);
+
+describe('FigmaSyncService orphans', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+
+  const primary = (overrides: Record<string, unknown> = {}) =>
+    createToken('color.primary', 'color', '#ff0000', { id: 'token-1', collection: 'semantic', resolvedValue: '#ff0000', ...overrides });
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+    jest.clearAllMocks();
+
+    variables = [];
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([
+      { id: 'collection-1', name: 'semantic', modes: [{ modeId: 'mode-1', name: 'Mode 1' }] },
+      { id: 'collection-2', name: 'other', modes: [{ modeId: 'mode-2', name: 'Mode 1' }] },
+    ]);
+  });
+
+  const syncPrimary = async (): Promise<Token[]> => {
+    const tokens = [primary()];
+    repository.add(tokens);
+    const result = await service.syncTokens(tokens);
+    expect(result.success).toBe(true);
+    return tokens;
+  };
+
+  test('tags synced variables with their token id', async () => {
+    await syncPrimary();
+
+    expect(variables[0].getPluginData(PLUGIN_DATA_KEYS.TOKEN_ID)).toBe('token-1');
+  });
+
+  test('reports plugin-managed variables without a token', async () => {
+    variables.push(createVariable('var-old', 'color/legacy', { [PLUGIN_DATA_KEYS.TOKEN_ID]: 'token-old' }));
+    const tokens = await syncPrimary();
+
+    const result = await service.findOrphanedVariables(tokens);
+
+    expect(result.data).toEqual([
+      { id: 'var-old', name: 'color/legacy', collection: 'semantic', resolvedType: 'COLOR', tokenId: 'token-old' },
+    ]);
+  });
+
+  test('reports variables linked through a token figma extension', async () => {
+    variables.push(createVariable('var-linked', 'color/linked'));
+    repository.add([
+      primary({ id: 'token-removed', extensions: { figma: { variableId: 'var-linked' } } }),
+    ]);
+    const tokens = await syncPrimary();
+
+    const result = await service.findOrphanedVariables(tokens);
+
+    expect(result.data!.map(orphan => orphan.id)).toEqual(['var-linked']);
+  });
+
+  test('ignores user-created, deprecated, kept and unsynced-collection variables', async () => {
+    variables.push(
+      createVariable('var-manual', 'color/manual'),
+      createVariable('var-deprecated', '_deprecated/color/old', { [PLUGIN_DATA_KEYS.TOKEN_ID]: 'token-old' }),
+      createVariable('var-kept', 'color/kept', { [PLUGIN_DATA_KEYS.TOKEN_ID]: 'token-kept', [PLUGIN_DATA_KEYS.ORPHAN_KEPT]: 'true' }),
+      createVariable('var-other', 'color/other', { [PLUGIN_DATA_KEYS.TOKEN_ID]: 'token-other' }, 'collection-2')
+    );
+    const tokens = await syncPrimary();
+
+    const result = await service.findOrphanedVariables(tokens);
+
+    expect(result.data).toEqual([]);
+  });
+
+  test('ignores variables another project synced into the collection', async () => {
+    variables.push(
+      createVariable('var-brand', 'color/brand', { [PLUGIN_DATA_KEYS.TOKEN_ID]: 'token-brand', [PLUGIN_DATA_KEYS.PROJECT_ID]: 'brand' }),
+      createVariable('var-old', 'color/old', { [PLUGIN_DATA_KEYS.TOKEN_ID]: 'token-old', [PLUGIN_DATA_KEYS.PROJECT_ID]: 'test' })
+    );
+    const tokens = await syncPrimary();
+
+    const result = await service.findOrphanedVariables(tokens);
+
+    expect(variables[0].getPluginData(PLUGIN_DATA_KEYS.PROJECT_ID)).toBe('brand');
+    expect(variables[2].getPluginData(PLUGIN_DATA_KEYS.PROJECT_ID)).toBe('test');
+    expect(result.data!.map(orphan => orphan.id)).toEqual(['var-old']);
+  });
+
+  test('deletes, deprecates or keeps orphans', async () => {
+    const toDelete = createVariable('var-a', 'color/a', { [PLUGIN_DATA_KEYS.TOKEN_ID]: 'a' });
+    const toDeprecate = createVariable('var-b', 'color/b', { [PLUGIN_DATA_KEYS.TOKEN_ID]: 'b' });
+    const toKeep = createVariable('var-c', 'color/c', { [PLUGIN_DATA_KEYS.TOKEN_ID]: 'c' });
+    variables.push(toDelete, toDeprecate, toKeep);
+
+    const result = await service.resolveOrphans([
+      { variableId: 'var-a', action: 'delete' },
+      { variableId: 'var-b', action: 'deprecate' },
+      { variableId: 'var-c', action: 'keep' },
+    ]);
+
+    expect(result.data).toEqual({ delete: 1, deprecate: 1, keep: 1 });
+    expect(toDelete.remove).toHaveBeenCalled();
+    expect(toDeprecate.name).toBe('_deprecated/color/b');
+    expect(toKeep.getPluginData(PLUGIN_DATA_KEYS.ORPHAN_KEPT)).toBe('true');
+
+    // Neither the deprecated nor the kept variable is reported again
+    const orphans = await service.findOrphanedVariables([primary()]);
+    expect(orphans.data).toEqual([]);
+  });
+
+  test('fails for unknown variable ids', async () => {
+    const result = await service.resolveOrphans([{ variableId: 'missing', action: 'delete' }]);
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('variable not found');
+  });
+});
@@ -0,0 +1,149 @@
+// ====================================================================================
+// FIGMA SYNC SERVICE - PLAN TESTS
+// Tests for dry-run sync plans against existing local variables and styles
+// ====================================================================================
+
+import { FigmaSyncService } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { Token } from '../../../core/models/Token';
+import { SyncPlanEntry } from '../../../shared/types';
+import { createToken, createFigmaMock, installFigmaMock } from '../../fixtures';
+
+const mockFigma = {
+  ...createFigmaMock(),
+  getLocalTextStylesAsync: jest.fn(),
+  getLocalEffectStylesAsync: jest.fn(),
+  getLocalPaintStylesAsync: jest.fn(),
+};
+installFigmaMock(mockFigma);
+
+function createVariable(id: string, name: string, resolvedType: string, value: unknown) {
+  return {
+    id,
+    name,
+    resolvedType,
+    variableCollectionId: 'collection-1',
+    valuesByMode: { 'mode-1': value },
+  };
+}
+
+describe('FigmaSyncService planSync()', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+  let variables: Array<ReturnType<typeof createVariable>>;
+
+  const color = (qualifiedName: string, value: string, overrides: Record<string, unknown> = {}) =>
+    createToken(qualifiedName, 'color', value, { collection: 'semantic', resolvedValue: value, ...overrides });
+
+  const planFor = async (tokens: Token[]): Promise<SyncPlanEntry[]> => {
+    repository.add(tokens);
+    const result = await service.planSync(tokens);
+    expect(result.success).toBe(true);
+    return result.data!.entries;
+  };
+
+  const entryFor = (entries: SyncPlanEntry[], name: string) => entries.find(entry => entry.name === name);
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+    jest.clearAllMocks();
+
+    variables = [];
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([
+      { id: 'collection-1', name: 'semantic', modes: [{ modeId: 'mode-1', name: 'Mode 1' }] },
+    ]);
+    mockFigma.variables.getLocalVariablesAsync.mockImplementation(async () => variables);
+    mockFigma.getLocalTextStylesAsync.mockResolvedValue([]);
+    mockFigma.getLocalEffectStylesAsync.mockResolvedValue([]);
+    mockFigma.getLocalPaintStylesAsync.mockResolvedValue([]);
+  });
+
+  test('plans new variables as create', async () => {
+    const entries = await planFor([color('color.primary', '#ff0000', { id: 'token-1' })]);
+
+    expect(entries).toEqual([
+      expect.objectContaining({ action: 'create', kind: 'variable', collection: 'semantic', name: 'color/primary', after: '#ff0000' }),
+    ]);
+  });
+
+  test('plans unchanged values as untouched and changed values as update-value', async () => {
+    variables = [
+      createVariable('var-1', 'color/primary', 'COLOR', { r: 1, g: 0, b: 0, a: 1 }),
+      createVariable('var-2', 'color/secondary', 'COLOR', { r: 0, g: 0, b: 1, a: 1 }),
+    ];
+
+    const entries = await planFor([
+      color('color.primary', '#ff0000', { id: 'token-1' }),
+      color('color.secondary', '#00ff00', { id: 'token-2' }),
+    ]);
+
+    expect(entryFor(entries, 'color/primary')?.action).toBe('untouched');
+    expect(entryFor(entries, 'color/secondary')).toEqual(
+      expect.objectContaining({ action: 'update-value', before: '#0000ff', after: '#00ff00' })
+    );
+  });
+
+  test('plans alias changes as update-alias', async () => {
+    variables = [
+      createVariable('var-blue', 'color/blue', 'COLOR', { r: 0, g: 0, b: 1, a: 1 }),
+      createVariable('var-red', 'color/red', 'COLOR', { r: 1, g: 0, b: 0, a: 1 }),
+      createVariable('var-primary', 'color/primary', 'COLOR', { type: 'VARIABLE_ALIAS', id: 'var-blue' }),
+    ];
+
+    const blue = color('color.blue', '#0000ff', { id: 'blue' });
+    const red = color('color.red', '#ff0000', { id: 'red' });
+    const primary = color('color.primary', '{color.red}', { id: 'primary', aliasTo: 'red', resolvedValue: '#ff0000' });
+
+    const entries = await planFor([blue, red, primary]);
+
+    expect(entryFor(entries, 'color/primary')).toEqual(
+      expect.objectContaining({ action: 'update-alias', before: '{color/blue}', after: '{color/red}' })
+    );
+    expect(entryFor(entries, 'color/blue')?.action).toBe('untouched');
+  });
+
+  test('plans resolved type mismatches as type-change', async () => {
+    variables = [createVariable('var-1', 'color/primary', 'STRING', 'red')];
+
+    const entries = await planFor([color('color.primary', '#ff0000', { id: 'token-1' })]);
+
+    expect(entries[0]).toEqual(expect.objectContaining({ action: 'type-change', before: 'STRING', after: 'COLOR' }));
+  });
+
+  test('reports variables without a token as orphaned', async () => {
+    variables = [createVariable('var-old', 'color/legacy', 'FLOAT', 4)];
+
+    const result = await service.planSync([color('color.primary', '#ff0000', { id: 'token-1' })]);
+
+    expect(entryFor(result.data!.entries, 'color/legacy')).toEqual(
+      expect.objectContaining({ action: 'orphaned', collection: 'semantic', before: '4' })
+    );
+    expect(result.data!.counts).toEqual(expect.objectContaining({ create: 1, orphaned: 1, untouched: 0 }));
+  });
+
+  test('plans styles against existing local styles', async () => {
+    mockFigma.getLocalEffectStylesAsync.mockResolvedValue([{ name: 'shadow/card' }]);
+
+    const entries = await planFor([
+      createToken('shadow.card', 'shadow', { offsetX: 0, offsetY: 2, blur: 4, color: '#000000' }, {
+        id: 'shadow',
+        collection: 'semantic',
+        resolvedValue: { offsetX: 0, offsetY: 2, blur: 4, color: '#000000' },
+      }),
+    ]);
+
+    expect(entries).toEqual([expect.objectContaining({ action: 'update-value', kind: 'style', name: 'shadow/card' })]);
+  });
+
+  test('never modifies the document', async () => {
+    variables = [createVariable('var-1', 'color/primary', 'STRING', 'red')];
+
+    await planFor([color('color.primary', '#ff0000', { id: 'token-1' }), color('color.primary', '#ff0000', { id: 'token-2', collection: 'brand-new' })]);
+
+    expect(mockFigma.variables.createVariable).not.toHaveBeenCalled();
+    expect(mockFigma.variables.createVariableCollection).not.toHaveBeenCalled();
+    expect(mockFigma.notify).not.toHaveBeenCalled();
+  });
+});
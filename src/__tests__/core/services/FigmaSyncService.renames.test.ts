@@ -0,0 +1,151 @@
+// ====================================================================================
+// FIGMA SYNC SERVICE - RENAME TESTS
+// Tests for renaming linked variables in place when token paths change
+// ====================================================================================
+
+import { FigmaSyncService } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { Token } from '../../../core/models/Token';
+import { PLUGIN_DATA_KEYS } from '../../../shared/constants';
+import { createToken, createFigmaMock, installFigmaMock } from '../../fixtures';
+
+interface MockVariable {
+  id: string;
+  name: string;
+  resolvedType: string;
+  variableCollectionId: string;
+  valuesByMode: Record<string, unknown>;
+  setValueForMode: jest.Mock;
+  setVariableCodeSyntax: jest.Mock;
+  getPluginData: (key: string) => string;
+  setPluginData: (key: string, value: string) => void;
+}
+
+let variables: MockVariable[] = [];
+
+function createVariable(id: string, name: string, pluginData: Record<string, string> = {}): MockVariable {
+  const data: Record<string, string> = { ...pluginData };
+  return {
+    id,
+    name,
+    resolvedType: 'COLOR',
+    variableCollectionId: 'collection-1',
+    valuesByMode: { 'mode-1': { r: 0, g: 0, b: 1, a: 1 } },
+    setValueForMode: jest.fn(),
+    setVariableCodeSyntax: jest.fn(),
+    getPluginData: (key: string) => data[key] || '',
+    setPluginData: (key: string, value: string) => {
+      data[key] = value;
+    },
+  };
+}
+
+const mockFigma = createFigmaMock();
+mockFigma.variables.getLocalVariablesAsync.mockImplementation(async () => variables.slice());
+mockFigma.variables.createVariable.mockImplementation((name: string) => {
+  const variable = createVariable(`var-${name}`, name);
+  variables.push(variable);
+  return variable;
+});
+installFigmaMock(mockFigma);
+
+describe('FigmaSyncService renames', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+
+  const main = (overrides: Record<string, unknown> = {}) =>
+    createToken('color.brand.main', 'color', '#ff0000', { id: 'token-main', collection: 'semantic', resolvedValue: '#ff0000', ...overrides });
+
+  const sync = async (tokens: Token[], renames?: Record<string, string>) => {
+    repository.add(tokens);
+    const result = await service.syncTokens(tokens, { renames });
+    expect(result.success).toBe(true);
+    return result.data!;
+  };
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+    jest.clearAllMocks();
+
+    variables = [];
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([
+      { id: 'collection-1', name: 'semantic', modes: [{ modeId: 'mode-1', name: 'Mode 1' }] },
+    ]);
+  });
+
+  test('renames the variable named after the old path in the rename map', async () => {
+    const existing = createVariable('var-primary', 'color/brand/primary');
+    variables.push(existing);
+
+    await sync([main()], { 'color.brand.primary': 'color.brand.main' });
+
+    expect(mockFigma.variables.createVariable).not.toHaveBeenCalled();
+    expect(existing.name).toBe('color/brand/main');
+    expect(existing.setValueForMode).toHaveBeenCalledWith('mode-1', { r: 1, g: 0, b: 0 });
+  });
+
+  test('renames the variable recorded for a stable $extensions id', async () => {
+    const existing = createVariable('var-primary', 'color/brand/primary', { [PLUGIN_DATA_KEYS.STABLE_ID]: 'abc-123' });
+    variables.push(existing);
+
+    await sync([main({ extensions: { w3c: { id: 'abc-123' } } })]);
+
+    expect(existing.name).toBe('color/brand/main');
+    expect(variables).toHaveLength(1);
+  });
+
+  test('follows $extensions.figma.variableId', async () => {
+    const existing = createVariable('var-primary', 'color/brand/primary');
+    variables.push(existing);
+
+    await sync([main({ extensions: { w3c: { figma: { variableId: 'var-primary' } } } })]);
+
+    expect(existing.name).toBe('color/brand/main');
+  });
+
+  test('renames a variable that was renamed in Figma back to its token path', async () => {
+    const existing = createVariable('var-main', 'renamed/in/figma', { [PLUGIN_DATA_KEYS.TOKEN_ID]: 'token-main' });
+    variables.push(existing);
+
+    await sync([main()]);
+
+    expect(existing.name).toBe('color/brand/main');
+  });
+
+  test('records the stable id on synced variables', async () => {
+    await sync([main({ extensions: { w3c: { 'studio.tokens': { id: 'studio-1' } } } })]);
+
+    expect(variables[0].getPluginData(PLUGIN_DATA_KEYS.STABLE_ID)).toBe('studio-1');
+  });
+
+  test('never reuses a variable another token already synced to', async () => {
+    const existing = createVariable('var-primary', 'color/brand/primary');
+    variables.push(existing);
+
+    await sync(
+      [
+        createToken('color.brand.primary', 'color', '#ff0000', { id: 'token-primary', collection: 'semantic', resolvedValue: '#ff0000' }),
+        main(),
+      ],
+      { 'color.brand.primary': 'color.brand.main' }
+    );
+
+    expect(existing.name).toBe('color/brand/primary');
+    expect(mockFigma.variables.createVariable).toHaveBeenCalledWith('color/brand/main', expect.anything(), 'COLOR');
+  });
+
+  test('plans renames instead of create plus orphan', async () => {
+    variables.push(createVariable('var-primary', 'color/brand/primary'));
+    const tokens = [main()];
+    repository.add(tokens);
+
+    const result = await service.planSync(tokens, { renames: { 'color.brand.primary': 'color.brand.main' } });
+
+    expect(result.data!.entries).toEqual([
+      expect.objectContaining({ action: 'rename', before: 'color/brand/primary', after: 'color/brand/main' }),
+    ]);
+    expect(result.data!.counts.orphaned).toBe(0);
+  });
+});
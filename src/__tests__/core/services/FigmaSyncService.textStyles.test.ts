@@ -0,0 +1,196 @@
+// ====================================================================================
+// FIGMA SYNC SERVICE - TEXT STYLE TESTS
+// Tests for binding text style properties to the variables typography tokens reference
+// ====================================================================================
+
+import { FigmaSyncService, SyncOptions } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import {
+  MockVariable,
+  createToken,
+  createFigmaMock,
+  installFigmaMock,
+  createMockCollection,
+  recordCreatedVariables,
+} from '../../fixtures';
+
+const mockFigma = {
+  ...createFigmaMock(),
+  getLocalTextStylesAsync: jest.fn(),
+  createTextStyle: jest.fn(),
+  loadFontAsync: jest.fn(),
+  listAvailableFontsAsync: jest.fn(),
+};
+installFigmaMock(mockFigma);
+
+interface MockTextStyle {
+  name: string;
+  description: string;
+  fontName?: { family: string; style: string };
+  fontSize?: number;
+  lineHeight: { value?: number; unit: string };
+  letterSpacing?: { value: number; unit: string };
+  paragraphSpacing?: number;
+  setBoundVariable: jest.Mock;
+}
+
+describe('FigmaSyncService text styles', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+  let createdVariables: MockVariable[];
+  let textStyles: MockTextStyle[];
+
+  const primitives = () => [
+    createToken('font.family.sans', 'fontFamily', 'Inter'),
+    createToken('font.family.stack', 'fontFamily', 'Inter, sans-serif'),
+    createToken('font.weight.bold', 'fontWeight', 700),
+    createToken('font.size.300', 'fontSize', '16px'),
+    createToken('font.lineHeight.300', 'lineHeight', '24px'),
+    createToken('font.lineHeight.relaxed', 'lineHeight', 1.5),
+    createToken('font.letterSpacing.tight', 'letterSpacing', '-0.5px'),
+    createToken('space.paragraph', 'dimension', '8px'),
+  ];
+
+  const syncTypography = async (value: Record<string, unknown>, options?: SyncOptions) => {
+    // The style comes first and lives in another collection than the primitives it binds
+    const tokens = [createToken('text.body', 'typography', value, { collection: 'semantic' }), ...primitives()];
+    repository.add(tokens);
+    const result = await service.syncTokens(tokens, options);
+    expect(result.success).toBe(true);
+    expect(textStyles).toHaveLength(1);
+    return textStyles[0];
+  };
+
+  const bindings = (style: MockTextStyle) =>
+    style.setBoundVariable.mock.calls.map(([field, variable]: [string, { id: string }]) => [field, variable.id]);
+
+  const variable = (name: string) => createdVariables.find(created => created.name === name)!;
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+    jest.clearAllMocks();
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+
+    createdVariables = [];
+    textStyles = [];
+
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([]);
+    mockFigma.variables.createVariableCollection.mockImplementation((name: string) => createMockCollection(name, `collection-${name}`));
+    mockFigma.variables.getLocalVariablesAsync.mockResolvedValue([]);
+    recordCreatedVariables(mockFigma, createdVariables);
+    mockFigma.getLocalTextStylesAsync.mockImplementation(async () => textStyles);
+    mockFigma.createTextStyle.mockImplementation(() => {
+      const created: MockTextStyle = { name: '', description: '', lineHeight: { unit: 'AUTO' }, setBoundVariable: jest.fn() };
+      textStyles.push(created);
+      return created;
+    });
+    mockFigma.loadFontAsync.mockResolvedValue(undefined);
+    mockFigma.listAvailableFontsAsync.mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('binds referenced properties to the variables of the primitives', async () => {
+    const style = await syncTypography({
+      fontFamily: '{font.family.sans}',
+      fontWeight: '{font.weight.bold}',
+      fontSize: '{font.size.300}',
+      lineHeight: '{font.lineHeight.300}',
+      letterSpacing: '{font.letterSpacing.tight}',
+      paragraphSpacing: '{space.paragraph}',
+    });
+
+    expect(bindings(style)).toEqual([
+      ['fontFamily', variable('font/family/sans').id],
+      ['fontWeight', variable('font/weight/bold').id],
+      ['fontSize', variable('font/size/300').id],
+      ['lineHeight', variable('font/lineHeight/300').id],
+      ['letterSpacing', variable('font/letterSpacing/tight').id],
+      ['paragraphSpacing', variable('space/paragraph').id],
+    ]);
+    // Resolved values are written too, as the fallback
+    expect(style.fontName).toEqual({ family: 'Inter', style: 'Bold' });
+    expect(style.fontSize).toBe(16);
+    expect(style.paragraphSpacing).toBe(8);
+  });
+
+  test('writes raw values for literal properties', async () => {
+    const style = await syncTypography({ fontFamily: 'Inter', fontSize: '14px', lineHeight: '20px' });
+
+    expect(style.setBoundVariable).not.toHaveBeenCalled();
+    expect(style.fontSize).toBe(14);
+    expect(style.lineHeight).toEqual({ value: 20, unit: 'PIXELS' });
+  });
+
+  test('keeps relative line heights and font stacks unbound', async () => {
+    const style = await syncTypography({
+      fontFamily: '{font.family.stack}',
+      fontSize: '{font.size.300}',
+      lineHeight: '{font.lineHeight.relaxed}',
+    });
+
+    expect(bindings(style)).toEqual([['fontSize', variable('font/size/300').id]]);
+    expect(style.fontName).toEqual({ family: 'Inter', style: 'Regular' });
+    expect(style.lineHeight).toEqual({ value: 150, unit: 'PERCENT' });
+  });
+
+  test('falls back to the value when a reference has no variable', async () => {
+    repository.add([createToken('font.size.ghost', 'fontSize', '18px', { collection: 'elsewhere' })]);
+
+    const style = await syncTypography({ fontFamily: 'Inter', fontSize: '{font.size.ghost}' });
+
+    expect(style.setBoundVariable).not.toHaveBeenCalled();
+    expect(style.fontSize).toBe(18);
+  });
+
+  test('keeps binding other fields and warns when Figma refuses a field', async () => {
+    mockFigma.createTextStyle.mockImplementationOnce(() => {
+      const created: MockTextStyle = {
+        name: '',
+        description: '',
+        lineHeight: { unit: 'AUTO' },
+        setBoundVariable: jest.fn((field: string) => {
+          if (field === 'fontWeight') throw new Error('Cannot bind fontWeight');
+        }),
+      };
+      textStyles.push(created);
+      return created;
+    });
+    const tokens = [
+      createToken('text.body', 'typography', { fontFamily: 'Inter', fontWeight: '{font.weight.bold}', fontSize: '{font.size.300}' }, { collection: 'semantic' }),
+      ...primitives(),
+    ];
+    repository.add(tokens);
+
+    const result = await service.syncTokens(tokens);
+
+    expect(result.success).toBe(true);
+    expect(textStyles[0].setBoundVariable).toHaveBeenCalledWith('fontSize', variable('font/size/300'));
+    expect(result.data!.outcomes.get('text.body')).toEqual({
+      warnings: ['text.body: fontWeight not bound to font/weight/bold: Cannot bind fontWeight'],
+    });
+  });
+
+  test('uses the style name the family has for a weight', async () => {
+    mockFigma.listAvailableFontsAsync.mockResolvedValue(
+      ['Regular', 'Semi Bold', 'Bold'].map(style => ({ fontName: { family: 'Inter', style } }))
+    );
+
+    const style = await syncTypography({ fontFamily: 'Inter', fontWeight: 600 });
+
+    expect(style.fontName).toEqual({ family: 'Inter', style: 'Semi Bold' });
+  });
+
+  test('applies the configured font styles', async () => {
+    const style = await syncTypography(
+      { fontFamily: 'Inter', fontWeight: '{font.weight.bold}' },
+      { fontStyles: { weights: { 700: 'Heavy' }, families: { Inter: { 700: 'Display Bold' } } } }
+    );
+
+    expect(style.fontName).toEqual({ family: 'Inter', style: 'Display Bold' });
+  });
+});
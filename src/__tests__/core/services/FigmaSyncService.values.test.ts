@@ -0,0 +1,97 @@
+// ====================================================================================
+// FIGMA SYNC SERVICE - VALUE TESTS
+// Tests for syncing DTCG 2025 structured color, dimension and duration values, and Display P3 colors
+// ====================================================================================
+
+import { FigmaSyncService, SyncOptions } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { Token } from '../../../core/models/Token';
+import {
+  MockVariable,
+  createToken,
+  createFigmaMock,
+  installFigmaMock,
+  createMockCollection,
+  recordCreatedVariables,
+} from '../../fixtures';
+
+const mockFigma = { ...createFigmaMock(), root: { documentColorProfile: 'SRGB' } };
+installFigmaMock(mockFigma);
+
+describe('FigmaSyncService structured values', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+  let createdVariables: MockVariable[];
+
+  const sync = async (token: Token, options?: SyncOptions) => {
+    repository.add([token]);
+    const result = await service.syncTokens([token], options);
+    expect(result.success).toBe(true);
+    return createdVariables.find(variable => variable.name === token.path.join('/'))!;
+  };
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+    jest.clearAllMocks();
+    mockFigma.root.documentColorProfile = 'SRGB';
+
+    createdVariables = [];
+    const mockCollection = createMockCollection('primitive');
+
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([mockCollection]);
+    mockFigma.variables.createVariableCollection.mockReturnValue(mockCollection);
+    mockFigma.variables.getLocalVariablesAsync.mockResolvedValue([]);
+    recordCreatedVariables(mockFigma, createdVariables);
+  });
+
+  test('converts structured colors from their color space', async () => {
+    const variable = await sync(createToken('color.brand', 'color', {
+      colorSpace: 'hsl',
+      components: [120, 100, 25],
+      alpha: 1,
+      hex: '#008000',
+    }));
+
+    const [, value] = variable.setValueForMode.mock.calls[0];
+    expect(value.r).toBeCloseTo(0, 4);
+    expect(value.g).toBeCloseTo(0.5, 4);
+    expect(value.b).toBeCloseTo(0, 4);
+  });
+
+  test('writes Display P3 values in Display P3 documents when the option is on', async () => {
+    mockFigma.root.documentColorProfile = 'DISPLAY_P3';
+
+    const p3 = await sync(createToken('color.red', 'color', '#ff0000'), { displayP3: true });
+    const srgb = await sync(createToken('color.plain', 'color', '#ff0000'));
+
+    const [, p3Value] = p3.setValueForMode.mock.calls[0];
+    expect(p3Value.r).toBeCloseTo(0.9175, 3);
+    expect(p3Value.g).toBeCloseTo(0.2003, 3);
+    expect(p3Value.b).toBeCloseTo(0.1386, 3);
+    expect(srgb.setValueForMode).toHaveBeenCalledWith('mode-1', { r: 1, g: 0, b: 0 });
+  });
+
+  test('keeps sRGB values in sRGB documents', async () => {
+    const variable = await sync(createToken('color.red', 'color', '#ff0000'), { displayP3: true });
+
+    expect(variable.setValueForMode).toHaveBeenCalledWith('mode-1', { r: 1, g: 0, b: 0 });
+  });
+
+  test('converts structured dimensions to pixels', async () => {
+    const variable = await sync(createToken('dimension.large', 'dimension', { value: 1.5, unit: 'rem' }));
+
+    expect(variable.resolvedType).toBe('FLOAT');
+    expect(variable.setValueForMode).toHaveBeenCalledWith('mode-1', 24);
+  });
+
+  test('syncs durations as milliseconds', async () => {
+    const structured = await sync(createToken('duration.slow', 'duration', { value: 0.4, unit: 's' }));
+    const legacy = await sync(createToken('duration.fast', 'duration', '150ms'));
+
+    expect(structured.resolvedType).toBe('FLOAT');
+    expect(structured.setValueForMode).toHaveBeenCalledWith('mode-1', 400);
+    expect(legacy.setValueForMode).toHaveBeenCalledWith('mode-1', 150);
+  });
+});
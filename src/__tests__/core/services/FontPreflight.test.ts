@@ -0,0 +1,127 @@
+// ====================================================================================
+// FONT PREFLIGHT TESTS
+// Tests for mapping font weights to Figma styles and reporting missing fonts
+// ====================================================================================
+
+import { FontPreflight } from '../../../core/services/FontPreflight';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { createToken, installFigmaMock } from '../../fixtures';
+
+// Mock Figma API
+const mockFigma = {
+  listAvailableFontsAsync: jest.fn(),
+};
+
+installFigmaMock(mockFigma);
+
+const AVAILABLE_FONTS: Record<string, string[]> = {
+  Inter: ['Regular', 'Medium', 'Semi Bold', 'Bold'],
+  Roboto: ['Regular', 'Bold'],
+};
+
+describe('FontPreflight', () => {
+  let repository: TokenRepository;
+  let fonts: FontPreflight;
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    fonts = new FontPreflight(new TokenResolver(repository));
+    jest.clearAllMocks();
+
+    mockFigma.listAvailableFontsAsync.mockResolvedValue(
+      Object.keys(AVAILABLE_FONTS).reduce<Array<{ fontName: { family: string; style: string } }>>(
+        (list, family) => list.concat(AVAILABLE_FONTS[family].map(style => ({ fontName: { family, style } }))),
+        []
+      )
+    );
+  });
+
+  describe('getStyle', () => {
+    test('uses the built-in style names before fonts are loaded', () => {
+      expect(fonts.getStyle('Inter', 600)).toBe('SemiBold');
+      expect(fonts.getStyle('Inter', 380)).toBe('Regular');
+    });
+
+    test('matches the style name the family uses', async () => {
+      await fonts.loadAvailableFonts();
+
+      expect(fonts.getStyle('Inter', 600)).toBe('Semi Bold');
+      expect(fonts.getStyle('Inter', 700)).toBe('Bold');
+    });
+
+    test('prefers family overrides over the weights of every family', async () => {
+      await fonts.loadAvailableFonts();
+      const mapping = { weights: { 500: 'Bold' }, families: { Inter: { 500: 'Medium' } } };
+
+      expect(fonts.getStyle('Inter', 500, mapping)).toBe('Medium');
+      expect(fonts.getStyle('Roboto', 500, mapping)).toBe('Bold');
+    });
+
+    test('falls back to the next candidate the family has', async () => {
+      await fonts.loadAvailableFonts();
+
+      expect(fonts.getStyle('Inter', 600, { weights: { 600: 'Demibold' } })).toBe('Semi Bold');
+    });
+  });
+
+  describe('check', () => {
+    test('reports missing families and weights with the tokens using them', async () => {
+      const tokens = [
+        createToken('font.family.brand', 'fontFamily', "'Brand Sans', sans-serif"),
+        createToken('font.weight.semibold', 'fontWeight', 600),
+        createToken('text.body', 'typography', { fontFamily: 'Inter', fontWeight: 400 }),
+        createToken('text.strong', 'typography', { fontFamily: 'Roboto', fontWeight: '{font.weight.semibold}' }),
+        createToken('text.emphasis', 'typography', { fontFamily: 'Roboto', fontWeight: 'semi-bold' }),
+      ];
+      repository.add(tokens);
+
+      const result = await fonts.check(tokens);
+
+      expect(result.success).toBe(true);
+      expect(result.data!.checked).toBe(3);
+      expect(result.data!.missing).toEqual([
+        { family: 'Brand Sans', tokens: ['font.family.brand'], availableStyles: [] },
+        {
+          family: 'Roboto',
+          weight: 600,
+          style: 'SemiBold',
+          availableStyles: ['Regular', 'Bold'],
+          tokens: ['text.strong', 'text.emphasis'],
+        },
+      ]);
+    });
+
+    test('no longer reports weights the mapping points to an available style', async () => {
+      const tokens = [createToken('text.strong', 'typography', { fontFamily: 'Roboto', fontWeight: 600 })];
+
+      const result = await fonts.check(tokens, { families: { Roboto: { 600: 'Bold' } } });
+
+      expect(result.data!.missing).toEqual([]);
+    });
+
+    test('fails when the available fonts cannot be listed', async () => {
+      mockFigma.listAvailableFontsAsync.mockRejectedValue(new Error('Not allowed'));
+
+      const result = await fonts.check([]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Failed to list available fonts: Not allowed');
+    });
+  });
+
+  test('parseWeight reads numbers, numeric strings and keywords', () => {
+    expect(FontPreflight.parseWeight(700)).toBe(700);
+    expect(FontPreflight.parseWeight('300')).toBe(300);
+    expect(FontPreflight.parseWeight('Semi Bold')).toBe(600);
+    expect(FontPreflight.parseWeight('{font.weight.bold}')).toBeNull();
+    expect(FontPreflight.parseWeight('700px')).toBeNull();
+  });
+
+  test('getPrimaryFamily takes the first family of a stack', () => {
+    expect(FontPreflight.getPrimaryFamily('"Open Sans", sans-serif')).toBe('Open Sans');
+    expect(FontPreflight.getPrimaryFamily(['Inter', 'system-ui'])).toBe('Inter');
+    expect(FontPreflight.getPrimaryFamily(' ')).toBeNull();
+    expect(FontPreflight.getPrimaryFamily(16)).toBeNull();
+  });
+});
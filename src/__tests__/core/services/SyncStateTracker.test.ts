@@ -0,0 +1,217 @@
+// ====================================================================================
+// SYNC STATE TRACKER TESTS
+// Tests for per-token sync records, status derivation and persistence
+// ====================================================================================
+
+import { SyncStateTracker } from '../../../core/services/SyncStateTracker';
+import { StorageAdapter } from '../../../core/services/StorageAdapter';
+import { FigmaSyncService, TokenSyncOutcome } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { Token } from '../../../core/models/Token';
+import { ProjectStorage } from '../../../shared/types';
+import { createToken, createFigmaMock, installFigmaMock } from '../../fixtures';
+
+// Mock Figma API
+const mockStorage: Record<string, unknown> = {};
+const mockFigma = {
+  ...createFigmaMock(),
+  clientStorage: {
+    getAsync: jest.fn(async (key: string) => mockStorage[key]),
+    setAsync: jest.fn(async (key: string, value: unknown) => {
+      mockStorage[key] = value;
+    }),
+  },
+};
+mockFigma.variables.getLocalVariablesAsync.mockResolvedValue([]);
+mockFigma.variables.createVariable.mockImplementation((name: string) => ({
+  id: `var-${name}`,
+  name,
+  resolvedType: 'COLOR',
+  setValueForMode: jest.fn(),
+  setVariableCodeSyntax: jest.fn(),
+}));
+installFigmaMock(mockFigma);
+
+const primary = (overrides: Record<string, unknown> = {}): Token =>
+  createToken('color.primary', 'color', '#ff0000', {
+    id: 'token-1',
+    collection: 'semantic',
+    resolvedValue: '#ff0000',
+    source: { type: 'local', location: 'tokens/semantic.json', imported: '2025-01-01' },
+    ...overrides,
+  });
+
+const secondary = (): Token =>
+  createToken('color.secondary', 'color', '#ff0000', { id: 'token-2', collection: 'semantic', resolvedValue: '#ff0000' });
+
+const synced = (variableId = 'var-1'): Map<string, TokenSyncOutcome> => new Map([['token-1', { variableId }]]);
+
+describe('SyncStateTracker', () => {
+  let tracker: SyncStateTracker;
+
+  beforeEach(() => {
+    Object.keys(mockStorage).forEach(key => delete mockStorage[key]);
+    jest.clearAllMocks();
+    tracker = new SyncStateTracker(new StorageAdapter(), 'test');
+  });
+
+  test('reports never-synced tokens as pending', () => {
+    expect(tracker.getStatus(primary())).toBe('pending');
+  });
+
+  test('reports synced tokens until their value changes', () => {
+    tracker.recordSync([primary()], synced());
+
+    expect(tracker.getStatus(primary())).toBe('synced');
+    expect(tracker.getStatus(primary({ value: '#00ff00', resolvedValue: '#00ff00' }))).toBe('modified');
+    expect(tracker.getStatus(primary({ extensions: { w3c: { mode: { dark: '#000000' } } } }))).toBe('modified');
+  });
+
+  test('ignores Figma metadata written back after the sync', () => {
+    tracker.recordSync([primary()], synced());
+
+    expect(tracker.getStatus(primary({ extensions: { figma: { variableId: 'var-1' } } }))).toBe('synced');
+  });
+
+  test('reports errors until the token syncs again', () => {
+    const token = primary();
+    tracker.recordSync([token], synced());
+    tracker.recordSync([token], new Map([['token-1', { error: 'Invalid color' }]]));
+
+    expect(tracker.getStatus(token)).toBe('error');
+    expect(tracker.getStates([token])[0]).toEqual(
+      expect.objectContaining({ status: 'error', error: 'Invalid color', variableId: 'var-1' })
+    );
+
+    tracker.recordSync([token], synced());
+    expect(tracker.getStatus(token)).toBe('synced');
+    expect(tracker.getStates([token])[0].error).toBeUndefined();
+  });
+
+  test('marks every token of a failed sync as error', () => {
+    const tokens = [primary(), secondary()];
+
+    tracker.recordFailure(tokens, 'Sync cancelled (changes rolled back)');
+
+    expect(tokens.map(token => tracker.getStatus(token))).toEqual(['error', 'error']);
+  });
+
+  test('keeps tokens without an outcome unchanged', () => {
+    tracker.recordSync([primary()], new Map());
+
+    expect(tracker.getStatus(primary())).toBe('pending');
+  });
+
+  test('persists records with the project and reports unloaded tokens', async () => {
+    tracker.recordSync([primary()], synced());
+    expect((await tracker.save()).success).toBe(true);
+
+    const stored = mockStorage['project:test'] as ProjectStorage;
+    expect(stored.version).toBe('2.0');
+    expect(stored.syncState!['token-1']).toEqual(
+      expect.objectContaining({ qualifiedName: 'color.primary', file: 'tokens/semantic.json', variableId: 'var-1' })
+    );
+
+    const reloaded = new SyncStateTracker(new StorageAdapter(), 'test');
+    await reloaded.load();
+
+    expect(reloaded.getStatus(primary())).toBe('synced');
+    expect(reloaded.getStates([])).toEqual([
+      expect.objectContaining({ tokenId: 'token-1', status: 'synced', collection: 'semantic' }),
+    ]);
+  });
+
+  test('reads and writes the records of the project it switched to', async () => {
+    tracker.recordSync([primary()], synced());
+    await tracker.save();
+
+    tracker.setProject('other');
+    expect(tracker.getStatus(primary())).toBe('pending');
+
+    tracker.recordSync([primary({ id: 'token-2' })], new Map([['token-2', { variableId: 'var-2' }]]));
+    await tracker.load();
+    await tracker.save();
+
+    expect(Object.keys((mockStorage['project:test'] as ProjectStorage).syncState!)).toEqual(['token-1']);
+    expect(Object.keys((mockStorage['project:other'] as ProjectStorage).syncState!)).toEqual(['token-2']);
+  });
+
+  test('prunes the records of tokens that are no longer synced, stored ones included', async () => {
+    tracker.recordSync([primary(), secondary()], new Map([...synced(), ['token-2', { variableId: 'var-2' }]]));
+    await tracker.save();
+
+    const reloaded = new SyncStateTracker(new StorageAdapter(), 'test');
+    reloaded.recordSync([primary()], synced());
+    await reloaded.load();
+
+    expect(reloaded.prune([primary()], ['semantic'])).toBe(1);
+    await reloaded.save();
+
+    expect(reloaded.getStates([]).map(state => state.tokenId)).toEqual(['token-1']);
+    expect(Object.keys((mockStorage['project:test'] as ProjectStorage).syncState!)).toEqual(['token-1']);
+  });
+
+  test('keeps the records of collections another import synced', async () => {
+    const spacing = createToken('spacing.sm', 'dimension', '4px', { id: 'token-3', collection: 'primitive', resolvedValue: '4px' });
+
+    // First import: primitives only
+    tracker.recordSync([spacing], new Map([['token-3', { variableId: 'var-3' }]]));
+    tracker.prune([spacing], ['primitive']);
+    await tracker.save();
+
+    // Second import: semantics only, in a new session
+    const reloaded = new SyncStateTracker(new StorageAdapter(), 'test');
+    reloaded.recordSync([primary()], synced());
+    await reloaded.load();
+
+    expect(reloaded.prune([primary()], ['semantic'])).toBe(0);
+    await reloaded.save();
+
+    expect(Object.keys((mockStorage['project:test'] as ProjectStorage).syncState!).sort()).toEqual(['token-1', 'token-3']);
+    expect(reloaded.getStatus(spacing)).toBe('synced');
+  });
+
+  test('keeps the sync state when the project tokens are saved', async () => {
+    tracker.recordSync([primary()], synced());
+    await tracker.save();
+
+    await new StorageAdapter().save('test', [primary()]);
+
+    const stored = mockStorage['project:test'] as ProjectStorage;
+    expect(stored.tokens).toHaveLength(1);
+    expect(Object.keys(stored.syncState!)).toEqual(['token-1']);
+  });
+});
+
+describe('FigmaSyncService sync outcomes', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([
+      { id: 'collection-1', name: 'semantic', modes: [{ modeId: 'mode-1', name: 'Mode 1' }] },
+    ]);
+  });
+
+  test('reports the variable of synced tokens and the error of failed ones', async () => {
+    const tokens = [
+      primary(),
+      secondary(),
+    ];
+    repository.add(tokens);
+
+    mockFigma.variables.createVariable.mockImplementationOnce(() => {
+      throw new Error('Variable limit reached');
+    });
+
+    const result = await service.syncTokens(tokens);
+
+    expect(result.success).toBe(true);
+    expect(result.data!.outcomes.get('token-1')).toEqual({ error: 'Variable limit reached' });
+    expect(result.data!.outcomes.get('token-2')).toEqual({ variableId: 'var-color/secondary' });
+  });
+});
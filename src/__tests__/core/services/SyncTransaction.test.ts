@@ -0,0 +1,431 @@
+// ====================================================================================
+// SYNC TRANSACTION TESTS
+// Tests for snapshot/rollback of local variables and styles around a sync
+// ====================================================================================
+
+import { SyncTransaction } from '../../../core/services/SyncTransaction';
+import { FigmaSyncService } from '../../../core/services/FigmaSyncService';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { Token } from '../../../core/models/Token';
+import { createToken, installFigmaMock } from '../../fixtures';
+
+// In-memory Figma document
+interface MockMode {
+  modeId: string;
+  name: string;
+}
+
+interface MockCollection {
+  id: string;
+  name: string;
+  modes: MockMode[];
+  addMode(modeName: string): string;
+  removeMode(modeId: string): void;
+  renameMode(modeId: string, modeName: string): void;
+  remove(): void;
+}
+
+interface MockVariable {
+  id: string;
+  name: string;
+  description: string;
+  resolvedType: string;
+  variableCollectionId: string;
+  scopes: string[];
+  valuesByMode: Record<string, unknown>;
+  hiddenFromPublishing: boolean;
+  codeSyntax: Record<string, string>;
+  pluginData: Record<string, string>;
+  setValueForMode(modeId: string, value: unknown): void;
+  setVariableCodeSyntax: jest.Mock;
+  removeVariableCodeSyntax(platform: string): void;
+  getPluginDataKeys(): string[];
+  getPluginData(key: string): string;
+  setPluginData(key: string, value: string): void;
+  remove(): void;
+}
+
+interface MockStyle {
+  id: string;
+  name: string;
+  description: string;
+  effects?: unknown[];
+  fontName?: { family: string; style: string };
+  fontSize?: number;
+  boundVariables?: Record<string, { type: string; id: string }>;
+  setBoundVariable?(field: string, variable: MockVariable | null): void;
+  remove(): void;
+}
+
+let nextId = 0;
+let collections: MockCollection[] = [];
+let variables: MockVariable[] = [];
+let effectStyles: MockStyle[] = [];
+let textStyles: MockStyle[] = [];
+
+function createCollection(name: string): MockCollection {
+  const collection: MockCollection = {
+    id: `collection-${++nextId}`,
+    name,
+    modes: [{ modeId: `mode-${++nextId}`, name: 'Mode 1' }],
+    addMode(modeName: string) {
+      const modeId = `mode-${++nextId}`;
+      collection.modes = [...collection.modes, { modeId, name: modeName }];
+      return modeId;
+    },
+    removeMode(modeId: string) {
+      collection.modes = collection.modes.filter(mode => mode.modeId !== modeId);
+    },
+    renameMode(modeId: string, modeName: string) {
+      collection.modes = collection.modes.map(mode => (mode.modeId === modeId ? { modeId, name: modeName } : mode));
+    },
+    remove() {
+      collections = collections.filter(c => c !== collection);
+      variables = variables.filter(v => v.variableCollectionId !== collection.id);
+    },
+  };
+  collections.push(collection);
+  return collection;
+}
+
+function createVariable(name: string, collection: MockCollection, resolvedType: string): MockVariable {
+  const variable: MockVariable = {
+    id: `variable-${++nextId}`,
+    name,
+    description: '',
+    resolvedType,
+    variableCollectionId: collection.id,
+    scopes: ['ALL_SCOPES'],
+    valuesByMode: {},
+    hiddenFromPublishing: false,
+    codeSyntax: {},
+    pluginData: {},
+    setValueForMode(modeId: string, value: unknown) {
+      variable.valuesByMode = { ...variable.valuesByMode, [modeId]: value };
+    },
+    setVariableCodeSyntax: jest.fn((platform: string, value: string) => {
+      variable.codeSyntax = { ...variable.codeSyntax, [platform]: value };
+    }),
+    removeVariableCodeSyntax(platform: string) {
+      const rest = { ...variable.codeSyntax };
+      delete rest[platform];
+      variable.codeSyntax = rest;
+    },
+    getPluginDataKeys: () => Object.keys(variable.pluginData),
+    getPluginData: (key: string) => variable.pluginData[key] || '',
+    setPluginData(key: string, value: string) {
+      const rest = { ...variable.pluginData };
+      delete rest[key];
+      variable.pluginData = value ? { ...rest, [key]: value } : rest;
+    },
+    remove() {
+      variables = variables.filter(v => v !== variable);
+    },
+  };
+  variables.push(variable);
+  return variable;
+}
+
+function createEffectStyle(): MockStyle {
+  const style: MockStyle = {
+    id: `style-${++nextId}`,
+    name: '',
+    description: '',
+    effects: [],
+    remove() {
+      effectStyles = effectStyles.filter(s => s !== style);
+    },
+  };
+  effectStyles.push(style);
+  return style;
+}
+
+function createTextStyle(): MockStyle {
+  const style: MockStyle = {
+    id: `style-${++nextId}`,
+    name: '',
+    description: '',
+    fontName: { family: 'Inter', style: 'Regular' },
+    fontSize: 16,
+    boundVariables: {},
+    setBoundVariable(field: string, variable: MockVariable | null) {
+      const rest = { ...style.boundVariables };
+      delete rest[field];
+      style.boundVariables = variable ? { ...rest, [field]: { type: 'VARIABLE_ALIAS', id: variable.id } } : rest;
+    },
+    remove() {
+      textStyles = textStyles.filter(s => s !== style);
+    },
+  };
+  textStyles.push(style);
+  return style;
+}
+
+const mockFigma = {
+  variables: {
+    getLocalVariableCollectionsAsync: jest.fn(async () => collections.slice()),
+    getLocalVariablesAsync: jest.fn(async () => variables.slice()),
+    createVariableCollection: jest.fn((name: string) => createCollection(name)),
+    createVariable: jest.fn((name: string, collection: MockCollection, type: string) => createVariable(name, collection, type)),
+  },
+  getLocalTextStylesAsync: jest.fn(async () => textStyles.slice()),
+  getLocalEffectStylesAsync: jest.fn(async () => effectStyles.slice()),
+  getLocalPaintStylesAsync: jest.fn(async () => []),
+  createEffectStyle: jest.fn(() => createEffectStyle()),
+  loadFontAsync: jest.fn(async () => undefined),
+  notify: jest.fn(),
+};
+
+installFigmaMock(mockFigma);
+
+const color = (qualifiedName: string, id: string): Token =>
+  createToken(qualifiedName, 'color', '#ff0000', { id, collection: 'semantic', resolvedValue: '#ff0000' });
+
+const RED = { r: 1, g: 0, b: 0, a: 1 };
+const BLUE = { r: 0, g: 0, b: 1, a: 1 };
+
+describe('SyncTransaction', () => {
+  let semantic: MockCollection;
+  let blue: MockVariable;
+  let primary: MockVariable;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nextId = 0;
+    collections = [];
+    variables = [];
+    effectStyles = [];
+    textStyles = [];
+
+    semantic = createCollection('semantic');
+    blue = createVariable('color/blue', semantic, 'COLOR');
+    blue.setValueForMode(semantic.modes[0].modeId, BLUE);
+    primary = createVariable('color/primary', semantic, 'COLOR');
+    primary.setValueForMode(semantic.modes[0].modeId, { type: 'VARIABLE_ALIAS', id: blue.id });
+  });
+
+  test('restores values, names and descriptions', async () => {
+    const transaction = await SyncTransaction.begin();
+    const modeId = semantic.modes[0].modeId;
+
+    blue.setValueForMode(modeId, RED);
+    blue.name = 'color/renamed';
+    blue.description = 'changed';
+    semantic.name = 'Semantic';
+
+    const result = await transaction.rollback();
+
+    expect(result.success).toBe(true);
+    expect(blue.valuesByMode[modeId]).toEqual(BLUE);
+    expect(blue.name).toBe('color/blue');
+    expect(blue.description).toBe('');
+    expect(semantic.name).toBe('semantic');
+  });
+
+  test('restores code syntax, publishing visibility and plugin data', async () => {
+    blue.setVariableCodeSyntax('WEB', 'var(--color-blue)');
+    blue.setPluginData('tokenId', 'color.blue');
+    const transaction = await SyncTransaction.begin();
+
+    blue.setVariableCodeSyntax('WEB', 'var(--color-renamed)');
+    blue.setVariableCodeSyntax('ANDROID', 'colorRenamed');
+    blue.hiddenFromPublishing = true;
+    blue.setPluginData('tokenId', 'color.renamed');
+    blue.setPluginData('orphanKept', 'true');
+
+    const result = await transaction.rollback();
+
+    expect(result.success).toBe(true);
+    expect(blue.codeSyntax).toEqual({ WEB: 'var(--color-blue)' });
+    expect(blue.hiddenFromPublishing).toBe(false);
+    expect(blue.pluginData).toEqual({ tokenId: 'color.blue' });
+  });
+
+  test('restores the variables bound to text style fields', async () => {
+    const size = createVariable('font/size', semantic, 'FLOAT');
+    const style = createTextStyle();
+    style.name = 'text/body';
+    style.setBoundVariable!('fontSize', size);
+    const transaction = await SyncTransaction.begin();
+
+    size.remove();
+    style.setBoundVariable!('fontSize', null);
+    style.setBoundVariable!('lineHeight', blue);
+
+    const result = await transaction.rollback();
+
+    const restoredSize = variables.find(v => v.name === 'font/size')!;
+    expect(result.success).toBe(true);
+    expect(style.boundVariables).toEqual({ fontSize: { type: 'VARIABLE_ALIAS', id: restoredSize.id } });
+  });
+
+  test('removes variables, modes and collections created after begin', async () => {
+    const transaction = await SyncTransaction.begin();
+
+    createVariable('color/new', semantic, 'COLOR');
+    semantic.addMode('dark');
+    createVariable('spacing/sm', createCollection('spacing'), 'FLOAT');
+
+    await transaction.rollback();
+
+    expect(variables.map(v => v.name)).toEqual(['color/blue', 'color/primary']);
+    expect(semantic.modes.map(mode => mode.name)).toEqual(['Mode 1']);
+    expect(collections.map(c => c.name)).toEqual(['semantic']);
+  });
+
+  test('recreates deleted variables and remaps aliases to them', async () => {
+    const transaction = await SyncTransaction.begin();
+    const modeId = semantic.modes[0].modeId;
+
+    blue.remove();
+
+    await transaction.rollback();
+
+    const restoredBlue = variables.find(v => v.name === 'color/blue')!;
+    expect(restoredBlue).toBeDefined();
+    expect(restoredBlue.id).not.toBe(blue.id);
+    expect(restoredBlue.valuesByMode[modeId]).toEqual(BLUE);
+    expect(primary.valuesByMode[modeId]).toEqual({ type: 'VARIABLE_ALIAS', id: restoredBlue.id });
+  });
+
+  test('restores styles and removes new ones', async () => {
+    const style = createEffectStyle();
+    style.name = 'shadow/card';
+    style.effects = [{ type: 'DROP_SHADOW', radius: 4 }];
+
+    const transaction = await SyncTransaction.begin();
+
+    style.effects = [{ type: 'DROP_SHADOW', radius: 8 }];
+    createEffectStyle().name = 'shadow/new';
+
+    await transaction.rollback();
+
+    expect(effectStyles).toEqual([expect.objectContaining({ name: 'shadow/card', effects: [{ type: 'DROP_SHADOW', radius: 4 }] })]);
+  });
+
+  test('does not roll back after commit', async () => {
+    const transaction = await SyncTransaction.begin();
+    transaction.commit();
+
+    const result = await transaction.rollback();
+
+    expect(result.success).toBe(false);
+    expect(transaction.isActive()).toBe(false);
+  });
+});
+
+describe('FigmaSyncService transactional sync', () => {
+  let service: FigmaSyncService;
+  let repository: TokenRepository;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    nextId = 0;
+    collections = [];
+    variables = [];
+    effectStyles = [];
+    textStyles = [];
+
+    repository = new TokenRepository();
+    service = new FigmaSyncService(repository, new TokenResolver(repository));
+  });
+
+  test('rolls back every change when a token fails', async () => {
+    const semantic = createCollection('semantic');
+    const existing = createVariable('color/primary', semantic, 'COLOR');
+    existing.setValueForMode(semantic.modes[0].modeId, BLUE);
+
+    const tokens = [
+      color('color.primary', 'token-1'),
+      color('color.secondary', 'token-2'),
+    ];
+    repository.add(tokens);
+
+    // Second token fails after the first one was written
+    mockFigma.variables.createVariable.mockImplementationOnce(() => {
+      throw new Error('Variable limit reached');
+    });
+
+    const result = await service.syncTokens(tokens, { transactional: true });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('changes rolled back');
+    expect(variables.map(v => v.name)).toEqual(['color/primary']);
+    expect(existing.valuesByMode[semantic.modes[0].modeId]).toEqual(BLUE);
+  });
+
+  test('recreates the variable in place on type changes', async () => {
+    const semantic = createCollection('semantic');
+    const existing = createVariable('color/primary', semantic, 'STRING');
+
+    const tokens = [color('color.primary', 'token-1')];
+    repository.add(tokens);
+
+    const result = await service.syncTokens(tokens, { transactional: true });
+
+    expect(result.success).toBe(true);
+    expect(variables).toEqual([expect.objectContaining({ name: 'color/primary', resolvedType: 'COLOR' })]);
+    expect(variables[0]).not.toBe(existing);
+  });
+
+  test('restores the old variable when a sync with a type change fails', async () => {
+    const semantic = createCollection('semantic');
+    createVariable('color/primary', semantic, 'STRING');
+
+    const tokens = [color('color.primary', 'token-1'), color('color.secondary', 'token-2')];
+    repository.add(tokens);
+
+    // The recreated variable is the first create, the second token fails
+    mockFigma.variables.createVariable
+      .mockImplementationOnce((name: string, collection: MockCollection, type: string) => createVariable(name, collection, type))
+      .mockImplementationOnce(() => {
+        throw new Error('Variable limit reached');
+      });
+
+    const result = await service.syncTokens(tokens, { transactional: true });
+
+    expect(result.success).toBe(false);
+    expect(variables).toEqual([expect.objectContaining({ name: 'color/primary', resolvedType: 'STRING' })]);
+  });
+
+  test('reports type changes as errors without a transaction', async () => {
+    const semantic = createCollection('semantic');
+    const existing = createVariable('color/primary', semantic, 'STRING');
+
+    const tokens = [color('color.primary', 'token-1')];
+    repository.add(tokens);
+
+    const result = await service.syncTokens(tokens);
+
+    expect(result.success).toBe(true);
+    expect(result.data!.outcomes.get('token-1')!.error).toContain('Type changed from STRING to COLOR');
+    expect(variables).toEqual([existing]);
+    expect(variables.some(v => v.name.endsWith('_new'))).toBe(false);
+  });
+
+  test('rolls back when cancelled mid-sync', async () => {
+    const tokens = Array.from({ length: 30 }, (_, index) =>
+      color(`color.c${index}`, `token-${index}`)
+    );
+    repository.add(tokens);
+
+    const sync = service.syncTokens(tokens, { transactional: true });
+    // Cancel arrives while the sync yields between token batches
+    await new Promise(resolve => setTimeout(resolve, 0));
+    await new Promise(resolve => setTimeout(resolve, 0));
+    expect(service.requestCancel()).toBe(true);
+
+    const result = await sync;
+
+    expect(mockFigma.variables.createVariable).toHaveBeenCalled();
+    expect(result.success).toBe(false);
+    expect(result.error).toBe('Sync cancelled (changes rolled back)');
+    expect(variables).toHaveLength(0);
+    expect(collections).toHaveLength(0);
+  });
+
+  test('cannot be cancelled without a running transactional sync', () => {
+    expect(service.requestCancel()).toBe(false);
+  });
+});
@@ -0,0 +1,227 @@
+// ====================================================================================
+// TOKEN LINTER TESTS
+// Tests for the lint rules, their configuration and the report
+// ====================================================================================
+
+import { TokenLinter } from '../../../core/services/TokenLinter';
+import { ITokenLintRule } from '../../../core/interfaces/ITokenLintRule';
+import { NamingConventionRule } from '../../../core/rules/NamingConventionRule';
+import { RequiredDescriptionRule } from '../../../core/rules/RequiredDescriptionRule';
+import { ValueTypeRule } from '../../../core/rules/ValueTypeRule';
+import { NoRawValueRule } from '../../../core/rules/NoRawValueRule';
+import { MaxAliasDepthRule } from '../../../core/rules/MaxAliasDepthRule';
+import { Token } from '../../../core/models/Token';
+import { LintConfig } from '../../../shared/types';
+
+function createToken(overrides: Record<string, unknown>): Token {
+  return {
+    id: 'token-1',
+    path: ['color', 'primary'],
+    name: 'primary',
+    qualifiedName: 'color.primary',
+    type: 'color',
+    value: '#ff0000',
+    rawValue: '#ff0000',
+    description: 'Brand color',
+    projectId: 'test',
+    collection: 'primitive',
+    sourceFormat: 'w3c',
+    source: { type: 'local', location: 'primitives.json', imported: '2025-01-01' },
+    extensions: {},
+    tags: [],
+    status: 'active',
+    created: '2025-01-01',
+    lastModified: '2025-01-01',
+    ...overrides,
+  } as Token;
+}
+
+function alias(id: string, target: string, collection = 'primitive'): Token {
+  return createToken({
+    id,
+    qualifiedName: id,
+    path: [id],
+    value: `{${target}}`,
+    rawValue: `{${target}}`,
+    aliasTo: target,
+    collection,
+  });
+}
+
+const only = (ruleId: string): LintConfig => ({
+  rules: ['naming-convention', 'require-description', 'valid-value', 'no-raw-values', 'max-alias-depth']
+    .filter(id => id !== ruleId)
+    .reduce((rules, id) => ({ ...rules, [id]: { severity: 'off' } }), {}),
+});
+
+describe('TokenLinter', () => {
+  let linter: TokenLinter;
+
+  beforeEach(() => {
+    linter = new TokenLinter([
+      new ValueTypeRule(),
+      new NoRawValueRule(),
+      new NamingConventionRule(),
+      new RequiredDescriptionRule(),
+      new MaxAliasDepthRule(),
+    ]);
+  });
+
+  test('passes tokens that follow every rule', () => {
+    const token = createToken({});
+
+    const report = linter.lint([token]);
+
+    expect(report.issues).toEqual([]);
+    expect(report.counts).toEqual({ error: 0, warning: 0 });
+    expect(token.validation).toEqual({ isValid: true, errors: [], warnings: [] });
+  });
+
+  test('reports errors before warnings and attaches them to the token', () => {
+    const token = createToken({ value: 'not-a-color', rawValue: 'not-a-color', description: '' });
+
+    const report = linter.lint([token]);
+
+    expect(report.issues.map(issue => [issue.ruleId, issue.severity])).toEqual([
+      ['valid-value', 'error'],
+      ['require-description', 'warning'],
+    ]);
+    expect(report.issues[0]).toEqual(expect.objectContaining({
+      tokenId: 'token-1',
+      qualifiedName: 'color.primary',
+      file: 'primitives.json',
+      collection: 'primitive',
+    }));
+    expect(token.validation!.isValid).toBe(false);
+    expect(token.validation!.errors).toEqual(['valid-value: Invalid color value: not-a-color']);
+    expect(token.validation!.warnings).toEqual(['require-description: Missing description']);
+  });
+
+  test('applies the naming pattern of each level, the last one to deeper levels', () => {
+    const config = only('naming-convention');
+    config.rules['naming-convention'] = {
+      severity: 'error',
+      options: { patterns: ['^(color|space)$', '^[a-z]+$'] },
+    };
+
+    const report = linter.lint([
+      createToken({ path: ['color', 'brand', 'primary'] }),
+      createToken({ id: 'token-2', path: ['colour', 'Brand', 'primary'] }),
+    ], config);
+
+    expect(report.issues.map(issue => issue.message)).toEqual([
+      '"colour" (level 1) does not match ^(color|space)$',
+      '"Brand" (level 2) does not match ^[a-z]+$',
+    ]);
+  });
+
+  test('reports invalid naming patterns instead of throwing', () => {
+    const config = only('naming-convention');
+    config.rules['naming-convention'] = { severity: 'warning', options: { patterns: ['^(unclosed'] } };
+
+    const report = linter.lint([createToken({ path: ['color'] })], config);
+
+    expect(report.issues[0].message).toBe('Invalid naming pattern for level 1: ^(unclosed');
+  });
+
+  test('validates values with the converter of their type', () => {
+    const report = linter.lint([
+      createToken({ id: 'color', value: '#12345', rawValue: '#12345' }),
+      createToken({ id: 'spacing', type: 'spacing', value: '8px', rawValue: '8px' }),
+      createToken({ id: 'size', type: 'fontSize', value: 'large', rawValue: 'large' }),
+      createToken({ id: 'text', type: 'string', value: 'anything', rawValue: 'anything' }),
+      createToken({ id: 'fade', type: 'duration', value: { value: 0.2, unit: 's' }, rawValue: { value: 0.2, unit: 's' } }),
+      createToken({ id: 'slow', type: 'duration', value: { value: 2, unit: 'min' }, rawValue: { value: 2, unit: 'min' } }),
+    ], only('valid-value'));
+
+    expect(report.issues.map(issue => issue.tokenId)).toEqual(['color', 'size', 'slow']);
+  });
+
+  test('checks aliases through their resolved value and skips unresolved ones', () => {
+    const resolved = { ...alias('resolved', 'token-1'), resolvedValue: 'oops' } as Token;
+
+    const report = linter.lint([createToken({}), alias('unresolved', 'token-1'), resolved], only('valid-value'));
+
+    expect(report.issues.map(issue => issue.tokenId)).toEqual(['resolved']);
+  });
+
+  test('only allows references in semantic collections', () => {
+    const report = linter.lint([
+      createToken({ id: 'primitive' }),
+      createToken({ id: 'semantic-raw', collection: 'Semantics' }),
+      alias('semantic-alias', 'primitive', 'semantic'),
+      createToken({
+        id: 'semantic-composite',
+        type: 'typography',
+        collection: 'semantic',
+        value: { fontFamily: '{font.body}', fontSize: '16px' },
+        rawValue: { fontFamily: '{font.body}', fontSize: '16px' },
+      }),
+    ], only('no-raw-values'));
+
+    expect(report.issues.map(issue => issue.tokenId)).toEqual(['semantic-raw']);
+    expect(report.issues[0].message).toContain('Raw value #ff0000 in collection "Semantics"');
+  });
+
+  test('limits alias depth and reports circular chains', () => {
+    const config = only('max-alias-depth');
+    config.rules['max-alias-depth'] = { severity: 'warning', options: { max: 2 } };
+
+    const report = linter.lint([
+      createToken({ id: 'base', qualifiedName: 'base' }),
+      alias('a', 'base'),
+      alias('b', 'a'),
+      alias('c', 'b'),
+      alias('loop-1', 'loop-2'),
+      alias('loop-2', 'loop-1'),
+    ], config);
+
+    expect(report.issues.map(issue => issue.message)).toEqual([
+      'Alias depth 3 exceeds 2: c → b → a → base',
+      'Circular alias chain: loop-1 → loop-2 → loop-1',
+      'Circular alias chain: loop-2 → loop-1 → loop-2',
+    ]);
+  });
+
+  test('merges the project config over the rule defaults', () => {
+    const rules = linter.getRules({
+      rules: {
+        'require-description': { severity: 'error', options: { collections: ['semantic'] } },
+        'max-alias-depth': { severity: 'off' },
+      },
+    });
+
+    const byId = new Map(rules.map(rule => [rule.id, rule.config]));
+    expect(byId.get('require-description')).toEqual({ severity: 'error', options: { collections: ['semantic'] } });
+    expect(byId.get('max-alias-depth')).toEqual({ severity: 'off', options: { max: 3 } });
+    expect(byId.get('naming-convention')!.severity).toBe('warning');
+  });
+
+  test('skips switched-off rules and rules limited to other collections', () => {
+    const report = linter.lint([createToken({ description: undefined, path: ['Color'] })], {
+      rules: {
+        'naming-convention': { severity: 'off' },
+        'require-description': { severity: 'warning', options: { collections: ['semantic'] } },
+      },
+    });
+
+    expect(report.issues).toEqual([]);
+  });
+
+  test('reports a failing rule instead of aborting the lint', () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const broken: ITokenLintRule = {
+      getId: () => 'broken',
+      getDescription: () => 'Always throws',
+      getDefaultConfig: () => ({ severity: 'error' }),
+      check: () => {
+        throw new Error('boom');
+      },
+    };
+
+    const report = new TokenLinter([broken, new RequiredDescriptionRule()]).lint([createToken({ description: '' })]);
+
+    expect(report.issues.map(issue => issue.message)).toEqual(['Rule failed: boom', 'Missing description']);
+    consoleSpy.mockRestore();
+  });
+});
@@ -6,6 +6,7 @@
 import { TokenProcessor, ProcessingOptions } from '../../../core/services/TokenProcessor';
 import { TokenFormatRegistry } from '../../../core/registries/TokenFormatRegistry';
 import { W3CTokenFormatStrategy } from '../../../core/adapters/W3CTokenFormatStrategy';
+import { TokensStudioFormatStrategy } from '../../../core/adapters/TokensStudioFormatStrategy';
 import { TokenData } from '../../../shared/types';
 
 describe('TokenProcessor', () => {
@@ -207,6 +208,27 @@ describe('TokenProcessor', () => {
       expect(result.data?.[0].status).toBe('active');
     });
 
+    it('should carry descriptions and $deprecated onto the token', async () => {
+      const data: TokenData = {
+        color: {
+          $description: 'Brand palette',
+          $deprecated: 'Use the semantic colors',
+          primary: { $value: '#FF0000', $type: 'color', $description: 'Primary color' },
+          secondary: { $value: '#00FF00', $type: 'color', $deprecated: false },
+        },
+      };
+
+      const result = await processor.processTokenData(data, defaultOptions);
+      const [primary, secondary] = result.data!;
+
+      expect(primary.description).toBe('Primary color');
+      expect(primary.groupDescription).toBe('Brand palette');
+      expect(primary.status).toBe('deprecated');
+      expect(primary.deprecationMessage).toBe('Use the semantic colors');
+      expect(secondary.status).toBe('active');
+      expect(secondary.deprecationMessage).toBeUndefined();
+    });
+
     it('should set created and lastModified timestamps', async () => {
       const data: TokenData = {
         color: {
@@ -297,6 +319,18 @@ describe('TokenProcessor', () => {
       expect(spacingToken?.collection).toBe('semantic');
     });
 
+    it('should record each file path as the token source location', async () => {
+      const files = [
+        { data: { color: { primary: { $value: '#FF0000' } } }, filePath: 'tokens/primitives/color.json' },
+        { data: { spacing: { small: { $value: '8px' } } } },
+      ];
+
+      const result = await processor.processMultipleFiles(files, defaultOptions);
+
+      expect(result.data?.[0].source.location).toBe('tokens/primitives/color.json');
+      expect(result.data?.[1].source.location).toBe(defaultOptions.sourceLocation);
+    });
+
     it('should use default collection if not specified', async () => {
       const files = [
         {
@@ -354,6 +388,48 @@ describe('TokenProcessor', () => {
 
       expect(result.success).toBe(false);
     });
+
+    it('should merge a Tokens Studio multi-file layout in token set order', async () => {
+      TokenFormatRegistry.register(new TokensStudioFormatStrategy());
+
+      const files = [
+        { data: { color: { bg: { value: '#000000', type: 'color' } } }, filePath: 'tokens/themes/dark.json' },
+        { data: { color: { bg: { value: '#ffffff', type: 'color' } } }, filePath: 'tokens/themes/light.json' },
+        { data: { tokenSetOrder: ['themes/light', 'themes/dark'] } as unknown as TokenData, filePath: 'tokens/$metadata.json' },
+        { data: { radius: { sm: { $value: '4px' } } }, filePath: 'other/radius.json' },
+      ];
+
+      const result = await processor.processMultipleFiles(files, defaultOptions);
+
+      expect(result.success).toBe(true);
+      const bg = result.data!.find(t => t.qualifiedName === 'color.bg');
+      expect(bg?.value).toBe('#000000');
+      expect(bg?.collection).toBe('tokens');
+      expect(bg?.sourceFormat).toBe('tokens-studio');
+      expect(result.data!.find(t => t.qualifiedName === 'radius.sm')?.sourceFormat).toBe('w3c');
+    });
+
+    it('should put Tokens Studio theme groups into their own collections', async () => {
+      TokenFormatRegistry.register(new TokensStudioFormatStrategy());
+
+      const files = [
+        { data: { bg: { value: '#ffffff', type: 'color' } }, filePath: 'tokens/light.json' },
+        { data: { bg: { value: '#000000', type: 'color' } }, filePath: 'tokens/dark.json' },
+        {
+          data: [
+            { name: 'Light', group: 'Color scheme', selectedTokenSets: { light: 'enabled' } },
+            { name: 'Dark', group: 'Color scheme', selectedTokenSets: { dark: 'enabled' } },
+          ] as unknown as TokenData,
+          filePath: 'tokens/$themes.json',
+        },
+      ];
+
+      const result = await processor.processMultipleFiles(files, defaultOptions);
+
+      expect(result.success).toBe(true);
+      expect(result.data!.map(t => [t.qualifiedName, t.collection])).toEqual([['bg', 'Color scheme']]);
+      expect(result.data![0].extensions.w3c?.mode).toEqual({ Light: '#ffffff', Dark: '#000000' });
+    });
   });
 
   describe('type mapping', () => {
@@ -414,4 +490,75 @@ describe('TokenProcessor', () => {
       expect(result.data?.[0].collection).toBe('colors');
     });
   });
+
+  describe('processMatrixFiles()', () => {
+    const matrix = {
+      rules: [{ pattern: 'brands/{brand}/{theme}.json' }],
+    };
+
+    const files = [
+      {
+        data: { color: { gray: { 900: { $value: '#111111', $type: 'color' } } } },
+        filePath: 'primitives/colors.json',
+      },
+      {
+        data: { surface: { $value: '#FFFFFF', $type: 'color' }, text: { $value: '{color.gray.900}' } },
+        filePath: 'brands/acme/light.json',
+      },
+      {
+        data: { surface: { $value: '{color.gray.900}', $type: 'color' }, text: { $value: '{surface}' } },
+        filePath: 'brands/acme/dark.json',
+      },
+    ];
+
+    it('should assign brand, theme and brand collection from captures', async () => {
+      const result = await processor.processMatrixFiles(files, matrix, defaultOptions);
+
+      const dark = result.data!.find(t => t.qualifiedName === 'surface' && t.theme === 'dark');
+      expect(dark?.brand).toBe('acme');
+      expect(dark?.collection).toBe('acme');
+      expect(dark?.source.location).toBe('brands/acme/dark.json');
+    });
+
+    it('should keep unmatched files as shared sets', async () => {
+      const result = await processor.processMatrixFiles(files, matrix, defaultOptions);
+
+      const gray = result.data!.find(t => t.qualifiedName === 'color.gray.900');
+      expect(gray?.brand).toBeUndefined();
+      expect(gray?.theme).toBeUndefined();
+      expect(gray?.collection).toBe('primitives');
+    });
+
+    it('should give each theme its own token ID', async () => {
+      const result = await processor.processMatrixFiles(files, matrix, defaultOptions);
+
+      const surfaces = result.data!.filter(t => t.qualifiedName === 'surface');
+      expect(surfaces).toHaveLength(2);
+      expect(surfaces[0].id).not.toBe(surfaces[1].id);
+    });
+
+    it('should link aliases to the same theme first, then shared sets', async () => {
+      const result = await processor.processMatrixFiles(files, matrix, defaultOptions);
+      const tokens = result.data!;
+
+      const gray = tokens.find(t => t.qualifiedName === 'color.gray.900')!;
+      const darkSurface = tokens.find(t => t.qualifiedName === 'surface' && t.theme === 'dark')!;
+      const darkText = tokens.find(t => t.qualifiedName === 'text' && t.theme === 'dark')!;
+      const lightText = tokens.find(t => t.qualifiedName === 'text' && t.theme === 'light')!;
+
+      expect(darkText.aliasTo).toBe(darkSurface.id);
+      expect(lightText.aliasTo).toBe(gray.id);
+    });
+
+    it('should let explicit rule fields override captures', async () => {
+      const result = await processor.processMatrixFiles(
+        [files[1]],
+        { rules: [{ pattern: 'brands/{brand}/*.json', theme: 'day', collection: '{brand}-semantic' }] },
+        defaultOptions
+      );
+
+      expect(result.data?.[0].theme).toBe('day');
+      expect(result.data?.[0].collection).toBe('acme-semantic');
+    });
+  });
 });
@@ -0,0 +1,191 @@
+// ====================================================================================
+// TOKEN RESOLVER - CROSS-PROJECT REFERENCE TESTS
+// Tests for {project::path} references and their sync as cross-collection aliases
+// ====================================================================================
+
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { TokenProcessor } from '../../../core/services/TokenProcessor';
+import { FigmaSyncService } from '../../../core/services/FigmaSyncService';
+import { TokenFormatRegistry } from '../../../core/registries/TokenFormatRegistry';
+import { W3CTokenFormatStrategy } from '../../../core/adapters/W3CTokenFormatStrategy';
+import { createToken, createFigmaMock, installFigmaMock } from '../../fixtures';
+
+interface MockVariable {
+  id: string;
+  name: string;
+  resolvedType: string;
+  variableCollectionId: string;
+  valuesByMode: Record<string, unknown>;
+  setValueForMode: jest.Mock;
+  setVariableCodeSyntax: jest.Mock;
+}
+
+let variables: MockVariable[] = [];
+
+function createVariable(id: string, name: string, collectionId: string): MockVariable {
+  return {
+    id,
+    name,
+    resolvedType: 'COLOR',
+    variableCollectionId: collectionId,
+    valuesByMode: {},
+    setValueForMode: jest.fn(),
+    setVariableCodeSyntax: jest.fn(),
+  };
+}
+
+const mockFigma = createFigmaMock();
+mockFigma.variables.getLocalVariablesAsync.mockImplementation(async () => variables.slice());
+mockFigma.variables.getVariableByIdAsync.mockImplementation(async (id: string) => variables.find(v => v.id === id) || null);
+mockFigma.variables.createVariable.mockImplementation((name: string) => {
+  const variable = createVariable(`var-${name}`, name, 'collection-product');
+  variables.push(variable);
+  return variable;
+});
+installFigmaMock(mockFigma);
+
+const coreBlue = () =>
+  createToken('color.blue.500', 'color', '#0000ff', {
+    id: 'core-blue',
+    resolvedValue: '#0000ff',
+    projectId: 'core',
+    source: { type: 'local', location: 'core.json', imported: '2025-01-01' },
+  });
+
+const productPrimary = (overrides: Record<string, unknown> = {}) =>
+  createToken('color.primary', 'color', '{core::color.blue.500}', {
+    id: 'product-primary',
+    aliasTo: 'core-blue',
+    projectId: 'product',
+    collection: 'semantic',
+    ...overrides,
+  });
+
+describe('TokenResolver cross-project references', () => {
+  let repository: TokenRepository;
+  let resolver: TokenResolver;
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    resolver = new TokenResolver(repository);
+    resolver.setCrossProjectRefs(true);
+  });
+
+  test('parses project-qualified references', () => {
+    expect(TokenResolver.parseProjectReference('{core::color.blue.500}')).toEqual({ projectId: 'core', path: 'color.blue.500' });
+    expect(TokenResolver.parseProjectReference('core::color.blue.500')).toEqual({ projectId: 'core', path: 'color.blue.500' });
+    expect(TokenResolver.parseProjectReference('{color.blue.500}')).toBeNull();
+    expect(TokenResolver.parseProjectReference('{::color.blue.500}')).toBeNull();
+  });
+
+  test('resolves a reference in the named project', () => {
+    repository.add([coreBlue()]);
+
+    expect(resolver.resolveReference('{core::color.blue.500}', 'product')?.id).toBe('core-blue');
+    expect(resolver.resolveReference('{color.blue.500}', 'product')).toBeNull();
+  });
+
+  test('leaves project references unresolved while they are turned off', () => {
+    resolver.setCrossProjectRefs(false);
+    repository.add([coreBlue()]);
+
+    expect(resolver.resolveReference('{core::color.blue.500}', 'product')).toBeNull();
+  });
+
+  test('resolves aliases to the other project value', async () => {
+    repository.add([coreBlue(), productPrimary()]);
+
+    const result = await resolver.resolveAllTokens('product');
+
+    expect(result.data!.get('product-primary')).toBe('#0000ff');
+  });
+
+  test('relinks aliases whose derived id does not exist in the other project', async () => {
+    repository.add([coreBlue(), productPrimary({ aliasTo: 'themed-id', theme: 'dark' })]);
+
+    const result = await resolver.resolveAllTokens('product');
+
+    expect(result.data!.get('product-primary')).toBe('#0000ff');
+    expect(repository.get('product-primary')!.aliasTo).toBe('core-blue');
+  });
+
+  test('lists the projects a token set references', () => {
+    const tokens = [
+      productPrimary(),
+      productPrimary({ id: 'mode', value: '#fff', extensions: { w3c: { mode: { dark: '{brand::color.dark}' } } } }),
+      productPrimary({ id: 'own', value: '{product::color.primary}' }),
+    ];
+
+    expect(TokenResolver.findReferencedProjects(tokens).sort()).toEqual(['brand', 'core']);
+  });
+});
+
+describe('TokenProcessor cross-project aliases', () => {
+  beforeEach(() => {
+    TokenFormatRegistry.clear();
+    TokenFormatRegistry.register(new W3CTokenFormatStrategy());
+  });
+
+  afterEach(() => {
+    TokenFormatRegistry.clear();
+  });
+
+  test('points project-qualified aliases at the referenced project token id', async () => {
+    const processor = new TokenProcessor();
+    const options = { collection: 'tokens', sourceType: 'local' as const, sourceLocation: 'tokens.json' };
+
+    const core = await processor.processTokenData(
+      { color: { blue: { $value: '#0000ff', $type: 'color' } } },
+      { ...options, projectId: 'core' }
+    );
+    const product = await processor.processTokenData(
+      { color: { primary: { $value: '{core::color.blue}', $type: 'color' } } },
+      { ...options, projectId: 'product' }
+    );
+
+    expect(product.data![0].aliasTo).toBe(core.data![0].id);
+  });
+});
+
+describe('FigmaSyncService cross-project aliases', () => {
+  let repository: TokenRepository;
+  let service: FigmaSyncService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    repository = new TokenRepository();
+    const resolver = new TokenResolver(repository);
+    resolver.setCrossProjectRefs(true);
+    service = new FigmaSyncService(repository, resolver);
+
+    variables = [createVariable('var-core-blue', 'color/blue/500', 'collection-core')];
+    mockFigma.variables.getLocalVariableCollectionsAsync.mockResolvedValue([
+      { id: 'collection-core', name: 'primitive', modes: [{ modeId: 'mode-core', name: 'Mode 1' }] },
+      { id: 'collection-product', name: 'semantic', modes: [{ modeId: 'mode-product', name: 'Mode 1' }] },
+    ]);
+  });
+
+
+  test('aliases the variable the other project synced', async () => {
+    const tokens = [productPrimary({ resolvedValue: '#0000ff' })];
+    repository.add([coreBlue(), ...tokens]);
+    repository.update('core-blue', { extensions: { figma: { variableId: 'var-core-blue' } } });
+
+    const result = await service.syncTokens(tokens);
+
+    expect(result.success).toBe(true);
+    const primary = variables.find(v => v.name === 'color/primary');
+    expect(primary!.setValueForMode).toHaveBeenCalledWith('mode-product', { type: 'VARIABLE_ALIAS', id: 'var-core-blue' });
+  });
+
+  test('falls back to the resolved value when the other project was never synced', async () => {
+    const tokens = [productPrimary({ resolvedValue: '#0000ff' })];
+    repository.add([coreBlue(), ...tokens]);
+
+    await service.syncTokens(tokens);
+
+    const primary = variables.find(v => v.name === 'color/primary');
+    expect(primary!.setValueForMode).toHaveBeenCalledWith('mode-product', { r: 0, g: 0, b: 1 });
+  });
+});
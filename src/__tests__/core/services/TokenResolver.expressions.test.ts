@@ -0,0 +1,127 @@
+// ====================================================================================
+// TOKEN RESOLVER - EXPRESSION TESTS
+// Tests for math expressions and calc() evaluated against resolved references
+// ====================================================================================
+
+import { TokenResolver } from '../../../core/services/TokenResolver';
+import { TokenRepository } from '../../../core/services/TokenRepository';
+import { Token } from '../../../core/models/Token';
+
+function createToken(qualifiedName: string, value: unknown, overrides: Record<string, unknown> = {}): Token {
+  const path = qualifiedName.split('.');
+  return {
+    id: qualifiedName,
+    path,
+    name: path[path.length - 1],
+    qualifiedName,
+    type: 'dimension',
+    value,
+    rawValue: value,
+    resolvedValue: value,
+    projectId: 'test',
+    collection: 'primitive',
+    sourceFormat: 'w3c',
+    source: { type: 'local', location: 'tokens.json', imported: '2025-01-01' },
+    extensions: {},
+    tags: [],
+    status: 'active',
+    created: '2025-01-01',
+    lastModified: '2025-01-01',
+    ...overrides,
+  } as Token;
+}
+
+describe('TokenResolver expressions', () => {
+  let repository: TokenRepository;
+  let resolver: TokenResolver;
+
+  const resolve = async (tokens: Token[]) => {
+    repository.add(tokens);
+    const result = await resolver.resolveAllTokens('test');
+    expect(result.success).toBe(true);
+    return result.data!;
+  };
+
+  beforeEach(() => {
+    repository = new TokenRepository();
+    resolver = new TokenResolver(repository);
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('evaluates references after the tokens they depend on', async () => {
+    const resolved = await resolve([
+      createToken('spacing.lg', '{spacing.md} * 2'),
+      createToken('spacing.md', 'calc({spacing.base} + 4px)'),
+      createToken('spacing.base', { value: 4, unit: 'px' }),
+    ]);
+
+    expect(resolved.get('spacing.md')).toBe('8px');
+    expect(resolved.get('spacing.lg')).toBe('16px');
+    expect(repository.get('spacing.lg')!.resolvedValue).toBe('16px');
+  });
+
+  test('records the original expression on the token', async () => {
+    await resolve([
+      createToken('font.base', '16px'),
+      createToken('font.scale', 1.25, { type: 'number' }),
+      createToken('font.h1', 'roundTo({font.base} * {font.scale} ^ 3)', { type: 'fontSize' }),
+    ]);
+
+    const h1 = repository.get('font.h1')!;
+    expect(h1.resolvedValue).toBe('31px');
+    expect(h1.expression).toBe('roundTo({font.base} * {font.scale} ^ 3)');
+    expect(h1.value).toBe('roundTo({font.base} * {font.scale} ^ 3)');
+  });
+
+  test('gives aliases of an expression its result', async () => {
+    const resolved = await resolve([
+      createToken('spacing.base', '8px'),
+      createToken('spacing.double', '{spacing.base} * 2'),
+      createToken('gap', '{spacing.double}', { aliasTo: 'spacing.double' }),
+    ]);
+
+    expect(resolved.get('gap')).toBe('16px');
+  });
+
+  test('evaluates expressions inside composite values', async () => {
+    const resolved = await resolve([
+      createToken('font.base', '16px'),
+      createToken('type.title', { fontFamily: 'Inter', fontSize: '{font.base} * 2' }, { type: 'typography' }),
+    ]);
+
+    expect(resolved.get('type.title')).toEqual({ fontFamily: 'Inter', fontSize: '32px' });
+  });
+
+  test('reports failing expressions per token and keeps them unresolved', async () => {
+    const resolved = await resolve([
+      createToken('spacing.base', '8px'),
+      createToken('spacing.mixed', '{spacing.base} + 1rem'),
+      createToken('spacing.missing', '{spacing.nope} * 2'),
+      createToken('spacing.ok', '{spacing.base} / 2'),
+    ]);
+
+    expect(resolved.get('spacing.mixed')).toBe('{spacing.base} + 1rem');
+    expect(resolved.get('spacing.ok')).toBe('4px');
+    expect(resolver.getExpressionErrors()).toEqual([
+      {
+        tokenId: 'spacing.mixed',
+        qualifiedName: 'spacing.mixed',
+        expression: '{spacing.base} + 1rem',
+        error: 'Cannot combine px and rem',
+      },
+      expect.objectContaining({ tokenId: 'spacing.missing', error: 'Unresolved reference {spacing.nope}' }),
+    ]);
+  });
+
+  test('leaves plain values and whole-value references alone', () => {
+    expect(TokenResolver.isExpression('16px')).toBe(false);
+    expect(TokenResolver.isExpression('{spacing.base}')).toBe(false);
+    expect(TokenResolver.isExpression('rgba(0, 0, 0, 0.5)')).toBe(false);
+    expect(TokenResolver.isExpression('{spacing.base} * 2')).toBe(true);
+    expect(TokenResolver.isExpression({ fontSize: 'calc(1rem + 2px)' })).toBe(true);
+  });
+});
@@ -0,0 +1,126 @@
+// ====================================================================================
+// TEST FIXTURES
+// Token factory and Figma API mocks shared by the service tests
+// ====================================================================================
+
+import { Token } from '../core/models/Token';
+
+/**
+ * Mock of a Figma variable created during a sync
+ */
+export interface MockVariable {
+  id: string;
+  name: string;
+  resolvedType: string;
+  variableCollectionId: string;
+  description: string;
+  scopes: string[];
+  setValueForMode: jest.Mock;
+  setVariableCodeSyntax: jest.Mock;
+}
+
+/**
+ * Mock of a Figma variable collection with one mode
+ */
+export interface MockCollection {
+  id: string;
+  name: string;
+  modes: Array<{ modeId: string; name: string }>;
+  variableIds: string[];
+  renameMode: jest.Mock;
+  addMode: jest.Mock;
+}
+
+/**
+ * Create a token of the "test" project; its id, path and name come from the qualified name
+ *
+ * @param qualifiedName - Dot path of the token ("color.primary")
+ * @param overrides - Token fields to replace (collection defaults to "primitive")
+ */
+export function createToken(qualifiedName: string, type: string, value: unknown, overrides: Record<string, unknown> = {}): Token {
+  const path = qualifiedName.split('.');
+  return {
+    id: qualifiedName,
+    path,
+    name: path[path.length - 1],
+    qualifiedName,
+    type,
+    value,
+    rawValue: value,
+    projectId: 'test',
+    collection: 'primitive',
+    sourceFormat: 'w3c',
+    source: { type: 'local', location: 'test', imported: '2025-01-01' },
+    extensions: {},
+    tags: [],
+    status: 'active',
+    created: '2025-01-01',
+    lastModified: '2025-01-01',
+    ...overrides,
+  } as Token;
+}
+
+/**
+ * Create a Figma API mock with the variable functions every sync uses
+ * Tests add the style and font functions they need
+ */
+export function createFigmaMock() {
+  return {
+    variables: {
+      getLocalVariableCollectionsAsync: jest.fn(),
+      createVariableCollection: jest.fn(),
+      createVariable: jest.fn(),
+      getLocalVariablesAsync: jest.fn(),
+      getVariableByIdAsync: jest.fn(),
+      createVariableAlias: jest.fn((variable: { id: string }) => ({ type: 'VARIABLE_ALIAS', id: variable.id })),
+      setBoundVariableForPaint: jest.fn((paint: object, field: string, variable: { id: string }) => ({
+        ...paint,
+        boundVariables: { [field]: { type: 'VARIABLE_ALIAS', id: variable.id } },
+      })),
+    },
+    notify: jest.fn(),
+  };
+}
+
+/**
+ * Make the mock the global figma object (the plugin typings declare figma as a const)
+ */
+export function installFigmaMock(mockFigma: object): void {
+  (global as unknown as { figma: object }).figma = mockFigma;
+}
+
+/**
+ * Create an empty collection mock with a single "Mode 1" (mode-1)
+ */
+export function createMockCollection(name: string, id: string = 'collection-1'): MockCollection {
+  return {
+    id,
+    name,
+    modes: [{ modeId: 'mode-1', name: 'Mode 1' }],
+    variableIds: [],
+    renameMode: jest.fn(),
+    addMode: jest.fn(),
+  };
+}
+
+/**
+ * Make figma.variables.createVariable return variable mocks (var-1, var-2, …) and collect them
+ *
+ * @param created - Array the created variables are pushed to
+ */
+export function recordCreatedVariables(mockFigma: ReturnType<typeof createFigmaMock>, created: MockVariable[]): void {
+  mockFigma.variables.createVariable.mockImplementation((name: string, collection: { id: string }, type: string) => {
+    const variable: MockVariable = {
+      id: `var-${created.length + 1}`,
+      name,
+      resolvedType: type,
+      variableCollectionId: collection.id,
+      description: '',
+      scopes: [],
+      setValueForMode: jest.fn(),
+      setVariableCodeSyntax: jest.fn(),
+    };
+    created.push(variable);
+    return variable;
+  });
+}
@@ -0,0 +1,104 @@
+// ====================================================================================
+// IMPORT CONFIG SERVICE TESTS
+// Tests for reading plugin config files and building the import payloads
+// ====================================================================================
+
+import { ImportConfigService } from '../../../frontend/services/ImportConfigService';
+import { TokenFile, TokenData } from '../../../shared/types';
+
+function createFile(path: string, content: TokenData): TokenFile {
+  return { name: path, path, content, source: 'local' };
+}
+
+const primitives = createFile('tokens/primitives.json', { color: { red: { $type: 'color', $value: '#ff0000' } } });
+const semantics = createFile('tokens/semantics.json', { text: { $type: 'color', $value: '{color.red}' } });
+
+describe('ImportConfigService', () => {
+  let configs: ImportConfigService;
+
+  beforeEach(() => {
+    configs = new ImportConfigService();
+  });
+
+  describe('buildSyncRequest()', () => {
+    test('fills the two collections from files named after them', () => {
+      const result = configs.buildSyncRequest([semantics, primitives], 'github');
+
+      expect(result.data).toEqual({
+        type: 'import-tokens',
+        data: { primitives: primitives.content, semantics: semantics.content, source: 'github' },
+      });
+    });
+
+    test('applies the rename map and sync config in any folder', () => {
+      const result = configs.buildSyncRequest(
+        [
+          primitives,
+          createFile('config/token-renames.json', { 'color.old': 'color.red' }),
+          createFile('Token-Sync.json', { colorStyles: { primitive: 'also' } }),
+          createFile('token-contrast.json', { pairs: [] }),
+        ],
+        null
+      );
+
+      expect(result.data).toEqual({
+        type: 'import-tokens',
+        data: {
+          primitives: primitives.content,
+          semantics: null,
+          renames: { 'color.old': 'color.red' },
+          colorStyles: { primitive: 'also' },
+          source: 'local',
+        },
+      });
+    });
+
+    test('switches to the brand × theme import with a matrix config', () => {
+      const matrix = { rules: [{ pattern: 'brands/{brand}/{theme}.json' }] };
+      const dark = createFile('brands/acme/dark.json', {});
+
+      const result = configs.buildSyncRequest([createFile('token-matrix.json', matrix), dark], 'local');
+
+      expect(result.data).toEqual({
+        type: 'import-token-matrix',
+        data: { files: [{ path: dark.path, content: dark.content }], matrix, source: 'local' },
+      });
+    });
+
+    test('fails for malformed config files', () => {
+      expect(configs.buildSyncRequest([primitives, createFile('token-renames.json', { old: 1 })], 'local').error).toBe(
+        'token-renames.json must map old token paths to new token paths'
+      );
+      expect(configs.buildSyncRequest([primitives, createFile('token-sync.json', { colorStyles: { primitive: 'both' } })], 'local').error).toBe(
+        'token-sync.json "colorStyles" must map collection names to "also" or "instead"'
+      );
+      expect(configs.buildSyncRequest([primitives, createFile('token-matrix.json', { rules: {} })], 'local').error).toBe(
+        'token-matrix.json must contain a "rules" array'
+      );
+      expect(configs.buildSyncRequest([createFile('token-contrast.json', {})], 'local').error).toBe('No token files loaded');
+    });
+  });
+
+  test('buildLintData() lints matrix files by path', () => {
+    const dark = createFile('brands/acme/dark.json', {});
+
+    const result = configs.buildLintData([createFile('token-matrix.json', { rules: [] }), dark], 'local');
+
+    expect(result.data).toEqual({
+      primitives: null,
+      semantics: null,
+      files: [{ path: dark.path, content: dark.content }],
+      source: 'local',
+    });
+  });
+
+  test('buildContrastRequest() passes the pairs config and rejects malformed pairs', () => {
+    const config = { pairs: [{ foreground: 'text', background: 'color.red' }] };
+
+    const result = configs.buildContrastRequest([primitives, createFile('token-contrast.json', config)], 'local');
+
+    expect(result.data!.config).toEqual(config);
+    expect(result.data!.data).toEqual(expect.objectContaining({ primitives: primitives.content }));
+    expect(configs.buildContrastRequest([primitives, createFile('token-contrast.json', { pairs: {} })], 'local').success).toBe(false);
+  });
+});
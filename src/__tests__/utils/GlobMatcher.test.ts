@@ -0,0 +1,47 @@
+// ====================================================================================
+// GLOB MATCHER TESTS
+// Unit tests for GlobMatcher
+// ====================================================================================
+
+import { GlobMatcher } from '../../utils/GlobMatcher';
+
+describe('GlobMatcher', () => {
+  describe('match()', () => {
+    test('should match literal paths', () => {
+      expect(GlobMatcher.match('brands/acme/dark.json', 'brands/acme/dark.json')).toEqual({});
+      expect(GlobMatcher.match('brands/acme/dark.json', 'brands/acme/light.json')).toBeNull();
+    });
+
+    test('should capture named placeholders', () => {
+      const captures = GlobMatcher.match('brands/{brand}/{theme}.json', 'brands/acme/dark.json');
+
+      expect(captures).toEqual({ brand: 'acme', theme: 'dark' });
+    });
+
+    test('should keep * within a single segment', () => {
+      expect(GlobMatcher.test('brands/*.json', 'brands/acme.json')).toBe(true);
+      expect(GlobMatcher.test('brands/*.json', 'brands/acme/dark.json')).toBe(false);
+    });
+
+    test('should let ** span zero or more segments', () => {
+      expect(GlobMatcher.test('**/primitives.json', 'primitives.json')).toBe(true);
+      expect(GlobMatcher.test('**/primitives.json', 'tokens/core/primitives.json')).toBe(true);
+      expect(GlobMatcher.test('tokens/**', 'tokens/a/b/c.json')).toBe(true);
+    });
+
+    test('should match ? as a single character', () => {
+      expect(GlobMatcher.test('v?.json', 'v2.json')).toBe(true);
+      expect(GlobMatcher.test('v?.json', 'v10.json')).toBe(false);
+    });
+
+    test('should normalize separators and leading ./', () => {
+      expect(GlobMatcher.test('brands/{brand}.json', './brands/acme.json')).toBe(true);
+      expect(GlobMatcher.test('brands/{brand}.json', 'brands\\acme.json')).toBe(true);
+    });
+
+    test('should treat regex characters literally', () => {
+      expect(GlobMatcher.test('tokens(v1).json', 'tokens(v1).json')).toBe(true);
+      expect(GlobMatcher.test('a.json', 'abjson')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,72 @@
+// ====================================================================================
+// INFLATE TESTS
+// Round-trip tests against Node's zlib raw DEFLATE output
+// ====================================================================================
+
+import { deflateRawSync } from 'zlib';
+import { Inflate } from '../../utils/Inflate';
+
+function bytes(text: string): Uint8Array {
+  return new Uint8Array(Buffer.from(text, 'utf-8'));
+}
+
+describe('Inflate', () => {
+  const json = JSON.stringify({
+    color: {
+      primary: { $type: 'color', $value: '#0066ff' },
+      secondary: { $type: 'color', $value: '#ff6600' },
+    },
+    spacing: { sm: { $type: 'dimension', $value: '4px' } },
+  }, null, 2);
+
+  test('should inflate stored blocks (level 0)', () => {
+    const input = bytes(json);
+    const compressed = new Uint8Array(deflateRawSync(input, { level: 0 }));
+
+    expect(Inflate.inflate(compressed, input.length)).toEqual(input);
+  });
+
+  test('should inflate fixed Huffman blocks', () => {
+    const input = bytes('abc');
+    const compressed = new Uint8Array(deflateRawSync(input, { strategy: 4 })); // Z_FIXED
+
+    expect(Inflate.inflate(compressed)).toEqual(input);
+  });
+
+  test('should inflate dynamic Huffman blocks with back-references', () => {
+    const input = bytes(json.repeat(50));
+    const compressed = new Uint8Array(deflateRawSync(input, { level: 9 }));
+
+    expect(compressed.length).toBeLessThan(input.length / 10);
+    expect(Inflate.inflate(compressed, input.length)).toEqual(input);
+  });
+
+  test('should grow output beyond the size hint', () => {
+    const input = bytes('token '.repeat(5000));
+    const compressed = new Uint8Array(deflateRawSync(input));
+
+    expect(Inflate.inflate(compressed, 1)).toEqual(input);
+  });
+
+  test('should handle pseudo-random data spanning multiple blocks', () => {
+    const input = new Uint8Array(200000);
+    let seed = 42;
+    for (let i = 0; i < input.length; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7fffffff;
+      input[i] = i % 3 === 0 ? seed & 0xff : 65 + (seed % 8);
+    }
+    const compressed = new Uint8Array(deflateRawSync(input));
+
+    expect(Inflate.inflate(compressed, input.length)).toEqual(input);
+  });
+
+  test('should throw on truncated input', () => {
+    const compressed = new Uint8Array(deflateRawSync(bytes(json)));
+
+    expect(() => Inflate.inflate(compressed.subarray(0, compressed.length - 10))).toThrow();
+  });
+
+  test('should throw on invalid block type', () => {
+    expect(() => Inflate.inflate(new Uint8Array([0x07]))).toThrow('Invalid DEFLATE block type');
+  });
+});
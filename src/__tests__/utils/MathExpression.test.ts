@@ -0,0 +1,76 @@
+// ====================================================================================
+// MATH EXPRESSION TESTS
+// Unit tests for MathExpression
+// ====================================================================================
+
+import { MathExpression } from '../../utils/MathExpression';
+
+describe('MathExpression', () => {
+  describe('evaluate()', () => {
+    test('should respect operator precedence and parentheses', () => {
+      expect(MathExpression.evaluate('2 + 3 * 4')).toEqual({ value: 14, unit: '' });
+      expect(MathExpression.evaluate('(2 + 3) * 4')).toEqual({ value: 20, unit: '' });
+      expect(MathExpression.evaluate('-(4 - 6)')).toEqual({ value: 2, unit: '' });
+    });
+
+    test('should carry units through arithmetic', () => {
+      expect(MathExpression.evaluate('8px * 2 + 1')).toEqual({ value: 17, unit: 'px' });
+      expect(MathExpression.evaluate('3 * 1.5rem')).toEqual({ value: 4.5, unit: 'rem' });
+      expect(MathExpression.evaluate('24px / 2')).toEqual({ value: 12, unit: 'px' });
+      expect(MathExpression.evaluate('24px / 16px')).toEqual({ value: 1.5, unit: '' });
+    });
+
+    test('should round floating point noise', () => {
+      expect(MathExpression.evaluate('0.1 + 0.2').value).toBe(0.3);
+    });
+
+    test('should reject mixed units', () => {
+      expect(() => MathExpression.evaluate('1rem + 4px')).toThrow('Cannot combine rem and px');
+      expect(() => MathExpression.evaluate('2px * 2px')).toThrow('Cannot multiply');
+      expect(() => MathExpression.evaluate('2 / 2px')).toThrow('Cannot divide');
+    });
+
+    test('should reject invalid input', () => {
+      expect(() => MathExpression.evaluate('4 / 0')).toThrow('Division by zero');
+      expect(() => MathExpression.evaluate('(1 + 2')).toThrow('Missing closing parenthesis');
+      expect(() => MathExpression.evaluate('4 +')).toThrow('Unexpected end');
+      expect(() => MathExpression.evaluate('4furlongs * 2')).toThrow('Unsupported unit');
+    });
+
+    test('should evaluate powers with unary minus binding looser', () => {
+      expect(MathExpression.evaluate('1.25 ^ 3').value).toBe(1.9531);
+      expect(MathExpression.evaluate('2 ^ 3 ^ 2')).toEqual({ value: 512, unit: '' });
+      expect(MathExpression.evaluate('-2 ^ 2')).toEqual({ value: -4, unit: '' });
+      expect(MathExpression.evaluate('16px * 1.5 ^ 2')).toEqual({ value: 36, unit: 'px' });
+      expect(() => MathExpression.evaluate('2px ^ 2')).toThrow('Powers need unitless operands');
+    });
+
+    test('should evaluate calc() and functions', () => {
+      expect(MathExpression.evaluate('calc(1rem + 0.5rem)')).toEqual({ value: 1.5, unit: 'rem' });
+      expect(MathExpression.evaluate('roundTo(16px * 1.25 ^ 3)')).toEqual({ value: 31, unit: 'px' });
+      expect(MathExpression.evaluate('roundTo(10 / 3, 2)')).toEqual({ value: 3.33, unit: '' });
+      expect(MathExpression.evaluate('max(4px, 2 * 3px) + floor(1.7)')).toEqual({ value: 7, unit: 'px' });
+      expect(() => MathExpression.evaluate('min(1rem, 4px)')).toThrow('Cannot combine rem and px');
+      expect(() => MathExpression.evaluate('abs(1, 2)')).toThrow('abs() takes 1 argument');
+      expect(() => MathExpression.evaluate('sqrt(4)')).toThrow('Unsupported function');
+    });
+  });
+
+  describe('isExpression()', () => {
+    test('should require a binary operator or a function call', () => {
+      expect(MathExpression.isExpression('4px * 2')).toBe(true);
+      expect(MathExpression.isExpression('calc(16px)')).toBe(true);
+      expect(MathExpression.isExpression('16px')).toBe(false);
+      expect(MathExpression.isExpression('-1')).toBe(false);
+      expect(MathExpression.isExpression('#ff0000')).toBe(false);
+      expect(MathExpression.isExpression('0 2px 4px rgba(0,0,0,0.2)')).toBe(false);
+    });
+  });
+
+  describe('format()', () => {
+    test('should return numbers for unitless results and strings otherwise', () => {
+      expect(MathExpression.format({ value: 2, unit: '' })).toBe(2);
+      expect(MathExpression.format({ value: 16, unit: 'px' })).toBe('16px');
+    });
+  });
+});
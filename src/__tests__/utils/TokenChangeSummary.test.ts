@@ -0,0 +1,107 @@
+// ====================================================================================
+// TOKEN CHANGE SUMMARY TESTS
+// Unit tests for TokenChangeSummary
+// ====================================================================================
+
+import { TokenChangeSummary } from '../../utils/TokenChangeSummary';
+
+describe('TokenChangeSummary', () => {
+  const before = {
+    color: {
+      primary: { $type: 'color', $value: '#0066ff' },
+      secondary: { $type: 'color', $value: '#ff6600' },
+    },
+    spacing: {
+      sm: { $type: 'dimension', $value: '4px' },
+    },
+  };
+
+  describe('compare()', () => {
+    test('should report added, removed and changed token paths', () => {
+      const after = {
+        color: {
+          primary: { $type: 'color', $value: '#0055ee' },
+          tertiary: { $type: 'color', $value: '#00ff66' },
+        },
+        spacing: {
+          sm: { $type: 'dimension', $value: '4px' },
+        },
+      };
+
+      const changes = TokenChangeSummary.compare('tokens/color.json', before, after);
+
+      expect(changes.changed).toEqual(['color.primary']);
+      expect(changes.added).toEqual(['color.tertiary']);
+      expect(changes.removed).toEqual(['color.secondary']);
+      expect(changes.isNewFile).toBe(false);
+    });
+
+    test('should treat every token as added for a new file', () => {
+      const changes = TokenChangeSummary.compare('tokens/new.json', null, before);
+
+      expect(changes.isNewFile).toBe(true);
+      expect(changes.added).toEqual(['color.primary', 'color.secondary', 'spacing.sm']);
+    });
+
+    test('should ignore key order and extension-only edits', () => {
+      const after = {
+        spacing: {
+          sm: { $value: '4px', $type: 'dimension', $extensions: { figma: { scopes: ['GAP'] } } },
+        },
+        color: {
+          secondary: { $value: '#ff6600', $type: 'color' },
+          primary: { $value: '#0066ff', $type: 'color' },
+        },
+      };
+
+      const changes = TokenChangeSummary.compare('tokens/color.json', before, after);
+
+      expect(TokenChangeSummary.hasChanges(changes)).toBe(false);
+      expect(TokenChangeSummary.isIdentical(before, after)).toBe(false);
+    });
+
+    test('should support Style Dictionary value keys', () => {
+      const changes = TokenChangeSummary.compare(
+        'sd.json',
+        { size: { base: { value: '16px' } } },
+        { size: { base: { value: '18px' } } }
+      );
+
+      expect(changes.changed).toEqual(['size.base']);
+    });
+  });
+
+  describe('isIdentical()', () => {
+    test('should compare documents regardless of key order', () => {
+      const reordered = { spacing: before.spacing, color: before.color };
+
+      expect(TokenChangeSummary.isIdentical(before, reordered)).toBe(true);
+      expect(TokenChangeSummary.isIdentical(null, before)).toBe(false);
+    });
+  });
+
+  describe('toMarkdown()', () => {
+    test('should summarize totals and list paths per file', () => {
+      const markdown = TokenChangeSummary.toMarkdown([
+        { path: 'a.json', isNewFile: false, added: ['x'], removed: [], changed: ['y', 'z'] },
+        { path: 'b.json', isNewFile: true, added: ['w'], removed: [], changed: [] },
+      ]);
+
+      expect(markdown).toContain('**2** changed, **2** added, **0** removed across 2 file(s).');
+      expect(markdown).toContain('### `b.json` (new file)');
+      expect(markdown).toContain('- `y`');
+      expect(markdown).not.toContain('**Removed**');
+    });
+
+    test('should truncate long lists', () => {
+      const added = ['a', 'b', 'c', 'd'];
+      const markdown = TokenChangeSummary.toMarkdown(
+        [{ path: 'a.json', isNewFile: false, added, removed: [], changed: [] }],
+        2
+      );
+
+      expect(markdown).toContain('- …and 2 more');
+      expect(markdown).not.toContain('- `c`');
+    });
+  });
+});
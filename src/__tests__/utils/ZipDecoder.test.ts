@@ -0,0 +1,129 @@
+// ====================================================================================
+// ZIP DECODER TESTS
+// Unit tests for ZipDecoder using archives built in-memory
+// ====================================================================================
+
+import { crc32, deflateRawSync } from 'zlib';
+import { ZipDecoder } from '../../utils/ZipDecoder';
+
+interface FixtureEntry {
+  path: string;
+  content: string;
+  method?: 0 | 8;
+}
+
+/**
+ * Build a minimal ZIP archive (local headers + central directory + EOCD)
+ */
+function buildZip(entries: FixtureEntry[], options: { corruptCrc?: boolean; comment?: string } = {}): Uint8Array {
+  const locals: Buffer[] = [];
+  const centrals: Buffer[] = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = Buffer.from(entry.path, 'utf-8');
+    const raw = Buffer.from(entry.content, 'utf-8');
+    const method = entry.method === undefined ? 8 : entry.method;
+    const data = method === 8 ? deflateRawSync(raw) : raw;
+    const crc = (crc32(raw) + (options.corruptCrc ? 1 : 0)) >>> 0;
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(0x0800, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    locals.push(local, name, data);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+    centrals.push(central, name);
+
+    offset += local.length + name.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(centrals);
+  const comment = Buffer.from(options.comment || '', 'utf-8');
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(entries.length, 8);
+  eocd.writeUInt16LE(entries.length, 10);
+  eocd.writeUInt32LE(centralDirectory.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  eocd.writeUInt16LE(comment.length, 20);
+
+  return new Uint8Array(Buffer.concat(locals.concat([centralDirectory, eocd, comment])));
+}
+
+describe('ZipDecoder', () => {
+  const primitives = JSON.stringify({ color: { blue: { $type: 'color', $value: '#0066ff' } } });
+  const semantics = JSON.stringify({ color: { primary: { $type: 'color', $value: '{color.blue}' } } });
+
+  describe('decode()', () => {
+    test('should extract deflated and stored entries with folder paths', () => {
+      const zip = buildZip([
+        { path: 'tokens/primitives/color.json', content: primitives },
+        { path: 'tokens/semantic/color.json', content: semantics, method: 0 },
+      ]);
+
+      const entries = ZipDecoder.decode(zip);
+
+      expect(entries.map(entry => entry.path)).toEqual(['tokens/primitives/color.json', 'tokens/semantic/color.json']);
+      expect(JSON.parse(ZipDecoder.toText(entries[0].data))).toEqual(JSON.parse(primitives));
+      expect(JSON.parse(ZipDecoder.toText(entries[1].data))).toEqual(JSON.parse(semantics));
+    });
+
+    test('should skip directory entries', () => {
+      const zip = buildZip([
+        { path: 'tokens/', content: '', method: 0 },
+        { path: 'tokens/a.json', content: '{}' },
+      ]);
+
+      expect(ZipDecoder.decode(zip).map(entry => entry.path)).toEqual(['tokens/a.json']);
+    });
+
+    test('should find the central directory behind an archive comment', () => {
+      const zip = buildZip([{ path: 'a.json', content: '{}' }], { comment: 'built by CI' });
+
+      expect(ZipDecoder.decode(zip)).toHaveLength(1);
+    });
+
+    test('should reject entries with a CRC mismatch', () => {
+      const zip = buildZip([{ path: 'a.json', content: '{}' }], { corruptCrc: true });
+
+      expect(() => ZipDecoder.decode(zip)).toThrow('CRC mismatch in ZIP entry: a.json');
+    });
+
+    test('should reject data that is not a ZIP archive', () => {
+      expect(() => ZipDecoder.decode(new Uint8Array(Buffer.from('{"not":"a zip"}')))).toThrow('Not a ZIP archive');
+    });
+  });
+
+  describe('isZip()', () => {
+    test('should detect the local header signature', () => {
+      expect(ZipDecoder.isZip(buildZip([{ path: 'a.json', content: '{}' }]))).toBe(true);
+      expect(ZipDecoder.isZip(new Uint8Array([0x7b, 0x7d]))).toBe(false);
+    });
+  });
+
+  describe('toText()', () => {
+    test('should decode multi-byte UTF-8 including astral characters and strip BOM', () => {
+      const text = 'Größe — 色 🎨';
+      const withBom = new Uint8Array(Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(text, 'utf-8')]));
+
+      expect(ZipDecoder.toText(withBom)).toBe(text);
+    });
+  });
+});
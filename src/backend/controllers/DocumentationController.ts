@@ -3,10 +3,11 @@
 // Orchestrates token documentation generation operations
 // ====================================================================================
 
-import { Result, Success, DocumentationOptions, DocumentationResult, TokenFile, TokenMetadata } from '../../shared/types';
+import { Result, Success, DocumentationOptions, DocumentationResult, TokenFile, TokenMetadata, ContrastReport, ContrastMatrixResult } from '../../shared/types';
 import { ErrorHandler } from '../utils/ErrorHandler';
 import { StorageService } from '../services/StorageService';
 import { DocumentationGenerator } from '../services/DocumentationGenerator';
+import { ContrastMatrixGenerator } from '../services/ContrastMatrixGenerator';
 import { TokenRepository } from '../../core/services/TokenRepository';
 
 /**
@@ -26,15 +27,18 @@ export class DocumentationController {
   private generator: DocumentationGenerator;
   private storage: StorageService;
   private tokenRepository: TokenRepository;
+  private contrastMatrixGenerator: ContrastMatrixGenerator;
 
   constructor(
     generator: DocumentationGenerator,
     storage: StorageService,
-    tokenRepository: TokenRepository
+    tokenRepository: TokenRepository,
+    contrastMatrixGenerator: ContrastMatrixGenerator
   ) {
     this.generator = generator;
     this.storage = storage;
     this.tokenRepository = tokenRepository;
+    this.contrastMatrixGenerator = contrastMatrixGenerator;
   }
 
   /**
@@ -115,4 +119,29 @@ export class DocumentationController {
       return result.data!;
     }, 'Generate Documentation');
   }
+
+  /**
+   * Draw a contrast audit as a matrix frame next to the documentation
+   *
+   * @param report - Contrast report from the audit
+   * @returns Result with the frame id and its pair/mode counts
+   */
+  async generateContrastMatrix(report: ContrastReport): Promise<Result<ContrastMatrixResult>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.validateRequired(report, ['results', 'modes'], 'Generate Contrast Matrix');
+
+      const result = await this.contrastMatrixGenerator.generate(report);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Contrast matrix generation failed');
+      }
+
+      ErrorHandler.notifyUser(
+        `✓ Contrast matrix generated: ${result.data!.pairCount} pairs`,
+        'success'
+      );
+
+      return result.data!;
+    }, 'Generate Contrast Matrix');
+  }
 }
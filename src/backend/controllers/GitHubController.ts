@@ -3,7 +3,8 @@
 // Orchestrates GitHub repository operations
 // ====================================================================================
 
-import { Result, Success, GitHubConfig, GitHubFileObject, TokenData } from '../../shared/types';
+import { Result, Success, GitHubConfig, GitHubFileObject, TokenData, GitHubChangeRequest, GitHubPullRequestResult } from '../../shared/types';
+import { TokenChangeSummary, TokenFileChanges } from '../../utils/TokenChangeSummary';
 import { ErrorHandler } from '../utils/ErrorHandler';
 import { StorageService } from '../services/StorageService';
 import { GitHubService } from '../../services/githubService';
@@ -15,6 +16,7 @@ import { SUCCESS_MESSAGES, ERROR_MESSAGES } from '../../shared/constants';
  * Responsibilities:
  * - Fetch repository file lists
  * - Import token files from GitHub
+ * - Propose token changes as a branch + pull request
  * - Manage GitHub configuration persistence
  *
  * Principles:
@@ -88,7 +90,7 @@ export class GitHubController {
       );
 
       ErrorHandler.assert(
-        config.files && config.files.length > 0,
+        !!config.files && config.files.length > 0,
         'No files selected for import',
         'Import GitHub Files'
       );
@@ -113,6 +115,77 @@ export class GitHubController {
     }, 'Import GitHub Files');
   }
 
+  /**
+   * Propose token changes as a pull request
+   * Diffs each file against config.branch, commits changed files to a new
+   * branch and opens a PR with a token-level summary as its body
+   *
+   * @param config - GitHub configuration (branch is the PR base)
+   * @param request - Proposed file contents
+   * @returns Pull request number, URL and committed paths
+   */
+  async proposeChanges(config: GitHubConfig, request: GitHubChangeRequest): Promise<Result<GitHubPullRequestResult>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.validateRequired(
+        config,
+        ['token', 'owner', 'repo', 'branch'],
+        'Propose GitHub Changes'
+      );
+
+      ErrorHandler.assert(
+        request.files && request.files.length > 0,
+        'No files to propose',
+        'Propose GitHub Changes'
+      );
+
+      const changes: TokenFileChanges[] = [];
+      const commitFiles: Array<{ path: string; content: string }> = [];
+
+      for (const file of request.files) {
+        const current = await this.fetchExistingContent(config, file.path);
+
+        if (TokenChangeSummary.isIdentical(current, file.content)) {
+          continue;
+        }
+
+        changes.push(TokenChangeSummary.compare(file.path, current, file.content));
+        commitFiles.push({ path: file.path, content: `${JSON.stringify(file.content, null, 2)}\n` });
+      }
+
+      // Files that differ only in extensions (e.g. scopes) don't make a proposal on their own
+      ErrorHandler.assert(
+        changes.some(fileChanges => TokenChangeSummary.hasChanges(fileChanges)),
+        'No token changes to propose - repository is already up to date',
+        'Propose GitHub Changes'
+      );
+
+      const branchName = request.branchName || `tokens/update-${Date.now()}`;
+      const title = request.title || `Update design tokens (${commitFiles.length} file${commitFiles.length === 1 ? '' : 's'})`;
+
+      ErrorHandler.info(
+        `Proposing ${commitFiles.length} file(s) to ${config.owner}/${config.repo} on ${branchName}`,
+        'GitHubController'
+      );
+
+      const pullRequest = await this.githubService.proposeChanges(config, {
+        branchName,
+        title,
+        message: request.message || title,
+        body: TokenChangeSummary.toMarkdown(changes),
+        files: commitFiles,
+      });
+
+      ErrorHandler.notifyUser(`Pull request #${pullRequest.number} opened`, 'success');
+
+      return {
+        number: pullRequest.number,
+        url: pullRequest.url,
+        branch: pullRequest.branch,
+        files: commitFiles.map(file => file.path),
+      };
+    }, 'Propose GitHub Changes');
+  }
+
   /**
    * Save GitHub configuration to storage
    * Allows resuming GitHub sync without re-entering credentials
@@ -215,4 +288,22 @@ export class GitHubController {
       }
     }, 'Validate GitHub Config');
   }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Fetch current file content on the base branch
+   * Returns null when the file doesn't exist yet (it will be added)
+   */
+  private async fetchExistingContent(config: GitHubConfig, path: string): Promise<TokenData | null> {
+    try {
+      return await this.githubService.fetchFileContent(config, path);
+    } catch (error) {
+      if (!/\(404\)/.test(ErrorHandler.formatError(error))) {
+        throw error;
+      }
+      ErrorHandler.info(`${path} not found on ${config.branch}, will be added`, 'GitHubController');
+      return null;
+    }
+  }
 }
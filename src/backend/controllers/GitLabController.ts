@@ -0,0 +1,98 @@
+// ====================================================================================
+// GITLAB CONTROLLER
+// Orchestrates GitLab repository operations
+// ====================================================================================
+
+import { Result, GitLabConfig, TokenData } from '../../shared/types';
+import { ErrorHandler } from '../utils/ErrorHandler';
+import { IFileSource } from '../../core/interfaces/IFileSource';
+
+/**
+ * Controller for GitLab operations
+ *
+ * Responsibilities:
+ * - Fetch repository file lists
+ * - Import token files from GitLab
+ *
+ * Principles:
+ * - Dependency Injection: Receives the GitLab IFileSource via constructor
+ * - Single Responsibility: Only orchestrates GitLab operations
+ * - Result Pattern: All public methods return Result<T>
+ */
+export class GitLabController {
+  private fileSource: IFileSource;
+
+  constructor(fileSource: IFileSource) {
+    this.fileSource = fileSource;
+  }
+
+  /**
+   * Fetch list of JSON files from GitLab repository
+   *
+   * @param config - GitLab project configuration
+   * @returns Array of file paths
+   */
+  async fetchFiles(config: GitLabConfig): Promise<Result<string[]>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.validateRequired(
+        config,
+        ['baseUrl', 'projectId', 'ref'],
+        'Fetch GitLab Files'
+      );
+
+      ErrorHandler.info(
+        `Fetching files from ${config.baseUrl} project ${config.projectId}@${config.ref}`,
+        'GitLabController'
+      );
+
+      const result = await this.fileSource.fetchFileList({ source: 'gitlab', ...config });
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to fetch GitLab files');
+      }
+
+      const filePaths = result.data!.map(file => file.path);
+
+      ErrorHandler.info(`Found ${filePaths.length} JSON files in project`, 'GitLabController');
+
+      return filePaths;
+    }, 'Fetch GitLab Files');
+  }
+
+  /**
+   * Import selected token files from GitLab
+   *
+   * @param config - GitLab configuration with selected files
+   * @returns Parsed files keyed by repository path
+   */
+  async importFiles(config: GitLabConfig): Promise<Result<Array<{ path: string; content: TokenData }>>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.validateRequired(
+        config,
+        ['baseUrl', 'projectId', 'ref', 'files'],
+        'Import GitLab Files'
+      );
+
+      ErrorHandler.assert(
+        !!config.files && config.files.length > 0,
+        'No files selected for import',
+        'Import GitLab Files'
+      );
+
+      const filePaths = config.files!;
+
+      ErrorHandler.info(
+        `Importing ${filePaths.length} files from project ${config.projectId}@${config.ref}`,
+        'GitLabController'
+      );
+
+      const result = await this.fileSource.fetchMultipleFiles({ source: 'gitlab', ...config }, filePaths);
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to import GitLab files');
+      }
+
+      return filePaths.map((path, index) => ({ path, content: result.data![index] }));
+    }, 'Import GitLab Files');
+  }
+}
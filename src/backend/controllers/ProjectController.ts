@@ -0,0 +1,278 @@
+// ====================================================================================
+// PROJECT CONTROLLER
+// Manages the token projects of the workspace
+// ====================================================================================
+
+import { Result, ProjectInfo, ProjectList, ProjectSummary } from '../../shared/types';
+import { ErrorHandler } from '../utils/ErrorHandler';
+import { StorageService } from '../services/StorageService';
+import { StorageAdapter } from '../../core/services/StorageAdapter';
+import { TokenRepository } from '../../core/services/TokenRepository';
+import { DEFAULT_PROJECT_ID } from '../../shared/constants';
+
+/**
+ * Controller for workspace projects
+ *
+ * Several token repositories can sync into one Figma file. Each project keeps its own
+ * source config (token state, GitHub config), collections and sync history; imports
+ * and syncs go to the active project.
+ *
+ * Responsibilities:
+ * - Create, list, rename and delete projects
+ * - Switch the active project and restore it on plugin start
+ * - Scope StorageService to the active project
+ *
+ * Principles:
+ * - Dependency Injection: Receives services via constructor
+ * - Single Responsibility: Only manages the project index, TokenController syncs
+ * - Result Pattern: All public methods return Result<T>
+ *
+ * Deleting a project removes what the plugin stored for it; the variables it synced
+ * stay in the Figma file.
+ */
+export class ProjectController {
+  private storage: StorageService;
+  private projectStorage: StorageAdapter;
+  private tokenRepository: TokenRepository;
+  private activeProjectId: string = DEFAULT_PROJECT_ID;
+
+  constructor(
+    storage: StorageService,
+    projectStorage: StorageAdapter,
+    tokenRepository: TokenRepository
+  ) {
+    this.storage = storage;
+    this.projectStorage = projectStorage;
+    this.tokenRepository = tokenRepository;
+  }
+
+  /**
+   * Restore the project used last (the default project on first start)
+   *
+   * @returns Active project id
+   */
+  async restoreActiveProject(): Promise<Result<string>> {
+    return ErrorHandler.handle(async () => {
+      const projects = await this.loadProjects();
+      const savedResult = await this.storage.getActiveProjectId();
+      const saved = savedResult.success ? savedResult.data : null;
+
+      const active = projects.find(project => project.id === saved) || projects[0];
+      this.activate(active.id);
+
+      ErrorHandler.info(`Active project restored: ${active.name}`, 'ProjectController');
+      return active.id;
+    }, 'Restore Active Project');
+  }
+
+  /**
+   * List the projects with their collections and sync history
+   *
+   * @returns Projects and the active project id
+   */
+  async listProjects(): Promise<Result<ProjectList>> {
+    return ErrorHandler.handle(async () => {
+      return this.buildProjectList(await this.loadProjects());
+    }, 'List Projects');
+  }
+
+  /**
+   * Create a project
+   * Its id is derived from the name and never changes (it is used in {project::path} references)
+   *
+   * @param name - Display name
+   * @returns The new project
+   */
+  async createProject(name: string): Promise<Result<ProjectInfo>> {
+    return ErrorHandler.handle(async () => {
+      const projects = await this.loadProjects();
+      const trimmed = this.validateName(name, projects, 'Create Project');
+
+      const project: ProjectInfo = {
+        id: this.generateProjectId(trimmed, projects),
+        name: trimmed,
+        created: new Date().toISOString(),
+      };
+
+      await this.saveProjects(projects.concat(project));
+      ErrorHandler.info(`Project created: ${project.name} (${project.id})`, 'ProjectController');
+
+      return project;
+    }, 'Create Project');
+  }
+
+  /**
+   * Make a project the target of imports and syncs
+   *
+   * @param projectId - Project id
+   * @returns Projects and the new active project id
+   */
+  async switchProject(projectId: string): Promise<Result<ProjectList>> {
+    return ErrorHandler.handle(async () => {
+      const projects = await this.loadProjects();
+      const project = this.findProject(projects, projectId, 'Switch Project');
+
+      this.activate(project.id);
+      const saveResult = await this.storage.saveActiveProjectId(project.id);
+      if (!saveResult.success) {
+        ErrorHandler.warn(`Active project not saved: ${saveResult.error}`, 'ProjectController');
+      }
+
+      ErrorHandler.info(`Switched to project: ${project.name}`, 'ProjectController');
+      return this.buildProjectList(projects);
+    }, 'Switch Project');
+  }
+
+  /**
+   * Rename a project (its id stays the same)
+   *
+   * @param projectId - Project id
+   * @param name - New display name
+   * @returns Updated projects
+   */
+  async renameProject(projectId: string, name: string): Promise<Result<ProjectList>> {
+    return ErrorHandler.handle(async () => {
+      const projects = await this.loadProjects();
+      const project = this.findProject(projects, projectId, 'Rename Project');
+      const others = projects.filter(other => other.id !== project.id);
+      const trimmed = this.validateName(name, others, 'Rename Project');
+
+      const renamed = projects.map(other => (other.id === project.id ? { ...other, name: trimmed } : other));
+      await this.saveProjects(renamed);
+      ErrorHandler.info(`Project renamed: ${project.name} → ${trimmed}`, 'ProjectController');
+
+      return this.buildProjectList(renamed);
+    }, 'Rename Project');
+  }
+
+  /**
+   * Delete a project and everything the plugin stored for it
+   * The active project cannot be deleted - switch to another one first
+   *
+   * @param projectId - Project id
+   * @returns Remaining projects
+   */
+  async deleteProject(projectId: string): Promise<Result<ProjectList>> {
+    return ErrorHandler.handle(async () => {
+      const projects = await this.loadProjects();
+      const project = this.findProject(projects, projectId, 'Delete Project');
+      ErrorHandler.assert(
+        project.id !== this.activeProjectId,
+        'The active project cannot be deleted. Switch to another project first.',
+        'Delete Project'
+      );
+
+      const clearResult = await this.storage.clearProjectData(project.id);
+      if (!clearResult.success) {
+        throw new Error(clearResult.error || 'Failed to clear project storage');
+      }
+
+      const deleteResult = await this.projectStorage.delete(project.id);
+      if (!deleteResult.success) {
+        throw new Error(deleteResult.error || 'Failed to delete project storage');
+      }
+
+      this.tokenRepository.removeProject(project.id);
+
+      const remaining = projects.filter(other => other.id !== project.id);
+      await this.saveProjects(remaining);
+      ErrorHandler.info(`Project deleted: ${project.name}`, 'ProjectController');
+
+      return this.buildProjectList(remaining);
+    }, 'Delete Project');
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Load the project index; before the first project is created the workspace
+   * holds only the default project
+   */
+  private async loadProjects(): Promise<ProjectInfo[]> {
+    const result = await this.storage.getProjects();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to load projects');
+    }
+
+    if (result.data!.length > 0) {
+      return result.data!;
+    }
+
+    return [{ id: DEFAULT_PROJECT_ID, name: 'Default', created: new Date().toISOString() }];
+  }
+
+  private async saveProjects(projects: ProjectInfo[]): Promise<void> {
+    const result = await this.storage.saveProjects(projects);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to save projects');
+    }
+  }
+
+  private activate(projectId: string): void {
+    this.activeProjectId = projectId;
+    this.storage.setProject(projectId);
+  }
+
+  /**
+   * Add each project's sync history and the collections of its last successful sync
+   */
+  private async buildProjectList(projects: ProjectInfo[]): Promise<ProjectList> {
+    const summaries: ProjectSummary[] = [];
+
+    for (const project of projects) {
+      const historyResult = await this.projectStorage.loadSyncHistory(project.id);
+      if (!historyResult.success) {
+        ErrorHandler.warn(`Sync history of "${project.name}" unavailable: ${historyResult.error}`, 'ProjectController');
+      }
+
+      const history = historyResult.success ? historyResult.data! : [];
+      const lastSuccess = history.find(entry => entry.success);
+
+      summaries.push({
+        ...project,
+        collections: lastSuccess ? lastSuccess.collections : [],
+        history,
+      });
+    }
+
+    return { projects: summaries, activeProjectId: this.activeProjectId };
+  }
+
+  private findProject(projects: ProjectInfo[], projectId: string, context: string): ProjectInfo {
+    const project = projects.find(candidate => candidate.id === projectId);
+    ErrorHandler.assert(!!project, `Project not found: ${projectId}`, context);
+    return project!;
+  }
+
+  /**
+   * Trim the name and reject empty names or names another project uses
+   */
+  private validateName(name: string, others: ProjectInfo[], context: string): string {
+    const trimmed = (name || '').trim();
+    ErrorHandler.assert(trimmed.length > 0, 'Project name is required', context);
+
+    const lower = trimmed.toLowerCase();
+    ErrorHandler.assert(
+      !others.some(other => other.name.toLowerCase() === lower),
+      `A project named "${trimmed}" already exists`,
+      context
+    );
+
+    return trimmed;
+  }
+
+  /**
+   * Slug of the name, suffixed until unique ("Brand A" → "brand-a", "brand-a-2")
+   */
+  private generateProjectId(name: string, projects: ProjectInfo[]): string {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'project';
+    const taken = new Set(projects.map(project => project.id));
+
+    let id = base;
+    for (let suffix = 2; taken.has(id); suffix++) {
+      id = `${base}-${suffix}`;
+    }
+
+    return id;
+  }
+}
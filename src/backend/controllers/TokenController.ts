@@ -3,14 +3,21 @@
 // Orchestrates token import/export operations
 // ====================================================================================
 
-import { Result, Success, Failure, TokenData, ImportStats, TokenState, TokenImportData } from '../../shared/types';
+import { Result, Success, Failure, TokenData, ImportStats, TokenState, TokenImportData, TokenMatrixImportData, VariableExportFile, OrphanResolution, OrphanAction, TokenSyncState, ProjectSyncEntry, LintConfig, LintReport, LintRuleInfo, ContrastAuditRequest, ContrastReport, FontStyleMapping, FontPreflightReport, ProjectSettings } from '../../shared/types';
 import { ErrorHandler } from '../utils/ErrorHandler';
 import { StorageService } from '../services/StorageService';
-import { FigmaSyncService } from '../../core/services/FigmaSyncService';
+import { VariableExporter } from '../services/VariableExporter';
+import { FigmaSyncService, SyncOptions, SyncResult } from '../../core/services/FigmaSyncService';
+import { SyncStateTracker } from '../../core/services/SyncStateTracker';
+import { StorageAdapter } from '../../core/services/StorageAdapter';
 import { TokenRepository } from '../../core/services/TokenRepository';
 import { TokenResolver } from '../../core/services/TokenResolver';
 import { TokenProcessor } from '../../core/services/TokenProcessor';
-import { SUCCESS_MESSAGES } from '../../shared/constants';
+import { TokenLinter } from '../../core/services/TokenLinter';
+import { ContrastAuditor } from '../../core/services/ContrastAuditor';
+import { FontPreflight } from '../../core/services/FontPreflight';
+import { Token } from '../../core/models/Token';
+import { SUCCESS_MESSAGES, DEFAULT_PROJECT_ID, DEFAULT_PROJECT_SETTINGS } from '../../shared/constants';
 
 /**
  * Controller for token operations (v2.0)
@@ -19,6 +26,15 @@ import { SUCCESS_MESSAGES } from '../../shared/constants';
  * - Orchestrate token import to Figma variables
  * - Manage token state persistence
  * - Coordinate between FigmaSyncService and StorageService
+ * - Export Figma variables back to W3C token files
+ * - Dry run (ProjectSettings.dryRun): return a change plan and hold the sync until confirmed
+ * - Roll back failed or cancelled syncs (ProjectSettings.transactionalSync)
+ * - Report variables whose token was removed and prune them on request
+ * - Record per-token sync state (ProjectSettings.syncStateTracking)
+ * - Load projects referenced as {project::path} and store synced projects (ProjectSettings.crossProjectRefs)
+ * - Import and sync into the active project, recording each sync in its history
+ * - Lint tokens against the project's rules (ProjectSettings.lint)
+ * - Check fonts before syncing and hold the sync while fonts are missing (ProjectSettings.fontPreflight)
  *
  * Principles:
  * - Dependency Injection: Receives services via constructor
@@ -30,17 +46,59 @@ export class TokenController {
   private storage: StorageService;
   private tokenRepository: TokenRepository;
   private tokenResolver: TokenResolver;
+  private variableExporter: VariableExporter;
+  private syncStateTracker: SyncStateTracker;
+  private projectStorage: StorageAdapter;
+  private tokenLinter: TokenLinter;
+  private contrastAuditor: ContrastAuditor;
+  private fontPreflight: FontPreflight;
+  private pendingSync: { tokens: Token[]; options: SyncOptions } | null = null; // Sync awaiting confirmation (dry run or missing fonts)
+  private projectId: string = DEFAULT_PROJECT_ID; // Project imports and syncs go to
 
   constructor(
     figmaSyncService: FigmaSyncService,
     storage: StorageService,
     tokenRepository: TokenRepository,
-    tokenResolver: TokenResolver
+    tokenResolver: TokenResolver,
+    variableExporter: VariableExporter,
+    syncStateTracker: SyncStateTracker,
+    projectStorage: StorageAdapter,
+    tokenLinter: TokenLinter,
+    contrastAuditor: ContrastAuditor,
+    fontPreflight: FontPreflight
   ) {
     this.figmaSyncService = figmaSyncService;
     this.storage = storage;
     this.tokenRepository = tokenRepository;
     this.tokenResolver = tokenResolver;
+    this.variableExporter = variableExporter;
+    this.syncStateTracker = syncStateTracker;
+    this.projectStorage = projectStorage;
+    this.tokenLinter = tokenLinter;
+    this.contrastAuditor = contrastAuditor;
+    this.fontPreflight = fontPreflight;
+  }
+
+  /**
+   * Import and sync into another project
+   * A sync planned for the previous project is discarded
+   *
+   * @param projectId - Project id
+   */
+  setActiveProject(projectId: string): void {
+    if (projectId === this.projectId) return;
+
+    this.projectId = projectId;
+    this.pendingSync = null;
+    this.syncStateTracker.setProject(projectId);
+    ErrorHandler.info(`Active project: ${projectId}`, 'TokenController');
+  }
+
+  /**
+   * Id of the project imports and syncs go to
+   */
+  getActiveProject(): string {
+    return this.projectId;
   }
 
   /**
@@ -52,117 +110,315 @@ export class TokenController {
    */
   async importTokens(data: TokenImportData): Promise<Result<ImportStats>> {
     return ErrorHandler.handle(async () => {
-      const { primitives, semantics } = data;
+      const allTokens = await this.processImportData(data);
+      return this.resolveAndSync(allTokens, { renames: data.renames, colorStyles: data.colorStyles });
+    }, 'Import Tokens');
+  }
+
+  /**
+   * Import a brand × theme token matrix to Figma variables
+   * Files are mapped to brand/theme by glob rules; brands sync as collections, themes as modes
+   *
+   * @param data - Token files with paths plus the matrix configuration
+   * @returns Import statistics
+   */
+  async importTokenMatrix(data: TokenMatrixImportData): Promise<Result<ImportStats>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.validateRequired(data, ['files', 'matrix'], 'Import Token Matrix');
+      ErrorHandler.assert(data.files.length > 0, 'No token files provided', 'Import Token Matrix');
 
-      // Validate at least one token set is provided
-      if (!primitives && !semantics) {
-        throw new Error('No token data provided. Expected primitives or semantics.');
+      const tokens = await this.processMatrixData(data);
+      return this.resolveAndSync(tokens, { renames: data.renames, colorStyles: data.colorStyles });
+    }, 'Import Token Matrix');
+  }
+
+  /**
+   * Apply the sync held by the last dry run or font preflight
+   *
+   * @returns Import statistics
+   */
+  async applyPendingSync(): Promise<Result<ImportStats>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.assert(!!this.pendingSync, 'No planned sync to apply', 'Apply Sync');
+
+      const { tokens, options } = this.pendingSync!;
+      this.pendingSync = null;
+
+      // Styles picked for missing fonts during the review are saved before confirming
+      return this.syncToFigma(tokens, { ...options, fontStyles: await this.loadFontStyleMapping() });
+    }, 'Apply Sync');
+  }
+
+  /**
+   * Discard the sync held by the last dry run or font preflight (Figma was never modified),
+   * or cancel a running transactional sync so it rolls back
+   *
+   * @returns true if a running sync was cancelled
+   */
+  async cancelPendingSync(): Promise<Result<boolean>> {
+    return ErrorHandler.handle(async () => {
+      this.pendingSync = null;
+
+      if (this.figmaSyncService.requestCancel()) {
+        ErrorHandler.info('Running sync cancelled - rolling back', 'TokenController');
+        return true;
+      }
+
+      ErrorHandler.info('Planned sync discarded', 'TokenController');
+      return false;
+    }, 'Cancel Sync');
+  }
+
+  /**
+   * Delete, deprecate or keep variables reported as orphaned after a sync
+   *
+   * @param resolutions - Action per variable id
+   * @returns Number of variables handled per action
+   */
+  async resolveOrphans(resolutions: OrphanResolution[]): Promise<Result<Record<OrphanAction, number>>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.assert(Array.isArray(resolutions) && resolutions.length > 0, 'No orphan actions provided', 'Resolve Orphans');
+
+      const result = await this.figmaSyncService.resolveOrphans(resolutions);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to resolve orphaned variables');
       }
 
       ErrorHandler.info(
-        `Importing tokens (primitives: ${primitives ? 'yes' : 'no'}, semantics: ${semantics ? 'yes' : 'no'})`,
+        `Orphans resolved: ${result.data!.delete} deleted, ${result.data!.deprecate} deprecated, ${result.data!.keep} kept`,
         'TokenController'
       );
+      return result.data!;
+    }, 'Resolve Orphans');
+  }
 
-      // Process tokens using new TokenProcessor
-      const processor = new TokenProcessor();
-      const allTokens = [];
-      let stats: ImportStats = { added: 0, updated: 0, skipped: 0 };
-
-      // Process primitives
-      if (primitives) {
-        const primResult = await processor.processTokenData(primitives, {
-          projectId: 'default',
-          collection: 'primitive',
-          sourceType: 'local',
-          sourceLocation: 'primitives',
-        });
-        if (primResult.success && primResult.data) {
-          allTokens.push(...primResult.data);
-        } else if (!primResult.success) {
-          throw new Error(`Failed to process primitives: ${primResult.error}`);
-        }
+  /**
+   * Get the sync state of every token (ProjectSettings.syncStateTracking)
+   * Tokens imported in this session are compared against their last sync;
+   * other recorded tokens report the state of their last sync
+   *
+   * @returns Sync state per token, or null when tracking is disabled
+   */
+  async getSyncState(): Promise<Result<TokenSyncState[] | null>> {
+    return ErrorHandler.handle(async () => {
+      if (!(await this.loadSettings()).syncStateTracking) {
+        return null;
       }
 
-      // Process semantics
-      if (semantics) {
-        const semResult = await processor.processTokenData(semantics, {
-          projectId: 'default',
-          collection: 'semantic',
-          sourceType: 'local',
-          sourceLocation: 'semantics',
-        });
-        if (semResult.success && semResult.data) {
-          allTokens.push(...semResult.data);
-        } else if (!semResult.success) {
-          throw new Error(`Failed to process semantics: ${semResult.error}`);
-        }
+      const loadResult = await this.syncStateTracker.load();
+      if (!loadResult.success) {
+        throw new Error(loadResult.error || 'Failed to load sync state');
       }
 
-      // Add to repository (batch operation)
-      this.tokenRepository.add(allTokens);
+      return this.syncStateTracker.getStates(this.tokenRepository.getByProject(this.projectId));
+    }, 'Get Sync State');
+  }
 
-      // CRITICAL: Resolve all token aliases and references
-      ErrorHandler.info(
-        `Resolving ${allTokens.length} tokens...`,
-        'TokenController'
-      );
-      const resolveResult = await this.tokenResolver.resolveAllTokens('default');
+  /**
+   * Lint token files against the project's rules without syncing (ProjectSettings.lint)
+   * Aliases are not resolved, so only their targets' values are type-checked
+   *
+   * @param data - Import data (same payload as an import)
+   * @returns Lint report, or null when linting is disabled
+   */
+  async lintTokens(data: TokenImportData): Promise<Result<LintReport | null>> {
+    return ErrorHandler.handle(async () => {
+      if (!(await this.loadSettings()).lint) {
+        return null;
+      }
 
-      if (!resolveResult.success) {
-        ErrorHandler.warn(
-          `Token resolution failed: ${resolveResult.error}. Continuing with unresolved values.`,
-          'TokenController'
-        );
-        // Continue anyway - non-aliases will still work
-      } else {
-        const resolvedValues = resolveResult.data!;
-        ErrorHandler.info(
-          `Resolved ${resolvedValues.size} token values`,
-          'TokenController'
-        );
+      const tokens = await this.processImportData(data);
+      return this.lint(tokens);
+    }, 'Lint Tokens');
+  }
 
-        // Update each token's resolvedValue in the repository
-        for (const [tokenId, resolvedValue] of resolvedValues.entries()) {
-          this.tokenRepository.update(tokenId, { resolvedValue });
-        }
+  /**
+   * Get the lint rules with the project's configuration (ProjectSettings.lint)
+   *
+   * @returns Rules with their effective configuration, or null when linting is disabled
+   */
+  async getLintConfig(): Promise<Result<LintRuleInfo[] | null>> {
+    return ErrorHandler.handle(async () => {
+      if (!(await this.loadSettings()).lint) {
+        return null;
+      }
 
-        // Refresh allTokens array with updated tokens from repository
-        const updatedTokens = [];
-        for (const token of allTokens) {
-          const updated = this.tokenRepository.get(token.id);
-          if (updated) {
-            updatedTokens.push(updated);
-          }
-        }
-        allTokens.length = 0;
-        allTokens.push(...updatedTokens);
+      return this.tokenLinter.getRules(await this.loadLintConfig());
+    }, 'Get Lint Config');
+  }
+
+  /**
+   * Save the project's lint configuration
+   *
+   * @param config - Severity and options per rule id
+   * @returns Rules with their new effective configuration
+   */
+  async saveLintConfig(config: LintConfig): Promise<Result<LintRuleInfo[]>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.validateRequired(config, ['rules'], 'Save Lint Config');
+
+      const result = await this.storage.saveLintConfig(config);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save lint config');
       }
 
-      // Sync to Figma using FigmaSyncService (with resolved values)
-      const syncResult = await this.figmaSyncService.syncTokens(allTokens);
+      return this.tokenLinter.getRules(config);
+    }, 'Save Lint Config');
+  }
 
-      if (!syncResult.success) {
-        throw new Error(syncResult.error || 'Failed to sync tokens to Figma');
+  /**
+   * Get the project's settings
+   *
+   * @returns Saved settings over the defaults
+   */
+  async getSettings(): Promise<Result<ProjectSettings>> {
+    return ErrorHandler.handle(async () => {
+      const result = await this.storage.getSettings();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load settings');
       }
 
-      // Calculate stats (for now, all tokens are considered "added")
-      // TODO: Track actual add vs update in FigmaSyncService
-      stats.added = allTokens.length;
+      return { ...DEFAULT_PROJECT_SETTINGS, ...result.data };
+    }, 'Get Settings');
+  }
+
+  /**
+   * Save the project's settings, used by every following import
+   *
+   * @param settings - Settings to change (the others keep their value)
+   * @returns All settings after the change
+   */
+  async saveSettings(settings: Partial<ProjectSettings>): Promise<Result<ProjectSettings>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.assert(!!settings && typeof settings === 'object', 'No settings provided', 'Save Settings');
+
+      const saved = { ...(await this.loadSettings()), ...settings };
+      const result = await this.storage.saveSettings(saved);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save settings');
+      }
+
+      return saved;
+    }, 'Save Settings');
+  }
+
+  /**
+   * Get the project's font style mapping
+   *
+   * @returns Style names per weight and family overrides (empty when none was saved)
+   */
+  async getFontStyleMapping(): Promise<Result<FontStyleMapping>> {
+    return ErrorHandler.handle(async () => {
+      const result = await this.storage.getFontStyleMapping();
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to load font styles');
+      }
+
+      return result.data || {};
+    }, 'Get Font Styles');
+  }
+
+  /**
+   * Save the project's font style mapping, used by every following sync
+   *
+   * @param mapping - Style names per weight, with per-family overrides
+   * @returns The saved mapping
+   */
+  async saveFontStyleMapping(mapping: FontStyleMapping): Promise<Result<FontStyleMapping>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.assert(!!mapping && typeof mapping === 'object', 'No font styles provided', 'Save Font Styles');
+
+      const result = await this.storage.saveFontStyleMapping(mapping);
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to save font styles');
+      }
+
+      return mapping;
+    }, 'Save Font Styles');
+  }
+
+  /**
+   * Audit the contrast of semantic color pairs without syncing
+   * References are followed per mode by the auditor, the repository is left untouched
+   *
+   * @param request - Token files (plain or matrix payload) and the pair configuration
+   * @returns Contrast per pair and mode
+   */
+  async auditContrast(request: ContrastAuditRequest): Promise<Result<ContrastReport>> {
+    return ErrorHandler.handle(async () => {
+      ErrorHandler.validateRequired(request, ['data'], 'Audit Contrast');
+
+      const data = request.data;
+      const tokens = 'matrix' in data && data.matrix
+        ? await this.processMatrixData(data)
+        : await this.processImportData(data as TokenImportData);
+
+      const report = this.contrastAuditor.audit(tokens, request.config);
 
       ErrorHandler.info(
-        `Import completed: ${stats.added} tokens synced to Figma`,
+        `Audited ${report.results.length} color pairs: ${report.counts.fail} failing`,
         'TokenController'
       );
 
-      // Notify user
-      ErrorHandler.notifyUser(
-        `${SUCCESS_MESSAGES.IMPORT_SUCCESS}: ${stats.added} tokens synced`,
-        'success'
-      );
+      return report;
+    }, 'Audit Contrast');
+  }
 
-      return stats;
-    }, 'Import Tokens');
+  /**
+   * Export local Figma variables as W3C token files (one per collection)
+   * Lets edits made in Figma round-trip back into the token repository
+   *
+   * @returns Exported files
+   */
+  async exportVariables(): Promise<Result<VariableExportFile[]>> {
+    return ErrorHandler.handle(async () => {
+      const result = await this.variableExporter.exportCollections();
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to export variables');
+      }
+
+      ErrorHandler.assert(result.data!.length > 0, 'No Figma variable collections to export', 'Export Variables');
+      ErrorHandler.info(`Exported ${result.data!.length} collection(s)`, 'TokenController');
+
+      return result.data!;
+    }, 'Export Variables');
+  }
+
+  /**
+   * Export the collections the active project synced, for proposing them back to its repository
+   * Each file names its source file when all of the collection's tokens were imported from one
+   *
+   * @returns Exported files of the project's collections
+   */
+  async exportProjectVariables(): Promise<Result<VariableExportFile[]>> {
+    return ErrorHandler.handle(async () => {
+      const tokens = this.tokenRepository.getByProject(this.projectId);
+      const collections = new Set(tokens.map(token => token.collection));
+
+      // Collections synced in earlier sessions are only known from the history
+      const history = await this.projectStorage.loadSyncHistory(this.projectId);
+      if (history.success) {
+        history.data!
+          .filter(entry => entry.success)
+          .forEach(entry => entry.collections.forEach(collection => collections.add(collection)));
+      }
+
+      ErrorHandler.assert(collections.size > 0, 'The active project has not synced any collections', 'Export Project Variables');
+
+      const result = await this.variableExporter.exportCollections(Array.from(collections));
+
+      if (!result.success) {
+        throw new Error(result.error || 'Failed to export variables');
+      }
+
+      ErrorHandler.assert(result.data!.length > 0, 'No Figma collections of the active project to export', 'Export Project Variables');
+
+      return result.data!.map(file => {
+        const sourcePath = this.findSourcePath(tokens.filter(token => token.collection === file.collection));
+        return sourcePath ? { ...file, sourcePath } : file;
+      });
+    }, 'Export Project Variables');
   }
 
   /**
@@ -243,4 +499,480 @@ export class TokenController {
   getTokens() {
     return this.tokenRepository.getAll();
   }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Process import data into tokens of the active project
+   * Files sent by path (e.g. extracted archives) take their collection from folder/file
+   * names; otherwise primitives and semantics go to the primitive and semantic collections
+   *
+   * @param data - Import data
+   * @returns Processed tokens (not yet resolved or added to the repository)
+   */
+  private async processImportData(data: TokenImportData): Promise<Token[]> {
+    const processor = new TokenProcessor();
+
+    if (data.files && data.files.length > 0) {
+      ErrorHandler.info(`Processing ${data.files.length} token files by path`, 'TokenController');
+
+      const result = await processor.processMultipleFiles(
+        data.files.map(file => ({ data: file.content, filePath: file.path })),
+        {
+          projectId: this.projectId,
+          sourceType: data.source || 'local',
+          sourceLocation: 'files',
+        }
+      );
+
+      if (!result.success) {
+        throw new Error(`Failed to process token files: ${result.error}`);
+      }
+
+      return result.data!;
+    }
+
+    const { primitives, semantics } = data;
+
+    // Validate at least one token set is provided
+    if (!primitives && !semantics) {
+      throw new Error('No token data provided. Expected primitives or semantics.');
+    }
+
+    ErrorHandler.info(
+      `Processing tokens (primitives: ${primitives ? 'yes' : 'no'}, semantics: ${semantics ? 'yes' : 'no'})`,
+      'TokenController'
+    );
+
+    const allTokens: Token[] = [];
+
+    // Process primitives
+    if (primitives) {
+      const primResult = await processor.processTokenData(primitives, {
+        projectId: this.projectId,
+        collection: 'primitive',
+        sourceType: 'local',
+        sourceLocation: 'primitives',
+      });
+      if (primResult.success && primResult.data) {
+        allTokens.push(...primResult.data);
+      } else if (!primResult.success) {
+        throw new Error(`Failed to process primitives: ${primResult.error}`);
+      }
+    }
+
+    // Process semantics
+    if (semantics) {
+      const semResult = await processor.processTokenData(semantics, {
+        projectId: this.projectId,
+        collection: 'semantic',
+        sourceType: 'local',
+        sourceLocation: 'semantics',
+      });
+      if (semResult.success && semResult.data) {
+        allTokens.push(...semResult.data);
+      } else if (!semResult.success) {
+        throw new Error(`Failed to process semantics: ${semResult.error}`);
+      }
+    }
+
+    return allTokens;
+  }
+
+  /**
+   * Process a brand × theme matrix into tokens of the active project
+   *
+   * @param data - Token files with paths plus the matrix configuration
+   * @returns Processed tokens (not yet resolved or added to the repository)
+   */
+  private async processMatrixData(data: TokenMatrixImportData): Promise<Token[]> {
+    ErrorHandler.info(
+      `Processing token matrix (${data.files.length} files, ${(data.matrix.rules || []).length} rules)`,
+      'TokenController'
+    );
+
+    const processor = new TokenProcessor();
+    const result = await processor.processMatrixFiles(
+      data.files.map(file => ({ data: file.content, filePath: file.path })),
+      data.matrix,
+      {
+        projectId: this.projectId,
+        sourceType: data.source || 'local',
+        sourceLocation: 'matrix',
+      }
+    );
+
+    if (!result.success) {
+      throw new Error(`Failed to process token matrix: ${result.error}`);
+    }
+
+    return result.data!;
+  }
+
+  /**
+   * Add tokens to the repository, resolve aliases and sync to Figma
+   * In dry run mode the sync is only planned and held until applyPendingSync(), and so is
+   * a sync whose font preflight found missing fonts
+   * Throws on sync failure (called inside ErrorHandler.handle)
+   *
+   * @param options - Sync options (e.g. the rename map sent with the files)
+   * @returns Import statistics (with the plan on dry runs, the missing fonts on held syncs)
+   */
+  private async resolveAndSync(allTokens: Token[], options: SyncOptions = {}): Promise<ImportStats> {
+    // Add to repository (batch operation)
+    this.tokenRepository.add(allTokens);
+
+    const settings = await this.loadSettings();
+    this.tokenResolver.setCrossProjectRefs(settings.crossProjectRefs);
+    if (settings.crossProjectRefs) {
+      await this.loadReferencedProjects(allTokens);
+    }
+
+    // CRITICAL: Resolve all token aliases and references
+    ErrorHandler.info(
+      `Resolving ${allTokens.length} tokens...`,
+      'TokenController'
+    );
+    const resolveResult = await this.tokenResolver.resolveAllTokens(this.projectId);
+
+    if (!resolveResult.success) {
+      ErrorHandler.warn(
+        `Token resolution failed: ${resolveResult.error}. Continuing with unresolved values.`,
+        'TokenController'
+      );
+      // Continue anyway - non-aliases will still work
+    } else {
+      const resolvedValues = resolveResult.data!;
+      ErrorHandler.info(
+        `Resolved ${resolvedValues.size} token values`,
+        'TokenController'
+      );
+
+      // Failed expressions stay unresolved; report each so the formula can be fixed
+      for (const failure of this.tokenResolver.getExpressionErrors()) {
+        ErrorHandler.warn(
+          `Could not evaluate ${failure.qualifiedName} = "${failure.expression}": ${failure.error}`,
+          'TokenController'
+        );
+      }
+
+      // Update each token's resolvedValue in the repository
+      for (const [tokenId, resolvedValue] of resolvedValues.entries()) {
+        this.tokenRepository.update(tokenId, { resolvedValue });
+      }
+
+      // Refresh allTokens array with updated tokens from repository
+      const updatedTokens: Token[] = [];
+      for (const token of allTokens) {
+        const updated = this.tokenRepository.get(token.id);
+        if (updated) {
+          updatedTokens.push(updated);
+        }
+      }
+      allTokens.length = 0;
+      allTokens.push(...updatedTokens);
+    }
+
+    // Lint findings are reported with the import, they never block the sync
+    const lint = settings.lint ? await this.lintResolved(allTokens) : null;
+
+    options = {
+      ...options,
+      fontStyles: await this.loadFontStyleMapping(),
+      displayP3: settings.displayP3,
+      transactional: settings.transactionalSync,
+    };
+    const fonts = settings.fontPreflight ? await this.checkFonts(allTokens, options.fontStyles!) : null;
+
+    let stats: ImportStats;
+
+    if (settings.dryRun) {
+      const planResult = await this.figmaSyncService.planSync(allTokens, options);
+
+      if (!planResult.success) {
+        throw new Error(planResult.error || 'Failed to plan sync');
+      }
+
+      this.pendingSync = { tokens: allTokens, options };
+      ErrorHandler.info(`Dry run: planned ${planResult.data!.entries.length} changes`, 'TokenController');
+
+      stats = { added: 0, updated: 0, skipped: 0, plan: planResult.data! };
+      if (fonts) {
+        stats.plan!.fonts = fonts;
+      }
+    } else if (fonts && fonts.missing.length > 0) {
+      // Missing fonts are reviewed before anything is written
+      this.pendingSync = { tokens: allTokens, options };
+      ErrorHandler.info(`Sync held: ${fonts.missing.length} font(s) missing`, 'TokenController');
+
+      stats = { added: 0, updated: 0, skipped: 0, fonts };
+    } else {
+      stats = await this.syncToFigma(allTokens, options);
+    }
+
+    if (lint) {
+      stats.lint = lint;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Lint tokens with the project's lint config
+   * Throws when the config cannot be loaded
+   */
+  private async lint(tokens: Token[]): Promise<LintReport> {
+    const report = this.tokenLinter.lint(tokens, await this.loadLintConfig());
+
+    ErrorHandler.info(
+      `Linted ${report.tokenCount} tokens: ${report.counts.error} errors, ${report.counts.warning} warnings`,
+      'TokenController'
+    );
+
+    return report;
+  }
+
+  /**
+   * Lint resolved tokens and store the findings on the repository's tokens
+   * A lint that fails is logged and skipped
+   */
+  private async lintResolved(tokens: Token[]): Promise<LintReport | null> {
+    try {
+      const report = await this.lint(tokens);
+
+      for (const token of tokens) {
+        this.tokenRepository.update(token.id, { validation: token.validation });
+      }
+
+      return report;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      ErrorHandler.warn(`Token lint failed: ${message}`, 'TokenController');
+      return null;
+    }
+  }
+
+  private async loadLintConfig(): Promise<LintConfig | null> {
+    const result = await this.storage.getLintConfig();
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to load lint config');
+    }
+
+    return result.data!;
+  }
+
+  /**
+   * Load the project's settings
+   * Settings that cannot be loaded fall back to the defaults
+   */
+  private async loadSettings(): Promise<ProjectSettings> {
+    const result = await this.getSettings();
+    if (!result.success) {
+      ErrorHandler.warn(`${result.error}. Using default settings.`, 'TokenController');
+      return { ...DEFAULT_PROJECT_SETTINGS };
+    }
+
+    return result.data!;
+  }
+
+  /**
+   * Load the project's font style mapping
+   * A mapping that cannot be loaded falls back to the built-in style names
+   */
+  private async loadFontStyleMapping(): Promise<FontStyleMapping> {
+    const result = await this.storage.getFontStyleMapping();
+    if (!result.success) {
+      ErrorHandler.warn(`${result.error}. Using built-in font style names.`, 'TokenController');
+      return {};
+    }
+
+    return result.data || {};
+  }
+
+  /**
+   * Check the fonts of the tokens against the fonts Figma can load
+   * Missing fonts are reported for review, they never fail the sync
+   *
+   * @returns Preflight report, or null when the available fonts cannot be listed
+   */
+  private async checkFonts(tokens: Token[], mapping: FontStyleMapping): Promise<FontPreflightReport | null> {
+    const result = await this.fontPreflight.check(tokens, mapping);
+    if (!result.success) {
+      ErrorHandler.warn(`Font preflight skipped: ${result.error}`, 'TokenController');
+      return null;
+    }
+
+    for (const font of result.data!.missing) {
+      const name = font.style ? `${font.family} ${font.style} (${font.weight})` : font.family;
+      ErrorHandler.warn(`Font "${name}" is not available in Figma - used by ${font.tokens.join(', ')}`, 'TokenController');
+    }
+
+    return result.data!;
+  }
+
+  /**
+   * Sync resolved tokens to Figma, notify the user and look for orphaned variables
+   * Throws on sync failure
+   *
+   * @returns Import statistics (with orphans when variables lost their token)
+   */
+  private async syncToFigma(allTokens: Token[], options: SyncOptions = {}): Promise<ImportStats> {
+    // Sync to Figma using FigmaSyncService (with resolved values)
+    const syncResult = await this.figmaSyncService.syncTokens(allTokens, options);
+    await this.trackSyncState(allTokens, syncResult);
+    await this.recordHistory(allTokens, syncResult);
+
+    if (!syncResult.success) {
+      throw new Error(syncResult.error || 'Failed to sync tokens to Figma');
+    }
+
+    // Calculate stats (for now, all tokens are considered "added")
+    // TODO: Track actual add vs update in FigmaSyncService
+    const added = allTokens.length;
+    const warnings = this.collectSyncWarnings(syncResult.data!);
+
+    ErrorHandler.info(
+      `Import completed: ${added} tokens synced to Figma`,
+      'TokenController'
+    );
+
+    // Notify user
+    ErrorHandler.notifyUser(
+      `${SUCCESS_MESSAGES.IMPORT_SUCCESS}: ${added} tokens synced`,
+      'success'
+    );
+
+    if ((await this.loadSettings()).crossProjectRefs) {
+      await this.storeProject(this.projectId);
+    }
+
+    // Orphan detection is advisory - a failure must not fail the completed sync
+    const orphanResult = await this.figmaSyncService.findOrphanedVariables(allTokens);
+    if (!orphanResult.success) {
+      ErrorHandler.warn(`Orphan detection failed: ${orphanResult.error}`, 'TokenController');
+      return { added, updated: 0, skipped: 0, warnings };
+    }
+
+    const orphans = orphanResult.data!;
+    if (orphans.length > 0) {
+      ErrorHandler.info(`${orphans.length} variable(s) no longer match a token`, 'TokenController');
+    }
+
+    return { added, updated: 0, skipped: 0, orphans, warnings };
+  }
+
+  /**
+   * Gather the warnings of every synced token
+   *
+   * @returns Warnings, or undefined when the sync had none
+   */
+  private collectSyncWarnings(syncResult: SyncResult): string[] | undefined {
+    const warnings: string[] = [];
+    syncResult.outcomes.forEach(outcome => {
+      if (outcome.warnings) warnings.push(...outcome.warnings);
+    });
+
+    return warnings.length > 0 ? warnings : undefined;
+  }
+
+  /**
+   * Record and persist what a sync did per token (ProjectSettings.syncStateTracking)
+   * Tracking is advisory - storage failures only warn
+   */
+  private async trackSyncState(tokens: Token[], syncResult: Result<SyncResult>): Promise<void> {
+    if (!(await this.loadSettings()).syncStateTracking) {
+      return;
+    }
+
+    if (syncResult.success) {
+      this.syncStateTracker.recordSync(tokens, syncResult.data!.outcomes);
+    } else {
+      this.syncStateTracker.recordFailure(tokens, syncResult.error || 'Sync failed');
+    }
+
+    // Saving without the stored records would drop them
+    const loadResult = await this.syncStateTracker.load();
+    if (!loadResult.success) {
+      ErrorHandler.warn(`Sync state not saved, stored state unavailable: ${loadResult.error}`, 'TokenController');
+      return;
+    }
+
+    // A finished sync covers every token of its collections - records of removed tokens go
+    if (syncResult.success) {
+      this.syncStateTracker.prune(tokens, syncResult.data!.collections);
+    }
+
+    const saveResult = await this.syncStateTracker.save();
+    if (!saveResult.success) {
+      ErrorHandler.warn(`Sync state not saved: ${saveResult.error}`, 'TokenController');
+    }
+  }
+
+  /**
+   * Find the single token file a set of tokens was imported from
+   * Imports without file paths (primitives/semantics) record placeholder locations
+   *
+   * @returns The file path, or undefined without tokens or when they span several files
+   */
+  private findSourcePath(tokens: Token[]): string | undefined {
+    const paths = new Set(tokens.map(token => token.source.location));
+    const [path] = Array.from(paths);
+
+    return paths.size === 1 && path.endsWith('.json') ? path : undefined;
+  }
+
+  /**
+   * Add the sync to the active project's history
+   * History is advisory - storage failures only warn
+   */
+  private async recordHistory(tokens: Token[], syncResult: Result<SyncResult>): Promise<void> {
+    const entry: ProjectSyncEntry = {
+      syncedAt: new Date().toISOString(),
+      tokenCount: tokens.length,
+      collections: syncResult.success ? syncResult.data!.collections : [],
+      success: syncResult.success,
+    };
+    if (!syncResult.success) {
+      entry.error = syncResult.error || 'Sync failed';
+    }
+
+    const result = await this.projectStorage.appendSyncHistory(this.projectId, entry);
+    if (!result.success) {
+      ErrorHandler.warn(`Sync history not saved: ${result.error}`, 'TokenController');
+    }
+  }
+
+  /**
+   * Add the stored tokens of projects referenced as {project::path} to the repository
+   * Projects already in the repository are left as they are
+   */
+  private async loadReferencedProjects(tokens: Token[]): Promise<void> {
+    for (const projectId of TokenResolver.findReferencedProjects(tokens)) {
+      if (this.tokenRepository.getByProject(projectId).length > 0) continue;
+
+      const result = await this.projectStorage.load(projectId);
+      if (!result.success) {
+        ErrorHandler.warn(`Referenced project "${projectId}" could not be loaded: ${result.error}`, 'TokenController');
+        continue;
+      }
+
+      if (result.data!.length === 0) {
+        ErrorHandler.warn(`Referenced project "${projectId}" has no stored tokens - sync it first`, 'TokenController');
+        continue;
+      }
+
+      this.tokenRepository.add(result.data!);
+      ErrorHandler.info(`Loaded ${result.data!.length} tokens of referenced project "${projectId}"`, 'TokenController');
+    }
+  }
+
+  /**
+   * Store a project's synced tokens (with their variable ids) so other projects can reference them
+   */
+  private async storeProject(projectId: string): Promise<void> {
+    const result = await this.projectStorage.save(projectId, this.tokenRepository.getByProject(projectId));
+    if (!result.success) {
+      ErrorHandler.warn(`Project "${projectId}" not stored for cross-project references: ${result.error}`, 'TokenController');
+    }
+  }
 }
@@ -4,7 +4,7 @@
 // ====================================================================================
 
 import { UI_CONFIG } from '../shared/constants';
-import { PluginMessage } from '../shared/types';
+import { PluginMessage, ImportStats } from '../shared/types';
 import { ErrorHandler } from './utils/ErrorHandler';
 
 // Services
@@ -13,18 +13,24 @@ import { StorageService } from './services/StorageService';
 import { TokenRepository } from '../core/services/TokenRepository';
 import { TokenResolver } from '../core/services/TokenResolver';
 import { FigmaSyncService } from '../core/services/FigmaSyncService';
+import { StorageAdapter } from '../core/services/StorageAdapter';
+import { SyncStateTracker } from '../core/services/SyncStateTracker';
 
 // Controllers
 import { TokenController } from './controllers/TokenController';
 import { GitHubController } from './controllers/GitHubController';
+import { GitLabController } from './controllers/GitLabController';
 import { ScopeController } from './controllers/ScopeController';
 import { DocumentationController } from './controllers/DocumentationController';
+import { ProjectController } from './controllers/ProjectController';
 
 // New Architecture (Phases 1-4)
 import { FileSourceRegistry } from '../core/registries/FileSourceRegistry';
 import { TokenFormatRegistry } from '../core/registries/TokenFormatRegistry';
 import { GitHubFileSource } from '../core/adapters/GitHubFileSource';
+import { GitLabFileSource } from '../core/adapters/GitLabFileSource';
 import { W3CTokenFormatStrategy } from '../core/adapters/W3CTokenFormatStrategy';
+import { TokensStudioFormatStrategy } from '../core/adapters/TokensStudioFormatStrategy';
 import { StyleDictionaryFormatStrategy } from '../core/adapters/StyleDictionaryFormatStrategy';
 
 // Documentation Architecture
@@ -34,8 +40,22 @@ import { SpacingVisualizer } from '../core/visualizers/SpacingVisualizer';
 import { FontSizeVisualizer } from '../core/visualizers/FontSizeVisualizer';
 import { FontWeightVisualizer } from '../core/visualizers/FontWeightVisualizer';
 import { BorderRadiusVisualizer } from '../core/visualizers/BorderRadiusVisualizer';
+import { BorderVisualizer } from '../core/visualizers/BorderVisualizer';
 import { DefaultVisualizer } from '../core/visualizers/DefaultVisualizer';
 import { DocumentationGenerator } from './services/DocumentationGenerator';
+import { ContrastMatrixGenerator } from './services/ContrastMatrixGenerator';
+
+// Token Lint
+import { TokenLintRuleRegistry } from '../core/registries/TokenLintRuleRegistry';
+import { NamingConventionRule } from '../core/rules/NamingConventionRule';
+import { RequiredDescriptionRule } from '../core/rules/RequiredDescriptionRule';
+import { ValueTypeRule } from '../core/rules/ValueTypeRule';
+import { NoRawValueRule } from '../core/rules/NoRawValueRule';
+import { MaxAliasDepthRule } from '../core/rules/MaxAliasDepthRule';
+import { TokenLinter } from '../core/services/TokenLinter';
+import { ContrastAuditor } from '../core/services/ContrastAuditor';
+import { FontPreflight } from '../core/services/FontPreflight';
+import { VariableExporter } from './services/VariableExporter';
 
 /**
  * Main backend class for plugin
@@ -57,8 +77,13 @@ class PluginBackend {
   // Controllers
   private tokenController: TokenController;
   private githubController: GitHubController;
+  private gitlabController: GitLabController;
   private scopeController: ScopeController;
   private documentationController: DocumentationController;
+  private projectController: ProjectController;
+
+  // Resolves once the active project is restored - messages wait for it
+  private ready: Promise<void>;
 
   constructor() {
     // Register new architecture components (Phases 1-4)
@@ -72,21 +97,53 @@ class PluginBackend {
     this.figmaSyncService = new FigmaSyncService(this.tokenRepository, this.tokenResolver);
 
     // Initialize controllers with dependency injection
-    this.tokenController = new TokenController(this.figmaSyncService, this.storage, this.tokenRepository, this.tokenResolver);
+    const projectStorage = new StorageAdapter();
+    this.tokenController = new TokenController(
+      this.figmaSyncService,
+      this.storage,
+      this.tokenRepository,
+      this.tokenResolver,
+      new VariableExporter(),
+      new SyncStateTracker(projectStorage),
+      projectStorage,
+      new TokenLinter(),
+      new ContrastAuditor(),
+      new FontPreflight(this.tokenResolver)
+    );
     this.githubController = new GitHubController(this.githubService, this.storage);
+    this.gitlabController = new GitLabController(FileSourceRegistry.get('gitlab')!);
     this.scopeController = new ScopeController();
+    this.projectController = new ProjectController(this.storage, projectStorage, this.tokenRepository);
 
     // Initialize documentation controller
     const documentationGenerator = new DocumentationGenerator(this.tokenRepository);
     this.documentationController = new DocumentationController(
       documentationGenerator,
       this.storage,
-      this.tokenRepository
+      this.tokenRepository,
+      new ContrastMatrixGenerator()
     );
 
+    this.ready = this.restoreActiveProject();
+
     ErrorHandler.info('Plugin backend initialized (v2.0 Architecture)', 'PluginBackend');
   }
 
+  /**
+   * Scope storage and imports to the project used last
+   * On failure the default project stays active
+   * @private
+   */
+  private async restoreActiveProject(): Promise<void> {
+    const result = await this.projectController.restoreActiveProject();
+
+    if (result.success) {
+      this.tokenController.setActiveProject(result.data!);
+    } else {
+      ErrorHandler.warn(`Active project not restored: ${result.error}`, 'PluginBackend');
+    }
+  }
+
   /**
    * Register new architecture components
    * Phase 1: File sources and token formats
@@ -98,9 +155,12 @@ class PluginBackend {
   private registerArchitectureComponents(): void {
     // Register file sources (GitHub, GitLab, etc.)
     FileSourceRegistry.register(new GitHubFileSource());
+    FileSourceRegistry.register(new GitLabFileSource());
 
-    // Register token format strategies (W3C, Style Dictionary, etc.)
+    // Register token format strategies (W3C, Tokens Studio, Style Dictionary, etc.)
+    // Order matters: detection ties go to the first registered strategy
     TokenFormatRegistry.register(new W3CTokenFormatStrategy());
+    TokenFormatRegistry.register(new TokensStudioFormatStrategy());
     TokenFormatRegistry.register(new StyleDictionaryFormatStrategy());
 
     // Register token visualizers for documentation
@@ -109,8 +169,16 @@ class PluginBackend {
     TokenVisualizerRegistry.register(new FontSizeVisualizer());
     TokenVisualizerRegistry.register(new FontWeightVisualizer());
     TokenVisualizerRegistry.register(new BorderRadiusVisualizer());
+    TokenVisualizerRegistry.register(new BorderVisualizer());
     TokenVisualizerRegistry.register(new DefaultVisualizer());
 
+    // Register token lint rules (reports list them in this order)
+    TokenLintRuleRegistry.register(new ValueTypeRule());
+    TokenLintRuleRegistry.register(new NoRawValueRule());
+    TokenLintRuleRegistry.register(new NamingConventionRule());
+    TokenLintRuleRegistry.register(new RequiredDescriptionRule());
+    TokenLintRuleRegistry.register(new MaxAliasDepthRule());
+
     ErrorHandler.info('Architecture components registered', 'PluginBackend');
   }
 
@@ -138,6 +206,7 @@ class PluginBackend {
   private async handleMessage(msg: PluginMessage): Promise<void> {
     const requestId = msg.requestId; // Capture requestId for error handling
     try {
+      await this.ready;
       ErrorHandler.info(`Received message: ${msg.type}`, 'PluginBackend');
 
       switch (msg.type) {
@@ -146,6 +215,66 @@ class PluginBackend {
           await this.handleImportTokens(msg);
           break;
 
+        case 'import-token-matrix':
+          await this.handleImportTokenMatrix(msg);
+          break;
+
+        case 'apply-sync':
+          await this.handleApplySync(msg);
+          break;
+
+        case 'cancel-sync':
+          await this.handleCancelSync(msg);
+          break;
+
+        case 'resolve-orphans':
+          await this.handleResolveOrphans(msg);
+          break;
+
+        case 'get-sync-state':
+          await this.handleGetSyncState(msg);
+          break;
+
+        case 'lint-tokens':
+          await this.handleLintTokens(msg);
+          break;
+
+        case 'get-lint-config':
+          await this.handleGetLintConfig(msg);
+          break;
+
+        case 'save-lint-config':
+          await this.handleSaveLintConfig(msg);
+          break;
+
+        case 'get-settings':
+          await this.handleGetSettings(msg);
+          break;
+
+        case 'save-settings':
+          await this.handleSaveSettings(msg);
+          break;
+
+        case 'get-font-styles':
+          await this.handleGetFontStyles(msg);
+          break;
+
+        case 'save-font-styles':
+          await this.handleSaveFontStyles(msg);
+          break;
+
+        case 'audit-contrast':
+          await this.handleAuditContrast(msg);
+          break;
+
+        case 'export-variables':
+          await this.handleExportVariables(msg);
+          break;
+
+        case 'export-project-variables':
+          await this.handleExportProjectVariables(msg);
+          break;
+
         case 'save-tokens':
           await this.handleSaveTokens(msg);
           break;
@@ -154,6 +283,27 @@ class PluginBackend {
           await this.handleLoadTokens(msg);
           break;
 
+        // ==================== PROJECT OPERATIONS ====================
+        case 'list-projects':
+          await this.handleListProjects(msg);
+          break;
+
+        case 'create-project':
+          await this.handleCreateProject(msg);
+          break;
+
+        case 'switch-project':
+          await this.handleSwitchProject(msg);
+          break;
+
+        case 'rename-project':
+          await this.handleRenameProject(msg);
+          break;
+
+        case 'delete-project':
+          await this.handleDeleteProject(msg);
+          break;
+
         // ==================== GITHUB OPERATIONS ====================
         case 'github-fetch-files':
           await this.handleGitHubFetchFiles(msg);
@@ -163,6 +313,10 @@ class PluginBackend {
           await this.handleGitHubImportFiles(msg);
           break;
 
+        case 'github-propose-changes':
+          await this.handleGitHubProposeChanges(msg);
+          break;
+
         case 'load-github-config':
           await this.handleLoadGitHubConfig(msg);
           break;
@@ -171,6 +325,15 @@ class PluginBackend {
           await this.handleSaveGitHubConfig(msg);
           break;
 
+        // ==================== GITLAB OPERATIONS ====================
+        case 'gitlab-fetch-files':
+          await this.handleGitLabFetchFiles(msg);
+          break;
+
+        case 'gitlab-import-files':
+          await this.handleGitLabImportFiles(msg);
+          break;
+
         // ==================== SCOPE OPERATIONS ====================
         case 'get-figma-variables':
           await this.handleGetFigmaVariables(msg);
@@ -185,6 +348,10 @@ class PluginBackend {
           await this.handleGenerateDocumentation(msg);
           break;
 
+        case 'generate-contrast-matrix':
+          await this.handleGenerateContrastMatrix(msg);
+          break;
+
         // ==================== PLUGIN CONTROL ====================
         case 'cancel':
           figma.closePlugin();
@@ -212,13 +379,264 @@ class PluginBackend {
     const result = await this.tokenController.importTokens({
       primitives: msg.data.primitives,
       semantics: msg.data.semantics,
+      files: msg.data.files,
+      renames: msg.data.renames,
+      colorStyles: msg.data.colorStyles,
       source: msg.data.source || 'local'
     });
 
+    if (result.success) {
+      this.postImportResult(msg, result.data!, 'Tokens imported');
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
+  private async handleImportTokenMatrix(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.importTokenMatrix({
+      files: msg.data.files,
+      matrix: msg.data.matrix,
+      renames: msg.data.renames,
+      colorStyles: msg.data.colorStyles,
+      source: msg.data.source || 'local'
+    });
+
+    if (result.success) {
+      this.postImportResult(msg, result.data!, 'Token matrix imported');
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
+  private async handleApplySync(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.applyPendingSync();
+
+    if (result.success) {
+      this.postImportResult(msg, result.data!, 'Tokens synced');
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
+  private async handleCancelSync(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.cancelPendingSync();
+
     if (result.success) {
       figma.ui.postMessage({
-        type: 'import-success',
-        message: ` Tokens imported: ${result.data!.added} added, ${result.data!.updated} updated, ${result.data!.skipped} skipped`,
+        type: 'sync-cancelled',
+        message: result.data
+          ? 'Sync cancelled - rolling back changes'
+          : 'Sync cancelled - no changes were made',
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
+  private async handleResolveOrphans(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.resolveOrphans(msg.data.resolutions);
+
+    if (result.success) {
+      const counts = result.data!;
+      figma.ui.postMessage({
+        type: 'orphans-resolved',
+        message: `Orphaned variables: ${counts.delete} deleted, ${counts.deprecate} deprecated, ${counts.keep} kept`,
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
+  private async handleGetSyncState(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.getSyncState();
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    figma.ui.postMessage({
+      type: 'sync-state-loaded',
+      data: { states: result.data },
+      requestId: msg.requestId
+    });
+  }
+
+  private async handleLintTokens(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.lintTokens(msg.data);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    figma.ui.postMessage({
+      type: 'lint-report',
+      data: { report: result.data },
+      requestId: msg.requestId
+    });
+  }
+
+  private async handleGetLintConfig(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.getLintConfig();
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    figma.ui.postMessage({
+      type: 'lint-config-loaded',
+      data: { rules: result.data },
+      requestId: msg.requestId
+    });
+  }
+
+  private async handleSaveLintConfig(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.saveLintConfig(msg.data.config);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    figma.ui.postMessage({
+      type: 'lint-config-saved',
+      data: { rules: result.data },
+      requestId: msg.requestId
+    });
+  }
+
+  private async handleGetSettings(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.getSettings();
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    figma.ui.postMessage({
+      type: 'settings-loaded',
+      data: { settings: result.data },
+      requestId: msg.requestId
+    });
+  }
+
+  private async handleSaveSettings(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.saveSettings(msg.data.settings);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    figma.ui.postMessage({
+      type: 'settings-saved',
+      data: { settings: result.data },
+      requestId: msg.requestId
+    });
+  }
+
+  private async handleGetFontStyles(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.getFontStyleMapping();
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    figma.ui.postMessage({
+      type: 'font-styles-loaded',
+      data: { mapping: result.data },
+      requestId: msg.requestId
+    });
+  }
+
+  private async handleSaveFontStyles(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.saveFontStyleMapping(msg.data.mapping);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    figma.ui.postMessage({
+      type: 'font-styles-saved',
+      data: { mapping: result.data },
+      requestId: msg.requestId
+    });
+  }
+
+  private async handleAuditContrast(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.auditContrast(msg.data);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    figma.ui.postMessage({
+      type: 'contrast-report',
+      data: { report: result.data },
+      message: `Contrast: ${result.data!.counts.pass} passing, ${result.data!.counts.fail} failing`,
+      requestId: msg.requestId
+    });
+  }
+
+  /**
+   * Report import statistics, the change plan when the import was a dry run,
+   * the missing fonts when the sync waits for their review,
+   * or the orphaned variables left behind by the sync
+   */
+  private postImportResult(msg: PluginMessage, stats: ImportStats, label: string): void {
+    if (stats.plan) {
+      figma.ui.postMessage({ type: 'sync-plan', data: stats.plan, requestId: msg.requestId });
+      return;
+    }
+
+    if (stats.fonts) {
+      figma.ui.postMessage({ type: 'font-preflight', data: { fonts: stats.fonts }, requestId: msg.requestId });
+      return;
+    }
+
+    let message = ` ${label}: ${stats.added} added, ${stats.updated} updated, ${stats.skipped} skipped`;
+    if (stats.lint && stats.lint.issues.length > 0) {
+      message += ` · Lint: ${stats.lint.counts.error} errors, ${stats.lint.counts.warning} warnings`;
+    }
+    if (stats.warnings) {
+      message += ` · Warnings: ${stats.warnings.length}`;
+    }
+
+    if (stats.orphans && stats.orphans.length > 0) {
+      figma.ui.postMessage({
+        type: 'orphans-found',
+        data: { message, orphans: stats.orphans },
+        requestId: msg.requestId
+      });
+      return;
+    }
+
+    figma.ui.postMessage({
+      type: 'import-success',
+      message,
+      requestId: msg.requestId
+    });
+  }
+
+  private async handleExportVariables(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.exportVariables();
+
+    if (result.success) {
+      figma.ui.postMessage({
+        type: 'variables-exported',
+        data: { files: result.data },
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
+  private async handleExportProjectVariables(msg: PluginMessage): Promise<void> {
+    const result = await this.tokenController.exportProjectVariables();
+
+    if (result.success) {
+      figma.ui.postMessage({
+        type: 'variables-exported',
+        data: { files: result.data },
         requestId: msg.requestId
       });
     } else {
@@ -249,6 +667,88 @@ class PluginBackend {
     });
   }
 
+  // ==================== PROJECT HANDLERS ====================
+
+  private async handleListProjects(msg: PluginMessage): Promise<void> {
+    const result = await this.projectController.listProjects();
+
+    if (result.success) {
+      figma.ui.postMessage({
+        type: 'projects-loaded',
+        data: result.data,
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
+  private async handleCreateProject(msg: PluginMessage): Promise<void> {
+    const result = await this.projectController.createProject(msg.data.name);
+
+    if (result.success) {
+      figma.ui.postMessage({
+        type: 'project-created',
+        data: result.data,
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
+  /**
+   * Switch projects and answer with the token state the new project saved
+   */
+  private async handleSwitchProject(msg: PluginMessage): Promise<void> {
+    const result = await this.projectController.switchProject(msg.data.projectId);
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    this.tokenController.setActiveProject(result.data!.activeProjectId);
+
+    const tokenResult = await this.tokenController.loadTokens();
+    if (!tokenResult.success) {
+      throw new Error(tokenResult.error);
+    }
+
+    figma.ui.postMessage({
+      type: 'project-switched',
+      data: { ...result.data, tokenState: tokenResult.data },
+      requestId: msg.requestId
+    });
+  }
+
+  private async handleRenameProject(msg: PluginMessage): Promise<void> {
+    const result = await this.projectController.renameProject(msg.data.projectId, msg.data.name);
+
+    if (result.success) {
+      figma.ui.postMessage({
+        type: 'projects-loaded',
+        data: result.data,
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
+  private async handleDeleteProject(msg: PluginMessage): Promise<void> {
+    const result = await this.projectController.deleteProject(msg.data.projectId);
+
+    if (result.success) {
+      figma.ui.postMessage({
+        type: 'projects-loaded',
+        data: result.data,
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
   // ==================== GITHUB HANDLERS ====================
 
   private async handleGitHubFetchFiles(msg: PluginMessage): Promise<void> {
@@ -279,6 +779,20 @@ class PluginBackend {
     }
   }
 
+  private async handleGitHubProposeChanges(msg: PluginMessage): Promise<void> {
+    const result = await this.githubController.proposeChanges(msg.data.config, msg.data.request);
+
+    if (result.success) {
+      figma.ui.postMessage({
+        type: 'github-changes-proposed',
+        data: result.data,
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
   private async handleLoadGitHubConfig(msg: PluginMessage): Promise<void> {
     const result = await this.githubController.loadConfig();
 
@@ -302,6 +816,36 @@ class PluginBackend {
     }
   }
 
+  // ==================== GITLAB HANDLERS ====================
+
+  private async handleGitLabFetchFiles(msg: PluginMessage): Promise<void> {
+    const result = await this.gitlabController.fetchFiles(msg.data);
+
+    if (result.success) {
+      figma.ui.postMessage({
+        type: 'gitlab-files-fetched',
+        data: { files: result.data },
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
+  private async handleGitLabImportFiles(msg: PluginMessage): Promise<void> {
+    const result = await this.gitlabController.importFiles(msg.data);
+
+    if (result.success) {
+      figma.ui.postMessage({
+        type: 'gitlab-files-imported',
+        data: { files: result.data },
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
+
   // ==================== SCOPE HANDLERS ====================
 
   private async handleGetFigmaVariables(msg: PluginMessage): Promise<void> {
@@ -348,6 +892,21 @@ class PluginBackend {
       throw new Error(result.error);
     }
   }
+
+  private async handleGenerateContrastMatrix(msg: PluginMessage): Promise<void> {
+    const result = await this.documentationController.generateContrastMatrix(msg.data.report);
+
+    if (result.success) {
+      figma.ui.postMessage({
+        type: 'contrast-matrix-generated',
+        data: result.data,
+        message: `Contrast matrix generated: ${result.data!.pairCount} pairs in ${result.data!.modeCount} modes`,
+        requestId: msg.requestId
+      });
+    } else {
+      throw new Error(result.error);
+    }
+  }
 }
 
 // ==================== PLUGIN INITIALIZATION ====================
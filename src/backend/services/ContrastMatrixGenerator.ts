@@ -0,0 +1,250 @@
+// ====================================================================================
+// CONTRAST MATRIX GENERATOR
+// Draw a contrast audit as a foreground × background matrix frame in Figma
+// ====================================================================================
+
+import { Result, Success, Failure, ContrastReport, ContrastResult, ContrastMatrixResult } from '../../shared/types';
+import { CONTRAST_MATRIX_LAYOUT, DOCUMENTATION_LAYOUT_CONFIG, DOCUMENTATION_TYPOGRAPHY } from '../../shared/documentation-config';
+import { converters } from '../../core/converters';
+import { debug } from '../../shared/logger';
+
+/**
+ * ContrastMatrixGenerator
+ *
+ * Principles:
+ * - Single Responsibility: Only draws an audit, ContrastAuditor computes it
+ * - Configuration-Driven: Sizes come from CONTRAST_MATRIX_LAYOUT
+ *
+ * Architecture:
+ * - One section per mode
+ * - Rows are foregrounds, columns backgrounds; each cell shows "Aa" in the
+ *   foreground color on the background with ratio, WCAG level and APCA Lc
+ * - Failing cells get a red outline, unpaired cells stay empty
+ * - Placed to the right of the last "Token Documentation" frame on the page
+ */
+export class ContrastMatrixGenerator {
+  private fontFamily: string = DOCUMENTATION_TYPOGRAPHY.defaultFontFamily;
+
+  /**
+   * Generate the matrix frame for a contrast report
+   *
+   * @param report - Contrast report from ContrastAuditor
+   * @returns Result with the frame id and what it shows
+   */
+  async generate(report: ContrastReport): Promise<Result<ContrastMatrixResult>> {
+    try {
+      const results = report.results.filter(result => !result.error);
+      if (results.length === 0) {
+        return Failure('No contrast results to draw');
+      }
+
+      await this.loadFont();
+
+      const modes = report.modes.filter(mode => results.some(result => result.mode === mode));
+
+      const frame = figma.createFrame();
+      frame.name = 'Contrast Matrix';
+      frame.fills = [{ type: 'SOLID', color: DOCUMENTATION_LAYOUT_CONFIG.global.backgroundColor }];
+      frame.layoutMode = 'VERTICAL';
+      frame.primaryAxisSizingMode = 'AUTO';
+      frame.counterAxisSizingMode = 'AUTO';
+      frame.itemSpacing = DOCUMENTATION_LAYOUT_CONFIG.global.gap;
+      frame.paddingLeft = DOCUMENTATION_LAYOUT_CONFIG.global.padding;
+      frame.paddingRight = DOCUMENTATION_LAYOUT_CONFIG.global.padding;
+      frame.paddingTop = DOCUMENTATION_LAYOUT_CONFIG.global.padding;
+      frame.paddingBottom = DOCUMENTATION_LAYOUT_CONFIG.global.padding;
+
+      frame.appendChild(this.createText(
+        `Contrast (WCAG ≥ ${report.minimum.wcag}:1${report.minimum.apca > 0 ? `, APCA ≥ Lc ${report.minimum.apca}` : ''})`,
+        DOCUMENTATION_LAYOUT_CONFIG.category.titleFontSize,
+        'Bold'
+      ));
+
+      for (const mode of modes) {
+        frame.appendChild(this.createModeSection(mode, results.filter(result => result.mode === mode)));
+      }
+
+      this.place(frame);
+
+      figma.currentPage.selection = [frame];
+      figma.viewport.scrollAndZoomIntoView([frame]);
+
+      return Success({
+        frameId: frame.id,
+        pairCount: new Set(results.map(result => `${result.foreground}\u0000${result.background}`)).size,
+        modeCount: modes.length,
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error('[ContrastMatrixGenerator] Generation failed:', message);
+      return Failure(`Contrast matrix generation failed: ${message}`);
+    }
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Load Regular and Bold, falling back like the documentation does
+   */
+  private async loadFont(): Promise<void> {
+    for (const family of [this.fontFamily, ...DOCUMENTATION_TYPOGRAPHY.fallbackFonts]) {
+      try {
+        await figma.loadFontAsync({ family, style: 'Regular' });
+        await figma.loadFontAsync({ family, style: 'Bold' });
+        this.fontFamily = family;
+        return;
+      } catch {
+        debug.log(`[ContrastMatrixGenerator] Font not available: ${family}`);
+      }
+    }
+    throw new Error('Failed to load any font');
+  }
+
+  private createModeSection(mode: string, results: ContrastResult[]): FrameNode {
+    const section = this.createAutoLayout(`Mode: ${mode}`, 'VERTICAL', DOCUMENTATION_LAYOUT_CONFIG.category.gap);
+    section.appendChild(this.createText(mode, DOCUMENTATION_LAYOUT_CONFIG.header.fontSize, 'Bold'));
+
+    const foregrounds = this.unique(results.map(result => result.foreground));
+    const backgrounds = this.unique(results.map(result => result.background));
+
+    const grid = this.createAutoLayout('Matrix', 'VERTICAL', CONTRAST_MATRIX_LAYOUT.gap);
+
+    const header = this.createAutoLayout('Backgrounds', 'HORIZONTAL', CONTRAST_MATRIX_LAYOUT.gap);
+    header.appendChild(this.createLabel('', CONTRAST_MATRIX_LAYOUT.labelWidth));
+    for (const background of backgrounds) {
+      header.appendChild(this.createLabel(background, CONTRAST_MATRIX_LAYOUT.cellWidth));
+    }
+    grid.appendChild(header);
+
+    for (const foreground of foregrounds) {
+      const row = this.createAutoLayout(foreground, 'HORIZONTAL', CONTRAST_MATRIX_LAYOUT.gap);
+      row.appendChild(this.createLabel(foreground, CONTRAST_MATRIX_LAYOUT.labelWidth));
+
+      for (const background of backgrounds) {
+        const result = results.find(item => item.foreground === foreground && item.background === background);
+        row.appendChild(result ? this.createCell(result) : this.createEmptyCell(background));
+      }
+
+      grid.appendChild(row);
+    }
+
+    section.appendChild(grid);
+    return section;
+  }
+
+  private createCell(result: ContrastResult): FrameNode {
+    const cell = figma.createFrame();
+    cell.name = `${result.foreground} on ${result.background}`;
+    cell.resize(CONTRAST_MATRIX_LAYOUT.cellWidth, CONTRAST_MATRIX_LAYOUT.cellHeight);
+    cell.layoutMode = 'VERTICAL';
+    cell.primaryAxisSizingMode = 'FIXED';
+    cell.counterAxisSizingMode = 'FIXED';
+    cell.primaryAxisAlignItems = 'CENTER';
+    cell.counterAxisAlignItems = 'CENTER';
+    cell.itemSpacing = 4;
+    cell.cornerRadius = DOCUMENTATION_LAYOUT_CONFIG.cell.cornerRadius;
+    cell.fills = [this.toPaint(result.backgroundColor!)];
+
+    if (!result.pass) {
+      cell.strokes = [{ type: 'SOLID', color: CONTRAST_MATRIX_LAYOUT.failColor }];
+      cell.strokeWeight = 2;
+    }
+
+    const foreground = this.toPaint(result.foregroundColor!);
+
+    const sample = this.createText('Aa', CONTRAST_MATRIX_LAYOUT.sampleFontSize, 'Bold');
+    sample.fills = [foreground];
+    cell.appendChild(sample);
+
+    const meta = this.createText(
+      `${result.ratio}:1 ${result.wcag}\nLc ${result.apca}`,
+      CONTRAST_MATRIX_LAYOUT.metaFontSize,
+      'Regular'
+    );
+    meta.textAlignHorizontal = 'CENTER';
+    meta.fills = [foreground];
+    cell.appendChild(meta);
+
+    return cell;
+  }
+
+  private createEmptyCell(background: string): FrameNode {
+    const cell = figma.createFrame();
+    cell.name = `Not paired: ${background}`;
+    cell.resize(CONTRAST_MATRIX_LAYOUT.cellWidth, CONTRAST_MATRIX_LAYOUT.cellHeight);
+    cell.cornerRadius = DOCUMENTATION_LAYOUT_CONFIG.cell.cornerRadius;
+    cell.fills = [{ type: 'SOLID', color: CONTRAST_MATRIX_LAYOUT.emptyColor }];
+    return cell;
+  }
+
+  private createLabel(characters: string, width: number): FrameNode {
+    const label = figma.createFrame();
+    label.name = characters || 'Corner';
+    label.resize(width, CONTRAST_MATRIX_LAYOUT.cellHeight);
+    label.fills = [];
+    label.layoutMode = 'VERTICAL';
+    label.primaryAxisSizingMode = 'FIXED';
+    label.counterAxisSizingMode = 'FIXED';
+    label.primaryAxisAlignItems = 'CENTER';
+
+    if (characters) {
+      const text = this.createText(characters, CONTRAST_MATRIX_LAYOUT.labelFontSize, 'Regular');
+      text.resize(width, text.height);
+      text.textAutoResize = 'HEIGHT';
+      label.appendChild(text);
+    }
+
+    return label;
+  }
+
+  private createAutoLayout(name: string, direction: 'HORIZONTAL' | 'VERTICAL', spacing: number): FrameNode {
+    const frame = figma.createFrame();
+    frame.name = name;
+    frame.fills = [];
+    frame.layoutMode = direction;
+    frame.primaryAxisSizingMode = 'AUTO';
+    frame.counterAxisSizingMode = 'AUTO';
+    frame.itemSpacing = spacing;
+    return frame;
+  }
+
+  private createText(characters: string, fontSize: number, style: 'Regular' | 'Bold'): TextNode {
+    const text = figma.createText();
+    text.fontName = { family: this.fontFamily, style };
+    text.characters = characters;
+    text.fontSize = fontSize;
+    text.fills = [{ type: 'SOLID', color: { r: 0.1, g: 0.1, b: 0.1 } }];
+    return text;
+  }
+
+  private toPaint(hex: string): SolidPaint {
+    const rgb = converters.color.toRGB(hex);
+    if (!rgb.success) {
+      return { type: 'SOLID', color: CONTRAST_MATRIX_LAYOUT.emptyColor };
+    }
+
+    const { r, g, b, a } = rgb.data!;
+    return { type: 'SOLID', color: { r, g, b }, opacity: a };
+  }
+
+  /**
+   * Put the frame right of the last documentation frame, or in the viewport center
+   */
+  private place(frame: FrameNode): void {
+    const docs = figma.currentPage.findChildren(node => node.type === 'FRAME' && node.name === 'Token Documentation');
+
+    if (docs.length === 0) {
+      frame.x = figma.viewport.center.x - frame.width / 2;
+      frame.y = figma.viewport.center.y - frame.height / 2;
+      return;
+    }
+
+    const last = docs.reduce((right, node) => (node.x + node.width > right.x + right.width ? node : right));
+    frame.x = last.x + last.width + CONTRAST_MATRIX_LAYOUT.offset;
+    frame.y = last.y;
+  }
+
+  private unique(values: string[]): string[] {
+    return values.filter((value, index) => values.indexOf(value) === index);
+  }
+}
@@ -18,6 +18,7 @@ import { DefaultVisualizer } from '../../core/visualizers/DefaultVisualizer';
 import { Token } from '../../core/models/Token';
 import { TokenDocumentationAdapter } from '../../core/adapters/TokenDocumentationAdapter';
 import { TokenRepository } from '../../core/services/TokenRepository';
+import { converters } from '../../core/converters';
 import { debug } from '../../shared/logger';
 
 /**
@@ -399,16 +400,30 @@ export class DocumentationGenerator {
   private convertToRows(metadata: TokenMetadata[]): DocumentationTokenRow[] {
     return metadata.map(token => ({
       name: token.name,
-      value: this.formatValue(token.originalValue || token.value, token.type),
+      value: token.expression || this.formatValue(token.originalValue || token.value, token.type),
       resolvedValue: this.formatResolvedValue(token.value, token.type),
       type: token.type,
-      description: token.description || '',
+      description: this.formatDescription(token),
+      groupDescription: token.groupDescription,
       category: extractCategoryFromPath(token.fullPath),
       path: token.fullPath,
       originalToken: token,
     }));
   }
 
+  /**
+   * Token description, led by a deprecation notice for deprecated tokens
+   */
+  private formatDescription(token: TokenMetadata): string {
+    const description = token.description || '';
+    if (!token.deprecated) {
+      return description;
+    }
+
+    const notice = typeof token.deprecated === 'string' ? `Deprecated: ${token.deprecated}` : 'Deprecated';
+    return description ? `${notice}\n${description}` : notice;
+  }
+
   /**
    * Group rows by collection (primitive, semantic, etc.)
    */
@@ -479,6 +494,13 @@ export class DocumentationGenerator {
       return value ? 'true' : 'false';
     }
 
+    // Gradient stops: [{ color, position }]
+    if (type === 'gradient' && Array.isArray(value)) {
+      return value
+        .map(stop => `${this.formatColorValue(stop.color)} ${formatNumber(stop.position * 100)}%`)
+        .join(', ');
+    }
+
     // Handle arrays (e.g., font family arrays)
     if (Array.isArray(value)) {
       return value.join(', ');
@@ -540,6 +562,13 @@ export class DocumentationGenerator {
         return `${x}px ${y}px ${blur}px ${spread}px ${color}`;
       }
 
+      // Border object: { color, width, style | strokeStyle }
+      if (type === 'border' && 'color' in value && 'width' in value) {
+        const width = this.formatResolvedValue(value.width, 'dimension');
+        const style = value.strokeStyle || value.style || 'solid';
+        return `${width} ${typeof style === 'string' ? style : 'dashed'} ${this.formatColorValue(value.color)}`;
+      }
+
       // Fallback: try to extract meaningful info or stringify
       console.warn('[DocumentationGenerator] Unhandled object format:', { type, value });
       return JSON.stringify(value);
@@ -580,6 +609,14 @@ export class DocumentationGenerator {
         const [r, g, b] = value.components;
         return this.rgbToHex({ r: r / 255, g: g / 255, b: b / 255 });
       }
+
+      // Other colorSpace objects (oklch, display-p3, ...): hex of the sRGB-mapped color
+      if ('colorSpace' in value) {
+        const hex = converters.color.toHex(value);
+        if (hex.success) {
+          return hex.data!;
+        }
+      }
     }
 
     return formatTokenValue(value, 'color');
@@ -708,9 +745,15 @@ export class DocumentationGenerator {
     const headerRow = this.createHeaderRow(columns, columnWidths, tableWidth);
     tableFrame.appendChild(headerRow);
 
-    // Data rows
+    // Data rows, each group description once above the rows it describes
     for (let i = 0; i < rows.length; i++) {
       const row = rows[i];
+      if (includeDescriptions && row.groupDescription && row.groupDescription !== (i > 0 ? rows[i - 1].groupDescription : undefined)) {
+        const caption = this.createTextCell(row.groupDescription, tableWidth);
+        caption.name = 'Group Description';
+        tableFrame.appendChild(caption);
+      }
+
       const isAlternate = i % 2 === 1;
       const dataRow = await this.createDataRow(row, columns, columnWidths, isAlternate, tableWidth);
       tableFrame.appendChild(dataRow);
@@ -3,8 +3,8 @@
 // Wrapper around figma.clientStorage for type-safe persistence
 // ====================================================================================
 
-import { Result, Success, Failure, TokenState, GitHubConfig } from '../../shared/types';
-import { STORAGE_KEYS } from '../../shared/constants';
+import { Result, Success, Failure, TokenState, GitHubConfig, ProjectInfo, LintConfig, FontStyleMapping, ProjectSettings } from '../../shared/types';
+import { STORAGE_KEYS, DEFAULT_PROJECT_ID } from '../../shared/constants';
 import { ErrorHandler } from '../utils/ErrorHandler';
 
 /**
@@ -19,8 +19,25 @@ import { ErrorHandler } from '../utils/ErrorHandler';
  * Storage Schema:
  * - tokenState: { tokenFiles, tokenSource, githubConfig }
  * - githubConfig: { token, owner, repo, branch, files }
+ * - projects: ProjectInfo[]
+ * - activeProject: project id
+ * - lintConfig: LintConfig
+ * - fontStyles: FontStyleMapping
+ * - settings: Partial<ProjectSettings>
+ *
+ * Token state, GitHub config, lint config, font styles and settings belong to the active project: other
+ * projects than the default one store them under "<key>:<projectId>".
  */
 export class StorageService {
+  private projectId: string = DEFAULT_PROJECT_ID;
+
+  /**
+   * Scope token state, GitHub config and lint config to a project
+   */
+  setProject(projectId: string): void {
+    this.projectId = projectId;
+  }
+
   /**
    * Save token state to storage
    * Preserves user's current token files and source
@@ -28,7 +45,7 @@ export class StorageService {
   async saveTokenState(state: TokenState): Promise<Result<void>> {
     return ErrorHandler.handle(async () => {
       const serialized = JSON.stringify(state);
-      await figma.clientStorage.setAsync(STORAGE_KEYS.TOKEN_STATE, serialized);
+      await figma.clientStorage.setAsync(this.projectKey(STORAGE_KEYS.TOKEN_STATE), serialized);
       ErrorHandler.info(`Token state saved (${Object.keys(state.tokenFiles).length} files)`, 'StorageService');
     }, 'Save Token State');
   }
@@ -39,7 +56,7 @@ export class StorageService {
    */
   async getTokenState(): Promise<Result<TokenState | null>> {
     return ErrorHandler.handle(async () => {
-      const serialized = await figma.clientStorage.getAsync(STORAGE_KEYS.TOKEN_STATE);
+      const serialized = await figma.clientStorage.getAsync(this.projectKey(STORAGE_KEYS.TOKEN_STATE));
 
       if (!serialized) {
         ErrorHandler.info('No token state found in storage', 'StorageService');
@@ -57,7 +74,7 @@ export class StorageService {
    */
   async clearTokenState(): Promise<Result<void>> {
     return ErrorHandler.handle(async () => {
-      await figma.clientStorage.deleteAsync(STORAGE_KEYS.TOKEN_STATE);
+      await figma.clientStorage.deleteAsync(this.projectKey(STORAGE_KEYS.TOKEN_STATE));
       ErrorHandler.info('Token state cleared', 'StorageService');
     }, 'Clear Token State');
   }
@@ -82,7 +99,7 @@ export class StorageService {
       );
 
       const serialized = JSON.stringify(config);
-      await figma.clientStorage.setAsync(STORAGE_KEYS.GITHUB_CONFIG, serialized);
+      await figma.clientStorage.setAsync(this.projectKey(STORAGE_KEYS.GITHUB_CONFIG), serialized);
       ErrorHandler.info(`GitHub config saved (${config.owner}/${config.repo}@${config.branch})`, 'StorageService');
     }, 'Save GitHub Config');
   }
@@ -96,7 +113,7 @@ export class StorageService {
    */
   async getGitHubConfig(): Promise<Result<GitHubConfig | null>> {
     return ErrorHandler.handle(async () => {
-      const serialized = await figma.clientStorage.getAsync(STORAGE_KEYS.GITHUB_CONFIG);
+      const serialized = await figma.clientStorage.getAsync(this.projectKey(STORAGE_KEYS.GITHUB_CONFIG));
 
       if (!serialized) {
         ErrorHandler.info('No GitHub config found in storage', 'StorageService');
@@ -114,19 +131,138 @@ export class StorageService {
    */
   async clearGitHubConfig(): Promise<Result<void>> {
     return ErrorHandler.handle(async () => {
-      await figma.clientStorage.deleteAsync(STORAGE_KEYS.GITHUB_CONFIG);
+      await figma.clientStorage.deleteAsync(this.projectKey(STORAGE_KEYS.GITHUB_CONFIG));
       ErrorHandler.info('GitHub config cleared', 'StorageService');
     }, 'Clear GitHub Config');
   }
 
+  /**
+   * Load the lint configuration of the active project
+   * Returns null if the project never saved one (the rules run with their defaults)
+   */
+  async getLintConfig(): Promise<Result<LintConfig | null>> {
+    return ErrorHandler.handle(async () => {
+      const serialized = await figma.clientStorage.getAsync(this.projectKey(STORAGE_KEYS.LINT_CONFIG));
+      return serialized ? (JSON.parse(serialized as string) as LintConfig) : null;
+    }, 'Load Lint Config');
+  }
+
+  /**
+   * Save the lint configuration of the active project
+   */
+  async saveLintConfig(config: LintConfig): Promise<Result<void>> {
+    return ErrorHandler.handle(async () => {
+      await figma.clientStorage.setAsync(this.projectKey(STORAGE_KEYS.LINT_CONFIG), JSON.stringify(config));
+      ErrorHandler.info(`Lint config saved (${Object.keys(config.rules).length} rules)`, 'StorageService');
+    }, 'Save Lint Config');
+  }
+
+  /**
+   * Load the font style mapping of the active project
+   * Returns null if the project never saved one (weights use the built-in style names)
+   */
+  async getFontStyleMapping(): Promise<Result<FontStyleMapping | null>> {
+    return ErrorHandler.handle(async () => {
+      const serialized = await figma.clientStorage.getAsync(this.projectKey(STORAGE_KEYS.FONT_STYLES));
+      return serialized ? (JSON.parse(serialized as string) as FontStyleMapping) : null;
+    }, 'Load Font Styles');
+  }
+
+  /**
+   * Save the font style mapping of the active project
+   */
+  async saveFontStyleMapping(mapping: FontStyleMapping): Promise<Result<void>> {
+    return ErrorHandler.handle(async () => {
+      await figma.clientStorage.setAsync(this.projectKey(STORAGE_KEYS.FONT_STYLES), JSON.stringify(mapping));
+      ErrorHandler.info(`Font styles saved (${Object.keys(mapping.families || {}).length} family overrides)`, 'StorageService');
+    }, 'Save Font Styles');
+  }
+
+  /**
+   * Load the settings of the active project
+   * Returns null if the project never saved any (the defaults apply)
+   */
+  async getSettings(): Promise<Result<Partial<ProjectSettings> | null>> {
+    return ErrorHandler.handle(async () => {
+      const serialized = await figma.clientStorage.getAsync(this.projectKey(STORAGE_KEYS.SETTINGS));
+      return serialized ? (JSON.parse(serialized as string) as Partial<ProjectSettings>) : null;
+    }, 'Load Settings');
+  }
+
+  /**
+   * Save the settings of the active project
+   */
+  async saveSettings(settings: ProjectSettings): Promise<Result<void>> {
+    return ErrorHandler.handle(async () => {
+      await figma.clientStorage.setAsync(this.projectKey(STORAGE_KEYS.SETTINGS), JSON.stringify(settings));
+      ErrorHandler.info('Settings saved', 'StorageService');
+    }, 'Save Settings');
+  }
+
+  /**
+   * Load the project index
+   * Returns an empty array before the first project is saved
+   */
+  async getProjects(): Promise<Result<ProjectInfo[]>> {
+    return ErrorHandler.handle(async () => {
+      const serialized = await figma.clientStorage.getAsync(STORAGE_KEYS.PROJECTS);
+      return serialized ? (JSON.parse(serialized as string) as ProjectInfo[]) : [];
+    }, 'Load Projects');
+  }
+
+  /**
+   * Save the project index
+   */
+  async saveProjects(projects: ProjectInfo[]): Promise<Result<void>> {
+    return ErrorHandler.handle(async () => {
+      await figma.clientStorage.setAsync(STORAGE_KEYS.PROJECTS, JSON.stringify(projects));
+      ErrorHandler.info(`Project index saved (${projects.length} projects)`, 'StorageService');
+    }, 'Save Projects');
+  }
+
+  /**
+   * Load the id of the project used last
+   * Returns null if none was saved
+   */
+  async getActiveProjectId(): Promise<Result<string | null>> {
+    return ErrorHandler.handle(async () => {
+      const projectId = await figma.clientStorage.getAsync(STORAGE_KEYS.ACTIVE_PROJECT);
+      return (projectId as string) || null;
+    }, 'Load Active Project');
+  }
+
+  /**
+   * Save the id of the active project
+   */
+  async saveActiveProjectId(projectId: string): Promise<Result<void>> {
+    return ErrorHandler.handle(async () => {
+      await figma.clientStorage.setAsync(STORAGE_KEYS.ACTIVE_PROJECT, projectId);
+    }, 'Save Active Project');
+  }
+
+  /**
+   * Clear the token state, GitHub config, lint config, font styles and settings of a project
+   * Used when the project is deleted
+   */
+  async clearProjectData(projectId: string): Promise<Result<void>> {
+    return ErrorHandler.handle(async () => {
+      await figma.clientStorage.deleteAsync(this.projectKey(STORAGE_KEYS.TOKEN_STATE, projectId));
+      await figma.clientStorage.deleteAsync(this.projectKey(STORAGE_KEYS.GITHUB_CONFIG, projectId));
+      await figma.clientStorage.deleteAsync(this.projectKey(STORAGE_KEYS.LINT_CONFIG, projectId));
+      await figma.clientStorage.deleteAsync(this.projectKey(STORAGE_KEYS.FONT_STYLES, projectId));
+      await figma.clientStorage.deleteAsync(this.projectKey(STORAGE_KEYS.SETTINGS, projectId));
+      ErrorHandler.info(`Storage of project "${projectId}" cleared`, 'StorageService');
+    }, 'Clear Project Data');
+  }
+
   /**
    * Clear all storage data
    * Useful for plugin reset or debugging
    */
   async clearAll(): Promise<Result<void>> {
     return ErrorHandler.handle(async () => {
-      await figma.clientStorage.deleteAsync(STORAGE_KEYS.TOKEN_STATE);
-      await figma.clientStorage.deleteAsync(STORAGE_KEYS.GITHUB_CONFIG);
+      await figma.clientStorage.deleteAsync(this.projectKey(STORAGE_KEYS.TOKEN_STATE));
+      await figma.clientStorage.deleteAsync(this.projectKey(STORAGE_KEYS.GITHUB_CONFIG));
       ErrorHandler.info('All storage cleared', 'StorageService');
     }, 'Clear All Storage');
   }
@@ -137,8 +273,8 @@ export class StorageService {
    */
   async getStorageStats(): Promise<Result<{ tokenStateSize: number; githubConfigSize: number }>> {
     return ErrorHandler.handle(async () => {
-      const tokenState = await figma.clientStorage.getAsync(STORAGE_KEYS.TOKEN_STATE);
-      const githubConfig = await figma.clientStorage.getAsync(STORAGE_KEYS.GITHUB_CONFIG);
+      const tokenState = await figma.clientStorage.getAsync(this.projectKey(STORAGE_KEYS.TOKEN_STATE));
+      const githubConfig = await figma.clientStorage.getAsync(this.projectKey(STORAGE_KEYS.GITHUB_CONFIG));
 
       const stats = {
         tokenStateSize: tokenState ? (tokenState as string).length : 0,
@@ -149,4 +285,13 @@ export class StorageService {
       return stats;
     }, 'Get Storage Stats');
   }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Storage key of per-project data (the default project keeps the unscoped key)
+   */
+  private projectKey(key: string, projectId: string = this.projectId): string {
+    return projectId === DEFAULT_PROJECT_ID ? key : `${key}:${projectId}`;
+  }
 }
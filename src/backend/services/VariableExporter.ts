@@ -0,0 +1,265 @@
+// ====================================================================================
+// VARIABLE EXPORTER
+// Serializes local Figma variables back to W3C Design Tokens JSON
+// ====================================================================================
+
+import { Result, Success, Failure, TokenData, VariableExportFile } from '../../shared/types';
+import { converters } from '../../core/converters';
+import { debug } from '../../shared/logger';
+
+/**
+ * Scopes that mark a FLOAT variable as a pixel dimension
+ */
+const DIMENSION_SCOPES: VariableScope[] = [
+  'CORNER_RADIUS',
+  'WIDTH_HEIGHT',
+  'GAP',
+  'STROKE_FLOAT',
+  'EFFECT_FLOAT',
+  'FONT_SIZE',
+  'LINE_HEIGHT',
+  'LETTER_SPACING',
+  'PARAGRAPH_SPACING',
+  'PARAGRAPH_INDENT',
+];
+
+/**
+ * VariableExporter
+ *
+ * Principles:
+ * - Single Responsibility: Only converts Figma variables to W3C token JSON
+ * - Round-trip: Output follows W3CTokenFormatStrategy conventions so it re-imports cleanly
+ *
+ * Output per collection:
+ * - Variable names (color/primary) become nested groups (color.primary)
+ * - Default mode → $value, all modes → $extensions.mode (when >1 mode)
+ * - Aliases → {path.to.token} references
+ * - Description → $description
+ * - Scopes / code syntax → $extensions.figma
+ *
+ * Usage:
+ * ```typescript
+ * const exporter = new VariableExporter();
+ * const result = await exporter.exportCollections();
+ * // result.data → [{ name: 'primitive.json', collection: 'primitive', content: {...} }]
+ * ```
+ */
+export class VariableExporter {
+  private variablesById: Map<string, Variable> = new Map();
+
+  /**
+   * Export local variable collections as W3C token files
+   *
+   * @param collectionNames - Only export these collections (default: every local collection)
+   * @returns One file per collection
+   */
+  async exportCollections(collectionNames?: string[]): Promise<Result<VariableExportFile[]>> {
+    try {
+      const collections = (await figma.variables.getLocalVariableCollectionsAsync())
+        .filter(collection => !collectionNames || collectionNames.includes(collection.name));
+      const variables = await figma.variables.getLocalVariablesAsync();
+
+      this.variablesById = new Map(variables.map(v => [v.id, v]));
+
+      const files: VariableExportFile[] = [];
+
+      for (const collection of collections) {
+        const collectionVariables = variables.filter(v => v.variableCollectionId === collection.id);
+        const content = await this.buildCollectionTokens(collection, collectionVariables);
+
+        files.push({
+          name: `${this.toFileName(collection.name)}.json`,
+          collection: collection.name,
+          content,
+        });
+
+        debug.log(`[VariableExporter] Exported ${collectionVariables.length} variables from ${collection.name}`);
+      }
+
+      return Success(files);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error('[VariableExporter] Export failed:', message);
+      return Failure(`Failed to export Figma variables: ${message}`);
+    }
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Build nested W3C token tree for a collection
+   */
+  private async buildCollectionTokens(
+    collection: VariableCollection,
+    variables: Variable[]
+  ): Promise<TokenData> {
+    const root: TokenData = {};
+    const defaultModeId = collection.defaultModeId || collection.modes[0].modeId;
+
+    for (const variable of variables) {
+      const type = this.inferTokenType(variable);
+      const token: Record<string, unknown> = {
+        $type: type,
+        $value: await this.toTokenValue(variable.valuesByMode[defaultModeId], type),
+      };
+
+      if (variable.description) {
+        token.$description = variable.description;
+      }
+
+      const extensions: Record<string, unknown> = {};
+
+      if (collection.modes.length > 1) {
+        const modeValues: Record<string, unknown> = {};
+        for (const mode of collection.modes) {
+          modeValues[mode.name] = await this.toTokenValue(variable.valuesByMode[mode.modeId], type);
+        }
+        extensions.mode = modeValues;
+      }
+
+      const figmaExtensions = this.buildFigmaExtensions(variable);
+      if (figmaExtensions) {
+        extensions.figma = figmaExtensions;
+      }
+
+      if (Object.keys(extensions).length > 0) {
+        token.$extensions = extensions;
+      }
+
+      this.setAtPath(root, variable.name.split('/'), token);
+    }
+
+    return root;
+  }
+
+  /**
+   * Convert a Figma mode value to a W3C token value
+   */
+  private async toTokenValue(value: VariableValue | undefined, type: string): Promise<unknown> {
+    if (value === undefined) {
+      return null;
+    }
+
+    if (this.isAlias(value)) {
+      const target = this.variablesById.get(value.id) || await figma.variables.getVariableByIdAsync(value.id);
+      if (!target) {
+        console.warn(`[VariableExporter] Alias target not found: ${value.id}`);
+        return null;
+      }
+      return `{${target.name.split('/').join('.')}}`;
+    }
+
+    if (typeof value === 'object' && 'r' in value) {
+      const alpha = 'a' in value ? value.a : 1;
+      const hex = converters.color.toHex({ r: value.r * 255, g: value.g * 255, b: value.b * 255, a: alpha });
+      return hex.success ? hex.data : null;
+    }
+
+    if (typeof value === 'number' && type === 'dimension') {
+      return `${this.round(value)}px`;
+    }
+
+    if (typeof value === 'number') {
+      return this.round(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Infer W3C token type from variable type, scopes and name
+   */
+  private inferTokenType(variable: Variable): string {
+    const scopes = variable.scopes || [];
+    const name = variable.name.toLowerCase();
+
+    switch (variable.resolvedType) {
+      case 'COLOR':
+        return 'color';
+
+      case 'BOOLEAN':
+        return 'boolean';
+
+      case 'STRING':
+        if (scopes.indexOf('FONT_FAMILY') !== -1 || /font-?family/.test(name)) {
+          return 'fontFamily';
+        }
+        return 'string';
+
+      case 'FLOAT':
+        if (scopes.length === 1 && scopes[0] === 'FONT_WEIGHT' || /font-?weight/.test(name)) {
+          return 'fontWeight';
+        }
+        if (scopes.some(scope => DIMENSION_SCOPES.indexOf(scope) !== -1)) {
+          return 'dimension';
+        }
+        if (/spacing|space|size|radius|width|height|gap|padding|margin/.test(name)) {
+          return 'dimension';
+        }
+        return 'number';
+
+      default:
+        return 'string';
+    }
+  }
+
+  /**
+   * Build $extensions.figma (scopes and code syntax)
+   */
+  private buildFigmaExtensions(variable: Variable): Record<string, unknown> | null {
+    const figmaExtensions: Record<string, unknown> = {};
+
+    if (variable.scopes && variable.scopes.length > 0) {
+      figmaExtensions.scopes = variable.scopes.slice();
+    }
+
+    const codeSyntax = variable.codeSyntax || {};
+    if (Object.keys(codeSyntax).length > 0) {
+      figmaExtensions.codeSyntax = { ...codeSyntax };
+    }
+
+    return Object.keys(figmaExtensions).length > 0 ? figmaExtensions : null;
+  }
+
+  /**
+   * Place token into nested groups, creating groups as needed
+   */
+  private setAtPath(root: TokenData, path: string[], token: Record<string, unknown>): void {
+    let node = root;
+
+    for (let i = 0; i < path.length - 1; i++) {
+      const segment = path[i];
+      if (typeof node[segment] !== 'object' || node[segment] === null) {
+        node[segment] = {};
+      } else if ('$value' in node[segment]) {
+        // A token already sits at this path - nested tokens can't share it
+        console.warn(`[VariableExporter] Skipping ${path.join('/')}: ${segment} is a token, not a group`);
+        return;
+      }
+      node = node[segment];
+    }
+
+    node[path[path.length - 1]] = token;
+  }
+
+  /**
+   * Type guard for Figma variable aliases
+   */
+  private isAlias(value: VariableValue): value is VariableAlias {
+    return typeof value === 'object' && value !== null && 'type' in value && value.type === 'VARIABLE_ALIAS';
+  }
+
+  /**
+   * Round float noise from Figma (e.g. 0.30000001192092896 → 0.3)
+   */
+  private round(value: number): number {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  /**
+   * Convert collection name to a safe file name
+   */
+  private toFileName(name: string): string {
+    return name.trim().replace(/[^a-zA-Z0-9-_]+/g, '-').replace(/^-+|-+$/g, '') || 'tokens';
+  }
+}
@@ -0,0 +1,222 @@
+// ====================================================================================
+// GITLAB FILE SOURCE ADAPTER
+// Fetches token files from GitLab (gitlab.com or self-managed) via the REST API v4
+// ====================================================================================
+
+import { IFileSource, FileMetadata, FileSourceConfig } from '../interfaces/IFileSource';
+import { Result, Success, Failure, GitLabConfig } from '../../shared/types';
+import { BatchProcessor } from '../../utils/BatchProcessor';
+import { FEATURE_FLAGS, GITLAB_DEFAULTS } from '../../shared/constants';
+
+/**
+ * GitLab-specific configuration
+ */
+export interface GitLabFileSourceConfig extends FileSourceConfig {
+  source: 'gitlab';
+  token: string;
+  baseUrl: string;
+  projectId: string;
+  ref: string;
+  files?: string[];
+}
+
+/**
+ * Tree entry returned by GET /projects/:id/repository/tree
+ */
+interface GitLabTreeEntry {
+  id: string;
+  name: string;
+  type: 'blob' | 'tree' | 'commit';
+  path: string;
+}
+
+/**
+ * GitLab file source implementation
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only handles GitLab API communication for token files
+ * - Open/Closed: Implements IFileSource without modifying existing sources
+ * - Liskov Substitution: Can be used anywhere IFileSource is expected
+ *
+ * API usage:
+ * - Tree listing: GET /api/v4/projects/:id/repository/tree?recursive=true (paginated via X-Next-Page)
+ * - Raw content: GET /api/v4/projects/:id/repository/files/:path/raw?ref=:ref
+ * - Auth: PRIVATE-TOKEN header (personal, project or group access token)
+ *
+ * Usage:
+ * ```typescript
+ * const source = new GitLabFileSource();
+ * const result = await source.fetchFileList({
+ *   source: 'gitlab',
+ *   baseUrl: 'https://gitlab.example.com',
+ *   projectId: 'design/tokens',
+ *   ref: 'main',
+ *   token: 'glpat-...'
+ * });
+ * ```
+ */
+export class GitLabFileSource implements IFileSource {
+  /**
+   * Fetch list of JSON files from GitLab repository (all pages)
+   */
+  async fetchFileList(config: FileSourceConfig): Promise<Result<FileMetadata[]>> {
+    try {
+      const glConfig = this.toGitLabConfig(config);
+      const entries: GitLabTreeEntry[] = [];
+      let page: string | null = '1';
+
+      while (page) {
+        const url = `${this.projectUrl(glConfig)}/repository/tree?recursive=true&per_page=${GITLAB_DEFAULTS.PER_PAGE}&page=${page}&ref=${encodeURIComponent(glConfig.ref)}`;
+        const response = await this.request(glConfig, url);
+        const pageEntries: GitLabTreeEntry[] = await response.json();
+
+        entries.push(...pageEntries);
+        // Figma's fetch response has no Headers object, only lower-cased headersObject
+        page = response.headersObject['x-next-page'] || null;
+      }
+
+      const metadata: FileMetadata[] = entries
+        .filter(entry => entry.type === 'blob' && entry.path.endsWith('.json'))
+        .map(entry => ({
+          path: entry.path,
+          type: 'file' as const,
+          sha: entry.id
+        }));
+
+      return Success(metadata);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[GitLabFileSource] Failed to fetch file list: ${message}`);
+      return Failure(message);
+    }
+  }
+
+  /**
+   * Fetch and parse a single file's raw content
+   */
+  async fetchFileContent(config: FileSourceConfig, filePath: string): Promise<Result<unknown>> {
+    try {
+      const glConfig = this.toGitLabConfig(config);
+      const url = `${this.projectUrl(glConfig)}/repository/files/${encodeURIComponent(filePath)}/raw?ref=${encodeURIComponent(glConfig.ref)}`;
+      const response = await this.request(glConfig, url);
+      const text = await response.text();
+
+      return Success(JSON.parse(text));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[GitLabFileSource] Failed to fetch file '${filePath}': ${message}`);
+      return Failure(message);
+    }
+  }
+
+  /**
+   * Fetch multiple files in parallel batches
+   * Contents are returned in the same order as filePaths
+   */
+  async fetchMultipleFiles(config: FileSourceConfig, filePaths: string[]): Promise<Result<unknown[]>> {
+    try {
+      const contents: unknown[] = new Array(filePaths.length);
+
+      const result = await BatchProcessor.processBatch(
+        filePaths,
+        async (filePath, index) => {
+          const fileResult = await this.fetchFileContent(config, filePath);
+          if (!fileResult.success) {
+            throw new Error(fileResult.error);
+          }
+          contents[index] = fileResult.data;
+        },
+        {
+          batchSize: FEATURE_FLAGS.ENABLE_PARALLEL_FETCHING ? FEATURE_FLAGS.PARALLEL_BATCH_SIZE : 1,
+          delayMs: FEATURE_FLAGS.BATCH_DELAY_MS
+        }
+      );
+
+      if (result.failureCount > 0) {
+        const failed = result.failures.map(failure => failure.item).join(', ');
+        return Failure(`Failed to fetch ${result.failureCount} file(s): ${failed}`);
+      }
+
+      return Success(contents);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[GitLabFileSource] Failed to fetch multiple files: ${message}`);
+      return Failure(message);
+    }
+  }
+
+  /**
+   * Validate GitLab configuration by reading the project
+   */
+  async validateConfig(config: FileSourceConfig): Promise<Result<boolean>> {
+    try {
+      const glConfig = this.toGitLabConfig(config);
+
+      if (!glConfig.projectId) {
+        return Success(false);
+      }
+
+      await this.request(glConfig, this.projectUrl(glConfig));
+      return Success(true);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[GitLabFileSource] Config validation failed: ${message}`);
+      return Success(false);
+    }
+  }
+
+  /**
+   * Get source type identifier
+   */
+  getSourceType(): string {
+    return 'gitlab';
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Build the project API URL
+   * Namespace paths (group/sub/project) must be URL-encoded as a single segment
+   */
+  private projectUrl(config: GitLabConfig): string {
+    const baseUrl = (config.baseUrl || GITLAB_DEFAULTS.BASE_URL).replace(/\/+$/, '');
+    return `${baseUrl}/api/v4/projects/${encodeURIComponent(config.projectId)}`;
+  }
+
+  /**
+   * Authenticated GET request, throws on non-2xx responses
+   */
+  private async request(config: GitLabConfig, url: string): Promise<FetchResponse> {
+    const headers: Record<string, string> = {};
+
+    if (config.token) {
+      headers['PRIVATE-TOKEN'] = config.token;
+    }
+
+    // The DOM lib shadows Figma's fetch typing - at runtime this is a FetchResponse
+    const response = await fetch(url, { headers }) as unknown as FetchResponse;
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`GitLab API error (${response.status}): ${errorText || response.statusText}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Convert FileSourceConfig to GitLabConfig
+   * Private helper to maintain type safety
+   */
+  private toGitLabConfig(config: FileSourceConfig): GitLabConfig {
+    const glConfig = config as GitLabFileSourceConfig;
+
+    return {
+      token: glConfig.token,
+      baseUrl: glConfig.baseUrl || GITLAB_DEFAULTS.BASE_URL,
+      projectId: String(glConfig.projectId || '').trim(),
+      ref: glConfig.ref || GITLAB_DEFAULTS.REF,
+      files: glConfig.files
+    };
+  }
+}
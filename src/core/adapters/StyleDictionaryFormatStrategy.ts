@@ -207,6 +207,7 @@ export class StyleDictionaryFormatStrategy implements ITokenFormatStrategy {
       if (/^#[0-9a-f]{3,8}$/i.test(value)) return 'color';
       if (/^rgb/.test(value)) return 'color';
       if (/^hsl/.test(value)) return 'color';
+      if (/^(oklch|oklab|lab|lch|color)\(/.test(value)) return 'color';
 
       // Check for dimension units
       if (/^\d+(\.\d+)?(px|rem|em|%)$/.test(value)) return 'dimension';
@@ -7,6 +7,11 @@ import { Token } from '../models/Token';
 import { TokenMetadata } from '../../shared/types';
 import { TokenRepository } from '../services/TokenRepository';
 
+/**
+ * Reference chains longer than this are treated as circular
+ */
+const MAX_REFERENCE_DEPTH = 10;
+
 /**
  * Adapter for DocumentationGenerator
  *
@@ -59,11 +64,48 @@ export class TokenDocumentationAdapter {
       name: token.name,
       fullPath: token.qualifiedName,
       type: token.type,
-      value: token.resolvedValue || token.value,
+      value: token.type === 'border' ? this.resolveBorderParts(token) : token.resolvedValue || token.value,
       originalValue: aliasTo || token.rawValue || token.value,
       description: token.description,
+      groupDescription: token.groupDescription,
+      deprecated: token.status === 'deprecated' ? token.deprecationMessage || true : undefined,
+      expression: token.expression,
       aliasTo: aliasTo,
       collection: token.collection,
     };
   }
+
+  /**
+   * Resolve the {references} in a border's parts so the visualizer gets concrete values
+   * Border colors and widths usually reference primitive tokens
+   */
+  private resolveBorderParts(token: Token): unknown {
+    const value = token.resolvedValue || token.value;
+    if (typeof value !== 'object' || value === null) {
+      return value;
+    }
+
+    const resolved: Record<string, unknown> = {};
+    for (const [key, part] of Object.entries(value)) {
+      resolved[key] = this.resolveReferenceValue(part, token.projectId, 0);
+    }
+    return resolved;
+  }
+
+  /**
+   * Follow a {reference} (and references it points to) to its value
+   * Unknown references are returned as written
+   */
+  private resolveReferenceValue(value: unknown, projectId: string, depth: number): unknown {
+    if (typeof value !== 'string' || !/^\{[^{}]+\}$/.test(value) || depth > MAX_REFERENCE_DEPTH) {
+      return value;
+    }
+
+    const target = this.repository.getByQualifiedName(projectId, value.slice(1, -1));
+    if (!target) {
+      return value;
+    }
+
+    return this.resolveReferenceValue(target.resolvedValue || target.value, projectId, depth + 1);
+  }
 }
@@ -0,0 +1,655 @@
+// ====================================================================================
+// TOKENS STUDIO FORMAT STRATEGY
+// Implements parsing for the Tokens Studio for Figma JSON format
+// ====================================================================================
+
+import { ITokenFormatStrategy, TokenFormatInfo } from '../interfaces/ITokenFormatStrategy';
+import { Result, Success, Failure, TokenData, ProcessedToken } from '../../shared/types';
+import { TOKENS_STUDIO_FILES } from '../../shared/constants';
+import { MathExpression } from '../../utils/MathExpression';
+
+/**
+ * Theme entry from $themes.json
+ * 'enabled' sets produce tokens (later sets override earlier ones); 'source' sets only
+ * supply values for references - their tokens are not imported
+ */
+interface TokensStudioTheme {
+  id?: string;
+  name: string;
+  group?: string;
+  selectedTokenSets?: Record<string, 'enabled' | 'source' | 'disabled'>;
+}
+
+/**
+ * Themes sharing a $themes group - one collection, one mode per theme
+ */
+interface ThemeGroup {
+  name?: string; // Unset for themes without a group
+  themes: TokensStudioTheme[];
+}
+
+/**
+ * Raw token object ({ value, type, description?, $extensions? }) with its path
+ */
+interface StudioToken {
+  path: string[];
+  token: Record<string, unknown>;
+}
+
+/**
+ * Tokens a value is resolved against
+ */
+interface ResolveContext {
+  tokens: Map<string, StudioToken>; // Every token the value can see (source sets included)
+  imported: Set<string> | null; // Paths that become tokens - references to others are inlined (null: all)
+}
+
+/**
+ * Tokens Studio type -> universal token type
+ */
+const TYPE_MAP: Record<string, string> = {
+  color: 'color',
+  dimension: 'dimension',
+  sizing: 'dimension',
+  borderRadius: 'dimension',
+  borderWidth: 'dimension',
+  paragraphSpacing: 'dimension',
+  paragraphIndent: 'dimension',
+  spacing: 'spacing',
+  letterSpacing: 'letterSpacing',
+  lineHeights: 'lineHeight',
+  fontSizes: 'fontSize',
+  fontWeights: 'fontWeight',
+  fontFamilies: 'fontFamily',
+  opacity: 'number',
+  number: 'number',
+  boolean: 'boolean',
+  duration: 'duration',
+  text: 'string',
+  textCase: 'string',
+  textDecoration: 'string',
+  asset: 'string',
+  boxShadow: 'shadow',
+  typography: 'typography',
+  border: 'border',
+  other: 'other',
+};
+
+/**
+ * Composition property -> Tokens Studio type of its value, for properties not named
+ * after a type (typography, boxShadow, opacity...); the rest infer it from the value
+ */
+const COMPOSITION_PROPERTY_TYPES: Array<[RegExp, string]> = [
+  [/^(fill|borderColor|backgroundColor)$/, 'color'],
+  [/^borderRadius/, 'borderRadius'],
+  [/^borderWidth/, 'borderWidth'],
+  [/^(spacing|itemSpacing|verticalPadding|horizontalPadding|padding\w*)$/, 'spacing'],
+  [/^(sizing|width|height|(min|max)(Width|Height))$/, 'sizing'],
+  [/^backgroundBlur$/, 'dimension'],
+];
+
+const REFERENCE_PATTERN = /\{([^{}]+)\}/g;
+
+// Legacy references: $color.primary (whole value or inside math)
+const LEGACY_REFERENCE_PATTERN = /(^|[\s(*+/-])\$([\w-]+(?:\.[\w-]+)*)/g;
+
+// Guards against reference cycles while evaluating math
+const MAX_REFERENCE_DEPTH = 10;
+
+/**
+ * Strategy for parsing Tokens Studio format
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only handles Tokens Studio format parsing
+ * - Open/Closed: Implement interface without modifying existing code
+ * - Liskov Substitution: Interchangeable with other format strategies
+ * - Interface Segregation: Implements focused ITokenFormatStrategy interface
+ *
+ * Tokens Studio Format Characteristics:
+ * - Uses "value" and "type" properties (no $ prefix)
+ * - Single-file exports hold token sets as top-level keys, ordered by $metadata.tokenSetOrder
+ * - $themes lists which sets each theme enables; themes become modes via $extensions.mode
+ *   and each theme group becomes a collection. Sets a theme only uses as 'source' resolve
+ *   references but produce no tokens - references to their tokens are inlined
+ * - Values may be math expressions ("{spacing.base} * 2") - evaluated at parse time
+ * - References use {path.to.token}; legacy $path.to.token is also accepted
+ * - Composite types: boxShadow (mapped to shadow), typography, border, and composition,
+ *   whose properties become one token each (card.fill, card.paddingTop)
+ *
+ * Register before StyleDictionaryFormatStrategy: both score "value" tokens,
+ * and ties go to the first registered strategy.
+ */
+export class TokensStudioFormatStrategy implements ITokenFormatStrategy {
+  /**
+   * Merge a multi-file Tokens Studio repository into a single-file document
+   * Set names are file paths relative to the folder holding $themes.json / $metadata.json
+   *
+   * @param files - $themes.json, $metadata.json and token set files
+   * @returns Single-file document ({ [setName]: tokens, $themes, $metadata })
+   */
+  static mergeTokenSetFiles(files: Array<{ path: string; data: TokenData }>): TokenData {
+    const metaFile = files.find(file => TokensStudioFormatStrategy.isMetaFile(file.path));
+    const root = metaFile ? metaFile.path.slice(0, metaFile.path.lastIndexOf('/') + 1) : '';
+    const document: TokenData = {};
+
+    for (const file of files) {
+      const fileName = file.path.split('/').pop() || '';
+
+      if (fileName === TOKENS_STUDIO_FILES.THEMES) {
+        document.$themes = file.data;
+      } else if (fileName === TOKENS_STUDIO_FILES.METADATA) {
+        document.$metadata = file.data;
+      } else if (file.path.startsWith(root) && /\.json$/i.test(file.path)) {
+        document[file.path.slice(root.length).replace(/\.json$/i, '')] = file.data;
+      }
+    }
+
+    return document;
+  }
+
+  /**
+   * Check whether a path is a Tokens Studio $themes.json or $metadata.json file
+   */
+  static isMetaFile(path?: string): boolean {
+    const fileName = (path || '').split('/').pop();
+    return fileName === TOKENS_STUDIO_FILES.THEMES || fileName === TOKENS_STUDIO_FILES.METADATA;
+  }
+
+  /**
+   * Detect if data matches Tokens Studio format
+   * $themes/$metadata are definitive; otherwise tokens must carry both "value" and "type"
+   *
+   * @returns Confidence score 0-1
+   */
+  detectFormat(data: TokenData): number {
+    if (!isRecord(data)) return 0;
+    if ('$themes' in data || '$metadata' in data) return 1;
+
+    let tokenCount = 0;
+    let studioTokenCount = 0;
+
+    const check = (obj: Record<string, unknown>) => {
+      for (const key in obj) {
+        if (key.startsWith('$')) continue;
+
+        const value = obj[key];
+        if (!isRecord(value)) continue;
+
+        if ('value' in value && !('$value' in value)) {
+          tokenCount++;
+          if (typeof value.type === 'string') {
+            studioTokenCount++;
+          }
+        } else if (!('$value' in value)) {
+          check(value);
+        }
+      }
+    };
+
+    check(data);
+
+    if (tokenCount === 0) return 0;
+
+    return studioTokenCount / tokenCount;
+  }
+
+  /**
+   * Get format information
+   */
+  getFormatInfo(): TokenFormatInfo {
+    return {
+      name: 'Tokens Studio',
+      version: '2.0',
+      description: 'Tokens Studio for Figma JSON format'
+    };
+  }
+
+  /**
+   * Parse tokens from Tokens Studio format
+   * Merges token sets in order, evaluates math and maps theme groups to collections
+   * and their themes to per-mode values
+   */
+  parseTokens(data: TokenData): Result<ProcessedToken[]> {
+    try {
+      const sets = this.getTokenSets(data);
+      const setNames = sets.map(set => set.name);
+      const themes = this.getThemes(data);
+
+      // Without themes every set produces tokens
+      if (themes.length === 0) {
+        const merged = this.mergeSets(sets, setNames);
+        const context: ResolveContext = { tokens: merged, imported: null };
+        const tokens: ProcessedToken[] = [];
+        merged.forEach(entry => tokens.push(this.toProcessedToken(entry, this.resolveValue(entry, context), {})));
+        return Success(tokens);
+      }
+
+      // Paths produced by an enabled set of any theme; everything else is reference-only
+      const imported = new Set<string>();
+      for (const theme of themes) {
+        this.mergeSets(sets, this.getThemeSetNames(theme, setNames, ['enabled'])).forEach((_entry, key) => imported.add(key));
+      }
+
+      const tokens: ProcessedToken[] = [];
+      const claimed = new Set<string>();
+
+      for (const group of this.groupThemes(themes)) {
+        // Each theme sees its enabled sets over its source sets
+        const themeTokens = group.themes.map(theme => ({
+          name: theme.name,
+          output: this.mergeSets(sets, this.getThemeSetNames(theme, setNames, ['enabled'])),
+          context: {
+            tokens: this.mergeSets(sets, this.getThemeSetNames(theme, setNames, ['source', 'enabled'])),
+            imported,
+          },
+        }));
+
+        const groupOutput = this.mergeSets(sets, group.themes.reduce<string[]>(
+          (names, theme) => names.concat(this.getThemeSetNames(theme, setNames, ['enabled'])),
+          []
+        ));
+
+        groupOutput.forEach((entry, key) => {
+          // A set enabled in several groups lands in the first one
+          if (claimed.has(key)) return;
+          claimed.add(key);
+
+          const modeValues: Record<string, unknown> = {};
+          for (const theme of themeTokens) {
+            const themeEntry = theme.output.get(key);
+            if (themeEntry) {
+              modeValues[theme.name] = this.resolveValue(themeEntry, theme.context);
+            }
+          }
+
+          // The first theme owns the default mode - use its value as the token's own value
+          const modeNames = Object.keys(modeValues);
+          const value = modeNames.length > 0 ? modeValues[modeNames[0]] : this.resolveValue(entry, themeTokens[0].context);
+
+          const processed = this.toProcessedToken(entry, value, modeValues);
+          if (group.name) {
+            processed.collection = group.name;
+          }
+          tokens.push(processed);
+        });
+      }
+
+      return Success(tokens);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[TokensStudioFormatStrategy] Failed to parse tokens: ${message}`);
+      return Failure(message);
+    }
+  }
+
+  /**
+   * Normalize value according to Tokens Studio conventions
+   * boxShadow { x, y, blur, spread, color, type } becomes the universal ShadowValue shape
+   */
+  normalizeValue(value: unknown, type: string): unknown {
+    if (type === 'boxShadow' && typeof value === 'object' && value !== null) {
+      return Array.isArray(value) ? value.map(shadow => this.toShadowValue(shadow)) : this.toShadowValue(value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Extract token type from Tokens Studio token object
+   */
+  extractType(tokenData: unknown, _path: string[]): string | null {
+    if (!isRecord(tokenData)) {
+      return null;
+    }
+
+    const { type, value } = tokenData;
+
+    // Tokens Studio stores gradients as color tokens with a CSS gradient value
+    if (type === 'color' && typeof value === 'string' && /^(linear|radial)-gradient\(/i.test(value.trim())) {
+      return 'gradient';
+    }
+
+    if (typeof type === 'string') {
+      return Object.prototype.hasOwnProperty.call(TYPE_MAP, type) ? TYPE_MAP[type] : type;
+    }
+
+    if (value === undefined) {
+      return null;
+    }
+
+    // Untyped tokens - minimal inference from the value
+    if (typeof value === 'number') return 'number';
+    if (typeof value === 'string' && /^(#[0-9a-f]{3,8}|rgba?\(|hsla?\(|oklch\(|oklab\(|lab\(|lch\(|color\()/i.test(value)) return 'color';
+
+    return 'string';
+  }
+
+  /**
+   * Check if value is a reference in Tokens Studio format
+   * Accepts {path.to.token} and the legacy $path.to.token syntax
+   */
+  isReference(value: unknown): boolean {
+    if (typeof value !== 'string') return false;
+
+    return /^\{[^}]+\}$/.test(value.trim()) || /^\$[\w-]+(\.[\w-]+)*$/.test(value.trim());
+  }
+
+  /**
+   * Extract reference path from Tokens Studio reference syntax
+   */
+  extractReference(value: unknown): string | null {
+    if (typeof value !== 'string' || !this.isReference(value)) return null;
+
+    const trimmed = value.trim();
+    const match = trimmed.match(/^\{([^}]+)\}$/);
+    return match ? match[1] : trimmed.slice(1);
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Split a document into ordered token sets
+   * Without $metadata/$themes the whole document is a single set
+   */
+  private getTokenSets(data: TokenData): Array<{ name: string; tokens: Record<string, unknown> }> {
+    const metadata: unknown = data.$metadata;
+    const order: string[] = isRecord(metadata) && Array.isArray(metadata.tokenSetOrder)
+      ? metadata.tokenSetOrder.filter((name): name is string => typeof name === 'string')
+      : [];
+
+    // Themes can name sets that $metadata omits
+    for (const theme of this.getThemes(data)) {
+      for (const setName of Object.keys(theme.selectedTokenSets || {})) {
+        if (order.indexOf(setName) === -1) order.push(setName);
+      }
+    }
+
+    const sets: Array<{ name: string; tokens: Record<string, unknown> }> = [];
+    for (const name of order) {
+      const tokens: unknown = data[name];
+      if (isRecord(tokens)) {
+        sets.push({ name, tokens });
+      }
+    }
+
+    if (sets.length === 0) {
+      const tokens: Record<string, unknown> = {};
+      for (const key of Object.keys(data)) {
+        if (!key.startsWith('$')) tokens[key] = data[key];
+      }
+      return [{ name: 'global', tokens }];
+    }
+
+    return sets;
+  }
+
+  /**
+   * Read theme definitions ($themes array)
+   */
+  private getThemes(data: TokenData): TokensStudioTheme[] {
+    const themes: unknown = data.$themes;
+    if (!Array.isArray(themes)) return [];
+
+    return themes.filter((theme): theme is TokensStudioTheme => isRecord(theme) && typeof theme.name === 'string');
+  }
+
+  /**
+   * Themes by group, groups in the order their first theme is listed
+   */
+  private groupThemes(themes: TokensStudioTheme[]): ThemeGroup[] {
+    const groups: ThemeGroup[] = [];
+
+    for (const theme of themes) {
+      const name = typeof theme.group === 'string' && theme.group ? theme.group : undefined;
+      const group = groups.find(candidate => candidate.name === name);
+      if (group) {
+        group.themes.push(theme);
+      } else {
+        groups.push({ name, themes: [theme] });
+      }
+    }
+
+    return groups;
+  }
+
+  /**
+   * Sets a theme selects with one of the given statuses
+   * Source sets come first so enabled sets override them; otherwise token set order
+   */
+  private getThemeSetNames(theme: TokensStudioTheme, setNames: string[], statuses: string[]): string[] {
+    const selected = theme.selectedTokenSets || {};
+    return statuses.reduce<string[]>(
+      (names, status) => names.concat(setNames.filter(name => selected[name] === status)),
+      []
+    );
+  }
+
+  /**
+   * Flatten the named sets into path -> token, later sets overriding earlier ones
+   * Composition tokens are split into one token per property
+   */
+  private mergeSets(sets: Array<{ name: string; tokens: Record<string, unknown> }>, include: string[]): Map<string, StudioToken> {
+    const merged = new Map<string, StudioToken>();
+
+    const traverse = (obj: Record<string, unknown>, path: string[]) => {
+      for (const key in obj) {
+        if (key.startsWith('$')) continue;
+
+        const value = obj[key];
+        if (!isRecord(value)) continue;
+
+        const currentPath = [...path, key];
+        if (!('value' in value)) {
+          traverse(value, currentPath);
+        } else if (value.type === 'composition' && isRecord(value.value)) {
+          for (const property of this.splitComposition(currentPath, value)) {
+            merged.set(property.path.join('.'), property);
+          }
+        } else {
+          merged.set(currentPath.join('.'), { path: currentPath, token: value });
+        }
+      }
+    };
+
+    for (const name of include) {
+      const set = sets.find(candidate => candidate.name === name);
+      if (set) {
+        traverse(set.tokens, []);
+      }
+    }
+
+    return merged;
+  }
+
+  /**
+   * One token per composition property, typed after the property
+   */
+  private splitComposition(path: string[], composition: Record<string, unknown>): StudioToken[] {
+    const properties = composition.value as Record<string, unknown>;
+
+    return Object.keys(properties).map(property => {
+      const token: Record<string, unknown> = { value: properties[property] };
+      const type = this.getCompositionPropertyType(property);
+      if (type) {
+        token.type = type;
+      }
+      if (composition.description !== undefined) {
+        token.description = composition.description;
+      }
+      return { path: [...path, property], token };
+    });
+  }
+
+  /**
+   * Tokens Studio type of a composition property (null: infer from the value)
+   */
+  private getCompositionPropertyType(property: string): string | null {
+    if (Object.prototype.hasOwnProperty.call(TYPE_MAP, property)) {
+      return property;
+    }
+
+    const match = COMPOSITION_PROPERTY_TYPES.find(([pattern]) => pattern.test(property));
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Build the processed token of a merged entry
+   */
+  private toProcessedToken(entry: StudioToken, value: unknown, modeValues: Record<string, unknown>): ProcessedToken {
+    const processed: ProcessedToken = {
+      path: entry.path,
+      value,
+      type: this.extractType(entry.token, entry.path) || 'string',
+      originalValue: entry.token.value
+    };
+
+    if (typeof entry.token.description === 'string' && entry.token.description) {
+      processed.description = entry.token.description;
+    }
+
+    const extensions: Record<string, unknown> = {};
+    if (isRecord(entry.token.$extensions)) {
+      Object.assign(extensions, entry.token.$extensions);
+    }
+    if (this.hasDistinctValues(modeValues)) {
+      extensions.mode = modeValues;
+    }
+    if (Object.keys(extensions).length > 0) {
+      processed.extensions = extensions;
+    }
+
+    return processed;
+  }
+
+  /**
+   * Resolve a token's raw value in a context
+   * Normalizes legacy references, evaluates math and converts composite shapes
+   */
+  private resolveValue(entry: StudioToken, context: ResolveContext): unknown {
+    const type = typeof entry.token.type === 'string' ? entry.token.type : '';
+    return this.normalizeValue(this.evaluate(entry.token.value, context, 0), type);
+  }
+
+  /**
+   * Recursively evaluate math in a value (composite properties included)
+   * Expressions with references outside the document are left as written
+   */
+  private evaluate(value: unknown, context: ResolveContext, depth: number): unknown {
+    if (Array.isArray(value)) {
+      return value.map(item => this.evaluate(item, context, depth));
+    }
+
+    if (isRecord(value)) {
+      const result: Record<string, unknown> = {};
+      for (const key of Object.keys(value)) {
+        result[key] = this.evaluate(value[key], context, depth);
+      }
+      return result;
+    }
+
+    if (typeof value !== 'string') {
+      return value;
+    }
+
+    const normalized = this.normalizeReferences(value, context.tokens);
+
+    // A reference to a token that is not imported takes its value
+    const reference = /^\{([^{}]+)\}$/.exec(normalized.trim());
+    if (reference && this.isInlined(reference[1], context) && depth < MAX_REFERENCE_DEPTH) {
+      return this.evaluate(context.tokens.get(reference[1])!.token.value, context, depth + 1);
+    }
+
+    const inlined = this.inlineReferences(normalized, context, depth);
+    if (!MathExpression.isExpression(inlined.replace(REFERENCE_PATTERN, '1'))) {
+      return inlined;
+    }
+
+    let unresolved = false;
+    const substituted = inlined.replace(REFERENCE_PATTERN, (match, path: string) => {
+      const target = context.tokens.get(path);
+      const resolved = target && depth < MAX_REFERENCE_DEPTH
+        ? this.evaluate(target.token.value, context, depth + 1)
+        : undefined;
+
+      if (typeof resolved !== 'number' && (typeof resolved !== 'string' || resolved.indexOf('{') !== -1)) {
+        unresolved = true;
+        return match;
+      }
+      return `(${resolved})`;
+    });
+
+    if (unresolved) {
+      return inlined;
+    }
+
+    try {
+      return MathExpression.format(MathExpression.evaluate(substituted));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.warn(`[TokensStudioFormatStrategy] Could not evaluate "${value}": ${message}`);
+      return inlined;
+    }
+  }
+
+  /**
+   * Replace references to tokens that are not imported by their plain values
+   */
+  private inlineReferences(value: string, context: ResolveContext, depth: number): string {
+    return value.replace(REFERENCE_PATTERN, (match, path: string) => {
+      if (!this.isInlined(path, context) || depth >= MAX_REFERENCE_DEPTH) {
+        return match;
+      }
+
+      const resolved = this.evaluate(context.tokens.get(path)!.token.value, context, depth + 1);
+      return typeof resolved === 'string' || typeof resolved === 'number' ? String(resolved) : match;
+    });
+  }
+
+  /**
+   * True for references to a token the context knows but that is not imported
+   */
+  private isInlined(path: string, context: ResolveContext): boolean {
+    return context.imported !== null && !context.imported.has(path) && context.tokens.has(path);
+  }
+
+  /**
+   * Rewrite legacy $path.to.token references to {path.to.token}
+   * Only paths that exist in the document are rewritten (keeps literal "$" text intact)
+   */
+  private normalizeReferences(value: string, tokens: Map<string, StudioToken>): string {
+    return value.replace(LEGACY_REFERENCE_PATTERN, (match, prefix: string, path: string) =>
+      tokens.has(path) ? `${prefix}{${path}}` : match
+    );
+  }
+
+  /**
+   * True when at least two themes give a token different values
+   */
+  private hasDistinctValues(modeValues: Record<string, unknown>): boolean {
+    const serialized = Object.keys(modeValues).map(name => JSON.stringify(modeValues[name]));
+    return serialized.some(value => value !== serialized[0]);
+  }
+
+  /**
+   * Convert a Tokens Studio shadow ({ x, y, blur, spread, color, type }) to ShadowValue
+   */
+  private toShadowValue(shadow: unknown): unknown {
+    if (!isRecord(shadow)) return shadow;
+
+    return {
+      offsetX: shadow.x !== undefined ? shadow.x : 0,
+      offsetY: shadow.y !== undefined ? shadow.y : 0,
+      blur: shadow.blur !== undefined ? shadow.blur : 0,
+      spread: shadow.spread !== undefined ? shadow.spread : 0,
+      color: shadow.color,
+      inset: shadow.type === 'innerShadow'
+    };
+  }
+}
+
+/**
+ * Plain JSON object check
+ */
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
@@ -5,6 +5,21 @@
 
 import { ITokenFormatStrategy, TokenFormatInfo } from '../interfaces/ITokenFormatStrategy';
 import { Result, Success, Failure, TokenData, ProcessedToken } from '../../shared/types';
+import { converters } from '../converters';
+
+/**
+ * Types whose $value may be a DTCG structured dimension { value, unit }
+ */
+const DIMENSION_TYPES = ['dimension', 'spacing', 'fontSize', 'letterSpacing', 'lineHeight'];
+
+/**
+ * Group properties in effect for the tokens of a group: its own, else its nearest ancestor's
+ */
+interface GroupProperties {
+  type?: string;
+  deprecated?: boolean | string;
+  description?: string;
+}
 
 /**
  * Strategy for parsing W3C Design Tokens format
@@ -19,6 +34,10 @@ import { Result, Success, Failure, TokenData, ProcessedToken } from '../../share
  * - Uses $value, $type, $description properties
  * - References use {path.to.token} syntax
  * - Hierarchical structure with nested groups
+ * - DTCG 2025 structured values: colors { colorSpace, components, alpha, hex },
+ *   dimensions { value, unit } and durations { value, unit: 'ms' | 's' }
+ * - Groups pass $type and $deprecated down to their tokens; tokens (and nested
+ *   groups) override them with their own
  */
 export class W3CTokenFormatStrategy implements ITokenFormatStrategy {
   /**
@@ -82,13 +101,16 @@ export class W3CTokenFormatStrategy implements ITokenFormatStrategy {
 
   /**
    * Parse tokens from W3C format
-   * Traverses nested structure and extracts token definitions
+   * Traverses nested structure and extracts token definitions; $type is taken from
+   * the token, else the nearest group declaring one, and only inferred without either
    */
   parseTokens(data: TokenData): Result<ProcessedToken[]> {
     try {
       const tokens: ProcessedToken[] = [];
 
-      const traverse = (obj: any, path: string[] = []) => {
+      const traverse = (obj: any, path: string[] = [], inherited: GroupProperties = {}) => {
+        const group = this.getGroupProperties(obj, inherited);
+
         for (const key in obj) {
           const value = obj[key];
           const currentPath = [...path, key];
@@ -98,18 +120,42 @@ export class W3CTokenFormatStrategy implements ITokenFormatStrategy {
 
           // Check if this is a token (has $value)
           if (typeof value === 'object' && value !== null && '$value' in value) {
-            const type = value.$type || this.inferType(value.$value, currentPath);
+            const type = value.$type || group.type || this.inferType(value.$value, currentPath);
+
+            const normalized = this.normalizeStructuredValue(value.$value, type);
+            if (!normalized.success) {
+              console.warn(`[W3CTokenFormatStrategy] ${currentPath.join('.')}: ${normalized.error}`);
+            }
 
-            tokens.push({
+            const processed: ProcessedToken = {
               path: currentPath,
-              value: value.$value,
+              value: normalized.success ? normalized.data : value.$value,
               type: type,
               originalValue: value.$value
-            });
+            };
+
+            // Keep $extensions (e.g. per-mode values) for downstream consumers
+            if (typeof value.$extensions === 'object' && value.$extensions !== null) {
+              processed.extensions = value.$extensions;
+            }
+
+            if (typeof value.$description === 'string') {
+              processed.description = value.$description;
+            }
+            if (group.description) {
+              processed.groupDescription = group.description;
+            }
+
+            const deprecated = this.isDeprecation(value.$deprecated) ? value.$deprecated : group.deprecated;
+            if (deprecated === true || typeof deprecated === 'string') {
+              processed.deprecated = deprecated;
+            }
+
+            tokens.push(processed);
           }
           // Otherwise, recurse into nested groups
           else if (typeof value === 'object' && value !== null) {
-            traverse(value, currentPath);
+            traverse(value, currentPath, group);
           }
         }
       };
@@ -126,10 +172,12 @@ export class W3CTokenFormatStrategy implements ITokenFormatStrategy {
 
   /**
    * Normalize value according to W3C conventions
-   * Currently passes through - format-specific transformations can be added
+   * Structured color, dimension and duration values are validated and brought into
+   * their canonical DTCG 2025 shape; strings, numbers and references pass through
    */
   normalizeValue(value: any, type: string): any {
-    return value;
+    const result = this.normalizeStructuredValue(value, type);
+    return result.success ? result.data : value;
   }
 
   /**
@@ -169,6 +217,52 @@ export class W3CTokenFormatStrategy implements ITokenFormatStrategy {
     return match ? match[1] : null;
   }
 
+  /**
+   * Merge a group's own $type, $deprecated and $description over the inherited ones
+   *
+   * @private
+   */
+  private getGroupProperties(group: Record<string, unknown>, inherited: GroupProperties): GroupProperties {
+    return {
+      type: typeof group.$type === 'string' ? group.$type : inherited.type,
+      deprecated: this.isDeprecation(group.$deprecated) ? group.$deprecated : inherited.deprecated,
+      description: typeof group.$description === 'string' ? group.$description : inherited.description,
+    };
+  }
+
+  /**
+   * $deprecated is true, false (not deprecated, e.g. to undo a group's) or an explanation
+   *
+   * @private
+   */
+  private isDeprecation(value: unknown): value is boolean | string {
+    return typeof value === 'boolean' || typeof value === 'string';
+  }
+
+  /**
+   * Canonicalize a DTCG structured value, failing when its structure is invalid
+   * Values that are not structured objects are returned unchanged
+   *
+   * @private
+   */
+  private normalizeStructuredValue(value: unknown, type: string): Result<unknown> {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+      return Success(value);
+    }
+
+    if (type === 'color' && 'colorSpace' in value) {
+      return converters.color.toColorObject(value);
+    }
+    if (type === 'duration' && 'unit' in value) {
+      return converters.dimension.toDurationObject(value);
+    }
+    if (DIMENSION_TYPES.indexOf(type) !== -1 && 'unit' in value) {
+      return converters.dimension.toDimensionObject(value);
+    }
+
+    return Success(value);
+  }
+
   /**
    * Infer token type from value and path
    * Used when $type is not specified
@@ -178,6 +272,12 @@ export class W3CTokenFormatStrategy implements ITokenFormatStrategy {
   private inferType(value: any, path: string[]): string {
     const pathStr = path.join('.').toLowerCase();
 
+    // Gradients often live in color groups - check them before the path
+    if (typeof value === 'string' && /^(linear|radial)-gradient\(/i.test(value.trim())) return 'gradient';
+    if (Array.isArray(value) && value.length > 0 && value.every(stop =>
+      typeof stop === 'object' && stop !== null && 'color' in stop && 'position' in stop
+    )) return 'gradient';
+
     // Infer from path
     if (pathStr.includes('color') || pathStr.includes('colour')) return 'color';
     if (pathStr.includes('spacing') || pathStr.includes('space')) return 'spacing';
@@ -195,6 +295,7 @@ export class W3CTokenFormatStrategy implements ITokenFormatStrategy {
       if (/^#[0-9a-f]{3,8}$/i.test(value)) return 'color';
       if (/^rgb/.test(value)) return 'color';
       if (/^hsl/.test(value)) return 'color';
+      if (/^(oklch|oklab|lab|lch|color)\(/.test(value)) return 'color';
 
       // Check for dimension units
       if (/^\d+(\.\d+)?(px|rem|em)$/.test(value)) return 'dimension';
@@ -207,9 +308,16 @@ export class W3CTokenFormatStrategy implements ITokenFormatStrategy {
       // Color space format
       if ('colorSpace' in value || ('components' in value && 'alpha' in value)) return 'color';
 
+      // Structured dimension and duration
+      if ('value' in value && (value.unit === 'ms' || value.unit === 's')) return 'duration';
+      if ('value' in value && typeof value.unit === 'string') return 'dimension';
+
       // Shadow format
       if ('blur' in value || 'offsetX' in value) return 'shadow';
 
+      // Border format
+      if ('color' in value && 'width' in value) return 'border';
+
       // Typography format
       if ('fontFamily' in value || 'fontSize' in value) return 'typography';
     }
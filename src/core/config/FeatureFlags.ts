@@ -31,14 +31,6 @@ export const FeatureFlags: Record<string, boolean> = {
    */
   DEBUG_MODE: false,
 
-  /**
-   * Dry run mode - validate without syncing to Figma
-   * Useful for testing validation without modifying Figma
-   *
-   * Default: false
-   */
-  DRY_RUN: false,
-
   /**
    * Experimental features (not yet implemented - reserved for future use)
    */
@@ -50,30 +42,6 @@ export const FeatureFlags: Record<string, boolean> = {
    * Default: false
    */
   UNIFIED_PROJECT_ID: false,
-
-  /**
-   * Cross-project reference support
-   * Allow references across project boundaries
-   *
-   * Default: false
-   */
-  CROSS_PROJECT_REFS: false,
-
-  /**
-   * Sync state tracking
-   * Track synced/modified/pending/error status
-   *
-   * Default: false
-   */
-  SYNC_STATE_TRACKING: false,
-
-  /**
-   * Transactional sync
-   * Atomic sync operations with rollback
-   *
-   * Default: false
-   */
-  TRANSACTION_SYNC: false,
 };
 
 /**
@@ -0,0 +1,184 @@
+// ====================================================================================
+// BORDER CONVERTER
+// Type-safe border conversions to Figma stroke properties
+// ====================================================================================
+
+import { Result, Success, Failure } from '../../shared/types';
+import { BorderConverter as IBorderConverter, FigmaBorder } from './types';
+import { StrokeStyleKeyword } from '../models/Token';
+import { colorConverter } from './ColorConverter';
+import { dimensionConverter } from './DimensionConverter';
+
+/**
+ * Predefined DTCG stroke styles
+ */
+const STROKE_STYLE_KEYWORDS: StrokeStyleKeyword[] = ['solid', 'dashed', 'dotted', 'double', 'groove', 'ridge', 'outset', 'inset'];
+
+/**
+ * DTCG lineCap -> Figma strokeCap
+ */
+const STROKE_CAPS: Record<string, FigmaBorder['strokeCap']> = {
+  butt: 'NONE',
+  round: 'ROUND',
+  square: 'SQUARE',
+};
+
+/**
+ * Type-safe border converter
+ * Converts border values to Figma stroke properties
+ *
+ * Features:
+ * - Handles Tokens Studio ({ color, width, style }) and DTCG ({ color, width, strokeStyle }) borders
+ * - CSS shorthand strings ("1px dashed #ccc")
+ * - Custom DTCG dash arrays with lineCap
+ * - Result pattern for error handling
+ *
+ * Figma strokes have no double/groove/ridge/inset/outset rendering - those keywords draw solid.
+ */
+export class BorderConverter implements IBorderConverter {
+  /**
+   * Convert border value to Figma format
+   */
+  toFigma(input: unknown): Result<FigmaBorder> {
+    try {
+      if (typeof input === 'string') {
+        const shorthandResult = this.parseShorthand(input);
+        if (!shorthandResult.success) {
+          return Failure(shorthandResult.error || 'Invalid border shorthand');
+        }
+        return this.toFigma(shorthandResult.data);
+      }
+
+      if (!this.isBorderObject(input)) {
+        return Failure(`Unsupported border format: ${JSON.stringify(input)}`);
+      }
+
+      const colorResult = colorConverter.toRGB(input.color);
+      if (!colorResult.success) {
+        return Failure(`Failed to convert border color: ${colorResult.error}`);
+      }
+
+      const widthResult = dimensionConverter.toPixels(input.width);
+      if (!widthResult.success) {
+        return Failure(`Failed to convert border width: ${widthResult.error}`);
+      }
+      if (widthResult.data! < 0) {
+        return Failure(`Border width cannot be negative: ${JSON.stringify(input.width)}`);
+      }
+
+      const style = input.strokeStyle !== undefined ? input.strokeStyle : input.style;
+      const strokeResult = this.convertStrokeStyle(style === undefined ? 'solid' : style, widthResult.data!);
+      if (!strokeResult.success) {
+        return Failure(strokeResult.error || 'Invalid stroke style');
+      }
+
+      return Success({
+        color: colorResult.data!,
+        width: widthResult.data!,
+        ...strokeResult.data!,
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      return Failure(`Border conversion failed: ${message}`);
+    }
+  }
+
+  /**
+   * Validate border input
+   */
+  validate(input: unknown): Result<boolean> {
+    const result = this.toFigma(input);
+    return result.success ? Success(true) : Success(false);
+  }
+
+  // ==================== PRIVATE CONVERSION METHODS ====================
+
+  /**
+   * Convert a stroke style to a Figma dash pattern
+   * Keyword dashes scale with the width the way browsers draw them
+   */
+  private convertStrokeStyle(
+    style: unknown,
+    width: number
+  ): Result<Pick<FigmaBorder, 'style' | 'dashPattern' | 'strokeCap'>> {
+    const unit = Math.max(width, 1);
+
+    if (typeof style === 'string') {
+      if (STROKE_STYLE_KEYWORDS.indexOf(style as StrokeStyleKeyword) === -1) {
+        return Failure(`Unknown stroke style: ${style}`);
+      }
+
+      const keyword = style as StrokeStyleKeyword;
+      if (keyword === 'dashed') {
+        return Success({ style: keyword, dashPattern: [unit * 3, unit * 3], strokeCap: 'NONE' as const });
+      }
+      if (keyword === 'dotted') {
+        // Zero-length dashes with round caps draw dots as wide as the stroke
+        return Success({ style: keyword, dashPattern: [0, unit * 2], strokeCap: 'ROUND' as const });
+      }
+      return Success({ style: keyword, dashPattern: [], strokeCap: 'NONE' as const });
+    }
+
+    if (typeof style === 'object' && style !== null && Array.isArray((style as Record<string, unknown>).dashArray)) {
+      const { dashArray, lineCap } = style as { dashArray: unknown[]; lineCap?: unknown };
+      const strokeCap = STROKE_CAPS[typeof lineCap === 'string' ? lineCap : 'butt'];
+      if (!strokeCap) {
+        return Failure(`Unknown lineCap: ${String(lineCap)}`);
+      }
+
+      const dashPattern: number[] = [];
+      for (const dash of dashArray) {
+        const dashResult = dimensionConverter.toPixels(dash);
+        if (!dashResult.success || dashResult.data! < 0) {
+          return Failure(`Invalid dash length: ${JSON.stringify(dash)}`);
+        }
+        dashPattern.push(dashResult.data!);
+      }
+
+      return Success({ style: 'custom' as const, dashPattern, strokeCap });
+    }
+
+    return Failure(`Unsupported stroke style: ${JSON.stringify(style)}`);
+  }
+
+  /**
+   * Parse CSS border shorthand: width, style and color in any order
+   * Spaces inside color functions ("rgba(0, 0, 0, 0.5)") don't split parts
+   */
+  private parseShorthand(input: string): Result<Record<string, unknown>> {
+    const parts = input.trim().match(/[^\s(]+(?:\([^)]*\))?/g) || [];
+    const border: Record<string, unknown> = {};
+
+    for (const part of parts) {
+      if (STROKE_STYLE_KEYWORDS.indexOf(part as StrokeStyleKeyword) !== -1 && border.style === undefined) {
+        border.style = part;
+      } else if (border.width === undefined && dimensionConverter.parse(part).success) {
+        border.width = part;
+      } else if (border.color === undefined) {
+        border.color = part;
+      } else {
+        return Failure(`Invalid border shorthand: ${input}`);
+      }
+    }
+
+    if (border.width === undefined || border.color === undefined) {
+      return Failure(`Border shorthand needs a width and a color: ${input}`);
+    }
+
+    return Success(border);
+  }
+
+  // ==================== TYPE GUARDS ====================
+
+  /**
+   * Check if value has the required border properties
+   */
+  private isBorderObject(value: unknown): value is Record<string, unknown> {
+    return typeof value === 'object' && value !== null && 'color' in value && 'width' in value;
+  }
+}
+
+/**
+ * Singleton instance
+ */
+export const borderConverter = new BorderConverter();
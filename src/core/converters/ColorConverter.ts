@@ -6,13 +6,76 @@
 import { Result, Success, Failure } from '../../shared/types';
 import { ColorConverter as IColorConverter, RGB, RGBA, HSL, ConversionError } from './types';
 import { ColorValue } from '../models/Token';
+import { ColorSpace, ColorSpaceId, RGBGamut } from './ColorSpace';
+
+/**
+ * A color parsed from a CSS Color 4 function or a DTCG colorSpace object,
+ * before it is mapped into an RGB gamut
+ */
+interface SpaceColor {
+  space: ColorSpaceId;
+  coords: number[];
+  alpha: number;
+}
+
+/**
+ * What 100% means per channel of each space (CSS Color 4); null marks a hue channel
+ */
+const PERCENT_REFERENCE: Record<ColorSpaceId, Array<number | null>> = {
+  srgb: [1, 1, 1],
+  'srgb-linear': [1, 1, 1],
+  'display-p3': [1, 1, 1],
+  'a98-rgb': [1, 1, 1],
+  'prophoto-rgb': [1, 1, 1],
+  rec2020: [1, 1, 1],
+  xyz: [1, 1, 1],
+  'xyz-d65': [1, 1, 1],
+  'xyz-d50': [1, 1, 1],
+  oklab: [1, 0.4, 0.4],
+  oklch: [1, 0.4, null],
+  lab: [100, 125, 125],
+  lch: [100, 150, null],
+};
+
+/**
+ * Spaces allowed inside color() (the others have their own CSS function)
+ */
+const COLOR_FUNCTION_SPACES: ColorSpaceId[] = [
+  'srgb', 'srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020', 'xyz', 'xyz-d65', 'xyz-d50',
+];
+
+/**
+ * Color spaces of the DTCG 2025 structured color value
+ */
+const DTCG_COLOR_SPACES = [
+  'srgb', 'srgb-linear', 'hsl', 'hwb', 'lab', 'lch', 'oklab', 'oklch',
+  'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020', 'xyz-d65', 'xyz-d50',
+];
+
+/**
+ * Decimal places kept for components and alpha of serialized colors
+ */
+const COMPONENT_PRECISION = 4;
+
+/**
+ * Degrees per hue unit
+ */
+const HUE_UNITS: Record<string, number> = {
+  deg: 1,
+  rad: 180 / Math.PI,
+  grad: 0.9,
+  turn: 360,
+};
 
 /**
  * Type-safe color converter
- * Handles all color formats: hex, rgb, rgba, hsl, hsla, colorSpace objects
+ * Handles all color formats: hex, rgb, rgba, hsl, hsla, oklch, oklab, lab, lch,
+ * color(display-p3 …) and colorSpace objects (including the DTCG color spaces)
  *
  * Features:
  * - Comprehensive format support
+ * - Wide-gamut colors are gamut-mapped (CSS Color 4) to sRGB, or to Display P3 via toDisplayP3()
+ * - WCAG 2.x and APCA contrast between two colors
  * - Detailed error messages
  * - Result pattern for error handling
  * - Type-safe conversions
@@ -24,6 +87,17 @@ export class ColorConverter implements IColorConverter {
    */
   toRGB(input: any): Result<RGB> {
     try {
+      // Handle CSS Color 4 functions and DTCG color spaces (before ColorValue: their hex is only a fallback)
+      const spaceColor = this.parseSpaceColor(input);
+      if (spaceColor) {
+        return this.mapSpaceColor(spaceColor, 'srgb');
+      }
+
+      // Handle colorSpace object format
+      if (this.isColorSpaceObject(input)) {
+        return this.colorSpaceToRGB(input);
+      }
+
       // Handle ColorValue object
       if (this.isColorValue(input)) {
         return this.colorValueToRGB(input);
@@ -44,10 +118,6 @@ export class ColorConverter implements IColorConverter {
         return this.hslStringToRGB(input);
       }
 
-      // Handle colorSpace object format
-      if (this.isColorSpaceObject(input)) {
-        return this.colorSpaceToRGB(input);
-      }
 
       // Handle components array without colorSpace (W3C format)
       // Example: { components: [255, 128, 0], alpha: 1 }
@@ -137,6 +207,133 @@ export class ColorConverter implements IColorConverter {
     return Success(this.rgbToHsl(rgb));
   }
 
+  /**
+   * Convert any color format to normalized Display P3 (0-1)
+   * Wide-gamut colors keep their P3 values (mapped into P3 only when wider);
+   * sRGB colors are converted so they look the same in a Display P3 document
+   */
+  toDisplayP3(input: unknown): Result<RGB> {
+    try {
+      const spaceColor = this.parseSpaceColor(input);
+      if (spaceColor) {
+        return this.mapSpaceColor(spaceColor, 'display-p3');
+      }
+
+      const rgbResult = this.toRGB(input);
+      if (!rgbResult.success) {
+        return rgbResult;
+      }
+
+      const { r, g, b, a } = rgbResult.data!;
+      const [p3r, p3g, p3b] = ColorSpace.srgbToDisplayP3([r, g, b]);
+      return Success({ r: p3r, g: p3g, b: p3b, a });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      return Failure(`Color conversion failed: ${message}`);
+    }
+  }
+
+  /**
+   * Convert any color format to the DTCG 2025 structured color value
+   * { colorSpace, components, alpha, hex }
+   *
+   * Structured values and CSS Color 4 functions keep their color space (so they
+   * round-trip unchanged), everything else becomes srgb; hex is the #RRGGBB fallback
+   */
+  toColorObject(input: unknown): Result<ColorValue> {
+    try {
+      const rgbResult = this.toRGB(input);
+      if (!rgbResult.success) {
+        return Failure(rgbResult.error!);
+      }
+
+      const { r, g, b, a } = rgbResult.data!;
+      const hex = this.toHex({ r: Math.round(r * 255), g: Math.round(g * 255), b: Math.round(b * 255) }).data!;
+
+      if (this.isColorSpaceObject(input)) {
+        const { colorSpace, components, alpha } = input as ColorValue;
+        if (typeof colorSpace === 'string' && DTCG_COLOR_SPACES.indexOf(colorSpace) !== -1 && Array.isArray(components)) {
+          const color: ColorValue = {
+            colorSpace,
+            components: components.slice(),
+            alpha: typeof alpha === 'number' ? alpha : 1,
+            hex: typeof (input as ColorValue).hex === 'string' ? (input as ColorValue).hex : hex,
+          };
+          return Success(color);
+        }
+      }
+
+      const spaceColor = this.parseSpaceColor(input);
+      if (spaceColor && spaceColor.success) {
+        const { space, coords, alpha } = spaceColor.data!;
+        return Success({
+          colorSpace: space === 'xyz' ? 'xyz-d65' : space,
+          components: coords.map(coord => this.round(coord)),
+          alpha: this.round(alpha),
+          hex,
+        });
+      }
+
+      return Success({
+        colorSpace: 'srgb',
+        components: [r, g, b].map(channel => this.round(channel)),
+        alpha: this.round(a),
+        hex,
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      return Failure(`Color conversion failed: ${message}`);
+    }
+  }
+
+  /**
+   * WCAG 2.x contrast ratio (1-21)
+   * A translucent foreground is blended onto the background first;
+   * a translucent background is blended onto white
+   */
+  contrastRatio(foreground: unknown, background: unknown): Result<number> {
+    const pairResult = this.toOpaquePair(foreground, background);
+    if (!pairResult.success) {
+      return Failure(pairResult.error!);
+    }
+
+    const [fg, bg] = pairResult.data!;
+    const lighter = Math.max(this.relativeLuminance(fg), this.relativeLuminance(bg));
+    const darker = Math.min(this.relativeLuminance(fg), this.relativeLuminance(bg));
+
+    return Success((lighter + 0.05) / (darker + 0.05));
+  }
+
+  /**
+   * APCA lightness contrast (APCA-W3 0.0.98G-4g)
+   * Positive Lc for dark text on light backgrounds, negative for light text on dark ones;
+   * translucent colors are blended like in contrastRatio()
+   */
+  apcaContrast(text: unknown, background: unknown): Result<number> {
+    const pairResult = this.toOpaquePair(text, background);
+    if (!pairResult.success) {
+      return Failure(pairResult.error!);
+    }
+
+    const [fg, bg] = pairResult.data!;
+    const textY = this.apcaLuminance(fg);
+    const backgroundY = this.apcaLuminance(bg);
+
+    if (Math.abs(backgroundY - textY) < 0.0005) {
+      return Success(0);
+    }
+
+    // Dark text on light background (normal polarity)
+    if (backgroundY > textY) {
+      const sapc = (Math.pow(backgroundY, 0.56) - Math.pow(textY, 0.57)) * 1.14;
+      return Success(sapc < 0.1 ? 0 : (sapc - 0.027) * 100);
+    }
+
+    // Light text on dark background (reverse polarity)
+    const sapc = (Math.pow(backgroundY, 0.65) - Math.pow(textY, 0.62)) * 1.14;
+    return Success(sapc > -0.1 ? 0 : (sapc + 0.027) * 100);
+  }
+
   /**
    * Validate color input
    */
@@ -147,6 +344,117 @@ export class ColorConverter implements IColorConverter {
 
   // ==================== PRIVATE CONVERSION METHODS ====================
 
+  /**
+   * Parse a CSS Color 4 function or a colorSpace object in a space ColorSpace converts
+   * Returns null for other formats, a Failure for malformed ones
+   */
+  private parseSpaceColor(input: unknown): Result<SpaceColor> | null {
+    if (typeof input === 'string') {
+      const trimmed = input.trim();
+      return /^(oklch|oklab|lab|lch|color)\(/i.test(trimmed) ? this.parseColorFunction(trimmed) : null;
+    }
+
+    if (!this.isColorSpaceObject(input)) {
+      return null;
+    }
+
+    const { colorSpace, components, alpha } = input as { colorSpace: unknown; components: unknown; alpha?: unknown };
+    if (typeof colorSpace !== 'string' || !ColorSpace.isSupported(colorSpace) || !Array.isArray(components)) {
+      return null;
+    }
+
+    if (components.length !== 3) {
+      return Failure(`${colorSpace} color needs 3 components: ${JSON.stringify(components)}`);
+    }
+
+    if (alpha !== undefined && (typeof alpha !== 'number' || alpha < 0 || alpha > 1)) {
+      return Failure(`Invalid ${colorSpace} alpha: ${JSON.stringify(alpha)}`);
+    }
+
+    const coords = components.map(component => (component === 'none' ? 0 : component));
+    if (!coords.every(component => typeof component === 'number' && isFinite(component))) {
+      return Failure(`Invalid ${colorSpace} components: ${JSON.stringify(components)}`);
+    }
+
+    return Success({ space: colorSpace, coords: coords as number[], alpha: typeof alpha === 'number' ? alpha : 1 });
+  }
+
+  /**
+   * Parse oklch(), oklab(), lab(), lch() and color(<space> …)
+   * Channels are space-separated (commas are tolerated), alpha follows a slash;
+   * percentages, hue units and "none" follow CSS Color 4
+   */
+  private parseColorFunction(input: string): Result<SpaceColor> {
+    const match = input.match(/^([a-z]+)\(\s*([^()]*)\)$/i);
+    if (!match) {
+      return Failure(`Invalid color function: ${input}`);
+    }
+
+    const [channelText, alphaText, extra] = match[2].replace(/,/g, ' ').split('/');
+    const args = channelText.trim().split(/\s+/).filter(arg => arg.length > 0);
+    let space = match[1].toLowerCase();
+
+    if (space === 'color') {
+      space = (args.shift() || '').toLowerCase();
+      if (COLOR_FUNCTION_SPACES.indexOf(space as ColorSpaceId) === -1) {
+        return Failure(`Unsupported color() space "${space}": ${input}`);
+      }
+    }
+
+    if (extra !== undefined || args.length !== 3) {
+      return Failure(`Invalid ${space} color: ${input}`);
+    }
+
+    const references = PERCENT_REFERENCE[space as ColorSpaceId];
+    const coords = args.map((arg, index) => this.parseChannel(arg, references[index]));
+    const alpha = alphaText === undefined ? 1 : this.parseChannel(alphaText.trim(), 1);
+
+    if (!coords.every(isFinite) || !isFinite(alpha)) {
+      return Failure(`Invalid ${space} color: ${input}`);
+    }
+
+    return Success({ space: space as ColorSpaceId, coords, alpha: Math.min(1, Math.max(0, alpha)) });
+  }
+
+  /**
+   * Parse one channel: a number, a percentage of the reference, or a hue angle (reference null)
+   * Returns NaN for anything else
+   */
+  private parseChannel(text: string, reference: number | null): number {
+    if (text.toLowerCase() === 'none') {
+      return 0;
+    }
+
+    const match = text.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(%|[a-z]+)?$/i);
+    if (!match) {
+      return NaN;
+    }
+
+    const value = parseFloat(match[1]);
+    const unit = (match[2] || '').toLowerCase();
+
+    if (unit === '%') {
+      return reference === null ? NaN : (value / 100) * reference;
+    }
+    if (unit) {
+      return reference === null && HUE_UNITS[unit] !== undefined ? value * HUE_UNITS[unit] : NaN;
+    }
+    return value;
+  }
+
+  /**
+   * Map a parsed color into an RGB gamut
+   */
+  private mapSpaceColor(result: Result<SpaceColor>, gamut: RGBGamut): Result<RGB> {
+    if (!result.success) {
+      return Failure(result.error!);
+    }
+
+    const { space, coords, alpha } = result.data!;
+    const [r, g, b] = ColorSpace.toGamut(space, coords, gamut);
+    return Success({ r, g, b, a: alpha });
+  }
+
   /**
    * Convert ColorValue to RGB
    */
@@ -312,11 +620,17 @@ export class ColorConverter implements IColorConverter {
       return this.toRGB(components);
     }
 
-    if (colorSpace === 'hsl' && Array.isArray(components) && components.length === 3) {
-      const h = components[0] / 360;
-      const s = components[1] / 100;
-      const l = components[2] / 100;
-      const rgb = this.hslToRgb(h, s, l);
+    if ((colorSpace === 'hsl' || colorSpace === 'hwb') && Array.isArray(components) && components.length === 3) {
+      const coords = components.map((component: unknown) => (component === 'none' ? 0 : component));
+      if (!coords.every((component: unknown) => typeof component === 'number' && isFinite(component))) {
+        return Failure(`Invalid ${colorSpace} components: ${JSON.stringify(components)}`);
+      }
+
+      const [hue, first, second] = coords as number[];
+
+      const rgb = colorSpace === 'hsl'
+        ? this.hslToRgb(hue / 360, first / 100, second / 100)
+        : this.hwbToRgb(hue, first / 100, second / 100);
       return Success({ ...rgb, a });
     }
 
@@ -368,6 +682,25 @@ export class ColorConverter implements IColorConverter {
     return { r, g, b };
   }
 
+  /**
+   * Convert HWB (hue in degrees, whiteness and blackness 0-1) to RGB (normalized 0-1)
+   */
+  private hwbToRgb(h: number, w: number, b: number): Pick<RGB, 'r' | 'g' | 'b'> {
+    if (w + b >= 1) {
+      const gray = w / (w + b);
+      return { r: gray, g: gray, b: gray };
+    }
+
+    const pure = this.hslToRgb((((h % 360) + 360) % 360) / 360, 1, 0.5);
+    const scale = 1 - w - b;
+    return { r: pure.r * scale + w, g: pure.g * scale + w, b: pure.b * scale + w };
+  }
+
+  private round(value: number): number {
+    const factor = Math.pow(10, COMPONENT_PRECISION);
+    return Math.round(value * factor) / factor;
+  }
+
   /**
    * Convert RGB to HSL
    */
@@ -407,6 +740,60 @@ export class ColorConverter implements IColorConverter {
 
   // ==================== TYPE GUARDS ====================
 
+  /**
+   * Convert both colors and remove their alpha for contrast calculations
+   */
+  private toOpaquePair(foreground: unknown, background: unknown): Result<[RGB, RGB]> {
+    const fgResult = this.toRGB(foreground);
+    if (!fgResult.success) {
+      return Failure(`Invalid foreground: ${fgResult.error}`);
+    }
+
+    const bgResult = this.toRGB(background);
+    if (!bgResult.success) {
+      return Failure(`Invalid background: ${bgResult.error}`);
+    }
+
+    const white: RGB = { r: 1, g: 1, b: 1, a: 1 };
+    const bg = this.blend(bgResult.data!, white);
+    return Success([this.blend(fgResult.data!, bg), bg]);
+  }
+
+  /**
+   * Composite a color with alpha over an opaque backdrop
+   */
+  private blend(color: RGB, backdrop: RGB): RGB {
+    const alpha = color.a === undefined ? 1 : color.a;
+    return {
+      r: color.r * alpha + backdrop.r * (1 - alpha),
+      g: color.g * alpha + backdrop.g * (1 - alpha),
+      b: color.b * alpha + backdrop.b * (1 - alpha),
+      a: 1,
+    };
+  }
+
+  /**
+   * WCAG 2.x relative luminance (sRGB piecewise transfer)
+   */
+  private relativeLuminance(color: RGB): number {
+    const linear = (channel: number) =>
+      channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+
+    return 0.2126 * linear(color.r) + 0.7152 * linear(color.g) + 0.0722 * linear(color.b);
+  }
+
+  /**
+   * APCA screen luminance (simple 2.4 exponent) with the soft black clamp
+   */
+  private apcaLuminance(color: RGB): number {
+    const y =
+      0.2126729 * Math.pow(color.r, 2.4) +
+      0.7151522 * Math.pow(color.g, 2.4) +
+      0.072175 * Math.pow(color.b, 2.4);
+
+    return y > 0.022 ? y : y + Math.pow(0.022 - y, 1.414);
+  }
+
   /**
    * Check if value is ColorValue
    */
@@ -0,0 +1,332 @@
+// ====================================================================================
+// COLOR SPACE
+// Conversion between CSS Color 4 color spaces and gamut mapping to sRGB / Display P3
+// ====================================================================================
+
+/**
+ * Color spaces ColorSpace converts from (CSS Color 4 / DTCG colorSpace names)
+ * Lab and LCH are D50-relative like in CSS; XYZ without suffix is D65
+ */
+export type ColorSpaceId =
+  | 'srgb'
+  | 'srgb-linear'
+  | 'display-p3'
+  | 'a98-rgb'
+  | 'prophoto-rgb'
+  | 'rec2020'
+  | 'oklab'
+  | 'oklch'
+  | 'lab'
+  | 'lch'
+  | 'xyz'
+  | 'xyz-d65'
+  | 'xyz-d50';
+
+/**
+ * RGB gamuts colors are mapped into (the spaces Figma documents use)
+ */
+export type RGBGamut = 'srgb' | 'display-p3';
+
+type Vector = [number, number, number];
+type Matrix = [Vector, Vector, Vector];
+
+// Matrices from the CSS Color 4 sample code
+const LINEAR_SRGB_TO_XYZ: Matrix = [
+  [0.41239079926595934, 0.357584339383878, 0.1804807884018343],
+  [0.21263900587151027, 0.715168678767756, 0.07219231536073371],
+  [0.01933081871559182, 0.11919477979462598, 0.9505321522496607],
+];
+
+const XYZ_TO_LINEAR_SRGB: Matrix = [
+  [3.2409699419045226, -1.537383177570094, -0.4986107602930034],
+  [-0.9692436362808796, 1.8759675015077202, 0.04155505740717559],
+  [0.05563007969699366, -0.20397695888897652, 1.0569715142428786],
+];
+
+const LINEAR_P3_TO_XYZ: Matrix = [
+  [0.4865709486482162, 0.26566769316909306, 0.1982172852343625],
+  [0.2289745640697488, 0.6917385218365064, 0.079286914093745],
+  [0, 0.04511338185890264, 1.043944368900976],
+];
+
+const XYZ_TO_LINEAR_P3: Matrix = [
+  [2.493496911941425, -0.9313836179191239, -0.40271078445071684],
+  [-0.8294889695615747, 1.7626640603183463, 0.023624685841943577],
+  [0.03584583024378447, -0.07617238926804182, 0.9568845240076872],
+];
+
+const LINEAR_A98_TO_XYZ: Matrix = [
+  [0.5766690429101305, 0.1855582379065463, 0.1882286462349947],
+  [0.29734497525053605, 0.6273635662554661, 0.07529145849399788],
+  [0.02703136138641234, 0.07068885253582723, 0.9913375368376388],
+];
+
+const LINEAR_PROPHOTO_TO_XYZ_D50: Matrix = [
+  [0.7977666449006423, 0.13518129740053308, 0.0313477341283922],
+  [0.2880748288194013, 0.711835234241873, 0.00008993693872564],
+  [0, 0, 0.8251046025104602],
+];
+
+const LINEAR_REC2020_TO_XYZ: Matrix = [
+  [0.6369580483012914, 0.14461690358620832, 0.1688809751641721],
+  [0.2627002120112671, 0.6779980715188708, 0.05930171646986196],
+  [0, 0.028072693049087428, 1.060985057710791],
+];
+
+const D50_TO_D65: Matrix = [
+  [0.9554734527042182, -0.023098536874261423, 0.0632593086610217],
+  [-0.028369706963208136, 1.0099954580058226, 0.021041398966943008],
+  [0.012314001688319899, -0.020507696433477912, 1.3303659366080753],
+];
+
+const XYZ_TO_LMS: Matrix = [
+  [0.819022437996703, 0.3619062600528904, -0.1288737815209879],
+  [0.0329836539323885, 0.9292868615863434, 0.0361446663506424],
+  [0.0481771893596242, 0.2642395317527308, 0.6335478284694309],
+];
+
+const LMS_TO_OKLAB: Matrix = [
+  [0.210454268309314, 0.7936177747023054, -0.0040720430116193],
+  [1.9779985324311684, -2.42859224204858, 0.450593709617411],
+  [0.0259040424655478, 0.7827717124575296, -0.8086757549230774],
+];
+
+const OKLAB_TO_LMS: Matrix = [
+  [1, 0.3963377773673997, 0.2158037573099136],
+  [1, -0.1055613458156586, -0.0638541728258133],
+  [1, -0.0894841775298119, -1.2914855480194092],
+];
+
+const LMS_TO_XYZ: Matrix = [
+  [1.2268798758459243, -0.5578149944602171, 0.2813910456659647],
+  [-0.0405757452148008, 1.112286803280317, -0.0717110580655164],
+  [-0.0763729366746601, -0.4214933324022432, 1.5869240198367816],
+];
+
+const D50_WHITE: Vector = [0.3457 / 0.3585, 1, (1 - 0.3457 - 0.3585) / 0.3585];
+const LAB_KAPPA = 24389 / 27;
+const LAB_EPSILON = 216 / 24389;
+
+/**
+ * Largest OKLab distance that counts as "the same color" when mapping (CSS Color 4)
+ */
+const GAMUT_JND = 0.02;
+const GAMUT_EPSILON = 0.0001;
+
+/**
+ * ColorSpace - Converts wide-gamut and perceptual colors into RGB gamuts
+ *
+ * Every space converts through CIE XYZ (D65). Colors outside the target gamut are
+ * mapped with the CSS Color 4 algorithm: chroma is reduced in OKLCH (lightness and
+ * hue kept) until clipping changes the color by less than a just noticeable difference.
+ *
+ * Usage:
+ * ```typescript
+ * const srgb = ColorSpace.toGamut('oklch', [0.7, 0.25, 30], 'srgb');   // [r, g, b] 0-1
+ * const p3 = ColorSpace.toGamut('oklch', [0.7, 0.25, 30], 'display-p3');
+ * ```
+ */
+export class ColorSpace {
+  /**
+   * Check whether a color space is supported
+   */
+  static isSupported(space: string): space is ColorSpaceId {
+    return [
+      'srgb', 'srgb-linear', 'display-p3', 'a98-rgb', 'prophoto-rgb', 'rec2020',
+      'oklab', 'oklch', 'lab', 'lch', 'xyz', 'xyz-d65', 'xyz-d50',
+    ].indexOf(space) !== -1;
+  }
+
+  /**
+   * Convert a color to gamma-encoded RGB (0-1) of a gamut, mapping it into the gamut if needed
+   *
+   * @param space - Source color space
+   * @param coords - Source coordinates (CSS reference ranges, e.g. OKLCH [0-1, 0-0.4, 0-360])
+   * @param gamut - Target RGB gamut
+   */
+  static toGamut(space: ColorSpaceId, coords: number[], gamut: RGBGamut): Vector {
+    const xyz = this.toXYZ(space, coords);
+    const rgb = this.fromXYZ(xyz, gamut);
+    if (this.inGamut(rgb)) {
+      return this.clip(rgb);
+    }
+
+    return this.mapToGamut(this.xyzToOklab(xyz), gamut);
+  }
+
+  /**
+   * Convert gamma-encoded sRGB (0-1) to gamma-encoded Display P3 (0-1)
+   * sRGB is inside P3, so no mapping is needed
+   */
+  static srgbToDisplayP3(rgb: Vector): Vector {
+    return this.clip(this.fromXYZ(this.toXYZ('srgb', rgb), 'display-p3'));
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  private static toXYZ(space: ColorSpaceId, coords: number[]): Vector {
+    const [c0, c1, c2] = coords;
+
+    switch (space) {
+      case 'srgb':
+        return this.multiply(LINEAR_SRGB_TO_XYZ, [this.linearize(c0), this.linearize(c1), this.linearize(c2)]);
+      case 'srgb-linear':
+        return this.multiply(LINEAR_SRGB_TO_XYZ, [c0, c1, c2]);
+      case 'display-p3':
+        return this.multiply(LINEAR_P3_TO_XYZ, [this.linearize(c0), this.linearize(c1), this.linearize(c2)]);
+      case 'a98-rgb':
+        return this.multiply(LINEAR_A98_TO_XYZ, [c0, c1, c2].map(c => Math.sign(c) * Math.pow(Math.abs(c), 563 / 256)) as Vector);
+      case 'prophoto-rgb':
+        return this.multiply(D50_TO_D65, this.multiply(LINEAR_PROPHOTO_TO_XYZ_D50, [c0, c1, c2].map(c =>
+          Math.abs(c) <= 16 / 512 ? c / 16 : Math.sign(c) * Math.pow(Math.abs(c), 1.8)
+        ) as Vector));
+      case 'rec2020':
+        return this.multiply(LINEAR_REC2020_TO_XYZ, [c0, c1, c2].map(c => this.linearizeRec2020(c)) as Vector);
+      case 'oklab':
+        return this.oklabToXYZ([c0, c1, c2]);
+      case 'oklch':
+        return this.oklabToXYZ(this.polarToCartesian(c0, c1, c2));
+      case 'lab':
+        return this.multiply(D50_TO_D65, this.labToXYZD50([c0, c1, c2]));
+      case 'lch':
+        return this.multiply(D50_TO_D65, this.labToXYZD50(this.polarToCartesian(c0, c1, c2)));
+      case 'xyz-d50':
+        return this.multiply(D50_TO_D65, [c0, c1, c2]);
+      default:
+        return [c0, c1, c2];
+    }
+  }
+
+  /**
+   * Gamma-encoded RGB of a gamut, unclipped
+   */
+  private static fromXYZ(xyz: Vector, gamut: RGBGamut): Vector {
+    const linear = this.multiply(gamut === 'display-p3' ? XYZ_TO_LINEAR_P3 : XYZ_TO_LINEAR_SRGB, xyz);
+    return [this.gammaEncode(linear[0]), this.gammaEncode(linear[1]), this.gammaEncode(linear[2])];
+  }
+
+  /**
+   * CSS Color 4 gamut mapping: binary search on OKLCH chroma
+   */
+  private static mapToGamut(oklab: Vector, gamut: RGBGamut): Vector {
+    const lightness = oklab[0];
+    if (lightness >= 1) return [1, 1, 1];
+    if (lightness <= 0) return [0, 0, 0];
+
+    const chroma = Math.sqrt(oklab[1] * oklab[1] + oklab[2] * oklab[2]);
+    const hue = Math.atan2(oklab[2], oklab[1]);
+    const atChroma = (c: number): Vector => [lightness, c * Math.cos(hue), c * Math.sin(hue)];
+    const toRGB = (lab: Vector): Vector => this.fromXYZ(this.oklabToXYZ(lab), gamut);
+    const distance = (rgb: Vector, lab: Vector): number => {
+      const clipped = this.xyzToOklab(this.toXYZ(gamut, rgb));
+      return Math.sqrt(
+        Math.pow(clipped[0] - lab[0], 2) + Math.pow(clipped[1] - lab[1], 2) + Math.pow(clipped[2] - lab[2], 2)
+      );
+    };
+
+    let clipped = this.clip(toRGB(oklab));
+    if (distance(clipped, oklab) < GAMUT_JND) {
+      return clipped;
+    }
+
+    let min = 0;
+    let max = chroma;
+    let minInGamut = true;
+
+    while (max - min > GAMUT_EPSILON) {
+      const current = atChroma((min + max) / 2);
+      const rgb = toRGB(current);
+
+      if (minInGamut && this.inGamut(rgb)) {
+        min = (min + max) / 2;
+        continue;
+      }
+
+      clipped = this.clip(rgb);
+      const delta = distance(clipped, current);
+
+      if (delta < GAMUT_JND) {
+        if (GAMUT_JND - delta < GAMUT_EPSILON) {
+          return clipped;
+        }
+        minInGamut = false;
+        min = (min + max) / 2;
+      } else {
+        max = (min + max) / 2;
+      }
+    }
+
+    return clipped;
+  }
+
+  private static oklabToXYZ(oklab: Vector): Vector {
+    const lms = this.multiply(OKLAB_TO_LMS, oklab);
+    return this.multiply(LMS_TO_XYZ, [Math.pow(lms[0], 3), Math.pow(lms[1], 3), Math.pow(lms[2], 3)]);
+  }
+
+  private static xyzToOklab(xyz: Vector): Vector {
+    const lms = this.multiply(XYZ_TO_LMS, xyz);
+    return this.multiply(LMS_TO_OKLAB, [Math.cbrt(lms[0]), Math.cbrt(lms[1]), Math.cbrt(lms[2])]);
+  }
+
+  private static labToXYZD50(lab: Vector): Vector {
+    const [l, a, b] = lab;
+    const f1 = (l + 16) / 116;
+    const f0 = a / 500 + f1;
+    const f2 = f1 - b / 200;
+
+    const x = Math.pow(f0, 3) > LAB_EPSILON ? Math.pow(f0, 3) : (116 * f0 - 16) / LAB_KAPPA;
+    const y = l > LAB_KAPPA * LAB_EPSILON ? Math.pow(f1, 3) : l / LAB_KAPPA;
+    const z = Math.pow(f2, 3) > LAB_EPSILON ? Math.pow(f2, 3) : (116 * f2 - 16) / LAB_KAPPA;
+
+    return [x * D50_WHITE[0], y * D50_WHITE[1], z * D50_WHITE[2]];
+  }
+
+  /**
+   * Lightness, chroma, hue (degrees) to lightness, a, b
+   */
+  private static polarToCartesian(lightness: number, chroma: number, hue: number): Vector {
+    const radians = (hue * Math.PI) / 180;
+    return [lightness, chroma * Math.cos(radians), chroma * Math.sin(radians)];
+  }
+
+  /**
+   * sRGB transfer function (also used by Display P3), sign-preserving for out-of-gamut values
+   */
+  private static linearize(value: number): number {
+    const abs = Math.abs(value);
+    return abs <= 0.04045 ? value / 12.92 : Math.sign(value) * Math.pow((abs + 0.055) / 1.055, 2.4);
+  }
+
+  private static linearizeRec2020(value: number): number {
+    const alpha = 1.09929682680944;
+    const beta = 0.018053968510807;
+    const abs = Math.abs(value);
+    return abs < beta * 4.5 ? value / 4.5 : Math.sign(value) * Math.pow((abs + alpha - 1) / alpha, 1 / 0.45);
+  }
+
+  private static gammaEncode(value: number): number {
+    const abs = Math.abs(value);
+    return abs > 0.0031308 ? Math.sign(value) * (1.055 * Math.pow(abs, 1 / 2.4) - 0.055) : 12.92 * value;
+  }
+
+  private static inGamut(rgb: Vector): boolean {
+    return rgb.every(channel => channel >= -GAMUT_EPSILON && channel <= 1 + GAMUT_EPSILON);
+  }
+
+  private static clip(rgb: Vector): Vector {
+    return [
+      Math.min(1, Math.max(0, rgb[0])),
+      Math.min(1, Math.max(0, rgb[1])),
+      Math.min(1, Math.max(0, rgb[2])),
+    ];
+  }
+
+  private static multiply(matrix: Matrix, vector: Vector): Vector {
+    return [
+      matrix[0][0] * vector[0] + matrix[0][1] * vector[1] + matrix[0][2] * vector[2],
+      matrix[1][0] * vector[0] + matrix[1][1] * vector[1] + matrix[1][2] * vector[2],
+      matrix[2][0] * vector[0] + matrix[2][1] * vector[1] + matrix[2][2] * vector[2],
+    ];
+  }
+}
@@ -5,11 +5,15 @@
 
 import { Result, Success, Failure } from '../../shared/types';
 import { DimensionConverter as IDimensionConverter } from './types';
-import { DimensionValue } from '../models/Token';
+import { DimensionValue, DurationValue } from '../models/Token';
+
+const DIMENSION_UNITS: DimensionValue['unit'][] = ['px', 'rem', 'em', '%', 'pt'];
+const DURATION_UNITS: DurationValue['unit'][] = ['ms', 's'];
 
 /**
  * Type-safe dimension converter
- * Handles conversions between px, rem, em, %, pt
+ * Handles conversions between px, rem, em, %, pt, and durations in ms and s
+ * (DTCG 2025 structured { value, unit } objects as well as strings)
  *
  * Features:
  * - Multiple unit support
@@ -30,6 +34,11 @@ export class DimensionConverter implements IDimensionConverter {
         return this.dimensionValueToPixels(input, baseFontSize);
       }
 
+      // Structured values must carry a numeric value
+      if (this.isStructuredValue(input) && typeof input.value !== 'number') {
+        return Failure(`Invalid dimension value: ${JSON.stringify(input.value)}`);
+      }
+
       // Handle number (assumed to be pixels)
       if (typeof input === 'number') {
         return Success(input);
@@ -104,6 +113,81 @@ export class DimensionConverter implements IDimensionConverter {
     return Success({ value, unit: unit || 'px' });
   }
 
+  /**
+   * Convert a dimension to the DTCG 2025 structured form { value, unit }
+   * Unitless numbers and strings are pixels
+   */
+  toDimensionObject(input: unknown): Result<DimensionValue> {
+    if (typeof input === 'number') {
+      return isFinite(input) ? Success({ value: input, unit: 'px' }) : Failure(`Invalid dimension value: ${input}`);
+    }
+
+    if (typeof input === 'string') {
+      const parseResult = this.parse(input);
+      if (!parseResult.success) {
+        return Failure(parseResult.error!);
+      }
+      return Success(parseResult.data as DimensionValue);
+    }
+
+    if (this.isStructuredValue(input)) {
+      const { value, unit } = input;
+      if (typeof value !== 'number' || !isFinite(value)) {
+        return Failure(`Invalid dimension value: ${JSON.stringify(value)}`);
+      }
+      if (DIMENSION_UNITS.indexOf(unit as DimensionValue['unit']) === -1) {
+        return Failure(`Unsupported unit: ${unit}`);
+      }
+      return Success({ value, unit: unit as DimensionValue['unit'] });
+    }
+
+    return Failure(`Unsupported dimension format: ${JSON.stringify(input)}`);
+  }
+
+  /**
+   * Convert a duration to milliseconds
+   * Unitless numbers are milliseconds
+   */
+  toMilliseconds(input: unknown): Result<number> {
+    const durationResult = this.toDurationObject(input);
+    if (!durationResult.success) {
+      return Failure(durationResult.error!);
+    }
+
+    const { value, unit } = durationResult.data!;
+    return Success(unit === 's' ? value * 1000 : value);
+  }
+
+  /**
+   * Convert a duration to the DTCG 2025 structured form { value, unit: 'ms' | 's' }
+   */
+  toDurationObject(input: unknown): Result<DurationValue> {
+    if (typeof input === 'number') {
+      return isFinite(input) ? Success({ value: input, unit: 'ms' }) : Failure(`Invalid duration value: ${input}`);
+    }
+
+    if (typeof input === 'string') {
+      const match = input.trim().match(/^(-?(?:\d+\.?\d*|\.\d+))\s*(ms|s)?$/i);
+      if (!match) {
+        return Failure(`Invalid duration format: ${input}`);
+      }
+      return Success({ value: parseFloat(match[1]), unit: (match[2] || 'ms').toLowerCase() as DurationValue['unit'] });
+    }
+
+    if (this.isStructuredValue(input)) {
+      const { value, unit } = input;
+      if (typeof value !== 'number' || !isFinite(value)) {
+        return Failure(`Invalid duration value: ${JSON.stringify(value)}`);
+      }
+      if (DURATION_UNITS.indexOf(unit as DurationValue['unit']) === -1) {
+        return Failure(`Unsupported duration unit: ${unit}`);
+      }
+      return Success({ value, unit: unit as DurationValue['unit'] });
+    }
+
+    return Failure(`Unsupported duration format: ${JSON.stringify(input)}`);
+  }
+
   /**
    * Validate dimension input
    */
@@ -160,6 +244,13 @@ export class DimensionConverter implements IDimensionConverter {
 
   // ==================== TYPE GUARDS ====================
 
+  /**
+   * Check if value has the { value, unit } shape, whatever the member types
+   */
+  private isStructuredValue(value: unknown): value is { value: unknown; unit: unknown } {
+    return typeof value === 'object' && value !== null && 'value' in value && 'unit' in value;
+  }
+
   /**
    * Check if value is DimensionValue
    */
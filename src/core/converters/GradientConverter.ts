@@ -0,0 +1,282 @@
+// ====================================================================================
+// GRADIENT CONVERTER
+// Type-safe gradient conversions to Figma gradient paints
+// ====================================================================================
+
+import { Result, Success, Failure } from '../../shared/types';
+import {
+  GradientConverter as IGradientConverter,
+  GradientOptions,
+  ParsedGradient,
+  FigmaGradient,
+} from './types';
+import { colorConverter } from './ColorConverter';
+
+/**
+ * CSS default direction ("to bottom")
+ */
+const DEFAULT_ANGLE = 180;
+
+/**
+ * "to <side-or-corner>" directions, keyed by their sides in alphabetical order
+ */
+const SIDE_ANGLES: Record<string, number> = {
+  top: 0,
+  'right top': 45,
+  right: 90,
+  'bottom right': 135,
+  bottom: 180,
+  'bottom left': 225,
+  left: 270,
+  'left top': 315,
+};
+
+/**
+ * Degrees per unit of CSS angle
+ */
+const ANGLE_UNITS: Record<string, number> = {
+  deg: 1,
+  grad: 0.9,
+  rad: 180 / Math.PI,
+  turn: 360,
+};
+
+/**
+ * Stop as parsed, before missing positions are filled in
+ */
+interface RawStop {
+  color: unknown;
+  position?: number;
+}
+
+/**
+ * Type-safe gradient converter
+ * Converts gradient values to Figma gradient paints
+ *
+ * Features:
+ * - DTCG gradients (stop arrays) with kind and angle passed in as options
+ * - CSS linear-gradient()/radial-gradient() strings, including {references} as stop colors
+ * - Missing stop positions are spread evenly, like CSS
+ * - Result pattern for error handling
+ *
+ * Radial gradients fill the layer as an ellipse touching its edges; CSS shape, size and
+ * position arguments are ignored.
+ */
+export class GradientConverter implements IGradientConverter {
+  /**
+   * Parse a gradient without converting its colors
+   */
+  parse(input: unknown, options: GradientOptions = {}): Result<ParsedGradient> {
+    try {
+      let type = options.type || 'linear';
+      let angle = typeof options.angle === 'number' ? options.angle : DEFAULT_ANGLE;
+      let stops: RawStop[];
+
+      if (typeof input === 'string') {
+        const match = input.trim().match(/^(linear|radial)-gradient\(([\s\S]*)\)$/i);
+        if (!match) {
+          return Failure(`Unsupported gradient format: ${input}`);
+        }
+
+        type = match[1].toLowerCase() as 'linear' | 'radial';
+        const args = this.splitArguments(match[2]);
+
+        const direction = type === 'linear' ? this.parseDirection(args[0]) : null;
+        if (direction !== null) {
+          angle = direction;
+          args.shift();
+        } else if (type === 'radial' && /^(circle|ellipse|closest-|farthest-|at\s)|\sat\s/i.test(args[0])) {
+          args.shift();
+        }
+
+        stops = args.map(arg => this.parseStop(arg));
+      } else if (Array.isArray(input)) {
+        stops = [];
+        for (const stop of input) {
+          if (typeof stop !== 'object' || stop === null || !('color' in stop)) {
+            return Failure(`Invalid gradient stop: ${JSON.stringify(stop)}`);
+          }
+          const position = (stop as Record<string, unknown>).position;
+          if (position !== undefined && typeof position !== 'number') {
+            return Failure(`Invalid gradient stop position: ${JSON.stringify(position)}`);
+          }
+          stops.push({ color: (stop as Record<string, unknown>).color, position: position as number | undefined });
+        }
+      } else {
+        return Failure(`Unsupported gradient format: ${JSON.stringify(input)}`);
+      }
+
+      if (stops.length < 2) {
+        return Failure(`Gradient needs at least 2 stops: ${JSON.stringify(input)}`);
+      }
+
+      return Success({ type, angle, stops: this.fillPositions(stops) });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      return Failure(`Gradient parsing failed: ${message}`);
+    }
+  }
+
+  /**
+   * Convert gradient value to Figma format
+   */
+  toFigma(input: unknown, options: GradientOptions = {}): Result<FigmaGradient> {
+    const parseResult = this.parse(input, options);
+    if (!parseResult.success) {
+      return Failure(parseResult.error || 'Invalid gradient');
+    }
+
+    const gradient = parseResult.data!;
+    const gradientStops: FigmaGradient['gradientStops'] = [];
+    for (const stop of gradient.stops) {
+      const colorResult = colorConverter.toRGB(stop.color);
+      if (!colorResult.success) {
+        return Failure(`Failed to convert gradient stop color: ${colorResult.error}`);
+      }
+      gradientStops.push({ position: stop.position, color: colorResult.data! });
+    }
+
+    return Success({
+      type: gradient.type === 'radial' ? 'GRADIENT_RADIAL' : 'GRADIENT_LINEAR',
+      gradientTransform: this.toTransform(gradient.type, gradient.angle),
+      gradientStops,
+    });
+  }
+
+  /**
+   * Figma gradientTransform for a gradient of this kind and angle
+   * The transform maps layer coordinates (0-1) into gradient space, where stops run
+   * along x from 0 to 1. Linear gradients are scaled like CSS, so corner angles reach the corners.
+   */
+  toTransform(type: 'linear' | 'radial', angle: number): FigmaGradient['gradientTransform'] {
+    if (type === 'radial') {
+      return [[1, 0, 0], [0, 1, 0]];
+    }
+
+    const radians = (angle * Math.PI) / 180;
+    const sin = Math.sin(radians);
+    const cos = Math.cos(radians);
+    const length = Math.abs(sin) + Math.abs(cos);
+
+    // Along the gradient line (CSS angles run clockwise from the top, y points down)
+    const ax = sin / length;
+    const ay = -cos / length;
+    // Across it
+    const bx = cos;
+    const by = sin;
+
+    return [
+      [this.round(ax), this.round(ay), this.round(0.5 - (ax + ay) / 2)],
+      [this.round(bx), this.round(by), this.round(0.5 - (bx + by) / 2)],
+    ];
+  }
+
+  /**
+   * Validate gradient input
+   */
+  validate(input: unknown): Result<boolean> {
+    const result = this.toFigma(input);
+    return result.success ? Success(true) : Success(false);
+  }
+
+  // ==================== PRIVATE PARSING METHODS ====================
+
+  /**
+   * Split CSS function arguments on top-level commas
+   * Commas inside color functions and {references} don't split
+   */
+  private splitArguments(body: string): string[] {
+    const args: string[] = [];
+    let depth = 0;
+    let current = '';
+
+    for (const char of body) {
+      if (char === '(' || char === '{') depth++;
+      if (char === ')' || char === '}') depth--;
+
+      if (char === ',' && depth === 0) {
+        args.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+    args.push(current.trim());
+
+    return args.filter(arg => arg.length > 0);
+  }
+
+  /**
+   * Parse a linear gradient direction ("45deg", "0.25turn", "to top right")
+   * @returns Angle in degrees, or null when the argument is a color stop
+   */
+  private parseDirection(arg: string): number | null {
+    const angleMatch = arg.match(/^(-?\d*\.?\d+)(deg|grad|rad|turn)$/i);
+    if (angleMatch) {
+      return parseFloat(angleMatch[1]) * ANGLE_UNITS[angleMatch[2].toLowerCase()];
+    }
+
+    const sideMatch = arg.match(/^to\s+(.+)$/i);
+    if (sideMatch) {
+      const sides = sideMatch[1].toLowerCase().split(/\s+/).sort().join(' ');
+      if (sides in SIDE_ANGLES) {
+        return SIDE_ANGLES[sides];
+      }
+      throw new Error(`Unknown gradient direction: ${arg}`);
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse a CSS color stop ("#fff", "{color.brand.500} 40%")
+   */
+  private parseStop(arg: string): RawStop {
+    const match = arg.match(/^([\s\S]*?)\s+(-?\d*\.?\d+)%$/);
+    if (match) {
+      return { color: match[1], position: parseFloat(match[2]) / 100 };
+    }
+
+    return { color: arg };
+  }
+
+  /**
+   * Fill in missing positions like CSS: the ends default to 0 and 1, stops in between
+   * are spread evenly, and no stop may sit before the previous one
+   */
+  private fillPositions(stops: RawStop[]): ParsedGradient['stops'] {
+    const positions = stops.map(stop => stop.position);
+    if (positions[0] === undefined) positions[0] = 0;
+    if (positions[positions.length - 1] === undefined) positions[positions.length - 1] = 1;
+
+    let previous = 0;
+    for (let index = 0; index < positions.length; index++) {
+      if (positions[index] !== undefined) {
+        positions[index] = Math.min(1, Math.max(previous, positions[index]!));
+        previous = positions[index]!;
+        continue;
+      }
+
+      // Spread the run of missing positions up to the next known one
+      let next = index;
+      while (positions[next] === undefined) next++;
+      const end = Math.max(previous, positions[next]!);
+      const step = (end - previous) / (next - index + 1);
+      for (let fill = index; fill < next; fill++) {
+        positions[fill] = previous + step * (fill - index + 1);
+      }
+      index = next - 1;
+    }
+
+    return stops.map((stop, index) => ({ color: stop.color, position: this.round(positions[index]!) }));
+  }
+
+  private round(value: number): number {
+    return Math.round(value * 1e6) / 1e6 + 0;
+  }
+}
+
+/**
+ * Singleton instance
+ */
+export const gradientConverter = new GradientConverter();
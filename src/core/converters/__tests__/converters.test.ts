@@ -95,6 +95,150 @@ describe('ColorConverter', () => {
       expect(result.data).toEqual({ h: 0, s: 100, l: 50, a: 1 });
     });
   });
+
+  describe('wide-gamut color spaces', () => {
+    const expectRGB = (input: unknown, r: number, g: number, b: number, a = 1) => {
+      const result = converters.color.toRGB(input);
+      expect(result.success).toBe(true);
+      expect(result.data!.r).toBeCloseTo(r, 3);
+      expect(result.data!.g).toBeCloseTo(g, 3);
+      expect(result.data!.b).toBeCloseTo(b, 3);
+      expect(result.data!.a).toBeCloseTo(a, 3);
+    };
+
+    it('should convert CSS Color 4 functions to sRGB', () => {
+      expectRGB('oklch(62.796% 0.25768 29.234)', 1, 0, 0);
+      expectRGB('oklch(0.62796 64.42% 29.234deg / 50%)', 1, 0, 0, 0.5);
+      expectRGB('oklab(0.62796 0.22486 0.12585)', 1, 0, 0);
+      expectRGB('lab(54.29 80.80 69.89)', 1, 0, 0);
+      expectRGB('lch(54.29% 106.84 40.85)', 1, 0, 0);
+      expectRGB('color(srgb 0 0.5 1 / 0.25)', 0, 0.5, 1, 0.25);
+      expectRGB('oklch(1 none none)', 1, 1, 1);
+    });
+
+    it('should convert DTCG colorSpace objects, preferring components over the hex fallback', () => {
+      expectRGB({ colorSpace: 'oklch', components: [0.62796, 0.25768, 29.234], alpha: 0.5, hex: '#000000' }, 1, 0, 0, 0.5);
+      expectRGB({ colorSpace: 'srgb', components: [1, 0.5, 0] }, 1, 0.5, 0);
+      expectRGB({ colorSpace: 'display-p3', components: [0.9175, 0.2003, 0.1386] }, 1, 0, 0);
+    });
+
+    it('should gamut-map colors outside sRGB, keeping lightness and hue', () => {
+      const result = converters.color.toRGB('color(display-p3 0 1 0)');
+      expect(result.success).toBe(true);
+      const { r, g, b } = result.data!;
+      [r, g, b].forEach(channel => {
+        expect(channel).toBeGreaterThanOrEqual(0);
+        expect(channel).toBeLessThanOrEqual(1);
+      });
+      expect(g).toBeGreaterThan(0.95);
+      expect(r).toBeLessThan(0.3);
+      expect(b).toBeLessThan(0.3);
+    });
+
+    it('should keep P3 values with toDisplayP3', () => {
+      const p3 = converters.color.toDisplayP3('color(display-p3 0 1 0)');
+      expect(p3.data!.r).toBeCloseTo(0, 4);
+      expect(p3.data!.g).toBeCloseTo(1, 4);
+      expect(p3.data!.b).toBeCloseTo(0, 4);
+
+      const red = converters.color.toDisplayP3('#ff0000');
+      expect(red.data!.r).toBeCloseTo(0.9175, 3);
+      expect(red.data!.g).toBeCloseTo(0.2003, 3);
+      expect(red.data!.b).toBeCloseTo(0.1386, 3);
+    });
+
+    it('should reject malformed or unsupported colors', () => {
+      expect(converters.color.toRGB('oklch(0.5 0.1)').success).toBe(false);
+      expect(converters.color.toRGB('oklch(0.5 0.1 30px)').success).toBe(false);
+      expect(converters.color.toRGB('color(cmyk 1 0 0)').success).toBe(false);
+      expect(converters.color.toRGB({ colorSpace: 'oklab', components: [0.5, 'x', 0] }).success).toBe(false);
+    });
+  });
+
+  describe('DTCG structured colors', () => {
+    it('should convert the remaining DTCG color spaces', () => {
+      const expectClose = (input: unknown, r: number, g: number, b: number) => {
+        const result = converters.color.toRGB(input);
+        expect(result.success).toBe(true);
+        expect(result.data!.r).toBeCloseTo(r, 2);
+        expect(result.data!.g).toBeCloseTo(g, 2);
+        expect(result.data!.b).toBeCloseTo(b, 2);
+      };
+
+      expectClose({ colorSpace: 'a98-rgb', components: [0.8586, 0, 0] }, 1, 0, 0);
+      expectClose({ colorSpace: 'prophoto-rgb', components: [0.7016, 0.2756, 0.1035] }, 1, 0, 0);
+      expectClose('color(rec2020 0.79198 0.23098 0.07376)', 1, 0, 0);
+      expectClose({ colorSpace: 'hsl', components: [120, 100, 25], hex: '#000000' }, 0, 0.5, 0);
+      expectClose({ colorSpace: 'hwb', components: [120, 0, 50] }, 0, 0.5, 0);
+      expectClose({ colorSpace: 'hwb', components: [0, 60, 60] }, 0.5, 0.5, 0.5);
+    });
+
+    it('should serialize hex and legacy colors as srgb objects', () => {
+      const result = converters.color.toColorObject('#ff800080');
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ colorSpace: 'srgb', components: [1, 0.502, 0], alpha: 0.502, hex: '#ff8000' });
+    });
+
+    it('should keep the color space of structured values and CSS Color 4 functions', () => {
+      const structured = { colorSpace: 'oklch', components: [0.628, 0.2577, 'none'], alpha: 1, hex: '#ff0000' };
+      expect(converters.color.toColorObject(structured).data).toEqual(structured);
+
+      const defaults = converters.color.toColorObject({ colorSpace: 'srgb', components: [0, 0, 1] });
+      expect(defaults.data).toEqual({ colorSpace: 'srgb', components: [0, 0, 1], alpha: 1, hex: '#0000ff' });
+
+      const parsed = converters.color.toColorObject('oklch(62.8% 0.2577 29.23 / 0.5)');
+      expect(parsed.data!.colorSpace).toBe('oklch');
+      expect(parsed.data!.components).toEqual([0.628, 0.2577, 29.23]);
+      expect(parsed.data!.alpha).toBe(0.5);
+      expect(parsed.data!.hex).toBe('#ff0000');
+    });
+
+    it('should reject invalid structured colors', () => {
+      expect(converters.color.toColorObject({ colorSpace: 'srgb', components: [1, 0] }).success).toBe(false);
+      expect(converters.color.toColorObject({ colorSpace: 'srgb', components: [1, 0, 0], alpha: 2 }).success).toBe(false);
+      expect(converters.color.toColorObject({ colorSpace: 'hwb', components: [0, 'x', 0] }).success).toBe(false);
+    });
+  });
+
+  describe('contrastRatio', () => {
+    it('should rate black on white at 21:1', () => {
+      const result = converters.color.contrastRatio('#000000', '#ffffff');
+      expect(result.success).toBe(true);
+      expect(result.data).toBeCloseTo(21, 5);
+    });
+
+    it('should be symmetric', () => {
+      const a = converters.color.contrastRatio('#767676', '#ffffff').data!;
+      const b = converters.color.contrastRatio('#ffffff', '#767676').data!;
+      expect(a).toBeCloseTo(b, 10);
+      expect(a).toBeCloseTo(4.54, 2);
+    });
+
+    it('should blend translucent foregrounds onto the background', () => {
+      const result = converters.color.contrastRatio('rgba(0, 0, 0, 0)', '#ffffff');
+      expect(result.data).toBeCloseTo(1, 5);
+    });
+
+    it('should fail for invalid colors', () => {
+      expect(converters.color.contrastRatio('nope', '#ffffff').success).toBe(false);
+    });
+  });
+
+  describe('apcaContrast', () => {
+    it('should rate dark text on light backgrounds positive', () => {
+      const result = converters.color.apcaContrast('#000000', '#ffffff');
+      expect(result.success).toBe(true);
+      expect(result.data).toBeCloseTo(106.04, 1);
+    });
+
+    it('should rate light text on dark backgrounds negative', () => {
+      expect(converters.color.apcaContrast('#ffffff', '#000000').data).toBeCloseTo(-107.88, 1);
+    });
+
+    it('should return 0 for identical colors', () => {
+      expect(converters.color.apcaContrast('#888888', '#888888').data).toBe(0);
+    });
+  });
 });
 
 describe('DimensionConverter', () => {
@@ -176,6 +320,34 @@ describe('DimensionConverter', () => {
   });
 });
 
+describe('DimensionConverter structured values', () => {
+  it('should serialize dimensions as { value, unit }', () => {
+    expect(converters.dimension.toDimensionObject('1.5rem').data).toEqual({ value: 1.5, unit: 'rem' });
+    expect(converters.dimension.toDimensionObject(8).data).toEqual({ value: 8, unit: 'px' });
+    expect(converters.dimension.toDimensionObject({ value: 16, unit: 'px' }).data).toEqual({ value: 16, unit: 'px' });
+  });
+
+  it('should reject invalid structured dimensions', () => {
+    expect(converters.dimension.toDimensionObject({ value: '16', unit: 'px' }).success).toBe(false);
+    expect(converters.dimension.toDimensionObject({ value: 16, unit: 'vw' }).success).toBe(false);
+    expect(converters.dimension.toPixels({ value: '1', unit: 'rem' }).success).toBe(false);
+  });
+
+  it('should convert durations to milliseconds', () => {
+    expect(converters.dimension.toMilliseconds({ value: 0.25, unit: 's' }).data).toBe(250);
+    expect(converters.dimension.toMilliseconds({ value: 200, unit: 'ms' }).data).toBe(200);
+    expect(converters.dimension.toMilliseconds('0.5s').data).toBe(500);
+    expect(converters.dimension.toMilliseconds(150).data).toBe(150);
+    expect(converters.dimension.toDurationObject('200ms').data).toEqual({ value: 200, unit: 'ms' });
+  });
+
+  it('should reject invalid durations', () => {
+    expect(converters.dimension.toMilliseconds({ value: 1, unit: 'min' }).success).toBe(false);
+    expect(converters.dimension.toMilliseconds({ value: '1', unit: 's' }).success).toBe(false);
+    expect(converters.dimension.toMilliseconds('fast').success).toBe(false);
+  });
+});
+
 describe('TypographyConverter', () => {
   describe('toFigma', () => {
     it('should convert typography object', () => {
@@ -330,6 +502,140 @@ describe('ShadowConverter', () => {
   });
 });
 
+describe('BorderConverter', () => {
+  describe('toFigma', () => {
+    it('should convert border object', () => {
+      const result = converters.border.toFigma({
+        color: '#000000',
+        width: '2px',
+        style: 'solid',
+      });
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({
+        color: { r: 0, g: 0, b: 0, a: 1 },
+        width: 2,
+        style: 'solid',
+        dashPattern: [],
+        strokeCap: 'NONE',
+      });
+    });
+
+    it('should scale keyword dashes with the width', () => {
+      const dashed = converters.border.toFigma({ color: '#000', width: 2, style: 'dashed' });
+      const dotted = converters.border.toFigma({ color: '#000', width: 2, strokeStyle: 'dotted' });
+      expect(dashed.data).toMatchObject({ dashPattern: [6, 6], strokeCap: 'NONE' });
+      expect(dotted.data).toMatchObject({ dashPattern: [0, 4], strokeCap: 'ROUND' });
+    });
+
+    it('should convert DTCG dash arrays', () => {
+      const result = converters.border.toFigma({
+        color: '#000000',
+        width: { value: 1, unit: 'px' },
+        strokeStyle: { dashArray: ['0.25rem', { value: 2, unit: 'px' }], lineCap: 'square' },
+      });
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ style: 'custom', dashPattern: [4, 2], strokeCap: 'SQUARE' });
+    });
+
+    it('should parse CSS shorthand', () => {
+      const result = converters.border.toFigma('1px dashed rgba(0, 0, 255, 0.5)');
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({ width: 1, style: 'dashed', dashPattern: [3, 3] });
+      expect(result.data!.color.a).toBeCloseTo(0.5);
+    });
+
+    it('should default to a solid stroke', () => {
+      const result = converters.border.toFigma({ color: '#000000', width: 1 });
+      expect(result.data!.style).toBe('solid');
+    });
+
+    it('should reject invalid borders', () => {
+      expect(converters.border.toFigma({ color: '#000000' }).success).toBe(false);
+      expect(converters.border.toFigma({ color: '#000000', width: '-1px' }).success).toBe(false);
+      expect(converters.border.toFigma({ color: '#000000', width: 1, style: 'wavy' }).success).toBe(false);
+      expect(converters.border.toFigma({ color: '{color.border}', width: 1 }).success).toBe(false);
+      expect(converters.border.toFigma('solid #000').success).toBe(false);
+    });
+  });
+});
+
+describe('GradientConverter', () => {
+  describe('parse', () => {
+    it('should parse CSS linear gradients with references', () => {
+      const result = converters.gradient.parse('linear-gradient(45deg, {color.brand.500} 0%, rgba(0, 0, 0, 0.5) 100%)');
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({
+        type: 'linear',
+        angle: 45,
+        stops: [
+          { color: '{color.brand.500}', position: 0 },
+          { color: 'rgba(0, 0, 0, 0.5)', position: 1 },
+        ],
+      });
+    });
+
+    it('should read side and corner directions', () => {
+      expect(converters.gradient.parse('linear-gradient(to right, #000, #fff)').data!.angle).toBe(90);
+      expect(converters.gradient.parse('linear-gradient(to top left, #000, #fff)').data!.angle).toBe(315);
+      expect(converters.gradient.parse('linear-gradient(0.5turn, #000, #fff)').data!.angle).toBe(180);
+      expect(converters.gradient.parse('linear-gradient(#000, #fff)').data!.angle).toBe(180);
+    });
+
+    it('should spread missing stop positions evenly', () => {
+      const result = converters.gradient.parse('linear-gradient(#000, #333, #666 50%, #999, #fff)');
+      expect(result.data!.stops.map(stop => stop.position)).toEqual([0, 0.25, 0.5, 0.75, 1]);
+    });
+
+    it('should skip radial shape arguments', () => {
+      const result = converters.gradient.parse('radial-gradient(circle at center, #000 20%, #fff)');
+      expect(result.data!.type).toBe('radial');
+      expect(result.data!.stops).toEqual([
+        { color: '#000', position: 0.2 },
+        { color: '#fff', position: 1 },
+      ]);
+    });
+
+    it('should take kind and angle of DTCG stop arrays from options', () => {
+      const stops = [
+        { color: '{color.brand.500}', position: 0 },
+        { color: '#ffffff', position: 1 },
+      ];
+      const result = converters.gradient.parse(stops, { type: 'radial', angle: 90 });
+      expect(result.data).toEqual({ type: 'radial', angle: 90, stops });
+    });
+
+    it('should reject invalid gradients', () => {
+      expect(converters.gradient.parse('linear-gradient(#000)').success).toBe(false);
+      expect(converters.gradient.parse('conic-gradient(#000, #fff)').success).toBe(false);
+      expect(converters.gradient.parse('linear-gradient(to nowhere, #000, #fff)').success).toBe(false);
+      expect(converters.gradient.parse([{ color: '#000', position: '0%' }, { color: '#fff' }]).success).toBe(false);
+    });
+  });
+
+  describe('toFigma', () => {
+    it('should convert stops and direction', () => {
+      const result = converters.gradient.toFigma('linear-gradient(90deg, #ff0000, #0000ff)');
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({
+        type: 'GRADIENT_LINEAR',
+        gradientTransform: [[1, 0, 0], [0, 1, 0]],
+        gradientStops: [
+          { position: 0, color: { r: 1, g: 0, b: 0, a: 1 } },
+          { position: 1, color: { r: 0, g: 0, b: 1, a: 1 } },
+        ],
+      });
+    });
+
+    it('should run top to bottom by default', () => {
+      expect(converters.gradient.toTransform('linear', 180)).toEqual([[0, 1, 0], [-1, 0, 1]]);
+    });
+
+    it('should reject unresolved stop colors', () => {
+      expect(converters.gradient.toFigma('linear-gradient({color.brand.500}, #fff)').success).toBe(false);
+    });
+  });
+});
+
 describe('Integration tests', () => {
   it('should convert complete token set', () => {
     // Color
@@ -11,12 +11,18 @@ export type {
   Pixels,
   FigmaTypography,
   FigmaShadow,
+  FigmaBorder,
+  FigmaGradient,
+  GradientOptions,
+  ParsedGradient,
   ConversionError,
   Converter,
   ColorConverter,
   DimensionConverter,
   TypographyConverter,
   ShadowConverter,
+  BorderConverter,
+  GradientConverter,
   ConverterRegistry,
 } from './types';
 
@@ -25,11 +31,17 @@ export { ColorConverter as ColorConverterClass, colorConverter } from './ColorCo
 export { DimensionConverter as DimensionConverterClass, dimensionConverter } from './DimensionConverter';
 export { TypographyConverter as TypographyConverterClass, typographyConverter } from './TypographyConverter';
 export { ShadowConverter as ShadowConverterClass, shadowConverter } from './ShadowConverter';
+export { BorderConverter as BorderConverterClass, borderConverter } from './BorderConverter';
+export { GradientConverter as GradientConverterClass, gradientConverter } from './GradientConverter';
+export { ColorSpace } from './ColorSpace';
+export type { ColorSpaceId, RGBGamut } from './ColorSpace';
 
 import { colorConverter } from './ColorConverter';
 import { dimensionConverter } from './DimensionConverter';
 import { typographyConverter } from './TypographyConverter';
 import { shadowConverter } from './ShadowConverter';
+import { borderConverter } from './BorderConverter';
+import { gradientConverter } from './GradientConverter';
 import { ConverterRegistry } from './types';
 
 /**
@@ -49,4 +61,6 @@ export const converters: ConverterRegistry = {
   dimension: dimensionConverter,
   typography: typographyConverter,
   shadow: shadowConverter,
+  border: borderConverter,
+  gradient: gradientConverter,
 };
@@ -4,6 +4,7 @@
 // ====================================================================================
 
 import { Result } from '../../shared/types';
+import { ColorValue, DimensionValue, DurationValue, StrokeStyleKeyword } from '../models/Token';
 
 /**
  * RGB color representation (0-1 normalized)
@@ -68,6 +69,44 @@ export interface FigmaShadow {
   inset: boolean;
 }
 
+/**
+ * Border properties in Figma stroke format
+ */
+export interface FigmaBorder {
+  color: RGB;
+  width: number; // strokeWeight in pixels
+  style: StrokeStyleKeyword | 'custom';
+  dashPattern: number[]; // empty for solid strokes
+  strokeCap: 'NONE' | 'ROUND' | 'SQUARE';
+}
+
+/**
+ * Gradient kind and direction
+ * Angles follow CSS: 0deg points up, 90deg right (stops run along the angle)
+ */
+export interface GradientOptions {
+  type?: 'linear' | 'radial';
+  angle?: number;
+}
+
+/**
+ * Gradient with stop colors as written (hex, color objects or {references})
+ */
+export interface ParsedGradient {
+  type: 'linear' | 'radial';
+  angle: number; // degrees
+  stops: Array<{ color: unknown; position: number }>; // positions 0-1, ascending
+}
+
+/**
+ * Gradient properties in Figma paint format
+ */
+export interface FigmaGradient {
+  type: 'GRADIENT_LINEAR' | 'GRADIENT_RADIAL';
+  gradientTransform: [[number, number, number], [number, number, number]];
+  gradientStops: Array<{ position: number; color: RGB }>;
+}
+
 /**
  * Conversion error details
  */
@@ -124,6 +163,13 @@ export interface ColorConverter {
    */
   toHex(input: any): Result<string>;
 
+  /**
+   * Convert any color format to normalized Display P3 (0-1)
+   * @param input - Color in any supported format
+   * @returns Result<RGB> - P3 components, for documents using the Display P3 color profile
+   */
+  toDisplayP3(input: unknown): Result<RGB>;
+
   /**
    * Convert any color format to HSL
    * @param input - Color in any supported format
@@ -131,6 +177,29 @@ export interface ColorConverter {
    */
   toHSL(input: any): Result<HSL>;
 
+  /**
+   * Convert any color format to the DTCG 2025 structured color value
+   * @param input - Color in any supported format
+   * @returns Result<ColorValue> - { colorSpace, components, alpha, hex }
+   */
+  toColorObject(input: unknown): Result<ColorValue>;
+
+  /**
+   * WCAG 2.x contrast ratio of a foreground over a background
+   * @param foreground - Text color in any supported format
+   * @param background - Background color in any supported format
+   * @returns Result<number> - Ratio from 1 to 21
+   */
+  contrastRatio(foreground: unknown, background: unknown): Result<number>;
+
+  /**
+   * APCA lightness contrast (Lc) of text over a background
+   * @param text - Text color in any supported format
+   * @param background - Background color in any supported format
+   * @returns Result<number> - Lc, positive for dark text on light backgrounds
+   */
+  apcaContrast(text: unknown, background: unknown): Result<number>;
+
   /**
    * Validate color input
    * @param input - Color value
@@ -167,6 +236,27 @@ export interface DimensionConverter {
    */
   parse(input: string): Result<{ value: number; unit: string }>;
 
+  /**
+   * Convert any dimension format to the DTCG 2025 structured dimension value
+   * @param input - Dimension in any supported format
+   * @returns Result<DimensionValue> - { value, unit }
+   */
+  toDimensionObject(input: unknown): Result<DimensionValue>;
+
+  /**
+   * Convert any duration format to milliseconds
+   * @param input - Duration as { value, unit: 'ms' | 's' }, "200ms", "0.2s" or a number of ms
+   * @returns Result<number> - Value in milliseconds
+   */
+  toMilliseconds(input: unknown): Result<number>;
+
+  /**
+   * Convert any duration format to the DTCG 2025 structured duration value
+   * @param input - Duration in any supported format
+   * @returns Result<DurationValue> - { value, unit }
+   */
+  toDurationObject(input: unknown): Result<DurationValue>;
+
   /**
    * Validate dimension input
    * @param input - Dimension value
@@ -238,6 +328,62 @@ export interface ShadowConverter {
   validate(input: any): Result<boolean>;
 }
 
+/**
+ * Border converter interface
+ * Converts border values to Figma stroke properties
+ */
+export interface BorderConverter {
+  /**
+   * Convert border value to Figma format
+   * @param input - Border object ({ color, width, style | strokeStyle }) or CSS shorthand ("1px dashed #ccc")
+   * @returns Result<FigmaBorder>
+   */
+  toFigma(input: unknown): Result<FigmaBorder>;
+
+  /**
+   * Validate border input
+   * @param input - Border value
+   * @returns Result<boolean>
+   */
+  validate(input: unknown): Result<boolean>;
+}
+
+/**
+ * Gradient converter interface
+ * Converts gradient values to Figma gradient paints
+ */
+export interface GradientConverter {
+  /**
+   * Parse a gradient without converting its colors
+   * @param input - DTCG stop array or CSS linear-gradient()/radial-gradient() string
+   * @param options - Kind and angle for stop arrays (CSS strings carry their own)
+   * @returns Result<ParsedGradient>
+   */
+  parse(input: unknown, options?: GradientOptions): Result<ParsedGradient>;
+
+  /**
+   * Convert gradient value to Figma format
+   * @param input - Gradient with resolved stop colors
+   * @param options - Kind and angle for stop arrays
+   * @returns Result<FigmaGradient>
+   */
+  toFigma(input: unknown, options?: GradientOptions): Result<FigmaGradient>;
+
+  /**
+   * Figma gradientTransform drawing a gradient of this kind and angle across a layer
+   * @param type - Gradient kind
+   * @param angle - CSS angle in degrees
+   */
+  toTransform(type: 'linear' | 'radial', angle: number): FigmaGradient['gradientTransform'];
+
+  /**
+   * Validate gradient input
+   * @param input - Gradient value
+   * @returns Result<boolean>
+   */
+  validate(input: unknown): Result<boolean>;
+}
+
 /**
  * Converter registry
  * Central registry for all converters
@@ -247,4 +393,6 @@ export interface ConverterRegistry {
   dimension: DimensionConverter;
   typography: TypographyConverter;
   shadow: ShadowConverter;
+  border: BorderConverter;
+  gradient: GradientConverter;
 }
@@ -24,7 +24,7 @@ export interface TokenFormatInfo {
  * - Interface Segregation: Focused on parsing operations only
  * - Dependency Inversion: TokenProcessor depends on this abstraction
  *
- * Implementations: W3CTokenFormatStrategy, StyleDictionaryFormatStrategy
+ * Implementations: W3CTokenFormatStrategy, TokensStudioFormatStrategy, StyleDictionaryFormatStrategy
  */
 export interface ITokenFormatStrategy {
   /**
@@ -0,0 +1,71 @@
+// ====================================================================================
+// TOKEN LINT RULE INTERFACE
+// Strategy pattern for checking tokens against project conventions
+// ====================================================================================
+
+import { Token } from '../models/Token';
+import { LintRuleConfig } from '../../shared/types';
+
+/**
+ * Everything a rule may look at besides the token itself
+ */
+export interface LintContext {
+  tokensById: Map<string, Token>; // All linted tokens, for rules that follow aliases
+}
+
+/**
+ * Interface for token lint rules
+ *
+ * Principles:
+ * - Strategy Pattern: One rule per convention
+ * - Open/Closed: Add rules without modifying TokenLinter
+ * - Single Responsibility: A rule only reports, TokenLinter applies severities
+ *
+ * Usage:
+ * - Implement this interface for each convention
+ * - Register implementations in TokenLintRuleRegistry
+ * - TokenLinter runs every registered rule that is not switched off
+ *
+ * Example:
+ * ```typescript
+ * class RequiredDescriptionRule implements ITokenLintRule {
+ *   getId() { return 'require-description'; }
+ *   getDescription() { return 'Tokens must have a description'; }
+ *   getDefaultConfig() { return { severity: 'warning' }; }
+ *   check(token) { return token.description ? [] : ['Missing description']; }
+ * }
+ * ```
+ */
+export interface ITokenLintRule {
+  /**
+   * Get the rule id
+   * Used as key in LintConfig.rules and shown in reports
+   *
+   * @returns Rule id (e.g., 'naming-convention')
+   */
+  getId(): string;
+
+  /**
+   * Get a one-line description of the convention the rule checks
+   *
+   * @returns Human-readable description
+   */
+  getDescription(): string;
+
+  /**
+   * Get the severity and options the rule runs with when the project config omits it
+   *
+   * @returns Default rule configuration
+   */
+  getDefaultConfig(): LintRuleConfig;
+
+  /**
+   * Check a token
+   *
+   * @param token - Token to check
+   * @param context - All linted tokens
+   * @param options - Rule options (defaults merged with the project config)
+   * @returns One message per violation, empty when the token passes
+   */
+  check(token: Token, context: LintContext, options: Record<string, unknown>): string[];
+}
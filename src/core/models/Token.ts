@@ -20,6 +20,7 @@ export type TokenType =
   | 'spacing'
   | 'shadow'
   | 'border'
+  | 'gradient'
   | 'duration'
   | 'cubicBezier'
   | 'number'
@@ -39,8 +40,11 @@ export type TokenValue =
   | boolean
   | ColorValue
   | DimensionValue
+  | DurationValue
   | ShadowValue
   | TypographyValue
+  | BorderValue
+  | GradientStop[]
   | CubicBezierValue
   | null;
 
@@ -48,8 +52,10 @@ export type TokenValue =
  * Color value (supports multiple color space formats)
  */
 export interface ColorValue {
-  colorSpace?: 'sRGB' | 'display-p3' | 'hsl' | 'hsla' | 'rgb' | 'rgba';
-  hex?: string; // #RRGGBB or #RRGGBBAA
+  colorSpace?: 'sRGB' | 'srgb' | 'srgb-linear' | 'display-p3' | 'a98-rgb' | 'prophoto-rgb' | 'rec2020' | 'hwb' | 'oklch' | 'oklab' | 'lab' | 'lch' | 'xyz' | 'xyz-d65' | 'xyz-d50' | 'hsl' | 'hsla' | 'rgb' | 'rgba';
+  components?: Array<number | 'none'>; // DTCG colorSpace components (e.g. oklch: [L 0-1, C, H])
+  alpha?: number; // 0-1, with components
+  hex?: string; // #RRGGBB or #RRGGBBAA (the DTCG fallback is always #RRGGBB)
   r?: number;   // 0-255 or 0-1
   g?: number;
   b?: number;
@@ -67,6 +73,14 @@ export interface DimensionValue {
   unit: 'px' | 'rem' | 'em' | '%' | 'pt';
 }
 
+/**
+ * Duration value with unit (DTCG structured form)
+ */
+export interface DurationValue {
+  value: number;
+  unit: 'ms' | 's';
+}
+
 /**
  * Shadow value (box-shadow or text-shadow)
  */
@@ -79,6 +93,46 @@ export interface ShadowValue {
   inset?: boolean;
 }
 
+/**
+ * Predefined DTCG stroke style (CSS border-style keywords)
+ */
+export type StrokeStyleKeyword = 'solid' | 'dashed' | 'dotted' | 'double' | 'groove' | 'ridge' | 'outset' | 'inset';
+
+/**
+ * DTCG stroke style: a keyword or a custom dash pattern
+ */
+export type StrokeStyle =
+  | StrokeStyleKeyword
+  | {
+      dashArray: Array<number | string | DimensionValue>;
+      lineCap: 'round' | 'butt' | 'square';
+    };
+
+/**
+ * Border composite value
+ * Tokens Studio names the stroke style `style`, DTCG names it `strokeStyle`
+ */
+export interface BorderValue {
+  color: string | ColorValue;
+  width: number | string | DimensionValue;
+  style?: StrokeStyle;
+  strokeStyle?: StrokeStyle;
+}
+
+/**
+ * Gradient color stop (DTCG: position from 0 to 1)
+ */
+export interface GradientStop {
+  color: string | ColorValue;
+  position: number;
+}
+
+/**
+ * Gradient value: DTCG stop array or a CSS linear-gradient()/radial-gradient() string
+ * Stop arrays take their kind and angle from $extensions.gradient: { type: 'linear' | 'radial', angle: degrees }
+ */
+export type GradientValue = GradientStop[] | string;
+
 /**
  * Typography composite value
  */
@@ -88,6 +142,7 @@ export interface TypographyValue {
   fontWeight?: number | string;
   lineHeight?: number | string | DimensionValue;
   letterSpacing?: number | string | DimensionValue;
+  paragraphSpacing?: number | string | DimensionValue;
 }
 
 /**
@@ -131,6 +186,7 @@ export interface FigmaExtensions {
   scopes?: VariableScope[];
   modeId?: string;
   modeName?: string;
+  partVariableIds?: Record<string, string>; // Composite tokens synced as several variables (border: color, width)
 }
 
 /**
@@ -225,10 +281,27 @@ export interface TokenBase {
    */
   description?: string;
 
+  /**
+   * Math expression the value is computed from, e.g. "{spacing.base} * 2"
+   * Set by TokenResolver; resolvedValue holds the result
+   */
+  expression?: string;
+
+  /**
+   * Description of the nearest enclosing group that has one (W3C group $description)
+   */
+  groupDescription?: string;
+
+  /**
+   * Why the token is deprecated or what replaces it (W3C $deprecated message)
+   * Only set together with status 'deprecated'
+   */
+  deprecationMessage?: string;
+
   /**
    * Source format identifier
    */
-  sourceFormat: 'w3c' | 'style-dictionary' | 'figma' | 'custom';
+  sourceFormat: 'w3c' | 'style-dictionary' | 'tokens-studio' | 'figma' | 'custom';
 
   /**
    * Source tracking (where did this token come from)
@@ -350,14 +423,20 @@ export type Token = TokenBase & (
   | {
       type: 'border';
       rawValue: any;
-      value: any; // TODO: Define BorderValue type
-      resolvedValue?: any;
+      value: BorderValue;
+      resolvedValue?: BorderValue;
+    }
+  | {
+      type: 'gradient';
+      rawValue: any;
+      value: GradientValue;
+      resolvedValue?: GradientValue;
     }
   | {
       type: 'duration';
       rawValue: any;
-      value: number | string;
-      resolvedValue?: number | string;
+      value: DurationValue | number | string;
+      resolvedValue?: DurationValue | number | string;
     }
   | {
       type: 'cubicBezier';
@@ -430,6 +509,13 @@ export function isShadowToken(token: Token | LegacyToken): token is Extract<Toke
   return token.type === 'shadow';
 }
 
+/**
+ * Type guard for border tokens
+ */
+export function isBorderToken(token: Token | LegacyToken): token is Extract<Token, { type: 'border' }> {
+  return token.type === 'border';
+}
+
 /**
  * Type guard for fontSize tokens
  */
@@ -544,7 +630,7 @@ export interface LegacyToken {
 
   // ==================== METADATA ====================
   description?: string;
-  sourceFormat: 'w3c' | 'style-dictionary' | 'figma' | 'custom';
+  sourceFormat: 'w3c' | 'style-dictionary' | 'tokens-studio' | 'figma' | 'custom';
   source: TokenSource;
   extensions: TokenExtensions;
   tags: string[];
@@ -621,9 +707,11 @@ export type ValueTypeForTokenType<T extends TokenType> =
   T extends 'spacing' ? DimensionValue :
   T extends 'shadow' ? ShadowValue :
   T extends 'typography' ? TypographyValue :
+  T extends 'border' ? BorderValue :
+  T extends 'gradient' ? GradientValue :
   T extends 'number' ? number :
   T extends 'string' ? string :
   T extends 'boolean' ? boolean :
   T extends 'cubicBezier' ? CubicBezierValue :
-  T extends 'duration' ? number | string :
+  T extends 'duration' ? DurationValue | number | string :
   any;
@@ -10,6 +10,7 @@ import {
   TokenBase,
   ColorValue,
   DimensionValue,
+  DurationValue,
   TypographyValue,
   ShadowValue,
   CubicBezierValue,
@@ -388,8 +389,8 @@ describe('isFontWeightToken', () => {
     };
 
     if (isFontWeightToken(token)) {
-      // TypeScript should know token.value is number | string
-      const value: number | string = token.value;
+      // TypeScript should know token.value is DurationValue | number | string
+      const value: DurationValue | number | string = token.value;
       expect(value).toBe(600);
     } else {
       fail('Should be fontWeight token');
@@ -864,8 +865,8 @@ describe('isDurationToken', () => {
     };
 
     if (isDurationToken(token)) {
-      // TypeScript should know token.value is number | string
-      const value: number | string = token.value;
+      // TypeScript should know token.value is DurationValue | number | string
+      const value: DurationValue | number | string = token.value;
       expect(value).toBe('300ms');
     } else {
       fail('Should be duration token');
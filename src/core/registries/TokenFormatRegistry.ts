@@ -18,6 +18,7 @@ import { TokenData } from '../../shared/types';
  * ```typescript
  * // Register formats
  * TokenFormatRegistry.register(new W3CTokenFormatStrategy());
+ * TokenFormatRegistry.register(new TokensStudioFormatStrategy());
  * TokenFormatRegistry.register(new StyleDictionaryFormatStrategy());
  *
  * // Auto-detect format
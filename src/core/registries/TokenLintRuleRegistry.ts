@@ -0,0 +1,77 @@
+// ====================================================================================
+// TOKEN LINT RULE REGISTRY
+// Registry pattern for token lint rules
+// ====================================================================================
+
+import { ITokenLintRule } from '../interfaces/ITokenLintRule';
+
+/**
+ * Registry for token lint rules
+ *
+ * Principles:
+ * - Registry Pattern: Centralized registration and retrieval
+ * - Open/Closed: Add new rules without modifying registry code
+ * - Single Source of Truth: All rules registered here
+ *
+ * Usage:
+ * ```typescript
+ * // Register rules (in main.ts)
+ * TokenLintRuleRegistry.register(new NamingConventionRule());
+ * TokenLintRuleRegistry.register(new MaxAliasDepthRule());
+ *
+ * // Run every rule
+ * for (const rule of TokenLintRuleRegistry.getAll()) { ... }
+ * ```
+ */
+export class TokenLintRuleRegistry {
+  private static rules: Map<string, ITokenLintRule> = new Map();
+
+  /**
+   * Register a lint rule
+   * Rules are indexed by their id; registering an id again replaces the rule
+   *
+   * @param rule - Rule implementation to register
+   */
+  static register(rule: ITokenLintRule): void {
+    const id = rule.getId();
+    this.rules.set(id, rule);
+    console.log(`[TokenLintRuleRegistry] Registered rule: ${id}`);
+  }
+
+  /**
+   * Get rule by id
+   *
+   * @param id - Rule id (e.g., 'naming-convention')
+   * @returns Rule, or undefined if not found
+   */
+  static get(id: string): ITokenLintRule | undefined {
+    return this.rules.get(id);
+  }
+
+  /**
+   * Get all registered rules in registration order
+   *
+   * @returns Array of rules
+   */
+  static getAll(): ITokenLintRule[] {
+    return Array.from(this.rules.values());
+  }
+
+  /**
+   * Check if a rule is registered
+   *
+   * @param id - Rule id to check
+   * @returns True if the rule exists
+   */
+  static has(id: string): boolean {
+    return this.rules.has(id);
+  }
+
+  /**
+   * Clear all registered rules
+   * Useful for testing
+   */
+  static clear(): void {
+    this.rules.clear();
+  }
+}
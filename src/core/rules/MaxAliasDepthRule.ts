@@ -0,0 +1,57 @@
+// ====================================================================================
+// MAX ALIAS DEPTH RULE
+// Limits how many aliases a token goes through before reaching a value
+// ====================================================================================
+
+import { ITokenLintRule, LintContext } from '../interfaces/ITokenLintRule';
+import { Token } from '../models/Token';
+import { LintRuleConfig } from '../../shared/types';
+
+/**
+ * MaxAliasDepthRule - Alias chains must not be longer than the maximum
+ *
+ * The depth counts the references followed: a token aliasing a primitive has depth 1.
+ * Targets outside the linted tokens (e.g. other projects) end the chain.
+ *
+ * Options:
+ * - max: maximum depth
+ */
+export class MaxAliasDepthRule implements ITokenLintRule {
+  getId(): string {
+    return 'max-alias-depth';
+  }
+
+  getDescription(): string {
+    return 'Alias chains must not exceed the maximum depth';
+  }
+
+  getDefaultConfig(): LintRuleConfig {
+    return {
+      severity: 'warning',
+      options: { max: 3 },
+    };
+  }
+
+  check(token: Token, context: LintContext, options: Record<string, unknown>): string[] {
+    const max = Number(options.max);
+    if (!token.aliasTo || !isFinite(max)) return [];
+
+    const chain: string[] = [token.qualifiedName];
+    const visited = new Set<string>([token.id]);
+    let current: Token | undefined = token;
+
+    while (current && current.aliasTo) {
+      if (visited.has(current.aliasTo)) {
+        const repeated = context.tokensById.get(current.aliasTo);
+        return [`Circular alias chain: ${chain.concat(repeated ? repeated.qualifiedName : current.aliasTo).join(' → ')}`];
+      }
+      visited.add(current.aliasTo);
+
+      current = context.tokensById.get(current.aliasTo);
+      if (current) chain.push(current.qualifiedName);
+    }
+
+    const depth = visited.size - 1;
+    return depth > max ? [`Alias depth ${depth} exceeds ${max}: ${chain.join(' → ')}`] : [];
+  }
+}
@@ -0,0 +1,66 @@
+// ====================================================================================
+// NAMING CONVENTION RULE
+// Checks each segment of a token path against a pattern for its level
+// ====================================================================================
+
+import { ITokenLintRule, LintContext } from '../interfaces/ITokenLintRule';
+import { Token } from '../models/Token';
+import { LintRuleConfig } from '../../shared/types';
+
+/**
+ * NamingConventionRule - Token path segments must match the pattern of their level
+ *
+ * Options:
+ * - patterns: regular expressions by level; the last one applies to every deeper level
+ *   (e.g. ['^(color|space|font)$', '^[a-z0-9-]+$'] fixes the top-level groups)
+ */
+export class NamingConventionRule implements ITokenLintRule {
+  private compiled: Map<string, RegExp | null> = new Map(); // Patterns compile once per source
+
+  getId(): string {
+    return 'naming-convention';
+  }
+
+  getDescription(): string {
+    return 'Token names must match the naming pattern of their level';
+  }
+
+  getDefaultConfig(): LintRuleConfig {
+    return {
+      severity: 'warning',
+      options: { patterns: ['^[a-z0-9][a-zA-Z0-9-]*$'] },
+    };
+  }
+
+  check(token: Token, _context: LintContext, options: Record<string, unknown>): string[] {
+    const patterns = Array.isArray(options.patterns) ? options.patterns.map(String) : [];
+    if (patterns.length === 0) return [];
+
+    const messages: string[] = [];
+
+    token.path.forEach((segment, level) => {
+      const source = patterns[Math.min(level, patterns.length - 1)];
+      const pattern = this.compile(source);
+
+      if (!pattern) {
+        messages.push(`Invalid naming pattern for level ${level + 1}: ${source}`);
+      } else if (!pattern.test(segment)) {
+        messages.push(`"${segment}" (level ${level + 1}) does not match ${source}`);
+      }
+    });
+
+    return messages;
+  }
+
+  private compile(source: string): RegExp | null {
+    if (!this.compiled.has(source)) {
+      try {
+        this.compiled.set(source, new RegExp(source));
+      } catch {
+        this.compiled.set(source, null);
+      }
+    }
+
+    return this.compiled.get(source)!;
+  }
+}
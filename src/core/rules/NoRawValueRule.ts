@@ -0,0 +1,71 @@
+// ====================================================================================
+// NO RAW VALUE RULE
+// Semantic tokens must reference other tokens instead of holding literal values
+// ====================================================================================
+
+import { ITokenLintRule, LintContext } from '../interfaces/ITokenLintRule';
+import { Token } from '../models/Token';
+import { LintRuleConfig } from '../../shared/types';
+
+/**
+ * NoRawValueRule - Tokens in semantic collections must be aliases
+ *
+ * A composite value (e.g. typography) passes when any of its fields is a reference.
+ *
+ * Options:
+ * - collectionPattern: regular expression (case-insensitive) matching the collections to check
+ */
+export class NoRawValueRule implements ITokenLintRule {
+  getId(): string {
+    return 'no-raw-values';
+  }
+
+  getDescription(): string {
+    return 'Tokens in semantic collections must reference other tokens';
+  }
+
+  getDefaultConfig(): LintRuleConfig {
+    return {
+      severity: 'error',
+      options: { collectionPattern: 'semantic' },
+    };
+  }
+
+  check(token: Token, _context: LintContext, options: Record<string, unknown>): string[] {
+    const source = typeof options.collectionPattern === 'string' ? options.collectionPattern : '';
+    if (!source) return [];
+
+    let pattern: RegExp;
+    try {
+      pattern = new RegExp(source, 'i');
+    } catch {
+      return [`Invalid collection pattern: ${source}`];
+    }
+
+    if (!pattern.test(token.collection) || token.aliasTo) {
+      return [];
+    }
+
+    const raw = token.rawValue !== undefined ? token.rawValue : token.value;
+    if (this.hasReference(raw)) {
+      return [];
+    }
+
+    return [`Raw value ${this.format(raw)} in collection "${token.collection}" - reference a primitive token instead`];
+  }
+
+  private hasReference(value: unknown): boolean {
+    if (typeof value === 'string') {
+      return /\{[^{}]+\}/.test(value);
+    }
+    if (value && typeof value === 'object') {
+      return Object.keys(value).some(key => this.hasReference((value as Record<string, unknown>)[key]));
+    }
+    return false;
+  }
+
+  private format(value: unknown): string {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+  }
+}
@@ -0,0 +1,43 @@
+// ====================================================================================
+// REQUIRED DESCRIPTION RULE
+// Reports tokens without a description
+// ====================================================================================
+
+import { ITokenLintRule, LintContext } from '../interfaces/ITokenLintRule';
+import { Token } from '../models/Token';
+import { LintRuleConfig } from '../../shared/types';
+
+/**
+ * RequiredDescriptionRule - Tokens must have a non-empty description
+ *
+ * Options:
+ * - collections: only check these collections (all when empty)
+ */
+export class RequiredDescriptionRule implements ITokenLintRule {
+  getId(): string {
+    return 'require-description';
+  }
+
+  getDescription(): string {
+    return 'Tokens must have a description';
+  }
+
+  getDefaultConfig(): LintRuleConfig {
+    return {
+      severity: 'warning',
+      options: { collections: [] },
+    };
+  }
+
+  check(token: Token, _context: LintContext, options: Record<string, unknown>): string[] {
+    const collections = Array.isArray(options.collections)
+      ? options.collections.map(collection => String(collection).toLowerCase())
+      : [];
+
+    if (collections.length > 0 && collections.indexOf(token.collection.toLowerCase()) === -1) {
+      return [];
+    }
+
+    return token.description && token.description.trim() ? [] : ['Missing description'];
+  }
+}
@@ -0,0 +1,60 @@
+// ====================================================================================
+// VALUE TYPE RULE
+// Checks that a token's value can be converted for its declared type
+// ====================================================================================
+
+import { ITokenLintRule, LintContext } from '../interfaces/ITokenLintRule';
+import { Token, TokenType } from '../models/Token';
+import { LintRuleConfig, Result, Success } from '../../shared/types';
+import { converters } from '../converters';
+
+/**
+ * Converter validation per token type
+ * Types without an entry (strings, numbers, booleans, ...) accept any value
+ */
+const VALIDATORS: Partial<Record<TokenType, (value: unknown) => Result<boolean>>> = {
+  color: value => converters.color.validate(value),
+  dimension: value => converters.dimension.validate(value),
+  spacing: value => converters.dimension.validate(value),
+  fontSize: value => converters.dimension.validate(value),
+  letterSpacing: value => converters.dimension.validate(value),
+  typography: value => converters.typography.validate(value),
+  shadow: value => converters.shadow.validate(value),
+  duration: value => Success(converters.dimension.toMilliseconds(value).success),
+};
+
+/**
+ * ValueTypeRule - The value must be valid for the declared $type
+ *
+ * Uses the converters' validate(), so a token passes exactly when the sync can
+ * convert it. Aliases are checked through their target: the resolved value is
+ * validated when present, unresolved aliases are skipped.
+ */
+export class ValueTypeRule implements ITokenLintRule {
+  getId(): string {
+    return 'valid-value';
+  }
+
+  getDescription(): string {
+    return 'Token values must be valid for their type';
+  }
+
+  getDefaultConfig(): LintRuleConfig {
+    return { severity: 'error' };
+  }
+
+  check(token: Token, _context: LintContext, _options: Record<string, unknown>): string[] {
+    const validate = VALIDATORS[token.type];
+    if (!validate) return [];
+
+    const value = token.resolvedValue !== undefined ? token.resolvedValue : token.value;
+    if (token.aliasTo && token.resolvedValue === undefined) return [];
+    if (typeof value === 'string' && /^\{[^{}]+\}$/.test(value.trim())) return [];
+
+    const result = validate(value);
+    if (result.success && result.data) return [];
+
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return [`Invalid ${token.type} value: ${text}`];
+  }
+}
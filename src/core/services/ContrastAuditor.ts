@@ -0,0 +1,284 @@
+// ====================================================================================
+// CONTRAST AUDITOR
+// Computes WCAG 2.x and APCA contrast of declared foreground/background token pairs
+// ====================================================================================
+
+import { Token } from '../models/Token';
+import { converters } from '../converters';
+import { GlobMatcher } from '../../utils/GlobMatcher';
+import { ContrastConfig, ContrastPairRule, ContrastReport, ContrastResult, WcagLevel } from '../../shared/types';
+import { CONTRAST_DEFAULTS } from '../../shared/constants';
+
+/**
+ * Mode label for pairs whose tokens declare no theme or mode values
+ */
+const DEFAULT_MODE = 'Default';
+
+/**
+ * Alias hops followed when resolving a mode value
+ */
+const MAX_REFERENCE_DEPTH = 10;
+
+interface ContrastPair {
+  foreground: string;
+  background: string;
+  source: ContrastResult['source'];
+}
+
+/**
+ * ContrastAuditor - Audits the contrast of semantic color pairs per mode
+ *
+ * Pairs come from path rules (ContrastConfig.pairs, e.g. "text.*" on "surface.*") and
+ * from tokens declaring their backgrounds:
+ * { "$extensions": { "contrast": { "background": ["{surface.default}", "{surface.raised}"] } } }
+ *
+ * Modes are the themes of the pair's tokens and the keys of their $extensions.mode
+ * values; a token without a value for a mode uses its own value. Brands of a token
+ * matrix are not told apart.
+ *
+ * Principles:
+ * - Single Responsibility: Only pairs tokens and rates their contrast
+ * - Reuse: Color parsing and contrast math come from ColorConverter
+ *
+ * Usage:
+ * ```typescript
+ * const report = new ContrastAuditor().audit(resolvedTokens, config);
+ * report.results.filter(result => !result.pass);
+ * ```
+ */
+export class ContrastAuditor {
+  /**
+   * Audit every declared pair in every mode
+   *
+   * @param tokens - Resolved tokens
+   * @param config - Pair rules and minimums (defaults: CONTRAST_DEFAULTS)
+   * @returns Results per pair and mode, with pass/fail counts
+   */
+  audit(tokens: Token[], config?: ContrastConfig | null): ContrastReport {
+    const minimum = {
+      wcag: config && config.minimum && typeof config.minimum.wcag === 'number'
+        ? config.minimum.wcag
+        : CONTRAST_DEFAULTS.minimum.wcag,
+      apca: config && config.minimum && typeof config.minimum.apca === 'number'
+        ? config.minimum.apca
+        : CONTRAST_DEFAULTS.minimum.apca,
+    };
+    const rules: ContrastPairRule[] = config && Array.isArray(config.pairs)
+      ? config.pairs
+      : CONTRAST_DEFAULTS.pairs.map(rule => ({ ...rule }));
+
+    const byName = new Map<string, Token[]>();
+    for (const token of tokens) {
+      const variants = byName.get(token.qualifiedName);
+      if (variants) {
+        variants.push(token);
+      } else {
+        byName.set(token.qualifiedName, [token]);
+      }
+    }
+
+    const results: ContrastResult[] = [];
+    const modes = new Set<string>();
+
+    for (const pair of this.collectPairs(tokens, rules)) {
+      for (const mode of this.collectModes(byName.get(pair.foreground)!.concat(byName.get(pair.background) || []))) {
+        modes.add(mode);
+        results.push(this.rate(pair, mode, byName, minimum));
+      }
+    }
+
+    const passed = results.filter(result => result.pass).length;
+
+    return {
+      results,
+      counts: { pass: passed, fail: results.length - passed },
+      modes: Array.from(modes),
+      minimum,
+    };
+  }
+
+  /**
+   * WCAG 2.x level reached by a ratio
+   */
+  static wcagLevel(ratio: number): WcagLevel {
+    if (ratio >= 7) return 'AAA';
+    if (ratio >= 4.5) return 'AA';
+    if (ratio >= 3) return 'AA Large';
+    return 'Fail';
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Pairs declared in $extensions first, then pairs matched by path rules
+   */
+  private collectPairs(tokens: Token[], rules: ContrastPairRule[]): ContrastPair[] {
+    const pairs = new Map<string, ContrastPair>();
+    const add = (foreground: string, background: string, source: ContrastPair['source']) => {
+      const key = `${foreground}\u0000${background}`;
+      if (foreground !== background && !pairs.has(key)) {
+        pairs.set(key, { foreground, background, source });
+      }
+    };
+
+    const colorNames: string[] = [];
+    const seen = new Set<string>();
+
+    for (const token of tokens) {
+      if (token.type !== 'color' || seen.has(token.qualifiedName)) continue;
+      seen.add(token.qualifiedName);
+      colorNames.push(token.qualifiedName);
+
+      for (const background of this.declaredBackgrounds(token)) {
+        add(token.qualifiedName, background, 'extension');
+      }
+    }
+
+    for (const rule of rules) {
+      const foregrounds = this.matchNames(rule.foreground, colorNames);
+      const backgrounds = this.matchNames(rule.background, colorNames);
+
+      for (const [foreground, fgCaptures] of foregrounds) {
+        for (const [background, bgCaptures] of backgrounds) {
+          const sameCaptures = Object.keys(fgCaptures).every(name =>
+            !(name in bgCaptures) || bgCaptures[name] === fgCaptures[name]
+          );
+          if (sameCaptures) {
+            add(foreground, background, 'path');
+          }
+        }
+      }
+    }
+
+    return Array.from(pairs.values());
+  }
+
+  /**
+   * Backgrounds a token lists in $extensions.contrast.background (references or paths)
+   */
+  private declaredBackgrounds(token: Token): string[] {
+    const w3c = token.extensions && token.extensions.w3c;
+    const contrast = w3c && w3c.contrast;
+    if (!contrast || typeof contrast !== 'object') return [];
+
+    const declared: unknown[] = Array.isArray(contrast.background) ? contrast.background : [contrast.background];
+    return declared
+      .filter((background): background is string => typeof background === 'string' && background.trim().length > 0)
+      .map(background => background.trim().replace(/^\{|\}$/g, ''));
+  }
+
+  /**
+   * Token names matching a dot-separated glob, with the pattern's captures
+   */
+  private matchNames(pattern: string, names: string[]): Array<[string, Record<string, string>]> {
+    const glob = pattern.replace(/\./g, '/');
+    const matches: Array<[string, Record<string, string>]> = [];
+
+    for (const name of names) {
+      const captures = GlobMatcher.match(glob, name.replace(/\./g, '/'));
+      if (captures) {
+        matches.push([name, captures]);
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Themes and $extensions.mode keys of the given tokens
+   */
+  private collectModes(tokens: Token[]): string[] {
+    const modes: string[] = [];
+    const add = (mode: string) => {
+      if (modes.indexOf(mode) === -1) modes.push(mode);
+    };
+
+    for (const token of tokens) {
+      if (token.theme) add(token.theme);
+
+      const modeValues = this.getModeValues(token);
+      if (modeValues) Object.keys(modeValues).forEach(add);
+    }
+
+    return modes.length > 0 ? modes : [DEFAULT_MODE];
+  }
+
+  private rate(
+    pair: ContrastPair,
+    mode: string,
+    byName: Map<string, Token[]>,
+    minimum: { wcag: number; apca: number }
+  ): ContrastResult {
+    const result: ContrastResult = {
+      foreground: pair.foreground,
+      background: pair.background,
+      mode,
+      pass: false,
+      source: pair.source,
+    };
+
+    try {
+      const foreground = this.resolveColor(pair.foreground, mode, byName);
+      const background = this.resolveColor(pair.background, mode, byName);
+
+      const ratioResult = converters.color.contrastRatio(foreground, background);
+      const apcaResult = converters.color.apcaContrast(foreground, background);
+      if (!ratioResult.success || !apcaResult.success) {
+        throw new Error(ratioResult.error || apcaResult.error);
+      }
+
+      const ratio = Math.round(ratioResult.data! * 100) / 100;
+      const apca = Math.round(apcaResult.data! * 10) / 10;
+
+      result.foregroundColor = converters.color.toHex(foreground).data;
+      result.backgroundColor = converters.color.toHex(background).data;
+      result.ratio = ratio;
+      result.wcag = ContrastAuditor.wcagLevel(ratio);
+      result.apca = apca;
+      result.pass = ratio >= minimum.wcag && (minimum.apca <= 0 || Math.abs(apca) >= minimum.apca);
+    } catch (error) {
+      result.error = error instanceof Error ? error.message : 'Unknown error';
+    }
+
+    return result;
+  }
+
+  /**
+   * Color of a token in a mode, following references through the same mode
+   * Throws when the token is missing or a reference cannot be followed
+   */
+  private resolveColor(name: string, mode: string, byName: Map<string, Token[]>, depth: number = 0): unknown {
+    if (depth > MAX_REFERENCE_DEPTH) {
+      throw new Error(`Reference chain too deep at ${name}`);
+    }
+
+    const variants = byName.get(name);
+    if (!variants || variants.length === 0) {
+      throw new Error(`Token not found: ${name}`);
+    }
+
+    const token = variants.find(variant => variant.theme === mode)
+      || variants.find(variant => !variant.theme)
+      || variants[0];
+
+    const modeValues = this.getModeValues(token);
+    const value = modeValues && modeValues[mode] !== undefined
+      ? modeValues[mode]
+      : token.resolvedValue !== undefined ? token.resolvedValue : token.value;
+
+    if (typeof value === 'string') {
+      const reference = value.trim().match(/^\{([^{}]+)\}$/);
+      if (reference) {
+        return this.resolveColor(reference[1], mode, byName, depth + 1);
+      }
+    }
+
+    return value;
+  }
+
+  private getModeValues(token: Token): Record<string, unknown> | null {
+    const w3c = token.extensions && token.extensions.w3c;
+    const modeValues = w3c && w3c.mode;
+    return typeof modeValues === 'object' && modeValues !== null && !Array.isArray(modeValues) ? modeValues : null;
+  }
+}
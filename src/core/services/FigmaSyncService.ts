@@ -4,11 +4,29 @@
 // ====================================================================================
 
 import { Token, TokenType } from '../models/Token';
-import { Result, Success, Failure, ImportStats } from '../../shared/types';
+import {
+  Result,
+  Success,
+  Failure,
+  ImportStats,
+  SyncPlan,
+  SyncPlanEntry,
+  SyncChangeAction,
+  OrphanedVariable,
+  OrphanResolution,
+  OrphanAction,
+  TokenRenameMap,
+  ColorStyleMode,
+  ColorStyleOptions,
+  FontStyleMapping,
+} from '../../shared/types';
+import { PLUGIN_DATA_KEYS, DEPRECATED_GROUP } from '../../shared/constants';
 import { TokenRepository } from './TokenRepository';
 import { TokenResolver } from './TokenResolver';
 import { debug } from '../../shared/logger';
-import { converters } from '../converters';
+import { converters, GradientOptions } from '../converters';
+import { SyncTransaction } from './SyncTransaction';
+import { FontPreflight } from './FontPreflight';
 
 /**
  * Sync result with detailed statistics
@@ -17,6 +35,16 @@ export interface SyncResult {
   stats: ImportStats;
   collections: string[]; // Collections created/updated
   variables: Map<string, Variable>; // variableId -> Variable
+  outcomes: Map<string, TokenSyncOutcome>; // tokenId -> what the sync did with the token
+}
+
+/**
+ * Outcome of syncing one token (tokens skipped on purpose have none)
+ */
+export interface TokenSyncOutcome {
+  variableId?: string; // Variable the token was written to (unset for styles)
+  error?: string; // Why the token failed to sync
+  warnings?: string[]; // Problems that did not fail the token (text style fields left unbound)
 }
 
 /**
@@ -25,8 +53,82 @@ export interface SyncResult {
 export interface SyncOptions {
   updateExisting?: boolean; // Update existing variables (default: true)
   preserveScopes?: boolean; // Preserve existing scopes (default: true)
-  createStyles?: boolean; // Create text styles and effect styles from typography/shadow tokens (default: true)
+  createStyles?: boolean; // Create text, effect and paint styles from typography/shadow/gradient tokens (default: true)
   percentageBase?: number; // Base size for percentage calculations (default: 16px)
+  renames?: TokenRenameMap; // Renamed token paths - their variables are renamed in place (default: none)
+  colorStyles?: ColorStyleOptions; // Paint styles for color tokens, per collection (default: none)
+  fontStyles?: FontStyleMapping; // Font style names per weight, with per-family overrides (default: built-in names)
+  displayP3?: boolean; // Write colors as Display P3 values in Display P3 documents (default: false)
+  transactional?: boolean; // Roll back every change if the sync fails or is cancelled (default: false)
+}
+
+/**
+ * Where a token can carry an id that stays the same when its path is renamed
+ * ($extensions.figma.variableId links straight to a variable)
+ */
+const STABLE_ID_EXTENSIONS: string[][] = [['id'], ['studio.tokens', 'id']];
+
+/**
+ * Collection variables indexed by the links a previous sync recorded on them
+ */
+interface VariableLinkIndex {
+  byId: Map<string, Variable>;
+  byName: Map<string, Variable>;
+  byStableId: Map<string, Variable>;
+  byTokenId: Map<string, Variable>;
+}
+
+/**
+ * Tokens synced between yields to the plugin event loop while a transactional sync can be cancelled
+ */
+const CANCEL_CHECK_INTERVAL = 25;
+
+/**
+ * Name Figma gives the single mode of a freshly created collection
+ */
+const DEFAULT_MODE_NAME = 'Mode 1';
+
+/**
+ * When several tokens plan the same variable (one per theme), the most significant action wins
+ */
+const PLAN_ACTION_PRIORITY: Record<SyncChangeAction, number> = {
+  untouched: 0,
+  orphaned: 1,
+  'update-value': 2,
+  'update-alias': 3,
+  rename: 4,
+  'type-change': 5,
+  create: 6,
+};
+
+/**
+ * Border tokens sync as one variable per part, grouped under the border's path
+ */
+const BORDER_PARTS: Array<{ key: 'color' | 'width'; type: TokenType }> = [
+  { key: 'color', type: 'color' },
+  { key: 'width', type: 'dimension' },
+];
+
+/**
+ * Text style properties bound to the variables their typography values reference,
+ * with the variable type each property accepts
+ */
+const TEXT_STYLE_BINDINGS: Array<{ field: VariableBindableTextField; type: VariableResolvedDataType }> = [
+  { field: 'fontFamily', type: 'STRING' },
+  { field: 'fontWeight', type: 'FLOAT' },
+  { field: 'fontSize', type: 'FLOAT' },
+  { field: 'lineHeight', type: 'FLOAT' },
+  { field: 'letterSpacing', type: 'FLOAT' },
+  { field: 'paragraphSpacing', type: 'FLOAT' },
+];
+
+/**
+ * A value a sync would write to one mode: raw token value or alias to a variable name
+ */
+interface PlannedModeValue {
+  modeName: string;
+  value?: unknown;
+  aliasName?: string;
 }
 
 /**
@@ -43,6 +145,15 @@ export interface SyncOptions {
  * - Batch Figma API calls for performance
  * - Better error handling and rollback
  * - Preserves scopes by default (user manages via Scopes tab)
+ * - Multi-mode: Token.theme and $extensions.mode map onto collection modes
+ * - Transactional: with the transactional option a failed or cancelled sync restores the snapshot
+ * - Orphan pruning: variables are tagged with their token so removed tokens can be detected
+ * - Rename-aware: a renamed token renames its linked variable, keeping layer bindings
+ * - Cross-project aliases: {project::path} tokens alias the variable the other project synced
+ * - Borders: color and width variables under the token path, aliasing what the border references
+ * - Gradients: paint styles whose stop colors are bound to the referenced color variables
+ * - Color styles: per collection, paint styles bound to the color variables (also or instead of them)
+ * - Text styles: typography properties referencing primitives are bound to their variables
  *
  * Usage:
  * ```typescript
@@ -54,11 +165,23 @@ export class FigmaSyncService {
   private repository: TokenRepository;
   private resolver: TokenResolver;
   private variableMap: Map<string, Variable> = new Map();
+  private tokenVariableMap: Map<string, Variable> = new Map(); // tokenId -> Variable
   private collectionMap: Map<string, VariableCollection> = new Map();
+  private modeMap: Map<string, Map<string, string>> = new Map(); // collection -> (modeName -> modeId)
+  private transaction: SyncTransaction | null = null;
+  private claimedVariableIds: Set<string> = new Set(); // Variables already synced in the running sync
+  private outcomes: Map<string, TokenSyncOutcome> = new Map(); // tokenId -> outcome of the running sync
+  private borderParts: Map<string, Token> = new Map(); // part token id -> color/width token of a border
+  private deferredStyles: Token[] = []; // Style tokens of the running sync that bind variables, styled after all variables exist
+  private fonts: FontPreflight;
+  private fontsListed = false; // Available fonts were listed for the running sync
+  private displayP3 = false; // Colors of the running sync or plan are Display P3 values
+  private cancelRequested = false;
 
   constructor(repository: TokenRepository, resolver: TokenResolver) {
     this.repository = repository;
     this.resolver = resolver;
+    this.fonts = new FontPreflight(resolver);
   }
 
   /**
@@ -70,14 +193,28 @@ export class FigmaSyncService {
    * @returns Sync result with statistics
    */
   async syncTokens(tokens: Token[], options?: SyncOptions): Promise<Result<SyncResult>> {
+    this.cancelRequested = false;
+    this.claimedVariableIds.clear();
+    this.outcomes = new Map();
+    this.borderParts.clear();
+    this.deferredStyles = [];
+    this.fontsListed = false;
+
     try {
       const opts = {
         updateExisting: true,
         preserveScopes: true,
         createStyles: true,
         percentageBase: 16,
+        renames: {},
+        colorStyles: {},
+        fontStyles: {},
+        displayP3: false,
+        transactional: false,
         ...options,
       };
+      this.transaction = opts.transactional ? await SyncTransaction.begin() : null;
+      this.displayP3 = this.usesDisplayP3(opts.displayP3);
 
       const stats: ImportStats = { added: 0, updated: 0, skipped: 0 };
       const syncedCollections = new Set<string>();
@@ -97,10 +234,15 @@ export class FigmaSyncService {
         this.collectionMap.set(collectionName, collection);
         syncedCollections.add(collectionName);
 
+        // Create/rename modes for every theme used in this collection
+        const modeIds = this.ensureCollectionModes(collection, collectionTokens);
+        this.modeMap.set(collectionName, modeIds);
+
         // Sync tokens in this collection
         const collectionStats = await this.syncCollectionTokens(
           collectionTokens,
           collection,
+          modeIds,
           opts
         );
 
@@ -109,6 +251,32 @@ export class FigmaSyncService {
         stats.skipped += collectionStats.skipped;
       }
 
+      // Styles in any collection can bind to variables of any other
+      const styleKeys = new Set<string>();
+      for (const token of this.deferredStyles) {
+        // Styles have no modes - the first theme of a token writes its style
+        const styleKey = `${token.type === 'typography' ? 'text' : 'paint'}:${token.path.join('/')}`;
+        if (styleKeys.has(styleKey)) {
+          if (!this.outcomes.has(token.id)) this.outcomes.set(token.id, {});
+          continue;
+        }
+        styleKeys.add(styleKey);
+
+        const styleStats = token.type === 'typography'
+          ? await this.createTextStyle(token, opts)
+          : token.type === 'gradient'
+            ? await this.createPaintStyle(token, opts)
+            : await this.createColorStyle(token, opts);
+        stats.added += styleStats.added;
+        stats.updated += styleStats.updated;
+        stats.skipped += styleStats.skipped;
+      }
+
+      // Nothing failed - keep the changes before tokens record the new variable ids
+      if (this.transaction) {
+        this.transaction.commit();
+      }
+
       // Update token extensions with Figma metadata
       await this.updateTokenExtensions(tokens);
 
@@ -121,10 +289,259 @@ export class FigmaSyncService {
         stats,
         collections: Array.from(syncedCollections),
         variables: this.variableMap,
+        outcomes: this.outcomes,
       });
     } catch (error) {
       const message = error instanceof Error ? error.message : 'Unknown error';
       console.error(`[FigmaSyncService] Sync failed: ${message}`);
+
+      if (this.transaction && this.transaction.isActive()) {
+        const rollback = await this.transaction.rollback();
+        this.resetSyncMaps();
+        return Failure(rollback.success ? `${message} (changes rolled back)` : `${message} (${rollback.error})`);
+      }
+
+      return Failure(message);
+    } finally {
+      this.transaction = null;
+      this.cancelRequested = false;
+    }
+  }
+
+  /**
+   * Request cancellation of the running sync
+   * Only transactional syncs can be cancelled, since only they can restore the document
+   *
+   * @returns true if a transactional sync is running and will roll back
+   */
+  requestCancel(): boolean {
+    if (!this.transaction || !this.transaction.isActive()) {
+      return false;
+    }
+
+    this.cancelRequested = true;
+    return true;
+  }
+
+  /**
+   * Compute what syncTokens would change without modifying the document
+   * Compares each token with the local variable (per mode) or style it maps to;
+   * variables in synced collections that no token maps to are reported as orphaned
+   *
+   * @param tokens - Tokens to plan (with resolved values)
+   * @param options - Sync options (same defaults as syncTokens)
+   * @returns Per-variable change plan
+   */
+  async planSync(tokens: Token[], options?: SyncOptions): Promise<Result<SyncPlan>> {
+    try {
+      const opts = {
+        updateExisting: true,
+        preserveScopes: true,
+        createStyles: true,
+        percentageBase: 16,
+        renames: {},
+        colorStyles: {},
+        fontStyles: {},
+        displayP3: false,
+        transactional: false,
+        ...options,
+      };
+      this.displayP3 = this.usesDisplayP3(opts.displayP3);
+
+      const existingCollections = await figma.variables.getLocalVariableCollectionsAsync();
+      const allVariables = await figma.variables.getLocalVariablesAsync();
+      const variablesById = new Map(allVariables.map(v => [v.id, v]));
+      const entries = new Map<string, SyncPlanEntry>();
+      const renamedIds = new Set<string>();
+      const projectIds = new Set(tokens.map(token => token.projectId));
+      let styleNames: Set<string> | null = null;
+      this.claimedVariableIds.clear();
+      this.borderParts.clear();
+
+      for (const [collectionName, collectionTokens] of this.groupByCollection(tokens)) {
+        const collection = this.findCollection(existingCollections, collectionName);
+        const collectionVars = collection
+          ? allVariables.filter(v => v.variableCollectionId === collection.id)
+          : [];
+        const varsByName = new Map(collectionVars.map(v => [v.name, v]));
+        const links = this.indexVariableLinks(collectionVars);
+
+        for (const token of this.expandBorderTokens(collectionTokens)) {
+          const colorStyleMode = this.getColorStyleMode(token, opts);
+          if ((opts.createStyles && this.isStyleToken(token)) || colorStyleMode) {
+            if (!styleNames) {
+              styleNames = await this.getLocalStyleNames();
+            }
+            const styleName = token.path.join('/');
+            const exists = styleNames.has(styleName);
+            this.addPlanEntry(entries, {
+              action: !exists ? 'create' : opts.updateExisting ? 'update-value' : 'untouched',
+              kind: 'style',
+              collection: '',
+              name: styleName,
+              tokenPath: token.qualifiedName,
+            });
+            if (colorStyleMode !== 'also') continue;
+          }
+
+          const figmaType = this.mapToFigmaType(token.type);
+          if (!figmaType) continue;
+
+          const variableName = this.generateVariableName(token);
+          const linked = varsByName.has(variableName) ? undefined : this.findLinkedVariable(token, links, opts.renames);
+          const variable = varsByName.get(variableName) || linked;
+          const planned = this.planVariable(token, variableName, figmaType, variable, collection, variablesById, opts);
+
+          if (variable) {
+            this.claimedVariableIds.add(variable.id);
+          }
+          if (linked) {
+            renamedIds.add(linked.id);
+          }
+
+          this.addPlanEntry(entries, {
+            collection: collectionName,
+            ...(linked && planned.action !== 'type-change'
+              ? { ...planned, action: 'rename' as const, modeName: undefined, before: linked.name, after: variableName }
+              : planned),
+          });
+        }
+
+        for (const variable of collectionVars) {
+          if (entries.has(this.planKey('variable', collectionName, variable.name))) continue;
+          if (renamedIds.has(variable.id)) continue;
+          if (this.isOtherProjectVariable(variable, projectIds)) continue;
+
+          const defaultModeId = collection!.modes[0].modeId;
+          entries.set(this.planKey('variable', collectionName, variable.name), {
+            action: 'orphaned',
+            kind: 'variable',
+            collection: collectionName,
+            name: variable.name,
+            before: this.formatPlanValue(variable.valuesByMode[defaultModeId], variablesById),
+          });
+        }
+      }
+
+      const counts: Record<SyncChangeAction, number> = {
+        create: 0,
+        'update-value': 0,
+        'update-alias': 0,
+        rename: 0,
+        'type-change': 0,
+        untouched: 0,
+        orphaned: 0,
+      };
+      const planEntries = Array.from(entries.values());
+      planEntries.forEach(entry => counts[entry.action]++);
+
+      return Success({ entries: planEntries, counts });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[FigmaSyncService] Sync plan failed: ${message}`);
+      return Failure(message);
+    }
+  }
+
+  /**
+   * Find plugin-managed variables that no token maps to any more
+   * A variable is managed when it carries the token id plugin data or a token's
+   * extensions.figma.variableId points at it. Only the tokens' collections are searched;
+   * deprecated variables, ones the user chose to keep and ones another project synced
+   * into a shared collection are not reported.
+   *
+   * @param tokens - Tokens of the last sync (their figma extensions link them to variables)
+   * @returns Orphaned variables
+   */
+  async findOrphanedVariables(tokens: Token[]): Promise<Result<OrphanedVariable[]>> {
+    try {
+      const collections = await figma.variables.getLocalVariableCollectionsAsync();
+      const allVariables = await figma.variables.getLocalVariablesAsync();
+
+      const collectionNames = new Map<string, string>(); // collectionId -> name
+      for (const collectionName of this.groupByCollection(tokens).keys()) {
+        const collection = this.findCollection(collections, collectionName);
+        if (collection) collectionNames.set(collection.id, collection.name);
+      }
+
+      // Variables the current tokens map to, and every variable any known token was synced to
+      const currentIds = new Set<string>();
+      for (const token of tokens) {
+        this.getLinkedVariableIds(token).forEach(variableId => currentIds.add(variableId));
+      }
+      const linkedIds = new Set<string>();
+      for (const token of this.repository.getAll()) {
+        this.getLinkedVariableIds(token).forEach(variableId => linkedIds.add(variableId));
+      }
+      const projectIds = new Set(tokens.map(token => token.projectId));
+
+      const orphans: OrphanedVariable[] = [];
+      for (const variable of allVariables) {
+        const collectionName = collectionNames.get(variable.variableCollectionId);
+        if (!collectionName || currentIds.has(variable.id)) continue;
+        if (variable.name.indexOf(`${DEPRECATED_GROUP}/`) === 0) continue;
+        if (this.readPluginData(variable, PLUGIN_DATA_KEYS.ORPHAN_KEPT) === 'true') continue;
+
+        if (this.isOtherProjectVariable(variable, projectIds)) continue;
+
+        const tokenId = this.readPluginData(variable, PLUGIN_DATA_KEYS.TOKEN_ID);
+        if (!tokenId && !linkedIds.has(variable.id)) continue;
+
+        orphans.push({
+          id: variable.id,
+          name: variable.name,
+          collection: collectionName,
+          resolvedType: variable.resolvedType,
+          tokenId: tokenId || undefined,
+        });
+      }
+
+      debug.log(`[FigmaSyncService] Found ${orphans.length} orphaned variables`);
+      return Success(orphans);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[FigmaSyncService] Orphan detection failed: ${message}`);
+      return Failure(message);
+    }
+  }
+
+  /**
+   * Delete, deprecate or keep orphaned variables
+   * Deprecated variables move under the _deprecated/ group so existing bindings keep working
+   *
+   * @param resolutions - Action per variable id
+   * @returns Number of variables handled per action
+   */
+  async resolveOrphans(resolutions: OrphanResolution[]): Promise<Result<Record<OrphanAction, number>>> {
+    try {
+      const counts: Record<OrphanAction, number> = { delete: 0, deprecate: 0, keep: 0 };
+      const failures: string[] = [];
+
+      for (const resolution of resolutions) {
+        const variable = await figma.variables.getVariableByIdAsync(resolution.variableId);
+        if (!variable) {
+          failures.push(`${resolution.variableId}: variable not found`);
+          continue;
+        }
+
+        try {
+          this.applyOrphanAction(variable, resolution.action);
+          counts[resolution.action]++;
+        } catch (error) {
+          const message = error instanceof Error ? error.message : 'Unknown error';
+          failures.push(`${variable.name}: ${message}`);
+        }
+      }
+
+      if (failures.length > 0) {
+        console.error(`[FigmaSyncService] Could not resolve ${failures.length} orphans: ${failures.join('; ')}`);
+        return Failure(`Could not resolve ${failures.length} orphaned variable(s): ${failures.join('; ')}`);
+      }
+
+      return Success(counts);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[FigmaSyncService] Orphan resolution failed: ${message}`);
       return Failure(message);
     }
   }
@@ -144,8 +561,40 @@ export class FigmaSyncService {
     return this.collectionMap;
   }
 
+  /**
+   * Get mode lookup (modeName -> modeId) for a synced collection
+   */
+  getCollectionModes(collectionName: string): Map<string, string> | undefined {
+    return this.modeMap.get(collectionName);
+  }
+
   // ==================== PRIVATE METHODS ====================
 
+  /**
+   * Stop a transactional sync between tokens once the user cancelled it
+   * Yields to the event loop every few tokens so the cancel message can arrive
+   */
+  private async throwIfCancelled(index: number): Promise<void> {
+    if (!this.transaction) return;
+
+    if (index % CANCEL_CHECK_INTERVAL === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+    if (this.cancelRequested) {
+      throw new Error('Sync cancelled');
+    }
+  }
+
+  /**
+   * Forget variables, collections and modes from a rolled back sync
+   */
+  private resetSyncMaps(): void {
+    this.variableMap.clear();
+    this.tokenVariableMap.clear();
+    this.collectionMap.clear();
+    this.modeMap.clear();
+  }
+
   /**
    * Group tokens by collection name
    */
@@ -192,12 +641,112 @@ export class FigmaSyncService {
     return collection;
   }
 
+  /**
+   * Ensure the collection has a mode for every theme referenced by its tokens
+   * Figma's untouched default mode ("Mode 1") is renamed rather than left empty
+   *
+   * @returns Mode name -> modeId lookup for the collection
+   */
+  private ensureCollectionModes(collection: VariableCollection, tokens: Token[]): Map<string, string> {
+    const modeIds = new Map<string, string>();
+    for (const mode of collection.modes) {
+      modeIds.set(mode.name, mode.modeId);
+    }
+
+    for (const modeName of this.collectModeNames(tokens)) {
+      if (modeIds.has(modeName)) continue;
+
+      // Claim the default mode for the first theme instead of adding a second mode
+      if (modeIds.size === 1 && modeIds.has(DEFAULT_MODE_NAME)) {
+        const defaultModeId = modeIds.get(DEFAULT_MODE_NAME)!;
+        debug.log(`[FigmaSyncService] Renaming mode in ${collection.name}: ${DEFAULT_MODE_NAME} → ${modeName}`);
+        collection.renameMode(defaultModeId, modeName);
+        modeIds.delete(DEFAULT_MODE_NAME);
+        modeIds.set(modeName, defaultModeId);
+        continue;
+      }
+
+      try {
+        debug.log(`[FigmaSyncService] Adding mode to ${collection.name}: ${modeName}`);
+        modeIds.set(modeName, collection.addMode(modeName));
+      } catch (error) {
+        // Mode limit depends on the Figma plan - fall back to the default mode
+        const message = error instanceof Error ? error.message : 'Unknown error';
+        console.warn(`[FigmaSyncService] Could not add mode "${modeName}" to ${collection.name}: ${message}`);
+      }
+    }
+
+    return modeIds;
+  }
+
+  /**
+   * Collect mode names used by tokens (theme first, then $extensions.mode keys)
+   */
+  private collectModeNames(tokens: Token[]): string[] {
+    const names: string[] = [];
+
+    for (const token of tokens) {
+      const candidates = token.theme ? [token.theme] : [];
+      const modeValues = this.getModeValues(token);
+      if (modeValues) {
+        candidates.push(...Object.keys(modeValues));
+      }
+
+      for (const name of candidates) {
+        if (names.indexOf(name) === -1) {
+          names.push(name);
+        }
+      }
+    }
+
+    return names;
+  }
+
+  /**
+   * Get per-mode values declared in W3C $extensions
+   * Format: { "$extensions": { "mode": { "light": "#fff", "dark": "{color.gray.900}" } } }
+   */
+  private getModeValues(token: Token): Record<string, unknown> | undefined {
+    const w3c = token.extensions && token.extensions.w3c;
+    const modeValues = w3c && w3c.mode;
+
+    if (typeof modeValues === 'object' && modeValues !== null && !Array.isArray(modeValues)) {
+      return modeValues;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Resolve the mode a token's own value belongs to
+   * Themed tokens target their theme's mode, others the collection's default mode
+   */
+  private resolveMode(
+    token: Token,
+    collection: VariableCollection,
+    modeIds: Map<string, string>
+  ): { modeId: string; modeName: string } {
+    if (token.theme && modeIds.has(token.theme)) {
+      return { modeId: modeIds.get(token.theme)!, modeName: token.theme };
+    }
+
+    const defaultMode = collection.modes[0];
+    for (const [modeName, modeId] of modeIds) {
+      if (modeId === defaultMode.modeId) {
+        return { modeId, modeName };
+      }
+    }
+
+    return { modeId: defaultMode.modeId, modeName: defaultMode.name };
+  }
+
   /**
    * Sync all tokens in a collection
    */
   private async syncCollectionTokens(
     tokens: Token[],
     collection: VariableCollection,
+    modeIds: Map<string, string>,
     options: Required<SyncOptions>
   ): Promise<ImportStats> {
     const stats: ImportStats = { added: 0, updated: 0, skipped: 0 };
@@ -205,9 +754,25 @@ export class FigmaSyncService {
     // Get all existing variables in this collection (batch call)
     const existingVars = await this.getCollectionVariables(collection);
     const varsByName = new Map(existingVars.map(v => [v.name, v]));
+    const links = this.indexVariableLinks(existingVars);
 
-    for (const token of tokens) {
-      // Handle typography and shadow tokens as Figma styles
+    for (let index = 0; index < tokens.length; index++) {
+      const token = tokens[index];
+      await this.throwIfCancelled(index);
+
+      // Text and paint styles bind to variables - create them once every collection is synced
+      if (options.createStyles && (token.type === 'gradient' || (token.type === 'typography' && this.isStyleToken(token)))) {
+        this.deferredStyles.push(token);
+        continue;
+      }
+
+      const colorStyleMode = this.getColorStyleMode(token, options);
+      if (colorStyleMode) {
+        this.deferredStyles.push(token);
+        if (colorStyleMode === 'instead') continue;
+      }
+
+      // Handle shadow tokens as Figma styles
       if (options.createStyles && this.isStyleToken(token)) {
         const styleStats = await this.syncAsStyle(token, options);
         stats.added += styleStats.added;
@@ -216,8 +781,16 @@ export class FigmaSyncService {
         continue;
       }
 
+      if (token.type === 'border') {
+        const borderStats = await this.syncBorderToken(token, collection, varsByName, links, modeIds, options);
+        stats.added += borderStats.added;
+        stats.updated += borderStats.updated;
+        stats.skipped += borderStats.skipped;
+        continue;
+      }
+
       // Sync individual token as variable
-      const tokenStats = await this.syncToken(token, collection, varsByName, options);
+      const tokenStats = await this.syncToken(token, collection, varsByName, links, modeIds, options);
       stats.added += tokenStats.added;
       stats.updated += tokenStats.updated;
       stats.skipped += tokenStats.skipped;
@@ -233,6 +806,8 @@ export class FigmaSyncService {
     token: Token,
     collection: VariableCollection,
     existingVars: Map<string, Variable>,
+    links: VariableLinkIndex,
+    modeIds: Map<string, string>,
     options: Required<SyncOptions>
   ): Promise<ImportStats> {
     const stats: ImportStats = { added: 0, updated: 0, skipped: 0 };
@@ -249,12 +824,14 @@ export class FigmaSyncService {
         return stats;
       }
 
-      // Check if variable exists
-      let variable = existingVars.get(variableName);
+      // Check if variable exists (under its name, or linked to the token under an old name)
+      let variable = existingVars.get(variableName) || this.renameLinkedVariable(token, variableName, existingVars, links, options.renames);
 
       if (!variable) {
         // Create new variable
         variable = figma.variables.createVariable(variableName, collection, figmaType);
+        // Other themes of the same token write into this variable
+        existingVars.set(variableName, variable);
         stats.added++;
       } else {
         // Update existing variable
@@ -266,8 +843,18 @@ export class FigmaSyncService {
         // Check if type changed (need to recreate)
         if (variable.resolvedType !== figmaType) {
           console.warn(`[FigmaSyncService] Type mismatch for ${variableName}: ${variable.resolvedType} → ${figmaType}`);
-          // Create new variable with suffix
-          variable = figma.variables.createVariable(`${variableName}_new`, collection, figmaType);
+          if (!this.transaction) {
+            // Recreating would detach every layer bound to the variable with no way back
+            const message = `Type changed from ${variable.resolvedType} to ${figmaType} - turn on transactional sync to recreate the variable`;
+            this.outcomes.set(token.id, { error: message });
+            stats.skipped++;
+            return stats;
+          }
+
+          // Recreate in place - the transaction restores the old variable if the sync fails
+          variable.remove();
+          variable = figma.variables.createVariable(variableName, collection, figmaType);
+          existingVars.set(variableName, variable);
           stats.added++;
         } else {
           stats.updated++;
@@ -279,16 +866,16 @@ export class FigmaSyncService {
         variable.description = token.description;
       }
 
-      // Get default mode
-      const modeId = collection.modes[0].modeId;
+      // Target mode: the token's theme, or the collection's default mode
+      const { modeId } = this.resolveMode(token, collection, modeIds);
 
       // Set value (handle aliases)
       if (token.aliasTo) {
         // This is an alias - resolve to Figma variable
-        const targetToken = this.repository.get(token.aliasTo);
+        const targetToken = this.getToken(token.aliasTo);
         if (targetToken) {
           const targetVarName = this.generateVariableName(targetToken);
-          const targetVar = this.variableMap.get(targetVarName);
+          const targetVar = await this.findAliasTargetVariable(targetToken, token);
 
           if (targetVar) {
             variable.setValueForMode(modeId, {
@@ -321,24 +908,241 @@ export class FigmaSyncService {
         variable.setValueForMode(modeId, value);
       }
 
+      // Per-mode values from $extensions.mode (values or {references})
+      const modeValues = this.getModeValues(token);
+      if (modeValues) {
+        for (const modeName of Object.keys(modeValues)) {
+          const extensionModeId = modeIds.get(modeName);
+          if (!extensionModeId) continue;
+          await this.setModeValue(variable, extensionModeId, modeValues[modeName], token, figmaType);
+        }
+      }
+
       // Set code syntax for CSS variables
       this.setCodeSyntax(variable, token);
 
+      // Tag as plugin-managed so it can be reported once the token is gone
+      this.markTokenVariable(variable, token);
+
       // Preserve existing scopes (don't modify)
       // Scopes are managed via the Scopes tab
 
-      // Store in variable map
+      // Store in variable maps
       this.variableMap.set(variableName, variable);
+      this.tokenVariableMap.set(token.id, variable);
+      this.claimedVariableIds.add(variable.id);
+      this.outcomes.set(token.id, { variableId: variable.id });
 
       return stats;
     } catch (error) {
       const message = error instanceof Error ? error.message : 'Unknown error';
       console.error(`[FigmaSyncService] Failed to sync token ${token.qualifiedName}: ${message}`);
+      if (this.transaction) {
+        throw new Error(`Failed to sync token ${token.qualifiedName}: ${message}`);
+      }
+      this.outcomes.set(token.id, { error: message });
       stats.skipped++;
       return stats;
     }
   }
 
+  /**
+   * Sync a border token as its color and width variables
+   * The border reports the first part that failed, or success without a single variable
+   */
+  private async syncBorderToken(
+    token: Token,
+    collection: VariableCollection,
+    existingVars: Map<string, Variable>,
+    links: VariableLinkIndex,
+    modeIds: Map<string, string>,
+    options: Required<SyncOptions>
+  ): Promise<ImportStats> {
+    const stats: ImportStats = { added: 0, updated: 0, skipped: 0 };
+
+    const parts = this.getBorderParts(token);
+    if (!parts.success) {
+      console.warn(`[FigmaSyncService] Skipping border ${token.qualifiedName}: ${parts.error}`);
+      this.outcomes.set(token.id, { error: parts.error });
+      stats.skipped++;
+      return stats;
+    }
+
+    for (const part of parts.data!) {
+      const partStats = await this.syncToken(part, collection, existingVars, links, modeIds, options);
+      stats.added += partStats.added;
+      stats.updated += partStats.updated;
+      stats.skipped += partStats.skipped;
+    }
+
+    const failed = parts.data!
+      .map(part => this.outcomes.get(part.id))
+      .filter(outcome => outcome && outcome.error)[0];
+    this.outcomes.set(token.id, failed ? { error: failed.error } : {});
+
+    return stats;
+  }
+
+  /**
+   * Split a border token into color and width tokens named after its path
+   * A part whose value is a {reference} aliases the referenced token; a border aliasing
+   * another border aliases that border's parts. Per-mode border objects are split too.
+   */
+  private getBorderParts(token: Token, visited: Set<string> = new Set()): Result<Token[]> {
+    const cached = BORDER_PARTS.map(({ key }) => this.borderParts.get(this.getBorderPartId(token.id, key)));
+    if (cached.every(part => part !== undefined)) {
+      return Success(cached as Token[]);
+    }
+    if (visited.has(token.id)) {
+      return Failure(`Circular border alias: ${token.qualifiedName}`);
+    }
+    visited.add(token.id);
+
+    const value = this.resolveNestedReferences(token.resolvedValue || token.value, token.projectId);
+    const border = converters.border.toFigma(value);
+    if (!border.success) {
+      return Failure(border.error || 'Invalid border value');
+    }
+
+    const aliasTarget = token.aliasTo ? this.repository.get(token.aliasTo) : undefined;
+    const aliasesBorder = !!aliasTarget && aliasTarget.type === 'border' && this.getBorderParts(aliasTarget, visited).success;
+    const rawValue = typeof token.value === 'object' && token.value !== null ? token.value as Record<string, unknown> : {};
+    const resolved = value as Record<string, unknown>;
+    const modeValues = this.getModeValues(token);
+    const partVariableIds = (token.extensions.figma && token.extensions.figma.partVariableIds) || {};
+
+    const parts = BORDER_PARTS.map(({ key, type }) => {
+      const reference = rawValue[key];
+      const referenced = typeof reference === 'string' && reference.startsWith('{') && reference.endsWith('}')
+        ? this.resolver.resolveReference(reference, token.projectId)
+        : null;
+
+      const partModes: Record<string, unknown> = {};
+      for (const modeName of modeValues ? Object.keys(modeValues) : []) {
+        const modeValue = modeValues![modeName];
+        if (typeof modeValue === 'object' && modeValue !== null && key in modeValue) {
+          partModes[modeName] = (modeValue as Record<string, unknown>)[key];
+        }
+      }
+
+      const part = {
+        ...token,
+        id: this.getBorderPartId(token.id, key),
+        path: [...token.path, key],
+        name: key,
+        qualifiedName: `${token.qualifiedName}.${key}`,
+        type,
+        rawValue: reference !== undefined ? reference : resolved[key],
+        value: resolved[key],
+        resolvedValue: resolved[key],
+        aliasTo: aliasesBorder ? this.getBorderPartId(aliasTarget!.id, key) : referenced ? referenced.id : undefined,
+        extensions: {
+          w3c: Object.keys(partModes).length > 0 ? { mode: partModes } : undefined,
+          figma: partVariableIds[key] ? { variableId: partVariableIds[key] } : undefined,
+        },
+      } as Token;
+      this.borderParts.set(part.id, part);
+      return part;
+    });
+
+    return Success(parts);
+  }
+
+  private getBorderPartId(tokenId: string, key: string): string {
+    return `${tokenId}/${key}`;
+  }
+
+  /**
+   * Replace border tokens with their part tokens, dropping invalid borders
+   */
+  private expandBorderTokens(tokens: Token[]): Token[] {
+    const expanded: Token[] = [];
+
+    for (const token of tokens) {
+      if (token.type !== 'border') {
+        expanded.push(token);
+        continue;
+      }
+
+      const parts = this.getBorderParts(token);
+      if (parts.success) {
+        expanded.push(...parts.data!);
+      }
+    }
+
+    return expanded;
+  }
+
+  /**
+   * Look up a token by id, including the parts of border tokens
+   */
+  private getToken(id: string): Token | undefined {
+    return this.borderParts.get(id) || this.repository.get(id);
+  }
+
+  /**
+   * Set a raw per-mode value, turning {references} into variable aliases
+   * Falls back to the referenced token's value when its variable isn't synced
+   */
+  private async setModeValue(
+    variable: Variable,
+    modeId: string,
+    rawValue: unknown,
+    token: Token,
+    figmaType: VariableResolvedDataType
+  ): Promise<void> {
+    if (typeof rawValue === 'string' && rawValue.startsWith('{') && rawValue.endsWith('}')) {
+      const targetToken = this.resolver.resolveReference(rawValue, token.projectId);
+      if (!targetToken) {
+        this.logUnresolvedReference(rawValue, token.projectId);
+        return;
+      }
+
+      const targetVar = await this.findAliasTargetVariable(targetToken, token);
+      if (targetVar) {
+        variable.setValueForMode(modeId, { type: 'VARIABLE_ALIAS', id: targetVar.id });
+      } else {
+        console.warn(`[FigmaSyncService] Mode alias target not synced: ${rawValue}`);
+        variable.setValueForMode(modeId, this.convertValue(targetToken.resolvedValue || targetToken.value, figmaType));
+      }
+      return;
+    }
+
+    variable.setValueForMode(modeId, this.convertValue(rawValue, figmaType));
+  }
+
+  /**
+   * Find the variable a token was synced to
+   * Prefers the token ID (brand collections share paths) over the variable name
+   */
+  private findVariableForToken(token: Token): Variable | undefined {
+    return this.tokenVariableMap.get(token.id) || this.variableMap.get(this.generateVariableName(token));
+  }
+
+  /**
+   * Find the variable an alias should point to
+   * A token of another project ({project::path}) aliases the variable that project synced,
+   * recorded on the token, even if it lives in a collection outside this sync
+   */
+  private async findAliasTargetVariable(targetToken: Token, token: Token): Promise<Variable | undefined> {
+    if (targetToken.projectId === token.projectId) {
+      return this.findVariableForToken(targetToken);
+    }
+
+    // Names can clash across projects - only follow links to this exact token
+    const synced = this.tokenVariableMap.get(targetToken.id);
+    if (synced) {
+      return synced;
+    }
+
+    const figmaExtension = targetToken.extensions && targetToken.extensions.figma;
+    if (!figmaExtension || !figmaExtension.variableId) {
+      return undefined;
+    }
+
+    return (await figma.variables.getVariableByIdAsync(figmaExtension.variableId)) || undefined;
+  }
+
   /**
    * Get all variables in a collection
    */
@@ -375,6 +1179,9 @@ export class FigmaSyncService {
       lineHeight: 'FLOAT',
       letterSpacing: 'FLOAT',
       fontWeight: 'FLOAT',
+      fontFamily: 'STRING',
+      // Durations sync as milliseconds
+      duration: 'FLOAT',
     };
 
     return typeMap[type] || null;
@@ -403,6 +1210,21 @@ export class FigmaSyncService {
     return value;
   }
 
+  /**
+   * Whether colors are written as Display P3: the option is on and the document uses Display P3
+   */
+  private usesDisplayP3(enabled: boolean): boolean {
+    return enabled && !!figma.root && figma.root.documentColorProfile === 'DISPLAY_P3';
+  }
+
+  /**
+   * Convert a color into the document's color space
+   * Display P3 documents get P3 values when SyncOptions.displayP3 is on, otherwise sRGB
+   */
+  private toDocumentColor(value: unknown): Result<RGBA> {
+    return this.displayP3 ? converters.color.toDisplayP3(value) : converters.color.toRGB(value);
+  }
+
   /**
    * Convert color value to Figma RGB format
    * Handles: hex strings, RGB objects, HSL objects (uses hex), color objects with components
@@ -410,7 +1232,7 @@ export class FigmaSyncService {
    */
   private convertColorValue(value: any): RGB {
     // Use ColorConverter (handles all formats including nested components)
-    const result = converters.color.toRGB(value);
+    const result = this.toDocumentColor(value);
 
     if (result.success) {
       // Return RGB without alpha (Figma COLOR type only accepts RGB)
@@ -429,7 +1251,7 @@ export class FigmaSyncService {
    */
   private convertColorToRGBA(value: any): RGBA {
     // Use ColorConverter (handles all formats including alpha extraction)
-    const result = converters.color.toRGB(value);
+    const result = this.toDocumentColor(value);
 
     if (result.success) {
       const rgb = result.data!;
@@ -444,10 +1266,11 @@ export class FigmaSyncService {
 
 
   /**
-   * Convert numeric value (handle units like px, rem, em, %)
-   * Supports: numbers, strings with units, DimensionValue objects
+   * Convert numeric value (handle units like px, rem, em, %, ms, s)
+   * Supports: numbers, strings with units, DimensionValue and DurationValue objects
    * Note: Converts rem/em to px using 16px base size (standard browser default)
    * Note: Converts percentage to px using percentageBase option (default 16px)
+   * Note: Converts durations to milliseconds
    */
   private convertNumericValue(value: any, percentageBase: number = 16): number {
     // Handle direct numbers
@@ -455,6 +1278,14 @@ export class FigmaSyncService {
       return value;
     }
 
+    // Handle durations (e.g., "200ms", "0.2s", { value: 0.2, unit: "s" })
+    if (
+      (typeof value === 'string' && /^-?[\d.]+\s*m?s$/.test(value.trim())) ||
+      (typeof value === 'object' && value !== null && (value.unit === 'ms' || value.unit === 's'))
+    ) {
+      return this.convertDurationValue(value);
+    }
+
     // Handle string values with units (e.g., "16px", "2.5rem", "1.5em", "50%")
     if (typeof value === 'string') {
       const match = value.match(/^([\d.-]+)(px|rem|em|%)?$/);
@@ -524,6 +1355,20 @@ export class FigmaSyncService {
     return 0;
   }
 
+  /**
+   * Convert duration value to milliseconds
+   */
+  private convertDurationValue(value: unknown): number {
+    const result = converters.dimension.toMilliseconds(value);
+
+    if (result.success) {
+      return result.data!;
+    }
+
+    console.warn(`[FigmaSyncService] Could not convert duration value: ${result.error}`);
+    return 0;
+  }
+
   /**
    * Convert line height value to Figma LineHeight format
    *
@@ -647,8 +1492,13 @@ export class FigmaSyncService {
    *
    * Typography tokens become Text Styles
    * Shadow tokens become Effect Styles
+   * Gradient tokens become Paint Styles
    */
   private isStyleToken(token: Token): boolean {
+    if (token.type === 'gradient') {
+      return true;
+    }
+
     // Composite typography tokens should be text styles
     // But only if it's a LEAF token with typography properties, not a group
     if (token.type === 'typography') {
@@ -696,6 +1546,10 @@ export class FigmaSyncService {
       return this.createEffectStyle(token, options);
     }
 
+    if (token.type === 'gradient') {
+      return this.createPaintStyle(token, options);
+    }
+
     // Shouldn't reach here
     return { added: 0, updated: 0, skipped: 1 };
   }
@@ -871,43 +1725,43 @@ export class FigmaSyncService {
       // Font family and style
       if (typValue.fontFamily) {
         try {
-          // Extract font family from font stack (comma-separated list)
-          let fontFamily: string;
-          if (typeof typValue.fontFamily === 'string') {
-            // Handle comma-separated font stacks: "Inter,system-ui,sans-serif" → "Inter"
-            if (typValue.fontFamily.includes(',')) {
-              const fontStack = typValue.fontFamily.split(',').map(f => f.trim());
-              fontFamily = fontStack[0];
-            } else {
-              fontFamily = typValue.fontFamily;
-            }
-          } else if (Array.isArray(typValue.fontFamily)) {
-            fontFamily = typValue.fontFamily[0];
-          } else {
+          // Extract font family from font stack: "Inter,system-ui,sans-serif" → "Inter"
+          const fontFamily = FontPreflight.getPrimaryFamily(typValue.fontFamily);
+          if (!fontFamily) {
             throw new Error(`Invalid fontFamily type: ${typeof typValue.fontFamily}`);
           }
 
+          // Style names are matched against the styles the family has
+          if (!this.fontsListed) {
+            this.fontsListed = true;
+            const listed = await this.fonts.loadAvailableFonts();
+            if (!listed.success) {
+              console.warn(`⚠️  ${listed.error} - using mapped style names`);
+            }
+          }
+
           // Convert font weight to style name
           const fontWeight = typValue.fontWeight || 400;
+          const numericWeight = FontPreflight.parseWeight(fontWeight);
+          const regularStyle = this.fonts.getStyle(fontFamily, 400, options.fontStyles);
 
           // Check if fontWeight is still an unresolved reference
-          if (typeof fontWeight === 'string' && fontWeight.startsWith('{')) {
-            console.warn(`⚠️  Unresolved font weight "${fontWeight}" - using Regular`);
-            await figma.loadFontAsync({ family: fontFamily, style: 'Regular' });
-            textStyle.fontName = { family: fontFamily, style: 'Regular' };
+          if (numericWeight === null) {
+            console.warn(`⚠️  Unresolved font weight "${fontWeight}" - using ${regularStyle}`);
+            await figma.loadFontAsync({ family: fontFamily, style: regularStyle });
+            textStyle.fontName = { family: fontFamily, style: regularStyle };
           } else {
-            const numericWeight = typeof fontWeight === 'string' ? parseInt(fontWeight, 10) : fontWeight;
-            const fontStyle = this.mapFontWeightToStyle(numericWeight);
+            const fontStyle = this.fonts.getStyle(fontFamily, numericWeight, options.fontStyles);
 
             try {
               await figma.loadFontAsync({ family: fontFamily, style: fontStyle });
               textStyle.fontName = { family: fontFamily, style: fontStyle };
             } catch (fontLoadError) {
-              // Try fallback to Regular if specific weight fails
-              console.warn(`⚠️  "${fontFamily}" "${fontStyle}" not available - using Regular`);
+              // Try fallback to the regular style if specific weight fails
+              console.warn(`⚠️  "${fontFamily}" "${fontStyle}" not available - using ${regularStyle}`);
               try {
-                await figma.loadFontAsync({ family: fontFamily, style: 'Regular' });
-                textStyle.fontName = { family: fontFamily, style: 'Regular' };
+                await figma.loadFontAsync({ family: fontFamily, style: regularStyle });
+                textStyle.fontName = { family: fontFamily, style: regularStyle };
               } catch (fallbackError) {
                 console.error(`❌ Font "${fontFamily}" not installed in Figma`);
                 throw fontLoadError; // Re-throw original error
@@ -948,6 +1802,15 @@ export class FigmaSyncService {
         textStyle.letterSpacing = { value: letterSpacing, unit: 'PIXELS' };
       }
 
+      // Paragraph spacing
+      if (typValue.paragraphSpacing !== undefined) {
+        textStyle.paragraphSpacing = this.convertNumericValue(typValue.paragraphSpacing, options.percentageBase);
+      }
+
+      // Properties referencing synced variables follow them; the values above stay as the fallback
+      const warnings = await this.bindTextStyleVariables(textStyle, value as Record<string, unknown>, token);
+
+      this.outcomes.set(token.id, warnings.length > 0 ? { warnings } : {});
       return stats;
     } catch (error) {
       const message = error instanceof Error ? error.message : String(error);
@@ -958,11 +1821,55 @@ export class FigmaSyncService {
         console.error(`  Stack: ${stack}`);
       }
       console.error(`  Token value:`, JSON.stringify(token.value, null, 2));
+      if (this.transaction) {
+        throw new Error(`Failed to create text style ${token.qualifiedName}: ${message}`);
+      }
+      this.outcomes.set(token.id, { error: message });
       stats.skipped++;
       return stats;
     }
   }
 
+  /**
+   * Bind text style properties whose typography value is a {reference} to the referenced
+   * token's variable, when the variable holds the value in the unit the style uses
+   * A field Figma refuses to bind keeps its written value
+   *
+   * @returns One warning per field that could not be bound
+   */
+  private async bindTextStyleVariables(textStyle: TextStyle, value: Record<string, unknown>, token: Token): Promise<string[]> {
+    const warnings: string[] = [];
+
+    for (const { field, type } of TEXT_STYLE_BINDINGS) {
+      const reference = value[field];
+      if (typeof reference !== 'string' || !/^\{[^{}]+\}$/.test(reference.trim())) continue;
+
+      // Unitless and percentage line heights are relative - FLOAT variables are pixels
+      if (field === 'lineHeight' && textStyle.lineHeight.unit !== 'PIXELS') continue;
+
+      // A font stack isn't a family name Figma can load
+      if (field === 'fontFamily') {
+        const family = this.resolveNestedReferences(reference.trim(), token.projectId);
+        if (typeof family !== 'string' || family.indexOf(',') !== -1) continue;
+      }
+
+      const target = this.resolver.resolveReference(reference.trim(), token.projectId);
+      const variable = target ? await this.findAliasTargetVariable(target, token) : undefined;
+      if (!variable || variable.resolvedType !== type) continue;
+
+      try {
+        textStyle.setBoundVariable(field, variable);
+      } catch (error) {
+        const message = error instanceof Error ? error.message : String(error);
+        const warning = `${token.qualifiedName}: ${field} not bound to ${variable.name}: ${message}`;
+        console.warn(`[FigmaSyncService] ${warning}`);
+        warnings.push(warning);
+      }
+    }
+
+    return warnings;
+  }
+
   /**
    * Create or update Figma Effect Style from shadow token
    */
@@ -1053,34 +1960,217 @@ export class FigmaSyncService {
 
       effectStyle.effects = [shadowEffect];
 
+      this.outcomes.set(token.id, {});
       return stats;
     } catch (error) {
       const message = error instanceof Error ? error.message : 'Unknown error';
       console.error(`[FigmaSyncService] Failed to create effect style ${token.qualifiedName}: ${message}`);
+      if (this.transaction) {
+        throw new Error(`Failed to create effect style ${token.qualifiedName}: ${message}`);
+      }
+      this.outcomes.set(token.id, { error: message });
+      stats.skipped++;
+      return stats;
+    }
+  }
+
+  /**
+   * Create or update Figma Paint Style from gradient token
+   * Stop colors referencing synced color tokens are bound to their variables
+   */
+  private async createPaintStyle(token: Token, options: Required<SyncOptions>): Promise<ImportStats> {
+    const stats: ImportStats = { added: 0, updated: 0, skipped: 0 };
+
+    try {
+      const parsed = converters.gradient.parse(token.resolvedValue || token.value, this.getGradientOptions(token));
+      if (!parsed.success) {
+        throw new Error(parsed.error);
+      }
+
+      const gradient = parsed.data!;
+      const gradientStops: ColorStop[] = [];
+      for (const stop of gradient.stops) {
+        gradientStops.push(await this.createColorStop(stop, token));
+      }
+
+      const styleName = token.path.join('/');
+
+      // Find existing paint style (use async API)
+      const existingStyles = await figma.getLocalPaintStylesAsync();
+      let paintStyle = existingStyles.find(s => s.name === styleName);
+
+      if (!paintStyle) {
+        paintStyle = figma.createPaintStyle();
+        paintStyle.name = styleName;
+        stats.added++;
+      } else {
+        if (!options.updateExisting) {
+          stats.skipped++;
+          return stats;
+        }
+        stats.updated++;
+      }
+
+      if (token.description) {
+        paintStyle.description = token.description;
+      }
+
+      paintStyle.paints = [{
+        type: gradient.type === 'radial' ? 'GRADIENT_RADIAL' : 'GRADIENT_LINEAR',
+        gradientTransform: converters.gradient.toTransform(gradient.type, gradient.angle),
+        gradientStops,
+      }];
+
+      this.outcomes.set(token.id, {});
+      return stats;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[FigmaSyncService] Failed to create paint style ${token.qualifiedName}: ${message}`);
+      if (this.transaction) {
+        throw new Error(`Failed to create paint style ${token.qualifiedName}: ${message}`);
+      }
+      this.outcomes.set(token.id, { error: message });
+      stats.skipped++;
+      return stats;
+    }
+  }
+
+  /**
+   * Create or update a Figma Paint Style from a color token
+   * The style's color is bound to the token's variable ('also'), or to the variable of the
+   * color it aliases ('instead'), so the style follows later variable edits
+   */
+  private async createColorStyle(token: Token, options: Required<SyncOptions>): Promise<ImportStats> {
+    const stats: ImportStats = { added: 0, updated: 0, skipped: 0 };
+
+    try {
+      const color = this.toDocumentColor(token.resolvedValue || token.value);
+      if (!color.success) {
+        throw new Error(color.error);
+      }
+
+      const styleName = token.path.join('/');
+
+      const existingStyles = await figma.getLocalPaintStylesAsync();
+      let paintStyle = existingStyles.find(s => s.name === styleName);
+
+      if (!paintStyle) {
+        paintStyle = figma.createPaintStyle();
+        paintStyle.name = styleName;
+        stats.added++;
+      } else {
+        if (!options.updateExisting) {
+          stats.skipped++;
+          return stats;
+        }
+        stats.updated++;
+      }
+
+      if (token.description) {
+        paintStyle.description = token.description;
+      }
+
+      const { r, g, b, a } = color.data!;
+      let paint: SolidPaint = { type: 'SOLID', color: { r, g, b }, opacity: a };
+      const variable = await this.findColorStyleVariable(token, options);
+      if (variable) {
+        paint = figma.variables.setBoundVariableForPaint(paint, 'color', variable);
+      }
+      paintStyle.paints = [paint];
+
+      // 'also' tokens keep the outcome of their variable
+      if (!this.outcomes.has(token.id)) {
+        this.outcomes.set(token.id, {});
+      }
+      return stats;
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[FigmaSyncService] Failed to create paint style ${token.qualifiedName}: ${message}`);
+      if (this.transaction) {
+        throw new Error(`Failed to create paint style ${token.qualifiedName}: ${message}`);
+      }
+      this.outcomes.set(token.id, { error: message });
       stats.skipped++;
       return stats;
     }
   }
 
   /**
-   * Map font weight to Figma font style
+   * Paint style output configured for the collection of a color token
+   * (border colors are parts of their border, not color tokens)
+   */
+  private getColorStyleMode(token: Token, options: Required<SyncOptions>): ColorStyleMode | undefined {
+    if (token.type !== 'color' || this.borderParts.has(token.id)) {
+      return undefined;
+    }
+
+    return options.colorStyles[token.collection || 'default'];
+  }
+
+  /**
+   * Variable a color style binds to: the token's own, else the nearest one along its alias chain
+   * (tokens of 'instead' collections have no variable of their own)
+   */
+  private async findColorStyleVariable(token: Token, options: Required<SyncOptions>): Promise<Variable | undefined> {
+    let current: Token | undefined = token;
+    for (let depth = 0; current && depth < 10; depth++) {
+      if (this.getColorStyleMode(current, options) !== 'instead') {
+        const variable = await this.findAliasTargetVariable(current, token);
+        if (variable) {
+          return variable;
+        }
+      }
+      current = current.aliasTo ? this.getToken(current.aliasTo) : undefined;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Build a gradient stop; a {reference} color binds the stop to the referenced token's variable
+   * (the resolved color is kept as the stop's own value)
    */
-  private mapFontWeightToStyle(weight: number | string): string {
-    const numWeight = typeof weight === 'number' ? weight : parseInt(weight);
+  private async createColorStop(stop: { color: unknown; position: number }, token: Token): Promise<ColorStop> {
+    const reference = typeof stop.color === 'string' && /^\{[^{}]+\}$/.test(stop.color.trim()) ? stop.color.trim() : null;
+    const target = reference ? this.resolver.resolveReference(reference, token.projectId) : null;
+    if (reference && !target) {
+      this.logUnresolvedReference(reference, token.projectId);
+      throw new Error(`Unresolved gradient stop color: ${reference}`);
+    }
+
+    const color = this.toDocumentColor(reference ? this.resolveNestedReferences(reference, token.projectId) : stop.color);
+    if (!color.success) {
+      throw new Error(`Invalid gradient stop color: ${color.error}`);
+    }
+
+    const variable = target ? await this.findAliasTargetVariable(target, token) : undefined;
+    if (target && !variable) {
+      console.warn(`[FigmaSyncService] Gradient stop variable not synced: ${reference} - using its value`);
+    }
 
-    const weightMap: Record<number, string> = {
-      100: 'Thin',
-      200: 'ExtraLight',
-      300: 'Light',
-      400: 'Regular',
-      500: 'Medium',
-      600: 'SemiBold',
-      700: 'Bold',
-      800: 'ExtraBold',
-      900: 'Black',
+    return {
+      position: stop.position,
+      color: color.data!,
+      ...(variable ? { boundVariables: { color: figma.variables.createVariableAlias(variable) } } : {}),
     };
+  }
+
+  /**
+   * Gradient kind and angle from $extensions.gradient (CSS gradient strings carry their own)
+   * Aliases without their own settings use their target's
+   */
+  private getGradientOptions(token: Token, depth: number = 0): GradientOptions {
+    const w3c = token.extensions && token.extensions.w3c;
+    const gradient = w3c && w3c.gradient;
+    if (typeof gradient !== 'object' || gradient === null) {
+      const target = token.aliasTo && depth < 10 ? this.repository.get(token.aliasTo) : undefined;
+      return target ? this.getGradientOptions(target, depth + 1) : {};
+    }
 
-    return weightMap[numWeight] || 'Regular';
+    return {
+      type: gradient.type === 'radial' || gradient.type === 'linear' ? gradient.type : undefined,
+      angle: typeof gradient.angle === 'number' ? gradient.angle : undefined,
+    };
   }
 
   /**
@@ -1088,10 +2178,18 @@ export class FigmaSyncService {
    */
   private async updateTokenExtensions(tokens: Token[]): Promise<void> {
     for (const token of tokens) {
-      const varName = this.generateVariableName(token);
-      const variable = this.variableMap.get(varName);
+      if (token.type === 'border') {
+        this.updateBorderExtensions(token);
+        continue;
+      }
+
+      const variable = this.findVariableForToken(token);
 
       if (variable) {
+        const collection = this.collectionMap.get(token.collection);
+        const modeIds = this.modeMap.get(token.collection);
+        const mode = collection && modeIds ? this.resolveMode(token, collection, modeIds) : undefined;
+
         // Update token with Figma metadata
         this.repository.update(token.id, {
           extensions: {
@@ -1099,11 +2197,382 @@ export class FigmaSyncService {
             figma: {
               variableId: variable.id,
               collectionId: variable.variableCollectionId,
-              collectionName: this.collectionMap.get(token.collection)?.name,
+              collectionName: collection?.name,
+              modeId: mode?.modeId,
+              modeName: mode?.modeName,
             },
           },
         });
       }
     }
   }
+
+  /**
+   * Record the variables a border token's parts were synced to
+   */
+  private updateBorderExtensions(token: Token): void {
+    const partVariableIds: Record<string, string> = {};
+    for (const { key } of BORDER_PARTS) {
+      const variable = this.tokenVariableMap.get(this.getBorderPartId(token.id, key));
+      if (variable) partVariableIds[key] = variable.id;
+    }
+    if (Object.keys(partVariableIds).length === 0) return;
+
+    const collection = this.collectionMap.get(token.collection);
+    this.repository.update(token.id, {
+      extensions: {
+        ...token.extensions,
+        figma: {
+          collectionId: collection?.id,
+          collectionName: collection?.name,
+          partVariableIds,
+        },
+      },
+    });
+  }
+
+  // ==================== ORPHANS ====================
+
+  /**
+   * Record which token a variable was synced from (clears an earlier "keep" decision)
+   */
+  private markTokenVariable(variable: Variable, token: Token): void {
+    // Plugin data is unavailable on variables from very old plugin API versions
+    if (typeof variable.setPluginData !== 'function') return;
+
+    variable.setPluginData(PLUGIN_DATA_KEYS.TOKEN_ID, token.id);
+    variable.setPluginData(PLUGIN_DATA_KEYS.PROJECT_ID, token.projectId);
+    variable.setPluginData(PLUGIN_DATA_KEYS.STABLE_ID, this.getStableTokenId(token) || '');
+    variable.setPluginData(PLUGIN_DATA_KEYS.ORPHAN_KEPT, '');
+  }
+
+  /**
+   * Whether another project synced the variable into a collection the projects share
+   * Variables synced before projects were recorded carry no project and count as ours
+   */
+  private isOtherProjectVariable(variable: Variable, projectIds: Set<string>): boolean {
+    const projectId = this.readPluginData(variable, PLUGIN_DATA_KEYS.PROJECT_ID);
+    return !!projectId && !projectIds.has(projectId);
+  }
+
+  // ==================== RENAMES ====================
+
+  /**
+   * Find the variable a renamed token was synced to and rename it in place
+   * so layers bound to it keep their binding
+   *
+   * @param existingVars - Collection variables by name (updated with the new name)
+   * @returns The renamed variable, or undefined when the token has no linked variable
+   */
+  private renameLinkedVariable(
+    token: Token,
+    variableName: string,
+    existingVars: Map<string, Variable>,
+    links: VariableLinkIndex,
+    renames: TokenRenameMap
+  ): Variable | undefined {
+    const variable = this.findLinkedVariable(token, links, renames);
+    if (!variable) return undefined;
+
+    debug.log(`[FigmaSyncService] Renaming variable: ${variable.name} → ${variableName}`);
+    existingVars.delete(variable.name);
+    variable.name = variableName;
+    existingVars.set(variableName, variable);
+
+    return variable;
+  }
+
+  /**
+   * Find an existing variable linked to a token, in order of confidence:
+   * 1. $extensions.figma.variableId
+   * 2. Stable $extensions id recorded on the variable at the last sync
+   * 3. An entry in the rename map (variable named after the old path)
+   * 4. The token id recorded on the variable at the last sync
+   * Variables already synced for another token in this run are never reused
+   */
+  private findLinkedVariable(token: Token, links: VariableLinkIndex, renames: TokenRenameMap): Variable | undefined {
+    const available = (variable: Variable | undefined) =>
+      variable && !this.claimedVariableIds.has(variable.id) ? variable : undefined;
+
+    const w3c = token.extensions && token.extensions.w3c;
+    const linkedId = w3c && w3c.figma && typeof w3c.figma.variableId === 'string' ? w3c.figma.variableId : undefined;
+    const byLinkedId = linkedId ? available(links.byId.get(linkedId)) : undefined;
+    if (byLinkedId) return byLinkedId;
+
+    const stableId = this.getStableTokenId(token);
+    const byStableId = stableId ? available(links.byStableId.get(stableId)) : undefined;
+    if (byStableId) return byStableId;
+
+    // Callers may pass { renames: undefined }, overriding the default
+    for (const oldName of renames ? Object.keys(renames) : []) {
+      if (renames[oldName] !== token.qualifiedName) continue;
+      const byOldName = available(links.byName.get(this.generateVariableName({ ...token, path: oldName.split('.') })));
+      if (byOldName) return byOldName;
+    }
+
+    return available(links.byTokenId.get(token.id));
+  }
+
+  /**
+   * Index collection variables by id, name and the token links recorded in plugin data
+   */
+  private indexVariableLinks(variables: Variable[]): VariableLinkIndex {
+    const links: VariableLinkIndex = { byId: new Map(), byName: new Map(), byStableId: new Map(), byTokenId: new Map() };
+
+    for (const variable of variables) {
+      links.byId.set(variable.id, variable);
+      links.byName.set(variable.name, variable);
+
+      const stableId = this.readPluginData(variable, PLUGIN_DATA_KEYS.STABLE_ID);
+      if (stableId) links.byStableId.set(stableId, variable);
+      const tokenId = this.readPluginData(variable, PLUGIN_DATA_KEYS.TOKEN_ID);
+      if (tokenId) links.byTokenId.set(tokenId, variable);
+    }
+
+    return links;
+  }
+
+  /**
+   * Stable id from the token's $extensions (see STABLE_ID_EXTENSIONS)
+   */
+  private getStableTokenId(token: Token): string | undefined {
+    const w3c = token.extensions && token.extensions.w3c;
+    if (!w3c) return undefined;
+
+    for (const keys of STABLE_ID_EXTENSIONS) {
+      let value: unknown = w3c;
+      for (const key of keys) {
+        value = typeof value === 'object' && value !== null ? (value as Record<string, unknown>)[key] : undefined;
+      }
+      if (typeof value === 'string' && value) return value;
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Read plugin data, treating a missing API as empty
+   */
+  private readPluginData(variable: Variable, key: string): string {
+    return typeof variable.getPluginData === 'function' ? variable.getPluginData(key) : '';
+  }
+
+  /**
+   * Variable ids a token was last synced to (from its figma extensions, including border parts)
+   */
+  private getLinkedVariableIds(token: Token): string[] {
+    const current = this.repository.get(token.id) || token;
+    const figmaExtension = current.extensions && current.extensions.figma;
+    if (!figmaExtension) return [];
+
+    const ids = figmaExtension.variableId ? [figmaExtension.variableId] : [];
+    return figmaExtension.partVariableIds ? ids.concat(Object.values(figmaExtension.partVariableIds)) : ids;
+  }
+
+  /**
+   * Apply one orphan action to a variable
+   */
+  private applyOrphanAction(variable: Variable, action: OrphanAction): void {
+    switch (action) {
+      case 'delete':
+        variable.remove();
+        break;
+      case 'deprecate':
+        variable.name = `${DEPRECATED_GROUP}/${variable.name}`;
+        break;
+      case 'keep':
+        variable.setPluginData(PLUGIN_DATA_KEYS.ORPHAN_KEPT, 'true');
+        break;
+    }
+  }
+
+  // ==================== SYNC PLAN ====================
+
+  /**
+   * Find a collection the way getOrCreateCollection would (including the old uppercase name)
+   */
+  private findCollection(collections: VariableCollection[], name: string): VariableCollection | undefined {
+    const uppercaseName = name.charAt(0).toUpperCase() + name.slice(1);
+    return collections.find(c => c.name === name) || collections.find(c => c.name === uppercaseName);
+  }
+
+  /**
+   * Names of local text, effect and paint styles
+   */
+  private async getLocalStyleNames(): Promise<Set<string>> {
+    const textStyles = await figma.getLocalTextStylesAsync();
+    const effectStyles = await figma.getLocalEffectStylesAsync();
+    const paintStyles = await figma.getLocalPaintStylesAsync();
+    return new Set([...textStyles, ...effectStyles, ...paintStyles].map<string>(style => style.name));
+  }
+
+  /**
+   * Plan a single variable: compare every mode value the token would write
+   */
+  private planVariable(
+    token: Token,
+    variableName: string,
+    figmaType: VariableResolvedDataType,
+    variable: Variable | undefined,
+    collection: VariableCollection | undefined,
+    variablesById: Map<string, Variable>,
+    options: Required<SyncOptions>
+  ): Omit<SyncPlanEntry, 'collection'> {
+    const entry = { kind: 'variable' as const, name: variableName, tokenPath: token.qualifiedName };
+    const planned = this.getPlannedModeValues(token, collection);
+    const first = planned[0];
+
+    if (!variable) {
+      return { ...entry, action: 'create', modeName: first.modeName, after: this.formatPlannedValue(first, figmaType) };
+    }
+
+    if (variable.resolvedType !== figmaType) {
+      return { ...entry, action: 'type-change', before: variable.resolvedType, after: figmaType };
+    }
+
+    const modeIds = new Map<string, string>((collection ? collection.modes : []).map(m => [m.name, m.modeId] as [string, string]));
+    let result: Omit<SyncPlanEntry, 'collection'> | null = null;
+
+    for (const modeValue of planned) {
+      const modeId = modeIds.get(modeValue.modeName);
+      const current = modeId ? variable.valuesByMode[modeId] : undefined;
+      const isCurrentAlias = this.isVariableAlias(current);
+
+      let action: SyncChangeAction = 'untouched';
+      if (modeValue.aliasName !== undefined) {
+        const currentTarget = isCurrentAlias ? variablesById.get((current as VariableAlias).id) : undefined;
+        if (!currentTarget || currentTarget.name !== modeValue.aliasName) {
+          action = 'update-alias';
+        }
+      } else if (isCurrentAlias || !this.planValuesEqual(current, this.convertValue(modeValue.value, figmaType))) {
+        action = 'update-value';
+      }
+
+      if (!result || PLAN_ACTION_PRIORITY[action] > PLAN_ACTION_PRIORITY[result.action]) {
+        result = {
+          ...entry,
+          action,
+          modeName: modeValue.modeName,
+          before: this.formatPlanValue(current, variablesById),
+          after: this.formatPlannedValue(modeValue, figmaType),
+        };
+      }
+    }
+
+    if (result!.action !== 'untouched' && !options.updateExisting) {
+      return { ...result!, action: 'untouched' };
+    }
+
+    return result!;
+  }
+
+  /**
+   * Values a token writes, per mode: its own value plus $extensions.mode entries
+   */
+  private getPlannedModeValues(token: Token, collection: VariableCollection | undefined): PlannedModeValue[] {
+    const defaultModeName = collection ? collection.modes[0].name : DEFAULT_MODE_NAME;
+    const planned: PlannedModeValue[] = [];
+
+    const ownValue: PlannedModeValue = { modeName: token.theme || defaultModeName };
+    const aliasTarget = token.aliasTo ? this.getToken(token.aliasTo) : undefined;
+    if (aliasTarget) {
+      ownValue.aliasName = this.generateVariableName(aliasTarget);
+    } else {
+      ownValue.value = token.resolvedValue || token.value;
+    }
+    planned.push(ownValue);
+
+    const modeValues = this.getModeValues(token);
+    if (modeValues) {
+      for (const modeName of Object.keys(modeValues)) {
+        const rawValue = modeValues[modeName];
+        const isReference = typeof rawValue === 'string' && rawValue.startsWith('{') && rawValue.endsWith('}');
+        const target = isReference ? this.resolver.resolveReference(rawValue as string, token.projectId) : null;
+
+        if (target) {
+          planned.push({ modeName, aliasName: this.generateVariableName(target) });
+        } else if (!isReference) {
+          planned.push({ modeName, value: rawValue });
+        }
+      }
+    }
+
+    return planned;
+  }
+
+  /**
+   * Add an entry, keeping the most significant action when a variable is planned twice
+   */
+  private addPlanEntry(entries: Map<string, SyncPlanEntry>, entry: SyncPlanEntry): void {
+    const key = this.planKey(entry.kind, entry.collection, entry.name);
+    const existing = entries.get(key);
+
+    if (!existing || PLAN_ACTION_PRIORITY[entry.action] > PLAN_ACTION_PRIORITY[existing.action]) {
+      entries.set(key, entry);
+    }
+  }
+
+  private planKey(kind: SyncPlanEntry['kind'], collection: string, name: string): string {
+    return `${kind}:${collection}/${name}`;
+  }
+
+  private isVariableAlias(value: unknown): boolean {
+    return typeof value === 'object' && value !== null && (value as VariableAlias).type === 'VARIABLE_ALIAS';
+  }
+
+  /**
+   * Compare a current Figma value with a converted token value
+   * Colors compare per channel within rounding of 8-bit hex values
+   */
+  private planValuesEqual(current: unknown, next: unknown): boolean {
+    if (typeof current === 'number' && typeof next === 'number') {
+      return Math.abs(current - next) < 0.0001;
+    }
+
+    if (typeof current === 'object' && current !== null && typeof next === 'object' && next !== null) {
+      const a = current as RGBA;
+      const b = next as RGBA;
+      const channels: Array<keyof RGBA> = ['r', 'g', 'b'];
+      if (b.a !== undefined) channels.push('a');
+      return channels.every(channel => Math.abs((a[channel] !== undefined ? a[channel] : 1) - b[channel]) < 0.5 / 255);
+    }
+
+    return current === next;
+  }
+
+  /**
+   * Format a planned value the way the current Figma value is shown
+   */
+  private formatPlannedValue(planned: PlannedModeValue, figmaType: VariableResolvedDataType): string | undefined {
+    if (planned.aliasName !== undefined) {
+      return `{${planned.aliasName}}`;
+    }
+
+    return this.formatPlanValue(this.convertValue(planned.value, figmaType), new Map());
+  }
+
+  /**
+   * Format a Figma variable value for display (colors as hex, aliases as {name})
+   */
+  private formatPlanValue(value: unknown, variablesById: Map<string, Variable>): string | undefined {
+    if (value === undefined) return undefined;
+
+    if (this.isVariableAlias(value)) {
+      const target = variablesById.get((value as VariableAlias).id);
+      return `{${target ? target.name : (value as VariableAlias).id}}`;
+    }
+
+    if (typeof value === 'object' && value !== null && 'r' in value) {
+      const color = value as RGBA;
+      const channels = [color.r, color.g, color.b];
+      if (color.a !== undefined && color.a < 1) channels.push(color.a);
+      return '#' + channels.map(channel => Math.round(channel * 255).toString(16).padStart(2, '0')).join('');
+    }
+
+    if (typeof value === 'number') {
+      return String(Math.round(value * 1000) / 1000);
+    }
+
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  }
 }
@@ -0,0 +1,291 @@
+// ====================================================================================
+// FONT PREFLIGHT
+// Maps font weights to Figma style names and checks them against the available fonts
+// ====================================================================================
+
+import { Token } from '../models/Token';
+import { TokenResolver } from './TokenResolver';
+import { Result, Success, Failure, FontStyleMapping, FontPreflightReport, MissingFont } from '../../shared/types';
+
+/**
+ * Style names for weights without a configured mapping
+ */
+export const DEFAULT_WEIGHT_STYLES: Record<string, string> = {
+  100: 'Thin',
+  200: 'ExtraLight',
+  300: 'Light',
+  400: 'Regular',
+  500: 'Medium',
+  600: 'SemiBold',
+  700: 'Bold',
+  800: 'ExtraBold',
+  900: 'Black',
+};
+
+/**
+ * DTCG font weight aliases
+ */
+const WEIGHT_KEYWORDS: Record<string, number> = {
+  thin: 100,
+  hairline: 100,
+  'extra-light': 200,
+  'ultra-light': 200,
+  light: 300,
+  normal: 400,
+  regular: 400,
+  book: 400,
+  medium: 500,
+  'semi-bold': 600,
+  'demi-bold': 600,
+  bold: 700,
+  'extra-bold': 800,
+  'ultra-bold': 800,
+  black: 900,
+  heavy: 900,
+  'extra-black': 950,
+  'ultra-black': 950,
+};
+
+/**
+ * Reference hops followed when resolving a typography property
+ */
+const MAX_REFERENCE_DEPTH = 10;
+
+/**
+ * Weight of typography without a fontWeight
+ */
+const DEFAULT_WEIGHT = 400;
+
+/**
+ * FontPreflight - Picks the Figma style for a family and weight, and finds the fonts
+ * typography tokens use that Figma cannot load
+ *
+ * Style lookup for a weight: the family override, then the mapping for every family,
+ * then DEFAULT_WEIGHT_STYLES. Once the available fonts are loaded, the first candidate
+ * the family has wins, matched without case, spaces or dashes - "Semi Bold" finds
+ * "SemiBold" - so fonts naming their styles differently need no mapping.
+ *
+ * Usage:
+ * ```typescript
+ * const fonts = new FontPreflight(resolver);
+ * const report = await fonts.check(tokens, mapping);
+ * const style = fonts.getStyle('Inter', 600, mapping); // "Semi Bold"
+ * ```
+ */
+export class FontPreflight {
+  private resolver: TokenResolver;
+  private availableStyles: Map<string, string[]> | null = null; // family -> styles
+
+  constructor(resolver: TokenResolver) {
+    this.resolver = resolver;
+  }
+
+  /**
+   * Load the fonts Figma can use (fonts installed since the last call are picked up)
+   *
+   * @returns Number of families
+   */
+  async loadAvailableFonts(): Promise<Result<number>> {
+    try {
+      const fonts = await figma.listAvailableFontsAsync();
+      const availableStyles = new Map<string, string[]>();
+      for (const { fontName } of fonts) {
+        const styles = availableStyles.get(fontName.family);
+        if (styles) {
+          styles.push(fontName.style);
+        } else {
+          availableStyles.set(fontName.family, [fontName.style]);
+        }
+      }
+
+      this.availableStyles = availableStyles;
+      return Success(availableStyles.size);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      return Failure(`Failed to list available fonts: ${message}`);
+    }
+  }
+
+  /**
+   * Styles Figma has for a family
+   * Undefined before the fonts are loaded and for families Figma doesn't have
+   */
+  getAvailableStyles(family: string): string[] | undefined {
+    return this.availableStyles ? this.availableStyles.get(family) : undefined;
+  }
+
+  /**
+   * Figma style name for a family and weight
+   * Before the fonts are loaded (or for missing families) the first mapped name is returned
+   */
+  getStyle(family: string, weight: number, mapping: FontStyleMapping = {}): string {
+    const candidates = this.getStyleCandidates(family, weight, mapping);
+    const available = this.getAvailableStyles(family);
+
+    if (available) {
+      for (const candidate of candidates) {
+        const match = available.find(style => this.normalizeStyle(style) === this.normalizeStyle(candidate));
+        if (match) {
+          return match;
+        }
+      }
+    }
+
+    return candidates[0];
+  }
+
+  /**
+   * Check the family and weight of every typography and fontFamily token
+   *
+   * @param tokens - Resolved tokens
+   * @param mapping - Weight to style mapping the sync will use
+   * @returns The fonts that cannot be loaded, with the tokens using them
+   */
+  async check(tokens: Token[], mapping: FontStyleMapping = {}): Promise<Result<FontPreflightReport>> {
+    const loaded = await this.loadAvailableFonts();
+    if (!loaded.success) {
+      return Failure(loaded.error || 'Failed to list available fonts');
+    }
+
+    const usages = new Map<string, { family: string; weight?: number; tokens: string[] }>();
+    for (const token of tokens) {
+      const font = this.getTokenFont(token);
+      if (!font) continue;
+
+      const key = `${font.family}/${font.weight === undefined ? '' : font.weight}`;
+      const usage = usages.get(key);
+      if (!usage) {
+        usages.set(key, { ...font, tokens: [token.qualifiedName] });
+      } else if (usage.tokens.indexOf(token.qualifiedName) === -1) {
+        usage.tokens.push(token.qualifiedName);
+      }
+    }
+
+    const missing: MissingFont[] = [];
+    for (const usage of usages.values()) {
+      const availableStyles = this.getAvailableStyles(usage.family);
+      if (!availableStyles) {
+        missing.push({ ...usage, availableStyles: [] });
+        continue;
+      }
+      if (usage.weight === undefined) continue;
+
+      const style = this.getStyle(usage.family, usage.weight, mapping);
+      if (availableStyles.indexOf(style) === -1) {
+        missing.push({ ...usage, style, availableStyles });
+      }
+    }
+
+    return Success({ checked: usages.size, missing });
+  }
+
+  /**
+   * Numeric weight of a fontWeight value (700, "700", "semi-bold")
+   * @returns null when the value is no weight
+   */
+  static parseWeight(value: unknown): number | null {
+    if (typeof value === 'number') {
+      return isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string') {
+      return null;
+    }
+
+    const keyword = value.trim().toLowerCase().replace(/[\s_]+/g, '-');
+    if (keyword in WEIGHT_KEYWORDS) {
+      return WEIGHT_KEYWORDS[keyword];
+    }
+
+    const weight = parseFloat(value);
+    return isFinite(weight) && /^\s*[\d.]+\s*$/.test(value) ? weight : null;
+  }
+
+  /**
+   * First family of a font stack ("'Open Sans', sans-serif" -> "Open Sans")
+   * @returns null when the value names no family
+   */
+  static getPrimaryFamily(value: unknown): string | null {
+    const first = Array.isArray(value) ? value[0] : typeof value === 'string' ? value.split(',')[0] : null;
+    if (typeof first !== 'string') {
+      return null;
+    }
+
+    const family = first.trim().replace(/^(['"])(.*)\1$/, '$2').trim();
+    return family || null;
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Family and weight a token uses (fontFamily tokens have no weight)
+   */
+  private getTokenFont(token: Token): { family: string; weight?: number } | null {
+    const value = token.resolvedValue !== undefined ? token.resolvedValue : token.value;
+
+    if (token.type === 'fontFamily') {
+      const family = FontPreflight.getPrimaryFamily(this.resolve(value, token.projectId));
+      return family ? { family } : null;
+    }
+
+    if (token.type !== 'typography' || typeof value !== 'object' || value === null) {
+      return null;
+    }
+
+    const typography = value as Record<string, unknown>;
+    const family = FontPreflight.getPrimaryFamily(this.resolve(typography.fontFamily, token.projectId));
+    if (!family) {
+      return null;
+    }
+
+    const weight = typography.fontWeight === undefined
+      ? DEFAULT_WEIGHT
+      : FontPreflight.parseWeight(this.resolve(typography.fontWeight, token.projectId));
+    return { family, weight: weight === null ? DEFAULT_WEIGHT : weight };
+  }
+
+  /**
+   * Follow {references} to the referenced token's value
+   */
+  private resolve(value: unknown, projectId: string, depth: number = 0): unknown {
+    if (typeof value !== 'string' || !/^\{[^{}]+\}$/.test(value.trim()) || depth >= MAX_REFERENCE_DEPTH) {
+      return value;
+    }
+
+    const target = this.resolver.resolveReference(value.trim(), projectId);
+    if (!target) {
+      return value;
+    }
+
+    return this.resolve(target.resolvedValue !== undefined ? target.resolvedValue : target.value, projectId, depth + 1);
+  }
+
+  /**
+   * Style names to try for a weight, most specific first
+   */
+  private getStyleCandidates(family: string, weight: number, mapping: FontStyleMapping): string[] {
+    // Unlisted weights (450, 950) use the nearest hundred
+    const keys = [String(weight), String(Math.min(900, Math.max(100, Math.round(weight / 100) * 100)))];
+    const familyStyles = mapping.families && mapping.families[family];
+    const sources = [familyStyles, mapping.weights, DEFAULT_WEIGHT_STYLES];
+
+    const candidates: string[] = [];
+    for (const source of sources) {
+      if (!source) continue;
+      for (const key of keys) {
+        const style = source[key];
+        if (typeof style === 'string' && style && candidates.indexOf(style) === -1) {
+          candidates.push(style);
+        }
+      }
+    }
+
+    return candidates;
+  }
+
+  /**
+   * Style name without case, spaces, dashes and underscores
+   */
+  private normalizeStyle(style: string): string {
+    return style.toLowerCase().replace(/[\s_-]+/g, '');
+  }
+}
@@ -5,7 +5,8 @@
 
 import { Token } from '../models/Token';
 import { TokenProcessor } from './TokenProcessor';
-import { Result, Success, Failure, TokenState, ProjectStorage, FileSourceConfig, ImportStats } from '../../shared/types';
+import { Result, Success, Failure, TokenState, ProjectStorage, FileSourceConfig, ImportStats, TokenSyncRecord, ProjectSyncEntry } from '../../shared/types';
+import { PROJECT_HISTORY_LIMIT } from '../../shared/constants';
 import { debug } from '../../shared/logger';
 
 /**
@@ -40,6 +41,8 @@ export interface MigrationStats {
  * const adapter = new StorageAdapter();
  * const tokens = await adapter.load('default');
  * await adapter.save('default', tokens);
+ * await adapter.saveSyncState('default', records);
+ * await adapter.appendSyncHistory('default', entry);
  * ```
  */
 export class StorageAdapter {
@@ -164,20 +167,21 @@ export class StorageAdapter {
         },
       };
 
-      const serialized = JSON.stringify(storage);
-
-      // Figma constraint: Check 1MB limit per key
-      if (serialized.length > 1_000_000) {
-        console.error(`[StorageAdapter] Storage size: ${(serialized.length / 1000).toFixed(2)} KB exceeds 1MB limit`);
-        return Failure(
-          'Storage exceeds 1MB limit. Consider splitting into multiple projects or reducing token count.'
-        );
+      // Keep the sync state and history recorded for the project
+      const existing = await this.getProjectStorage(projectId);
+      if (existing && existing.syncState) {
+        storage.syncState = existing.syncState;
+      }
+      if (existing && existing.history) {
+        storage.history = existing.history;
       }
 
-      const storageKey = `project:${projectId}`;
-      await figma.clientStorage.setAsync(storageKey, storage);
+      const writeResult = await this.writeProjectStorage(storage);
+      if (!writeResult.success) {
+        return Failure(writeResult.error!);
+      }
 
-      debug.log(`[StorageAdapter] ✓ Saved ${tokens.length} tokens (${(serialized.length / 1000).toFixed(2)} KB)`);
+      debug.log(`[StorageAdapter] ✓ Saved ${tokens.length} tokens (${(writeResult.data! / 1000).toFixed(2)} KB)`);
 
       return Success(undefined);
     } catch (error) {
@@ -187,6 +191,111 @@ export class StorageAdapter {
     }
   }
 
+  /**
+   * Load the per-token sync state recorded for a project
+   *
+   * @param projectId - Project identifier
+   * @returns Sync records by token id (empty when none were recorded)
+   */
+  async loadSyncState(projectId: string = 'default'): Promise<Result<Record<string, TokenSyncRecord>>> {
+    try {
+      const storage = await this.getProjectStorage(projectId);
+      return Success((storage && storage.syncState) || {});
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error('[StorageAdapter] Sync state load failed:', message);
+      return Failure(`Sync state load failed: ${message}`);
+    }
+  }
+
+  /**
+   * Save the per-token sync state with the project
+   * Projects without stored tokens get a ProjectStorage holding only the sync state
+   *
+   * @param projectId - Project identifier
+   * @param syncState - Sync records by token id
+   * @returns Success or Failure
+   */
+  async saveSyncState(projectId: string = 'default', syncState: Record<string, TokenSyncRecord>): Promise<Result<void>> {
+    try {
+      const storage = (await this.getProjectStorage(projectId)) || this.createEmptyStorage(projectId);
+
+      const writeResult = await this.writeProjectStorage({ ...storage, syncState });
+      if (!writeResult.success) {
+        return Failure(writeResult.error!);
+      }
+
+      debug.log(`[StorageAdapter] ✓ Saved sync state of ${Object.keys(syncState).length} tokens`);
+
+      return Success(undefined);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error('[StorageAdapter] Sync state save failed:', message);
+      return Failure(`Sync state save failed: ${message}`);
+    }
+  }
+
+  /**
+   * Load the sync history of a project
+   *
+   * @param projectId - Project identifier
+   * @returns Syncs newest first (empty when the project never synced)
+   */
+  async loadSyncHistory(projectId: string = 'default'): Promise<Result<ProjectSyncEntry[]>> {
+    try {
+      const storage = await this.getProjectStorage(projectId);
+      return Success((storage && storage.history) || []);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error('[StorageAdapter] Sync history load failed:', message);
+      return Failure(`Sync history load failed: ${message}`);
+    }
+  }
+
+  /**
+   * Add a sync to the project history, dropping the oldest beyond PROJECT_HISTORY_LIMIT
+   *
+   * @param projectId - Project identifier
+   * @param entry - The sync to record
+   * @returns Success or Failure
+   */
+  async appendSyncHistory(projectId: string = 'default', entry: ProjectSyncEntry): Promise<Result<void>> {
+    try {
+      const storage = (await this.getProjectStorage(projectId)) || this.createEmptyStorage(projectId);
+      const history = [entry].concat(storage.history || []).slice(0, PROJECT_HISTORY_LIMIT);
+
+      const writeResult = await this.writeProjectStorage({ ...storage, history });
+      if (!writeResult.success) {
+        return Failure(writeResult.error!);
+      }
+
+      return Success(undefined);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error('[StorageAdapter] Sync history save failed:', message);
+      return Failure(`Sync history save failed: ${message}`);
+    }
+  }
+
+  /**
+   * Delete everything stored for a project (tokens, sync state and history)
+   * Migration backups are kept
+   *
+   * @param projectId - Project identifier
+   * @returns Success or Failure
+   */
+  async delete(projectId: string): Promise<Result<void>> {
+    try {
+      await figma.clientStorage.deleteAsync(`project:${projectId}`);
+      debug.log(`[StorageAdapter] ✓ Deleted project: ${projectId}`);
+      return Success(undefined);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error('[StorageAdapter] Delete failed:', message);
+      return Failure(`Storage delete failed: ${message}`);
+    }
+  }
+
   /**
    * Restore from backup (emergency rollback)
    *
@@ -237,6 +346,56 @@ export class StorageAdapter {
 
   // ==================== PRIVATE METHODS ====================
 
+  /**
+   * Read the stored ProjectStorage (null when missing or still in the old format)
+   */
+  private async getProjectStorage(projectId: string): Promise<ProjectStorage | null> {
+    const rawData = await figma.clientStorage.getAsync(`project:${projectId}`);
+
+    if (!rawData || this.isOldFormat(rawData) || rawData.version !== '2.0') {
+      return null;
+    }
+
+    return rawData as ProjectStorage;
+  }
+
+  /**
+   * ProjectStorage of a project without stored tokens
+   */
+  private createEmptyStorage(projectId: string): ProjectStorage {
+    return {
+      version: '2.0',
+      projectId,
+      tokens: [],
+      metadata: {
+        lastSync: new Date().toISOString(),
+        source: this.buildSourceConfig([]),
+        importStats: this.calculateStats([]),
+      },
+    };
+  }
+
+  /**
+   * Write a ProjectStorage, enforcing Figma's 1MB limit per key
+   *
+   * @returns Serialized size in characters
+   */
+  private async writeProjectStorage(storage: ProjectStorage): Promise<Result<number>> {
+    const serialized = JSON.stringify(storage);
+
+    // Figma constraint: Check 1MB limit per key
+    if (serialized.length > 1_000_000) {
+      console.error(`[StorageAdapter] Storage size: ${(serialized.length / 1000).toFixed(2)} KB exceeds 1MB limit`);
+      return Failure(
+        'Storage exceeds 1MB limit. Consider splitting into multiple projects or reducing token count.'
+      );
+    }
+
+    await figma.clientStorage.setAsync(`project:${storage.projectId}`, storage);
+
+    return Success(serialized.length);
+  }
+
   /**
    * Detect if data is old TokenState format
    */
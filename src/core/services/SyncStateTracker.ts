@@ -0,0 +1,239 @@
+// ====================================================================================
+// SYNC STATE TRACKER
+// Records what each sync did per token and derives synced/modified/pending/error status
+// ====================================================================================
+
+import { Token } from '../models/Token';
+import { Result, Success, Failure, TokenSyncRecord, TokenSyncState, TokenSyncStatus } from '../../shared/types';
+import { StorageAdapter } from './StorageAdapter';
+import { TokenSyncOutcome } from './FigmaSyncService';
+
+/**
+ * SyncStateTracker - Per-token sync state (ProjectSettings.syncStateTracking)
+ *
+ * Each successful sync stores a hash of the value it wrote, the variable and the time;
+ * a failed sync stores its error. Comparing the stored hash with the token's current
+ * value tells whether the token is synced, modified since its sync, or never synced.
+ *
+ * Principles:
+ * - Single Responsibility: Only tracks sync outcomes, FigmaSyncService reports them
+ * - Dependency Injection: Persists through the injected StorageAdapter
+ * - Result Pattern: Storage operations return Result<T>
+ *
+ * Usage:
+ * ```typescript
+ * const tracker = new SyncStateTracker(new StorageAdapter());
+ * await tracker.load();
+ * tracker.recordSync(tokens, syncResult.outcomes);
+ * tracker.prune(tokens, syncResult.collections);
+ * await tracker.save();
+ * const states = tracker.getStates(tokens);
+ * ```
+ */
+export class SyncStateTracker {
+  private storage: StorageAdapter;
+  private projectId: string;
+  private records: Record<string, TokenSyncRecord> = {}; // tokenId -> last sync outcome
+  private loaded = false;
+
+  constructor(storage: StorageAdapter, projectId: string = 'default') {
+    this.storage = storage;
+    this.projectId = projectId;
+  }
+
+  /**
+   * Track another project - its records are read on the next load()
+   */
+  setProject(projectId: string): void {
+    if (projectId === this.projectId) return;
+
+    this.projectId = projectId;
+    this.records = {};
+    this.loaded = false;
+  }
+
+  /**
+   * Load the records stored with the project (only the first call reads storage)
+   */
+  async load(): Promise<Result<void>> {
+    if (this.loaded) {
+      return Success(undefined);
+    }
+
+    const result = await this.storage.loadSyncState(this.projectId);
+    if (!result.success) {
+      return Failure(result.error!);
+    }
+
+    // Records made before loading finished are newer than the stored ones
+    this.records = { ...result.data!, ...this.records };
+    this.loaded = true;
+    return Success(undefined);
+  }
+
+  /**
+   * Persist the records with the project
+   */
+  async save(): Promise<Result<void>> {
+    return this.storage.saveSyncState(this.projectId, this.records);
+  }
+
+  /**
+   * Record the outcome of a sync
+   * Tokens without an outcome were skipped on purpose and keep their previous record
+   *
+   * @param tokens - Tokens passed to the sync
+   * @param outcomes - Outcome per token id reported by FigmaSyncService
+   */
+  recordSync(tokens: Token[], outcomes: Map<string, TokenSyncOutcome>): void {
+    const syncedAt = new Date().toISOString();
+
+    for (const token of tokens) {
+      const outcome = outcomes.get(token.id);
+      if (!outcome) continue;
+
+      if (outcome.error) {
+        this.recordError(token, outcome.error);
+        continue;
+      }
+
+      const record: TokenSyncRecord = {
+        ...this.describe(token),
+        valueHash: SyncStateTracker.hashToken(token),
+        syncedAt,
+      };
+      if (outcome.variableId) {
+        record.variableId = outcome.variableId;
+      }
+      this.records[token.id] = record;
+    }
+  }
+
+  /**
+   * Record a sync that failed as a whole (e.g. rolled back): every token keeps its
+   * last synced value but reports the error
+   */
+  recordFailure(tokens: Token[], error: string): void {
+    for (const token of tokens) {
+      this.recordError(token, error);
+    }
+  }
+
+  /**
+   * Drop the records of tokens that are no longer part of the synced collections
+   * A sync only covers the tokens of one import, so records of other collections stay.
+   * Call after a sync finished and the stored records were loaded, so stale records
+   * from storage are dropped too
+   *
+   * @param tokens - Tokens passed to the sync
+   * @param collections - Collections the sync wrote (SyncResult.collections)
+   * @returns Number of records removed
+   */
+  prune(tokens: Token[], collections: string[]): number {
+    const present = new Set(tokens.map(token => token.id));
+    const synced = new Set(collections);
+    let removed = 0;
+
+    for (const tokenId of Object.keys(this.records)) {
+      if (present.has(tokenId) || !synced.has(this.records[tokenId].collection)) continue;
+
+      delete this.records[tokenId];
+      removed++;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Derive the sync status of a token from its record
+   */
+  getStatus(token: Token): TokenSyncStatus {
+    const record = this.records[token.id];
+
+    if (!record) return 'pending';
+    if (record.error) return 'error';
+    if (!record.valueHash) return 'pending';
+
+    return record.valueHash === SyncStateTracker.hashToken(token) ? 'synced' : 'modified';
+  }
+
+  /**
+   * Sync state of the given tokens, followed by recorded tokens that are not loaded
+   * (e.g. after a plugin restart) as of their last sync
+   */
+  getStates(tokens: Token[]): TokenSyncState[] {
+    const states: TokenSyncState[] = [];
+    const seen = new Set<string>();
+
+    for (const token of tokens) {
+      seen.add(token.id);
+      states.push(this.toState(token.id, this.records[token.id] || this.describe(token), this.getStatus(token)));
+    }
+
+    for (const tokenId of Object.keys(this.records)) {
+      if (seen.has(tokenId)) continue;
+
+      const record = this.records[tokenId];
+      const status: TokenSyncStatus = record.error ? 'error' : record.valueHash ? 'synced' : 'pending';
+      states.push(this.toState(tokenId, record, status));
+    }
+
+    return states;
+  }
+
+  /**
+   * Hash everything a sync writes for a token: type, value, description and mode values
+   * (djb2 over the JSON - collisions only hide a modification, they never lose data)
+   */
+  static hashToken(token: Token): string {
+    const w3c = token.extensions && token.extensions.w3c;
+    const json = JSON.stringify([
+      token.type,
+      token.value,
+      token.resolvedValue,
+      token.description || '',
+      (w3c && w3c.mode) || null,
+    ]);
+
+    let hash = 5381;
+    for (let i = 0; i < json.length; i++) {
+      hash = ((hash << 5) + hash + json.charCodeAt(i)) | 0;
+    }
+
+    return (hash >>> 0).toString(36);
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  private recordError(token: Token, error: string): void {
+    this.records[token.id] = {
+      ...(this.records[token.id] || {}),
+      ...this.describe(token),
+      error,
+    };
+  }
+
+  private describe(token: Token): TokenSyncRecord {
+    return {
+      qualifiedName: token.qualifiedName,
+      file: token.source.location,
+      collection: token.collection,
+    };
+  }
+
+  private toState(tokenId: string, record: TokenSyncRecord, status: TokenSyncStatus): TokenSyncState {
+    const state: TokenSyncState = {
+      tokenId,
+      qualifiedName: record.qualifiedName,
+      file: record.file,
+      collection: record.collection,
+      status,
+    };
+
+    if (record.variableId) state.variableId = record.variableId;
+    if (record.syncedAt) state.syncedAt = record.syncedAt;
+    if (record.error) state.error = record.error;
+
+    return state;
+  }
+}
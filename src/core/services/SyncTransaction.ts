@@ -0,0 +1,524 @@
+// ====================================================================================
+// SYNC TRANSACTION
+// Snapshot of local variables and styles that a failed or cancelled sync rolls back to
+// ====================================================================================
+
+import { Result, Success, Failure } from '../../shared/types';
+import { debug } from '../../shared/logger';
+
+interface CollectionSnapshot {
+  id: string;
+  name: string;
+  modes: Array<{ modeId: string; name: string }>;
+}
+
+interface VariableSnapshot {
+  id: string;
+  name: string;
+  description: string;
+  resolvedType: VariableResolvedDataType;
+  collectionId: string;
+  scopes: VariableScope[];
+  valuesByMode: Record<string, VariableValue>;
+  hiddenFromPublishing: boolean;
+  codeSyntax: Partial<Record<CodeSyntaxPlatform, string>>;
+  pluginData: Record<string, string>;
+}
+
+type StyleKind = 'text' | 'effect' | 'paint';
+
+interface StyleSnapshot {
+  id: string;
+  kind: StyleKind;
+  name: string;
+  description: string;
+  properties: Record<string, unknown>;
+  boundVariables: Partial<Record<VariableBindableTextField, string>>; // Text style field -> variable id
+}
+
+/**
+ * Text style properties a sync may write (fontName is restored first, after loading the font)
+ */
+const TEXT_STYLE_PROPERTIES = [
+  'fontSize',
+  'lineHeight',
+  'letterSpacing',
+  'paragraphSpacing',
+  'paragraphIndent',
+  'textCase',
+  'textDecoration',
+];
+
+/**
+ * Text style fields a sync may bind to variables
+ */
+const TEXT_STYLE_BOUND_FIELDS: VariableBindableTextField[] = [
+  'fontFamily',
+  'fontSize',
+  'fontStyle',
+  'fontWeight',
+  'letterSpacing',
+  'lineHeight',
+  'paragraphSpacing',
+  'paragraphIndent',
+];
+
+const CODE_SYNTAX_PLATFORMS: CodeSyntaxPlatform[] = ['WEB', 'ANDROID', 'iOS'];
+
+/**
+ * Sync transaction
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only snapshots and restores local variables/styles
+ * - Open/Closed: FigmaSyncService decides when to begin, commit or roll back
+ *
+ * Rollback is best effort and works on the snapshot, not on a change log:
+ * - Collections, variables and styles created since begin() are removed
+ * - Deleted ones are recreated (with new ids; aliases to them are remapped)
+ * - Names, descriptions, scopes, modes, per-mode values, code syntax, publishing visibility
+ *   and plugin data of variables are restored, as are style properties and the variables
+ *   bound to text style fields
+ * - Layers, styles and aliases of other files bound to a deleted variable stay detached:
+ *   a recreated variable has a new id
+ *
+ * Usage:
+ * ```typescript
+ * const transaction = await SyncTransaction.begin();
+ * try {
+ *   // ...modify variables and styles
+ *   transaction.commit();
+ * } catch (error) {
+ *   await transaction.rollback();
+ * }
+ * ```
+ */
+export class SyncTransaction {
+  private collections: CollectionSnapshot[];
+  private variables: VariableSnapshot[];
+  private styles: StyleSnapshot[];
+  private active = true;
+
+  private constructor(collections: CollectionSnapshot[], variables: VariableSnapshot[], styles: StyleSnapshot[]) {
+    this.collections = collections;
+    this.variables = variables;
+    this.styles = styles;
+  }
+
+  /**
+   * Snapshot all local variable collections, variables and styles
+   */
+  static async begin(): Promise<SyncTransaction> {
+    const [collections, variables, textStyles, effectStyles, paintStyles] = await Promise.all([
+      figma.variables.getLocalVariableCollectionsAsync(),
+      figma.variables.getLocalVariablesAsync(),
+      figma.getLocalTextStylesAsync(),
+      figma.getLocalEffectStylesAsync(),
+      figma.getLocalPaintStylesAsync(),
+    ]);
+
+    const styles: StyleSnapshot[] = [
+      ...textStyles.map(style => SyncTransaction.snapshotStyle(style, 'text')),
+      ...effectStyles.map(style => SyncTransaction.snapshotStyle(style, 'effect')),
+      ...paintStyles.map(style => SyncTransaction.snapshotStyle(style, 'paint')),
+    ];
+
+    debug.log(
+      `[SyncTransaction] Snapshot: ${collections.length} collections, ${variables.length} variables, ${styles.length} styles`
+    );
+
+    return new SyncTransaction(
+      collections.map(collection => ({
+        id: collection.id,
+        name: collection.name,
+        modes: collection.modes.map(mode => ({ modeId: mode.modeId, name: mode.name })),
+      })),
+      variables.map(variable => ({
+        id: variable.id,
+        name: variable.name,
+        description: variable.description,
+        resolvedType: variable.resolvedType,
+        collectionId: variable.variableCollectionId,
+        scopes: variable.scopes.slice(),
+        valuesByMode: SyncTransaction.clone(variable.valuesByMode),
+        hiddenFromPublishing: variable.hiddenFromPublishing,
+        codeSyntax: SyncTransaction.clone(variable.codeSyntax || {}),
+        pluginData: SyncTransaction.snapshotPluginData(variable),
+      })),
+      styles
+    );
+  }
+
+  /**
+   * Whether the transaction can still be committed or rolled back
+   */
+  isActive(): boolean {
+    return this.active;
+  }
+
+  /**
+   * Keep all changes and release the snapshot
+   */
+  commit(): void {
+    this.active = false;
+  }
+
+  /**
+   * Restore the document to the snapshot
+   * Continues past individual failures so as much as possible is restored
+   *
+   * @returns Failure listing what could not be restored
+   */
+  async rollback(): Promise<Result<void>> {
+    if (!this.active) {
+      return Failure('Transaction already finished');
+    }
+    this.active = false;
+
+    const errors: string[] = [];
+    const attempt = (label: string, action: () => void) => {
+      try {
+        action();
+      } catch (error) {
+        const message = error instanceof Error ? error.message : 'Unknown error';
+        errors.push(`${label}: ${message}`);
+      }
+    };
+
+    const collectionIds = await this.restoreCollections(attempt);
+    const modeIds = this.mapModeIds(collectionIds);
+    const variableIds = await this.restoreVariables(collectionIds, modeIds, attempt);
+    await this.restoreStyles(variableIds, errors);
+
+    if (errors.length > 0) {
+      console.error(`[SyncTransaction] Rollback incomplete: ${errors.join('; ')}`);
+      return Failure(`Rollback incomplete: ${errors.join('; ')}`);
+    }
+
+    debug.log('[SyncTransaction] Rollback complete');
+    return Success(undefined);
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Remove new collections, recreate deleted ones and restore names and modes
+   *
+   * @returns Snapshot collection id -> current collection
+   */
+  private async restoreCollections(
+    attempt: (label: string, action: () => void) => void
+  ): Promise<Map<string, VariableCollection>> {
+    const current = await figma.variables.getLocalVariableCollectionsAsync();
+    const currentById = new Map(current.map(collection => [collection.id, collection]));
+    const snapshotIds = new Set(this.collections.map(snapshot => snapshot.id));
+    const restored = new Map<string, VariableCollection>();
+
+    for (const collection of current) {
+      if (!snapshotIds.has(collection.id)) {
+        attempt(`remove collection ${collection.name}`, () => collection.remove());
+      }
+    }
+
+    for (const snapshot of this.collections) {
+      attempt(`restore collection ${snapshot.name}`, () => {
+        let collection = currentById.get(snapshot.id);
+
+        if (!collection) {
+          collection = figma.variables.createVariableCollection(snapshot.name);
+        } else if (collection.name !== snapshot.name) {
+          collection.name = snapshot.name;
+        }
+
+        // Drop modes the sync added, then rename/re-add the snapshot's modes in order
+        const keep = new Set(snapshot.modes.map(mode => mode.modeId));
+        for (const mode of collection.modes.slice()) {
+          if (!keep.has(mode.modeId) && collection.modes.length > 1) {
+            collection.removeMode(mode.modeId);
+          }
+        }
+
+        for (let index = 0; index < snapshot.modes.length; index++) {
+          const mode = snapshot.modes[index];
+          const existing = collection.modes.find(m => m.modeId === mode.modeId);
+          if (existing) {
+            if (existing.name !== mode.name) collection.renameMode(mode.modeId, mode.name);
+          } else if (index === 0 && collection.modes.length === 1 && !keep.has(collection.modes[0].modeId)) {
+            // Recreated collection: its default mode stands in for the first snapshot mode
+            collection.renameMode(collection.modes[0].modeId, mode.name);
+          } else {
+            collection.addMode(mode.name);
+          }
+        }
+
+        restored.set(snapshot.id, collection);
+      });
+    }
+
+    return restored;
+  }
+
+  /**
+   * Map snapshot mode ids to current mode ids (identical unless the collection was recreated)
+   */
+  private mapModeIds(collections: Map<string, VariableCollection>): Map<string, string> {
+    const modeIds = new Map<string, string>();
+
+    for (const snapshot of this.collections) {
+      const collection = collections.get(snapshot.id);
+      if (!collection) continue;
+
+      for (const mode of snapshot.modes) {
+        const match = collection.modes.find(m => m.modeId === mode.modeId) || collection.modes.find(m => m.name === mode.name);
+        if (match) modeIds.set(mode.modeId, match.modeId);
+      }
+    }
+
+    return modeIds;
+  }
+
+  /**
+   * Remove new variables, recreate deleted ones and restore their properties and values
+   * Values are written in a second pass so aliases can point at recreated variables
+   *
+   * @returns Snapshot variable id -> current variable
+   */
+  private async restoreVariables(
+    collections: Map<string, VariableCollection>,
+    modeIds: Map<string, string>,
+    attempt: (label: string, action: () => void) => void
+  ): Promise<Map<string, Variable>> {
+    const current = await figma.variables.getLocalVariablesAsync();
+    const currentById = new Map(current.map(variable => [variable.id, variable]));
+    const snapshotIds = new Set(this.variables.map(snapshot => snapshot.id));
+    const restored = new Map<string, Variable>();
+
+    for (const variable of current) {
+      if (!snapshotIds.has(variable.id)) {
+        attempt(`remove variable ${variable.name}`, () => variable.remove());
+      }
+    }
+
+    for (const snapshot of this.variables) {
+      attempt(`restore variable ${snapshot.name}`, () => {
+        let variable = currentById.get(snapshot.id);
+
+        if (!variable) {
+          const collection = collections.get(snapshot.collectionId);
+          if (!collection) {
+            throw new Error('collection could not be restored');
+          }
+          variable = figma.variables.createVariable(snapshot.name, collection, snapshot.resolvedType);
+        } else if (variable.name !== snapshot.name) {
+          variable.name = snapshot.name;
+        }
+
+        variable.description = snapshot.description;
+        variable.scopes = snapshot.scopes;
+        variable.hiddenFromPublishing = snapshot.hiddenFromPublishing;
+        this.restoreCodeSyntax(variable, snapshot.codeSyntax);
+        this.restorePluginData(variable, snapshot.pluginData);
+        restored.set(snapshot.id, variable);
+      });
+    }
+
+    for (const snapshot of this.variables) {
+      const variable = restored.get(snapshot.id);
+      if (!variable) continue;
+
+      for (const modeId of Object.keys(snapshot.valuesByMode)) {
+        attempt(`restore value of ${snapshot.name}`, () => {
+          const targetModeId = modeIds.get(modeId) || modeId;
+          variable.setValueForMode(targetModeId, this.remapAlias(snapshot.valuesByMode[modeId], restored));
+        });
+      }
+    }
+
+    return restored;
+  }
+
+  /**
+   * Set the snapshot's code syntax and drop platforms the sync added
+   */
+  private restoreCodeSyntax(variable: Variable, codeSyntax: Partial<Record<CodeSyntaxPlatform, string>>): void {
+    if (typeof variable.setVariableCodeSyntax !== 'function') return;
+
+    const current = variable.codeSyntax || {};
+    for (const platform of CODE_SYNTAX_PLATFORMS) {
+      const value = codeSyntax[platform];
+      if (value !== undefined) {
+        if (current[platform] !== value) variable.setVariableCodeSyntax(platform, value);
+      } else if (current[platform] !== undefined) {
+        variable.removeVariableCodeSyntax(platform);
+      }
+    }
+  }
+
+  /**
+   * Set the snapshot's plugin data and clear keys the sync added
+   */
+  private restorePluginData(variable: Variable, pluginData: Record<string, string>): void {
+    if (typeof variable.setPluginData !== 'function') return;
+
+    for (const key of variable.getPluginDataKeys()) {
+      if (!(key in pluginData)) variable.setPluginData(key, '');
+    }
+    for (const key of Object.keys(pluginData)) {
+      variable.setPluginData(key, pluginData[key]);
+    }
+  }
+
+  /**
+   * Point aliases at the (possibly recreated) variable of the snapshot id
+   */
+  private remapAlias(value: VariableValue, variables: Map<string, Variable>): VariableValue {
+    if (typeof value === 'object' && value !== null && (value as VariableAlias).type === 'VARIABLE_ALIAS') {
+      const target = variables.get((value as VariableAlias).id);
+      if (target) {
+        return { type: 'VARIABLE_ALIAS', id: target.id };
+      }
+    }
+    return value;
+  }
+
+  /**
+   * Remove new styles, recreate deleted ones and restore their properties
+   * Text style bindings are restored last - writing a property unbinds its field
+   */
+  private async restoreStyles(variables: Map<string, Variable>, errors: string[]): Promise<void> {
+    const [textStyles, effectStyles, paintStyles] = await Promise.all([
+      figma.getLocalTextStylesAsync(),
+      figma.getLocalEffectStylesAsync(),
+      figma.getLocalPaintStylesAsync(),
+    ]);
+    const current: BaseStyle[] = [...textStyles, ...effectStyles, ...paintStyles];
+    const currentById = new Map(current.map(style => [style.id, style]));
+    const snapshotIds = new Set(this.styles.map(snapshot => snapshot.id));
+
+    for (const style of current) {
+      if (!snapshotIds.has(style.id)) {
+        try {
+          style.remove();
+        } catch (error) {
+          const message = error instanceof Error ? error.message : 'Unknown error';
+          errors.push(`remove style ${style.name}: ${message}`);
+        }
+      }
+    }
+
+    for (const snapshot of this.styles) {
+      try {
+        const style = currentById.get(snapshot.id) || this.createStyle(snapshot.kind);
+        style.name = snapshot.name;
+        style.description = snapshot.description;
+
+        if (snapshot.kind === 'text') {
+          const fontName = snapshot.properties.fontName as FontName;
+          await figma.loadFontAsync(fontName);
+          (style as TextStyle).fontName = fontName;
+        }
+
+        const target = style as unknown as Record<string, unknown>;
+        for (const property of Object.keys(snapshot.properties)) {
+          if (property !== 'fontName') {
+            target[property] = snapshot.properties[property];
+          }
+        }
+
+        if (snapshot.kind === 'text') {
+          this.restoreBoundVariables(style as TextStyle, snapshot.boundVariables, variables);
+        }
+      } catch (error) {
+        const message = error instanceof Error ? error.message : 'Unknown error';
+        errors.push(`restore style ${snapshot.name}: ${message}`);
+      }
+    }
+  }
+
+  /**
+   * Rebind text style fields to the snapshot's variables and unbind fields the sync bound
+   */
+  private restoreBoundVariables(
+    style: TextStyle,
+    boundVariables: Partial<Record<VariableBindableTextField, string>>,
+    variables: Map<string, Variable>
+  ): void {
+    if (typeof style.setBoundVariable !== 'function') return;
+
+    const current = style.boundVariables || {};
+    for (const field of TEXT_STYLE_BOUND_FIELDS) {
+      const variableId = boundVariables[field];
+      const currentAlias = current[field];
+
+      if (variableId) {
+        const variable = variables.get(variableId);
+        if (!variable) {
+          throw new Error(`variable bound to ${field} could not be restored`);
+        }
+        if (!currentAlias || currentAlias.id !== variable.id) style.setBoundVariable(field, variable);
+      } else if (currentAlias) {
+        style.setBoundVariable(field, null);
+      }
+    }
+  }
+
+  /**
+   * Create an empty local style of the given kind
+   */
+  private createStyle(kind: StyleKind): BaseStyle {
+    switch (kind) {
+      case 'text':
+        return figma.createTextStyle();
+      case 'effect':
+        return figma.createEffectStyle();
+      case 'paint':
+        return figma.createPaintStyle();
+    }
+  }
+
+  /**
+   * Capture the properties a sync may change on a style
+   */
+  private static snapshotStyle(style: TextStyle | EffectStyle | PaintStyle, kind: StyleKind): StyleSnapshot {
+    const properties: Record<string, unknown> = {};
+    const boundVariables: Partial<Record<VariableBindableTextField, string>> = {};
+
+    if (kind === 'text') {
+      const textStyle = style as TextStyle;
+      properties.fontName = SyncTransaction.clone(textStyle.fontName);
+      for (const property of TEXT_STYLE_PROPERTIES) {
+        properties[property] = SyncTransaction.clone((textStyle as unknown as Record<string, unknown>)[property]);
+      }
+      const bound = textStyle.boundVariables || {};
+      for (const field of TEXT_STYLE_BOUND_FIELDS) {
+        const alias = bound[field];
+        if (alias) boundVariables[field] = alias.id;
+      }
+    } else if (kind === 'effect') {
+      properties.effects = SyncTransaction.clone((style as EffectStyle).effects);
+    } else {
+      properties.paints = SyncTransaction.clone((style as PaintStyle).paints);
+    }
+
+    return { id: style.id, kind, name: style.name, description: style.description, properties, boundVariables };
+  }
+
+  /**
+   * Capture the plugin data of a variable (keys are read back to restore them)
+   */
+  private static snapshotPluginData(variable: Variable): Record<string, string> {
+    const pluginData: Record<string, string> = {};
+    if (typeof variable.getPluginDataKeys !== 'function') return pluginData;
+
+    for (const key of variable.getPluginDataKeys()) {
+      pluginData[key] = variable.getPluginData(key);
+    }
+    return pluginData;
+  }
+
+  /**
+   * Deep copy of plain API values (colors, aliases, paints, effects)
+   */
+  private static clone<T>(value: T): T {
+    return value === undefined ? value : JSON.parse(JSON.stringify(value));
+  }
+}
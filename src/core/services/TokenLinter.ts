@@ -0,0 +1,135 @@
+// ====================================================================================
+// TOKEN LINTER
+// Runs the registered lint rules over processed tokens and reports their findings
+// ====================================================================================
+
+import { Token, TokenValidation } from '../models/Token';
+import { ITokenLintRule, LintContext } from '../interfaces/ITokenLintRule';
+import { TokenLintRuleRegistry } from '../registries/TokenLintRuleRegistry';
+import { LintConfig, LintIssue, LintReport, LintRuleConfig, LintRuleInfo } from '../../shared/types';
+
+/**
+ * TokenLinter - Checks tokens against the project's conventions
+ *
+ * Runs after TokenProcessor.processTokenData (and alias resolution when tokens are
+ * synced). Every rule not switched off checks every token; its messages become issues
+ * with the rule's severity and are attached to the token as validation.
+ *
+ * Principles:
+ * - Strategy Pattern: Rules are ITokenLintRule implementations
+ * - Open/Closed: New rules are registered, the linter does not change
+ * - Configuration over code: Severity and options come from the project's LintConfig
+ *
+ * Usage:
+ * ```typescript
+ * const linter = new TokenLinter();
+ * const report = linter.lint(tokens, config);
+ * // report.issues, report.counts; tokens[i].validation is set
+ * ```
+ */
+export class TokenLinter {
+  private rules: ITokenLintRule[] | null;
+
+  /**
+   * @param rules - Rules to run (defaults to every rule in TokenLintRuleRegistry at lint time)
+   */
+  constructor(rules?: ITokenLintRule[]) {
+    this.rules = rules || null;
+  }
+
+  /**
+   * List the rules with their effective configuration
+   *
+   * @param config - Project lint config (null for defaults)
+   */
+  getRules(config?: LintConfig | null): LintRuleInfo[] {
+    return this.getRuleList().map(rule => this.describe(rule, this.resolveConfig(rule, config)));
+  }
+
+  /**
+   * Lint tokens and attach the findings to each token's validation
+   *
+   * @param tokens - Tokens to lint
+   * @param config - Project lint config (null for defaults)
+   * @returns Issues of every rule, errors before warnings
+   */
+  lint(tokens: Token[], config?: LintConfig | null): LintReport {
+    const rules = this.getRuleList().map(rule => ({ rule, config: this.resolveConfig(rule, config) }));
+    const context: LintContext = {
+      tokensById: new Map(tokens.map(token => [token.id, token] as [string, Token])),
+    };
+
+    const issues: LintIssue[] = [];
+
+    for (const token of tokens) {
+      const validation: TokenValidation = { isValid: true, errors: [], warnings: [] };
+
+      for (const { rule, config: ruleConfig } of rules) {
+        const severity = ruleConfig.severity;
+        if (severity === 'off') continue;
+
+        for (const message of this.runRule(rule, token, context, ruleConfig.options || {})) {
+          issues.push({
+            tokenId: token.id,
+            qualifiedName: token.qualifiedName,
+            file: token.source.location,
+            collection: token.collection,
+            ruleId: rule.getId(),
+            severity,
+            message,
+          });
+          (severity === 'error' ? validation.errors : validation.warnings).push(`${rule.getId()}: ${message}`);
+        }
+      }
+
+      validation.isValid = validation.errors.length === 0;
+      token.validation = validation;
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error');
+    const warnings = issues.filter(issue => issue.severity === 'warning');
+
+    return {
+      issues: errors.concat(warnings),
+      counts: { error: errors.length, warning: warnings.length },
+      tokenCount: tokens.length,
+      rules: rules.map(({ rule, config: ruleConfig }) => this.describe(rule, ruleConfig)),
+    };
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  private getRuleList(): ITokenLintRule[] {
+    return this.rules || TokenLintRuleRegistry.getAll();
+  }
+
+  private describe(rule: ITokenLintRule, config: LintRuleConfig): LintRuleInfo {
+    return { id: rule.getId(), description: rule.getDescription(), config };
+  }
+
+  /**
+   * Rule defaults overridden by the project config (options merge key by key)
+   */
+  private resolveConfig(rule: ITokenLintRule, config?: LintConfig | null): LintRuleConfig {
+    const defaults = rule.getDefaultConfig();
+    const override = config && config.rules ? config.rules[rule.getId()] : undefined;
+
+    return {
+      severity: override && override.severity ? override.severity : defaults.severity,
+      options: { ...(defaults.options || {}), ...((override && override.options) || {}) },
+    };
+  }
+
+  /**
+   * Run one rule; a rule that throws reports the failure instead of aborting the lint
+   */
+  private runRule(rule: ITokenLintRule, token: Token, context: LintContext, options: Record<string, unknown>): string[] {
+    try {
+      return rule.check(token, context, options);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[TokenLinter] Rule ${rule.getId()} failed on ${token.qualifiedName}:`, error);
+      return [`Rule failed: ${message}`];
+    }
+  }
+}
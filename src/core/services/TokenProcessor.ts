@@ -4,12 +4,15 @@
 // ====================================================================================
 
 import { Token, TokenType, TokenStatus, TokenSource } from '../models/Token';
-import { ProcessedToken, TokenData } from '../../shared/types';
+import { ProcessedToken, TokenData, ImportMatrixConfig, ImportMatrixRule } from '../../shared/types';
 import { ITokenFormatStrategy } from '../interfaces/ITokenFormatStrategy';
 import { TokenFormatRegistry } from '../registries/TokenFormatRegistry';
 import { Result, Success, Failure } from '../../shared/types';
 import { deepClone } from '../../shared/utils';
+import { GlobMatcher } from '../../utils/GlobMatcher';
 import { isFeatureEnabled } from '../config/FeatureFlags';
+import { TokensStudioFormatStrategy } from '../adapters/TokensStudioFormatStrategy';
+import { TokenResolver } from './TokenResolver';
 
 /**
  * Token processing options
@@ -35,7 +38,7 @@ export interface ProcessingOptions {
  *
  * Architecture:
  * - Bridges format strategies (W3C, Style Dictionary) to Token model
- * - Generates stable IDs for tokens
+ * - Generates stable IDs for tokens (scoped by brand/theme when set)
  * - Infers collection from file paths if not specified
  * - Preserves format-specific metadata in extensions
  *
@@ -87,6 +90,8 @@ export class TokenProcessor {
 
   /**
    * Process multiple token files
+   * Tokens Studio repositories ($themes.json / $metadata.json next to set files)
+   * are merged into one document so set order and themes apply across files
    *
    * @param files - Array of {data, collection} objects
    * @param options - Processing options
@@ -99,13 +104,14 @@ export class TokenProcessor {
     try {
       const allTokens: Token[] = [];
 
-      for (const file of files) {
+      for (const file of this.mergeTokensStudioSets(files)) {
         // Infer collection from file path if not specified
         const collection = file.collection || this.inferCollectionFromPath(file.filePath);
 
         const result = await this.processTokenData(file.data, {
           ...options,
           collection,
+          sourceLocation: file.filePath || options.sourceLocation,
         });
 
         if (result.success && result.data) {
@@ -127,8 +133,140 @@ export class TokenProcessor {
     }
   }
 
+  /**
+   * Process files through a brand × theme import matrix
+   * Each file takes brand/theme/collection from the first matching rule;
+   * unmatched files are shared sets (collection inferred from path, no dimensions).
+   * Brands become collections (unless a rule names one) and themes become modes.
+   *
+   * @param files - Array of {data, filePath} objects
+   * @param matrix - Glob rules mapping files to dimensions
+   * @param options - Processing options (brand/theme/collection are overridden per file)
+   * @returns Combined array of tokens with aliases linked across dimensions
+   */
+  async processMatrixFiles(
+    files: Array<{ data: TokenData; filePath: string }>,
+    matrix: ImportMatrixConfig,
+    options: ProcessingOptions
+  ): Promise<Result<Token[]>> {
+    try {
+      const allTokens: Token[] = [];
+
+      for (const file of files) {
+        const dimensions = this.resolveMatrixDimensions(file.filePath, matrix.rules || []);
+
+        const result = await this.processTokenData(file.data, {
+          ...options,
+          brand: dimensions ? dimensions.brand : undefined,
+          theme: dimensions ? dimensions.theme : undefined,
+          collection: (dimensions && dimensions.collection) || this.inferCollectionFromPath(file.filePath),
+          sourceLocation: file.filePath,
+        });
+
+        if (result.success && result.data) {
+          allTokens.push(...result.data);
+        } else {
+          console.warn(`[TokenProcessor] Failed to process matrix file ${file.filePath}: ${result.error}`);
+        }
+      }
+
+      if (allTokens.length === 0) {
+        return Failure('No tokens could be processed from the provided files');
+      }
+
+      this.linkMatrixAliases(allTokens, options.projectId);
+
+      return Success(allTokens);
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.error(`[TokenProcessor] Failed to process matrix files: ${message}`);
+      return Failure(message);
+    }
+  }
+
   // ==================== PRIVATE METHODS ====================
 
+  /**
+   * Resolve brand/theme/collection for a file from the first matching rule
+   */
+  private resolveMatrixDimensions(
+    filePath: string,
+    rules: ImportMatrixRule[]
+  ): { brand?: string; theme?: string; collection?: string } | null {
+    for (const rule of rules) {
+      const captures = GlobMatcher.match(rule.pattern, filePath);
+      if (!captures) continue;
+
+      const fill = (value: string | undefined): string | undefined =>
+        value ? value.replace(/\{(\w+)\}/g, (match, name) => captures[name] || match) : undefined;
+
+      const brand = fill(rule.brand) || captures.brand;
+      const theme = fill(rule.theme) || captures.theme;
+      const collection = fill(rule.collection) || captures.collection || brand;
+
+      return { brand, theme, collection };
+    }
+
+    return null;
+  }
+
+  /**
+   * Point aliases at the most specific existing target
+   * Lookup order: same brand + theme, same brand, same theme, shared set
+   */
+  private linkMatrixAliases(tokens: Token[], projectId: string): void {
+    const ids = new Set(tokens.map(t => t.id));
+
+    for (const token of tokens) {
+      if (!token.aliasTo || typeof token.rawValue !== 'string') continue;
+
+      const match = token.rawValue.trim().match(/^\{([^}]+)\}$/);
+      if (!match) continue;
+
+      const path = match[1].split('.');
+      const candidates = [
+        this.generateTokenId(projectId, path, token.brand, token.theme),
+        this.generateTokenId(projectId, path, token.brand),
+        this.generateTokenId(projectId, path, undefined, token.theme),
+        this.generateTokenId(projectId, path),
+      ];
+
+      const target = candidates.find(id => ids.has(id));
+      if (target) {
+        token.aliasTo = target;
+      }
+    }
+  }
+
+  /**
+   * Replace a Tokens Studio multi-file layout with a single merged document
+   * Files outside the folder holding $themes.json / $metadata.json are left untouched
+   */
+  private mergeTokensStudioSets(
+    files: Array<{ data: TokenData; collection?: string; filePath?: string }>
+  ): Array<{ data: TokenData; collection?: string; filePath?: string }> {
+    const metaFile = files.find(file => TokensStudioFormatStrategy.isMetaFile(file.filePath));
+    if (!metaFile) {
+      return files;
+    }
+
+    const metaPath = metaFile.filePath!;
+    const root = metaPath.slice(0, metaPath.lastIndexOf('/') + 1);
+    const setFiles = files.filter(file => !!file.filePath && file.filePath.startsWith(root));
+    const otherFiles = files.filter(file => setFiles.indexOf(file) === -1);
+
+    const merged = {
+      data: TokensStudioFormatStrategy.mergeTokenSetFiles(
+        setFiles.map(file => ({ path: file.filePath!, data: file.data }))
+      ),
+      collection: metaFile.collection,
+      // The set folder names the collection (e.g. tokens/ -> "tokens"); repo root -> default
+      filePath: root ? root.slice(0, -1) : undefined,
+    };
+
+    return [merged, ...otherFiles];
+  }
+
   /**
    * Convert ProcessedToken[] to Token[]
    */
@@ -142,7 +280,7 @@ export class TokenProcessor {
 
     for (const pt of processed) {
       // Generate stable token ID
-      const id = this.generateTokenId(options.projectId, pt.path);
+      const id = this.generateTokenId(options.projectId, pt.path, options.brand, options.theme);
 
       // Build qualified name
       const qualifiedName = pt.path.join('.');
@@ -166,8 +304,8 @@ export class TokenProcessor {
         commit: options.sourceCommit,
       };
 
-      // Determine collection
-      const collection = options.collection || 'default';
+      // Determine collection (formats with their own grouping name it per token)
+      const collection = pt.collection || options.collection || 'default';
 
       // Get format name
       const formatInfo = strategy.getFormatInfo();
@@ -183,31 +321,56 @@ export class TokenProcessor {
         rawValue: deepClone(pt.originalValue !== undefined ? pt.originalValue : pt.value),
         value: deepClone(pt.value),
         resolvedValue: isAlias ? undefined : deepClone(pt.value),
-        aliasTo: aliasTo ? this.generateTokenId(options.projectId, aliasTo.split('.')) : undefined,
+        aliasTo: aliasTo ? this.generateAliasId(aliasTo, options) : undefined,
         projectId: options.projectId,
         collection,
         theme: options.theme,
         brand: options.brand,
         sourceFormat,
         source,
-        extensions: {},
+        extensions: pt.extensions ? { w3c: deepClone(pt.extensions) } : {},
         tags: this.inferTags(pt.path, pt.type),
-        status: 'active' as TokenStatus,
+        status: (pt.deprecated === true || typeof pt.deprecated === 'string' ? 'deprecated' : 'active') as TokenStatus,
         created: now,
         lastModified: now,
       };
 
+      if (pt.description) {
+        token.description = pt.description;
+      }
+      if (pt.groupDescription) {
+        token.groupDescription = pt.groupDescription;
+      }
+      if (typeof pt.deprecated === 'string' && pt.deprecated) {
+        token.deprecationMessage = pt.deprecated;
+      }
+
       tokens.push(token);
     }
 
     return tokens;
   }
 
+  /**
+   * Generate the token ID an alias points to
+   * {project::path} references point into the named project
+   */
+  private generateAliasId(reference: string, options: ProcessingOptions): string {
+    const projectReference = TokenResolver.parseProjectReference(reference);
+    const projectId = projectReference ? projectReference.projectId : options.projectId;
+    const path = projectReference ? projectReference.path : reference;
+
+    return this.generateTokenId(projectId, path.split('.'), options.brand, options.theme);
+  }
+
   /**
    * Generate stable token ID
+   * Brand/theme are part of the key so the same path can exist once per dimension
    */
-  private generateTokenId(projectId: string, path: string[]): string {
-    const key = `${projectId}:${path.join('.')}`;
+  private generateTokenId(projectId: string, path: string[], brand?: string, theme?: string): string {
+    let key = `${projectId}:${path.join('.')}`;
+    if (brand) key += `@brand:${brand}`;
+    if (theme) key += `@theme:${theme}`;
     return this.simpleHash(key);
   }
 
@@ -242,6 +405,7 @@ export class TokenProcessor {
       spacing: 'spacing',
       shadow: 'shadow',
       border: 'border',
+      gradient: 'gradient',
       duration: 'duration',
       cubicbezier: 'cubicBezier',
       number: 'number',
@@ -276,6 +440,7 @@ export class TokenProcessor {
 
     if (normalized.includes('w3c')) return 'w3c';
     if (normalized.includes('style') && normalized.includes('dictionary')) return 'style-dictionary';
+    if (normalized.includes('tokens studio')) return 'tokens-studio';
     if (normalized.includes('figma')) return 'figma';
 
     return 'custom';
@@ -6,6 +6,11 @@
 import { Token, TokenValue } from '../models/Token';
 import { TokenRepository } from './TokenRepository';
 import { Result, Success, Failure } from '../../shared/types';
+import { PROJECT_REFERENCE_SEPARATOR } from '../../shared/constants';
+import { MathExpression } from '../../utils/MathExpression';
+
+// {path.to.token} inside a larger value, e.g. "{spacing.base} * 2"
+const EMBEDDED_REFERENCE_PATTERN = /\{([^{}]+)\}/g;
 
 /**
  * Circular reference detection result
@@ -15,6 +20,24 @@ export interface CircularReference {
   paths: string[][]; // Human-readable paths for each token in cycle
 }
 
+/**
+ * Reference qualified with the project it points into: {core::color.blue.500}
+ */
+export interface ProjectReference {
+  projectId: string;
+  path: string; // Token path within that project
+}
+
+/**
+ * Math expression that could not be evaluated while resolving a token
+ */
+export interface ExpressionError {
+  tokenId: string;
+  qualifiedName: string;
+  expression: string;
+  error: string;
+}
+
 /**
  * Resolution statistics for monitoring performance
  */
@@ -45,6 +68,15 @@ export interface ResolutionStats {
  * 1. Exact match: Fast path for exact token references
  * 2. Normalized: Handles slash/dot conversion (color.primary vs color/primary)
  * 3. Fuzzy: Expensive fallback with partial matching
+ *
+ * Cross-project references (off until setCrossProjectRefs(true)):
+ * - {project::path} resolves in the named project, e.g. a product's semantic layer on a shared core
+ * - Unqualified aliases that end up in another project are still reported, not resolved
+ *
+ * Math expressions ("{spacing.base} * 2", "calc({size.md} + 4px)", "roundTo({font.scale} ^ 3)"):
+ * - Evaluated with MathExpression after the tokens they reference, also inside composite values
+ * - The written expression is kept in token.expression, the result becomes the resolved value
+ * - Failures are collected per token (getExpressionErrors()) and leave the expression unresolved
  */
 export class TokenResolver {
   private repository: TokenRepository;
@@ -54,6 +86,12 @@ export class TokenResolver {
   private normalizedCache: Map<string, Token | null> = new Map();
   private fuzzyCache: Map<string, Token | null> = new Map();
 
+  // Expression failures of the last resolveAllTokens() run
+  private expressionErrors: ExpressionError[] = [];
+
+  // {project::path} references resolve (ProjectSettings.crossProjectRefs)
+  private crossProjectRefs = false;
+
   // Statistics
   private stats: ResolutionStats = {
     totalResolutions: 0,
@@ -71,11 +109,17 @@ export class TokenResolver {
   /**
    * Resolve a single token reference to its target token
    *
-   * @param reference - Reference string (e.g., "color.primary", "{color.primary}")
+   * @param reference - Reference string (e.g., "color.primary", "{color.primary}", "{core::color.primary}")
    * @param projectId - Project context for resolution
    * @returns Resolved token or null
    */
   resolveReference(reference: string, projectId: string): Token | null {
+    // {project::path} looks the path up in the referenced project
+    const projectReference = TokenResolver.parseProjectReference(reference);
+    if (projectReference) {
+      return this.resolveProjectReference(projectReference);
+    }
+
     this.stats.totalResolutions++;
 
     // Clean reference (remove braces if present)
@@ -151,6 +195,7 @@ export class TokenResolver {
     try {
       const tokens = this.repository.getByProject(projectId);
       const resolved = new Map<string, TokenValue>();
+      this.expressionErrors = [];
 
       // Build dependency graph (validates project boundaries)
       const graph = this.buildDependencyGraph(tokens, projectId);
@@ -173,7 +218,7 @@ export class TokenResolver {
 
         if (token.aliasTo) {
           // Resolve alias
-          const target = this.repository.get(token.aliasTo);
+          const target = this.resolveAliasTarget(token);
 
           // Validate target exists and is in the same project
           if (target && target.projectId === projectId) {
@@ -183,6 +228,11 @@ export class TokenResolver {
 
             // Update token's resolvedValue
             token.resolvedValue = targetValue;
+          } else if (target && this.isProjectReference(token)) {
+            // Explicit {project::path} reference - the other project was resolved on its own
+            const targetValue = target.resolvedValue !== undefined ? target.resolvedValue : target.value;
+            resolved.set(token.id, targetValue);
+            token.resolvedValue = targetValue;
           } else if (target && target.projectId !== projectId) {
             // Cross-project reference - log warning but don't resolve
             console.warn(
@@ -199,6 +249,14 @@ export class TokenResolver {
             resolved.set(token.id, token.value);
             this.stats.unresolvedReferences++;
           }
+        } else if (TokenResolver.isExpression(token.value)) {
+          // Math expression - its references were resolved first
+          const value = this.evaluateValue(token, token.value, resolved) as TokenValue;
+          if (typeof token.value === 'string') {
+            token.expression = token.value;
+          }
+          resolved.set(token.id, value);
+          token.resolvedValue = value;
         } else {
           // Not an alias, use direct value
           resolved.set(token.id, token.value);
@@ -248,6 +306,92 @@ export class TokenResolver {
     return crossProjectRefs;
   }
 
+  /**
+   * Expressions that failed in the last resolveAllTokens() run, one entry per expression
+   */
+  getExpressionErrors(): ExpressionError[] {
+    return this.expressionErrors.slice();
+  }
+
+  /**
+   * Whether a value, or a property of a composite value, is a math expression
+   * References count as numbers: "{spacing.base} * 2" is one, "{spacing.base}" is not
+   *
+   * @param value - Token value
+   */
+  static isExpression(value: unknown): boolean {
+    if (typeof value === 'string') {
+      return MathExpression.isExpression(value.replace(EMBEDDED_REFERENCE_PATTERN, '1'));
+    }
+
+    if (typeof value === 'object' && value !== null) {
+      return Object.keys(value).some(key => TokenResolver.isExpression((value as Record<string, unknown>)[key]));
+    }
+
+    return false;
+  }
+
+  /**
+   * Split a {project::path} reference into project and path
+   *
+   * @param reference - Reference with or without braces
+   * @returns Project reference, or null for references within the current project
+   */
+  static parseProjectReference(reference: string): ProjectReference | null {
+    if (typeof reference !== 'string') {
+      return null;
+    }
+
+    let cleaned = reference.trim();
+    if (cleaned.startsWith('{') && cleaned.endsWith('}')) {
+      cleaned = cleaned.slice(1, -1).trim();
+    }
+
+    const separator = cleaned.indexOf(PROJECT_REFERENCE_SEPARATOR);
+    if (separator <= 0) {
+      return null;
+    }
+
+    const projectId = cleaned.slice(0, separator).trim();
+    const path = cleaned.slice(separator + PROJECT_REFERENCE_SEPARATOR.length).trim();
+    return projectId && path ? { projectId, path } : null;
+  }
+
+  /**
+   * Projects referenced through {project::path} by the given tokens (values and mode values)
+   *
+   * @param tokens - Tokens to scan
+   * @returns Referenced project ids other than the tokens' own
+   */
+  static findReferencedProjects(tokens: Token[]): string[] {
+    const projects = new Set<string>();
+
+    const scan = (value: unknown, ownProject: string) => {
+      if (typeof value === 'string') {
+        const pattern = /\{([^}]+)\}/g;
+        let match: RegExpExecArray | null;
+        while ((match = pattern.exec(value)) !== null) {
+          const reference = TokenResolver.parseProjectReference(match[1]);
+          if (reference && reference.projectId !== ownProject) {
+            projects.add(reference.projectId);
+          }
+        }
+      } else if (typeof value === 'object' && value !== null) {
+        Object.keys(value).forEach(key => scan((value as Record<string, unknown>)[key], ownProject));
+      }
+    };
+
+    for (const token of tokens) {
+      scan(token.value, token.projectId);
+      const w3c = token.extensions && token.extensions.w3c;
+      if (w3c && w3c.mode) {
+        scan(w3c.mode, token.projectId);
+      }
+    }
+
+    return Array.from(projects);
+  }
+
   /**
    * Clear all caches
    * Useful after token updates
@@ -279,8 +423,125 @@ export class TokenResolver {
     };
   }
 
+  /**
+   * Turn resolution of {project::path} references on or off
+   */
+  setCrossProjectRefs(enabled: boolean): void {
+    this.crossProjectRefs = enabled;
+  }
+
   // ==================== PRIVATE METHODS ====================
 
+  /**
+   * Resolve a {project::path} reference (unresolved while cross-project references are off)
+   */
+  private resolveProjectReference(reference: ProjectReference): Token | null {
+    if (!this.crossProjectRefs) {
+      console.warn(
+        `[TokenResolver] Cross-project reference ignored (cross-project references disabled): ` +
+        `${reference.projectId}${PROJECT_REFERENCE_SEPARATOR}${reference.path}`
+      );
+      this.stats.unresolvedReferences++;
+      return null;
+    }
+
+    return this.resolveReference(reference.path, reference.projectId);
+  }
+
+  /**
+   * Whether a token's value is an explicit {project::path} reference that may be resolved
+   */
+  private isProjectReference(token: Token): boolean {
+    return (
+      this.crossProjectRefs &&
+      typeof token.value === 'string' &&
+      TokenResolver.parseProjectReference(token.value) !== null
+    );
+  }
+
+  /**
+   * Find the token an alias points to
+   * The id of a cross-project alias is derived from the referencing token's brand/theme;
+   * when the other project has no such token, it is looked up by path and the alias relinked
+   */
+  private resolveAliasTarget(token: Token): Token | undefined {
+    const target = this.repository.get(token.aliasTo!);
+    if (target || !this.isProjectReference(token)) {
+      return target;
+    }
+
+    const relinked = this.resolveReference(token.value as string, token.projectId);
+    if (relinked) {
+      this.repository.update(token.id, { aliasTo: relinked.id });
+      token.aliasTo = relinked.id;
+    }
+
+    return relinked || undefined;
+  }
+
+  /**
+   * Evaluate the expressions in a value, keeping the rest of a composite value as is
+   * An expression that fails is reported and kept as written
+   */
+  private evaluateValue(token: Token, value: unknown, resolved: Map<string, TokenValue>): unknown {
+    if (Array.isArray(value)) {
+      return value.map(item => this.evaluateValue(token, item, resolved));
+    }
+
+    if (typeof value === 'object' && value !== null) {
+      const result: Record<string, unknown> = {};
+      for (const key of Object.keys(value)) {
+        result[key] = this.evaluateValue(token, (value as Record<string, unknown>)[key], resolved);
+      }
+      return result;
+    }
+
+    if (typeof value !== 'string' || !TokenResolver.isExpression(value)) {
+      return value;
+    }
+
+    try {
+      const substituted = value.replace(EMBEDDED_REFERENCE_PATTERN, (_match, reference: string) =>
+        `(${this.toOperand(reference, token, resolved)})`
+      );
+      return MathExpression.format(MathExpression.evaluate(substituted));
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      console.warn(`[TokenResolver] Could not evaluate ${token.qualifiedName} = "${value}": ${message}`);
+      this.expressionErrors.push({ tokenId: token.id, qualifiedName: token.qualifiedName, expression: value, error: message });
+      return value;
+    }
+  }
+
+  /**
+   * Resolved value of a reference inside an expression, written as a number or dimension
+   *
+   * @throws Error when the reference is missing or not numeric
+   */
+  private toOperand(reference: string, token: Token, resolved: Map<string, TokenValue>): string {
+    const target = this.resolveReference(reference, token.projectId);
+    if (!target) {
+      throw new Error(`Unresolved reference {${reference}}`);
+    }
+
+    const value = resolved.has(target.id)
+      ? resolved.get(target.id)
+      : target.resolvedValue !== undefined ? target.resolvedValue : target.value;
+
+    if (typeof value === 'number') {
+      return String(value);
+    }
+    if (typeof value === 'string' && !TokenResolver.isExpression(value) && value.indexOf('{') === -1) {
+      return value.trim();
+    }
+    if (typeof value === 'object' && value !== null && typeof (value as { value?: unknown }).value === 'number') {
+      const { value: amount, unit } = value as { value: number; unit?: unknown };
+      return `${amount}${typeof unit === 'string' ? unit : ''}`;
+    }
+
+    throw new Error(`{${reference}} is not a number or dimension: ${JSON.stringify(value)}`);
+  }
+
   /**
    * Clean reference string (remove braces, trim)
    */
@@ -358,7 +619,18 @@ export class TokenResolver {
         graph.set(token.id, []);
       }
 
-      if (token.aliasTo) {
+      // Expressions depend on every token they reference
+      if (!token.aliasTo && TokenResolver.isExpression(token.value)) {
+        for (const reference of this.findReferences(token.value)) {
+          const target = this.resolveReference(reference, projectId);
+          if (target && target.projectId === projectId && target.id !== token.id) {
+            graph.get(token.id)!.push(target.id);
+          }
+        }
+      }
+
+      // Explicit {project::path} references resolve outside this project's graph
+      if (token.aliasTo && !this.isProjectReference(token)) {
         // Validate that the target is in the same project
         const target = this.repository.get(token.aliasTo);
         if (target && target.projectId === projectId) {
@@ -383,6 +655,29 @@ export class TokenResolver {
     return graph;
   }
 
+  /**
+   * References embedded anywhere in a value
+   */
+  private findReferences(value: unknown): string[] {
+    if (typeof value === 'string') {
+      const references: string[] = [];
+      value.replace(EMBEDDED_REFERENCE_PATTERN, (match, reference: string) => {
+        references.push(reference);
+        return match;
+      });
+      return references;
+    }
+
+    if (typeof value === 'object' && value !== null) {
+      return Object.keys(value).reduce(
+        (all, key) => all.concat(this.findReferences((value as Record<string, unknown>)[key])),
+        [] as string[]
+      );
+    }
+
+    return [];
+  }
+
   /**
    * Detect cycles in dependency graph using DFS
    */
@@ -0,0 +1,87 @@
+// ====================================================================================
+// BORDER VISUALIZER
+// Renders border tokens as rectangles stroked with the border
+// ====================================================================================
+
+import { ITokenVisualizer } from '../interfaces/ITokenVisualizer';
+import { TokenMetadata } from '../../shared/types';
+import { DOCUMENTATION_LAYOUT_CONFIG, validateVisualizationDimensions } from '../../shared/documentation-config';
+import { converters } from '../converters';
+
+/**
+ * Widest stroke drawn, so thick borders don't swallow the sample
+ */
+const MAX_STROKE_WEIGHT = 12;
+
+/**
+ * BorderVisualizer - Renders border tokens as stroked rectangles
+ *
+ * Principles:
+ * - Single Responsibility: Only handles border visualization
+ * - Strategy Pattern: Implements ITokenVisualizer
+ *
+ * Visual output:
+ * - 80x48 white rectangle with the border's color, width and dash pattern as its stroke
+ * - Centered in the cell
+ * - Gray hairline when the border can't be converted (e.g. an unresolved reference)
+ */
+export class BorderVisualizer implements ITokenVisualizer {
+  getType(): string {
+    return 'border';
+  }
+
+  canVisualize(token: TokenMetadata): boolean {
+    return token.type === 'border';
+  }
+
+  renderVisualization(
+    token: TokenMetadata,
+    width: number,
+    height: number
+  ): FrameNode {
+    // Validate dimensions before creating container
+    const dims = validateVisualizationDimensions(width, height);
+
+    const container = figma.createFrame();
+    container.name = `viz-${token.name}`;
+    container.fills = [];
+    container.clipsContent = false;
+
+    // Auto-layout for centering with AUTO height (hug contents)
+    container.layoutMode = 'HORIZONTAL';
+    container.primaryAxisSizingMode = 'FIXED';
+    container.counterAxisSizingMode = 'AUTO'; // Hug contents height
+    container.primaryAxisAlignItems = 'CENTER';
+    container.counterAxisAlignItems = 'CENTER';
+    container.paddingLeft = DOCUMENTATION_LAYOUT_CONFIG.visualization.padding;
+    container.paddingRight = DOCUMENTATION_LAYOUT_CONFIG.visualization.padding;
+    container.paddingTop = DOCUMENTATION_LAYOUT_CONFIG.visualization.padding;
+    container.paddingBottom = DOCUMENTATION_LAYOUT_CONFIG.visualization.padding;
+
+    const rectangle = figma.createRectangle();
+    rectangle.resize(80, 48);
+    rectangle.cornerRadius = 4;
+    rectangle.fills = [{ type: 'SOLID', color: { r: 1, g: 1, b: 1 } }];
+    rectangle.strokeAlign = 'INSIDE';
+
+    const border = converters.border.toFigma(token.value);
+    if (border.success) {
+      const { color, width: strokeWidth, dashPattern, strokeCap } = border.data!;
+      rectangle.strokes = [{ type: 'SOLID', color: { r: color.r, g: color.g, b: color.b }, opacity: color.a }];
+      rectangle.strokeWeight = Math.min(strokeWidth, MAX_STROKE_WEIGHT);
+      rectangle.dashPattern = dashPattern;
+      rectangle.strokeCap = strokeCap;
+    } else {
+      console.warn(`[BorderVisualizer] Cannot render ${token.name}: ${border.error}`);
+      rectangle.strokes = [{ type: 'SOLID', color: { r: 0.8, g: 0.8, b: 0.8 } }];
+      rectangle.strokeWeight = 1;
+    }
+
+    container.appendChild(rectangle);
+
+    // Set width AFTER adding children so height can auto-adjust
+    container.resize(dims.width, container.height);
+
+    return container;
+  }
+}
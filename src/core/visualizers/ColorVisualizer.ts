@@ -6,6 +6,7 @@
 import { ITokenVisualizer } from '../interfaces/ITokenVisualizer';
 import { TokenMetadata } from '../../shared/types';
 import { DOCUMENTATION_LAYOUT_CONFIG, validateVisualizationDimensions } from '../../shared/documentation-config';
+import { converters } from '../converters';
 
 /**
  * ColorVisualizer - Renders color tokens as colored squares
@@ -146,6 +147,13 @@ export class ColorVisualizer implements ITokenVisualizer {
       }
     }
 
+    // Wide-gamut and CSS Color 4 formats (oklch(), color(display-p3 …), DTCG color spaces)
+    const converted = converters.color.toRGB(value);
+    if (converted.success) {
+      const { r, g, b } = converted.data!;
+      return { r, g, b };
+    }
+
     // If we get here, something went wrong - throw error for better debugging
     throw new Error(`Unable to parse color value: ${JSON.stringify(value)}`);
   }
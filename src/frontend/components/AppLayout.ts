@@ -5,7 +5,7 @@
 
 import { BaseComponent } from './BaseComponent';
 import { AppState } from '../state/AppState';
-import { ScreenType } from '../../shared/types';
+import { ScreenType, ProjectSummary } from '../../shared/types';
 
 /**
  * AppLayout component
@@ -20,14 +20,24 @@ export class AppLayout extends BaseComponent {
   private scopesTab!: HTMLButtonElement;
   private documentationTab!: HTMLButtonElement;
   private switchSourceBtn!: HTMLButtonElement;
+  private projectBtn!: HTMLButtonElement;
+  private lintBtn!: HTMLButtonElement;
+  private contrastBtn!: HTMLButtonElement;
+  private exportBtn!: HTMLButtonElement;
   private syncBtn!: HTMLButtonElement;
   private pullChangesBtn!: HTMLButtonElement;
+  private proposeBtn!: HTMLButtonElement;
   private changeIndicator!: HTMLSpanElement;
   private lastUpdatedText!: HTMLDivElement;
 
   // Callbacks for button actions (set by screens)
   public onSync: (() => void) | null = null;
   public onPull: (() => void) | null = null;
+  public onExport: (() => void) | null = null;
+  public onLint: (() => void) | null = null;
+  public onContrast: (() => void) | null = null;
+  public onPropose: (() => void) | null = null;
+  public onCancelSync: (() => void) | null = null;
 
   constructor(state: AppState) {
     super(state);
@@ -46,7 +56,13 @@ export class AppLayout extends BaseComponent {
           <button class="app-tab" id="app-scopes-tab">Scopes</button>
           <button class="app-tab" id="app-documentation-tab">Documentation</button>
         </div>
-        <button class="btn-switch-source" id="app-switch-source-btn">Switch source</button>
+        <div class="app-top-actions">
+          <button class="btn-switch-source" id="app-project-btn" title="Manage the token projects syncing into this file">Project</button>
+          <button class="btn-switch-source hidden" id="app-lint-btn" title="Check the token files against the project's lint rules">Lint</button>
+          <button class="btn-switch-source" id="app-contrast-btn" title="Check the contrast of foreground/background color pairs">Contrast</button>
+          <button class="btn-switch-source" id="app-export-btn" title="Download Figma variables as W3C token JSON">Export JSON</button>
+          <button class="btn-switch-source" id="app-switch-source-btn">Switch source</button>
+        </div>
       </div>
 
       <!-- Content Area (screens will mount here) -->
@@ -59,6 +75,7 @@ export class AppLayout extends BaseComponent {
           Pull changes
           <span class="badge badge-info hidden" id="app-change-indicator"></span>
         </button>
+        <button class="btn btn-secondary hidden" id="app-propose-btn" title="Commit Figma variables to a new branch and open a pull request">Propose changes</button>
       </div>
     `;
 
@@ -70,8 +87,13 @@ export class AppLayout extends BaseComponent {
     this.scopesTab = layout.querySelector('#app-scopes-tab')!;
     this.documentationTab = layout.querySelector('#app-documentation-tab')!;
     this.switchSourceBtn = layout.querySelector('#app-switch-source-btn')!;
+    this.projectBtn = layout.querySelector('#app-project-btn')!;
+    this.lintBtn = layout.querySelector('#app-lint-btn')!;
+    this.contrastBtn = layout.querySelector('#app-contrast-btn')!;
+    this.exportBtn = layout.querySelector('#app-export-btn')!;
     this.syncBtn = layout.querySelector('#app-sync-btn')!;
     this.pullChangesBtn = layout.querySelector('#app-pull-btn')!;
+    this.proposeBtn = layout.querySelector('#app-propose-btn')!;
     this.changeIndicator = layout.querySelector('#app-change-indicator')!;
 
     return layout;
@@ -98,9 +120,44 @@ export class AppLayout extends BaseComponent {
       this.state.setCurrentScreen('welcome');
     });
 
-    // Sync button - delegates to current screen
+    // Project button - opens project management
+    this.addEventListener(this.projectBtn, 'click', () => {
+      this.state.setCurrentScreen('projects');
+    });
+
+    // Show the active project name on the project button
+    this.subscribeToState('projects-changed', (project: ProjectSummary | null) => {
+      this.projectBtn.textContent = project ? `Project: ${project.name}` : 'Project';
+    });
+
+    // Lint button - reports rule violations of the loaded token files
+    this.addEventListener(this.lintBtn, 'click', () => {
+      if (this.onLint) {
+        this.onLint();
+      }
+    });
+
+    // Contrast button - audits semantic color pairs per mode
+    this.addEventListener(this.contrastBtn, 'click', () => {
+      if (this.onContrast) {
+        this.onContrast();
+      }
+    });
+
+    // Export button - downloads Figma variables as token files
+    this.addEventListener(this.exportBtn, 'click', () => {
+      if (this.onExport) {
+        this.onExport();
+      }
+    });
+
+    // Sync button - delegates to current screen, or cancels the running sync
     this.addEventListener(this.syncBtn, 'click', () => {
-      if (this.onSync) {
+      if (this.state.syncInProgress) {
+        if (this.onCancelSync) {
+          this.onCancelSync();
+        }
+      } else if (this.onSync) {
         this.onSync();
       }
     });
@@ -112,6 +169,18 @@ export class AppLayout extends BaseComponent {
       }
     });
 
+    // Propose button - opens a GitHub pull request
+    this.addEventListener(this.proposeBtn, 'click', () => {
+      if (this.onPropose) {
+        this.onPropose();
+      }
+    });
+
+    // Turn the sync button into a cancel button while a sync runs
+    this.subscribeToState('sync-state-changed', (inProgress: boolean) => {
+      this.updateSyncButton(inProgress);
+    });
+
     // Subscribe to screen changes to update active tab
     this.subscribeToState('screen-changed', (screen: ScreenType) => {
       this.updateActiveTab(screen);
@@ -161,11 +230,37 @@ export class AppLayout extends BaseComponent {
     }
   }
 
+  /**
+   * Update propose button visibility (GitHub sources only)
+   */
+  public updateProposeButton(visible: boolean): void {
+    this.proposeBtn.classList.toggle('hidden', !visible);
+  }
+
+  /**
+   * Update lint button visibility (only while token lint is enabled)
+   */
+  public updateLintButton(visible: boolean): void {
+    this.lintBtn.classList.toggle('hidden', !visible);
+  }
+
+  /**
+   * Show "Cancel sync" on the sync button while a sync runs
+   */
+  private updateSyncButton(inProgress: boolean): void {
+    this.syncBtn.textContent = inProgress ? 'Cancel sync' : 'Sync in Figma';
+    this.syncBtn.classList.toggle('btn-primary', !inProgress);
+    this.syncBtn.classList.toggle('btn-secondary', inProgress);
+    this.pullChangesBtn.disabled = inProgress;
+    this.proposeBtn.disabled = inProgress;
+  }
+
   /**
    * Enable or disable buttons
    */
   public setButtonsEnabled(enabled: boolean): void {
     this.syncBtn.disabled = !enabled;
     this.pullChangesBtn.disabled = !enabled;
+    this.proposeBtn.disabled = !enabled;
   }
 }
@@ -1,23 +1,25 @@
 // ====================================================================================
 // IMPORT SCREEN COMPONENT
-// Handles GitHub and Local file import
+// Handles GitHub, GitLab and Local file import
 // ====================================================================================
 
 import { BaseComponent } from './BaseComponent';
 import { AppState } from '../state/AppState';
 import { PluginBridge } from '../services/PluginBridge';
-import { CSS_CLASSES } from '../../shared/constants';
-import { TokenFile } from '../../shared/types';
+import { CSS_CLASSES, GITLAB_DEFAULTS } from '../../shared/constants';
+import { TokenFile, GitLabConfig, TokenData, ImportMode } from '../../shared/types';
 import { escapeHtml, sanitizeId } from '../../utils/htmlSanitizer';
 import { debug } from '../../shared/logger';
+import { ZipDecoder } from '../../utils/ZipDecoder';
 
 /**
  * Import screen component
  *
  * Features:
  * - GitHub import: token, repo, branch, file selection
- * - Local import: drag & drop + file selection
- * - Mode switching between GitHub and Local
+ * - GitLab import: instance URL, project, ref, token, file selection
+ * - Local import: drag & drop + file selection (JSON files or ZIP bundles)
+ * - Mode switching between GitHub, GitLab and Local
  * - Loading states
  * - Error handling
  */
@@ -40,6 +42,19 @@ export class ImportScreen extends BaseComponent {
   private githubActionButtons!: HTMLDivElement;
   private syncTokensBtn!: HTMLButtonElement;
 
+  // GitLab elements
+  private gitlabContent!: HTMLDivElement;
+  private gitlabToken!: HTMLInputElement;
+  private gitlabBaseUrl!: HTMLInputElement;
+  private gitlabProject!: HTMLInputElement;
+  private gitlabRef!: HTMLInputElement;
+  private gitlabFetchBtn!: HTMLButtonElement;
+  private gitlabLoading!: HTMLDivElement;
+  private gitlabFilesContainer!: HTMLDivElement;
+  private gitlabActionButtons!: HTMLDivElement;
+  private gitlabSyncBtn!: HTMLButtonElement;
+  private gitlabConfig: GitLabConfig | null = null;
+
   // Local elements
   private localContent!: HTMLDivElement;
   private fileInput!: HTMLInputElement;
@@ -98,6 +113,41 @@ export class ImportScreen extends BaseComponent {
         </div>
       </div>
 
+      <!-- GitLab Import Content -->
+      <div class="import-content" id="gitlab-import-content">
+        <div class="input-group">
+          <label for="gitlab-base-url">GitLab url</label>
+          <input type="text" id="gitlab-base-url" placeholder="${GITLAB_DEFAULTS.BASE_URL}" value="${GITLAB_DEFAULTS.BASE_URL}">
+        </div>
+
+        <div class="input-group">
+          <label for="gitlab-project">Project ID or path</label>
+          <input type="text" id="gitlab-project" placeholder="design/tokens">
+        </div>
+
+        <div class="input-group">
+          <label for="gitlab-ref">Branch, tag or commit (optional)</label>
+          <input type="text" id="gitlab-ref" placeholder="${GITLAB_DEFAULTS.REF}" value="${GITLAB_DEFAULTS.REF}">
+        </div>
+
+        <div class="input-group">
+          <label for="gitlab-token">Access token</label>
+          <input type="password" id="gitlab-token" placeholder="glpat-...">
+        </div>
+
+        <button class="btn btn-primary btn-full" id="gitlab-fetch-files-btn">Connect project</button>
+
+        <div class="loading hidden" id="gitlab-loading">
+          <span>Fetching files from GitLab...</span>
+        </div>
+
+        <div id="gitlab-files-container"></div>
+
+        <div class="action-buttons hidden" id="gitlab-action-buttons">
+          <button class="btn btn-primary btn-full" id="gitlab-sync-tokens-btn" disabled>Synchronise files</button>
+        </div>
+      </div>
+
       <!-- Local Import Content -->
       <div class="import-content" id="local-import-content">
         <input type="file" id="file-input" multiple accept=".json,.zip" class="file-input-hidden">
@@ -132,6 +182,18 @@ export class ImportScreen extends BaseComponent {
     this.githubActionButtons = screen.querySelector('#github-action-buttons')!;
     this.syncTokensBtn = screen.querySelector('#sync-tokens-btn')!;
 
+    // GitLab elements
+    this.gitlabContent = screen.querySelector('#gitlab-import-content')!;
+    this.gitlabToken = screen.querySelector('#gitlab-token')!;
+    this.gitlabBaseUrl = screen.querySelector('#gitlab-base-url')!;
+    this.gitlabProject = screen.querySelector('#gitlab-project')!;
+    this.gitlabRef = screen.querySelector('#gitlab-ref')!;
+    this.gitlabFetchBtn = screen.querySelector('#gitlab-fetch-files-btn')!;
+    this.gitlabLoading = screen.querySelector('#gitlab-loading')!;
+    this.gitlabFilesContainer = screen.querySelector('#gitlab-files-container')!;
+    this.gitlabActionButtons = screen.querySelector('#gitlab-action-buttons')!;
+    this.gitlabSyncBtn = screen.querySelector('#gitlab-sync-tokens-btn')!;
+
     // Local elements
     this.localContent = screen.querySelector('#local-import-content')!;
     this.fileInput = screen.querySelector('#file-input')!;
@@ -158,6 +220,16 @@ export class ImportScreen extends BaseComponent {
       this.handleSyncTokens();
     });
 
+    // GitLab fetch files
+    this.addEventListener(this.gitlabFetchBtn, 'click', () => {
+      this.handleGitLabFetchFiles();
+    });
+
+    // GitLab sync tokens
+    this.addEventListener(this.gitlabSyncBtn, 'click', () => {
+      this.handleGitLabSyncTokens();
+    });
+
     // Local select files button
     this.addEventListener(this.selectFilesBtn, 'click', () => {
       this.fileInput.click();
@@ -199,6 +271,8 @@ export class ImportScreen extends BaseComponent {
       this.showNotification(message, 'error');
       this.githubLoading.classList.add(CSS_CLASSES.HIDDEN);
       this.setEnabled(this.fetchFilesBtn, true);
+      this.gitlabLoading.classList.add(CSS_CLASSES.HIDDEN);
+      this.setEnabled(this.gitlabFetchBtn, true);
     });
   }
 
@@ -260,7 +334,20 @@ export class ImportScreen extends BaseComponent {
       return;
     }
 
-    // Display file list with checkboxes
+    this.githubFilesContainer.innerHTML = '';
+    this.githubFilesContainer.appendChild(this.createFileSelectionList(files, 'file'));
+
+    // Show action buttons
+    this.fetchFilesBtn.classList.add(CSS_CLASSES.HIDDEN);
+    this.githubActionButtons.classList.remove(CSS_CLASSES.HIDDEN);
+    this.setEnabled(this.syncTokensBtn, true);
+  }
+
+  /**
+   * Build a checkbox list of repository files (all selected by default)
+   * idPrefix keeps checkbox ids unique across import panels
+   */
+  private createFileSelectionList(files: string[], idPrefix: string): HTMLDivElement {
     const fileList = document.createElement('div');
     fileList.className = 'file-list';
 
@@ -279,7 +366,7 @@ export class ImportScreen extends BaseComponent {
       checkbox.type = 'checkbox';
       checkbox.className = 'file-checkbox';
       checkbox.value = file;
-      checkbox.id = `file-${sanitizeId(file)}`;
+      checkbox.id = `${idPrefix}-${sanitizeId(file)}`;
       checkbox.checked = true;
 
       const label = document.createElement('label');
@@ -300,13 +387,7 @@ export class ImportScreen extends BaseComponent {
       fileList.appendChild(fileItem);
     });
 
-    this.githubFilesContainer.innerHTML = '';
-    this.githubFilesContainer.appendChild(fileList);
-
-    // Show action buttons
-    this.fetchFilesBtn.classList.add(CSS_CLASSES.HIDDEN);
-    this.githubActionButtons.classList.remove(CSS_CLASSES.HIDDEN);
-    this.setEnabled(this.syncTokensBtn, true);
+    return fileList;
   }
 
   /**
@@ -391,6 +472,111 @@ export class ImportScreen extends BaseComponent {
     this.state.setCurrentScreen('token');
   }
 
+  /**
+   * Handle fetch files from GitLab
+   */
+  private async handleGitLabFetchFiles(): Promise<void> {
+    const projectId = this.gitlabProject.value.trim();
+
+    if (!projectId) {
+      this.showNotification('Please enter a project ID or path', 'error');
+      return;
+    }
+
+    this.gitlabConfig = {
+      token: this.gitlabToken.value.trim(),
+      baseUrl: this.gitlabBaseUrl.value.trim() || GITLAB_DEFAULTS.BASE_URL,
+      projectId: this.parseGitLabProject(projectId),
+      ref: this.gitlabRef.value.trim() || GITLAB_DEFAULTS.REF,
+    };
+
+    this.gitlabLoading.classList.remove(CSS_CLASSES.HIDDEN);
+    this.setEnabled(this.gitlabFetchBtn, false);
+
+    try {
+      const response = await this.bridge.send('gitlab-fetch-files', this.gitlabConfig);
+      const files: string[] = response.files;
+
+      this.gitlabLoading.classList.add(CSS_CLASSES.HIDDEN);
+      this.setEnabled(this.gitlabFetchBtn, true);
+
+      if (files.length === 0) {
+        this.gitlabFilesContainer.innerHTML = '<div class="empty-state">No JSON files found in project</div>';
+        return;
+      }
+
+      this.gitlabFilesContainer.innerHTML = '';
+      this.gitlabFilesContainer.appendChild(this.createFileSelectionList(files, 'gitlab-file'));
+
+      this.gitlabFetchBtn.classList.add(CSS_CLASSES.HIDDEN);
+      this.gitlabActionButtons.classList.remove(CSS_CLASSES.HIDDEN);
+      this.setEnabled(this.gitlabSyncBtn, true);
+    } catch (error) {
+      console.error('Error fetching GitLab files:', error);
+      this.gitlabLoading.classList.add(CSS_CLASSES.HIDDEN);
+      this.setEnabled(this.gitlabFetchBtn, true);
+    }
+  }
+
+  /**
+   * Handle sync tokens from GitLab
+   */
+  private async handleGitLabSyncTokens(): Promise<void> {
+    const selectedFiles = Array.from(
+      this.gitlabFilesContainer.querySelectorAll<HTMLInputElement>('input[type="checkbox"]:checked')
+    ).map(cb => cb.value);
+
+    if (selectedFiles.length === 0) {
+      this.showNotification('Please select at least one file', 'error');
+      return;
+    }
+
+    if (!this.gitlabConfig) {
+      this.showNotification('GitLab configuration missing', 'error');
+      return;
+    }
+
+    this.gitlabConfig.files = selectedFiles;
+    this.gitlabLoading.classList.remove(CSS_CLASSES.HIDDEN);
+    this.setEnabled(this.gitlabSyncBtn, false);
+
+    try {
+      const response = await this.bridge.send('gitlab-import-files', this.gitlabConfig);
+      const files: Array<{ path: string; content: TokenData }> = response.files;
+      const projectId = this.gitlabConfig.projectId;
+
+      const tokenFiles: TokenFile[] = files.map(file => ({
+        name: (file.path.split('/').pop() || file.path).replace(/\.json$/, ''),
+        path: `gitlab://${projectId}/${file.path}`,
+        content: file.content,
+        source: 'gitlab' as const,
+      }));
+
+      this.state.setTokenFiles(tokenFiles);
+      this.state.setTokenSource('gitlab');
+      this.state.setCurrentScreen('token');
+    } catch (error) {
+      console.error('Error importing GitLab files:', error);
+    } finally {
+      this.gitlabLoading.classList.add(CSS_CLASSES.HIDDEN);
+      this.setEnabled(this.gitlabSyncBtn, true);
+    }
+  }
+
+  /**
+   * Accept a full project URL as well as an ID or namespace path
+   * e.g. https://gitlab.example.com/design/tokens → design/tokens
+   */
+  private parseGitLabProject(input: string): string {
+    const baseUrl = this.gitlabBaseUrl.value.trim().replace(/\/+$/, '');
+
+    if (baseUrl && input.indexOf(baseUrl) === 0) {
+      return input.slice(baseUrl.length).replace(/^\/+|\/+$/g, '').replace(/\.git$/, '');
+    }
+
+    return input;
+  }
+
   /**
    * Handle local file selection
    */
@@ -415,8 +601,7 @@ export class ImportScreen extends BaseComponent {
           this.showNotification(`Failed to parse ${file.name}`, 'error');
         }
       } else if (file.name.endsWith('.zip')) {
-        // TODO: Handle ZIP files with JSZip
-        this.showNotification('ZIP files not yet supported', 'error');
+        tokenFiles.push(...await this.expandArchive(file));
       }
     }
 
@@ -430,6 +615,63 @@ export class ImportScreen extends BaseComponent {
     }
   }
 
+  /**
+   * Extract JSON token files from a ZIP archive
+   * Keeps archive-relative paths (tokens/semantic/color.json) so collections
+   * can be inferred from folder and file names on import
+   */
+  private async expandArchive(file: File): Promise<TokenFile[]> {
+    const tokenFiles: TokenFile[] = [];
+
+    try {
+      const entries = ZipDecoder.decode(new Uint8Array(await this.readFileAsArrayBuffer(file)));
+
+      for (const entry of entries) {
+        const fileName = entry.path.split('/').pop() || entry.path;
+
+        // Skip non-JSON files and OS metadata (__MACOSX/, .DS_Store, ._*)
+        if (!fileName.endsWith('.json') || fileName.startsWith('.') || entry.path.indexOf('__MACOSX/') === 0) {
+          continue;
+        }
+
+        try {
+          tokenFiles.push({
+            name: entry.path,
+            path: entry.path,
+            content: JSON.parse(ZipDecoder.toText(entry.data)),
+            source: 'local',
+            archive: file.name
+          });
+        } catch (error) {
+          console.error(`Error parsing ${entry.path} in ${file.name}:`, error);
+          this.showNotification(`Failed to parse ${entry.path}`, 'error');
+        }
+      }
+
+      if (tokenFiles.length === 0) {
+        this.showNotification(`No JSON token files found in ${file.name}`, 'error');
+      }
+    } catch (error) {
+      console.error(`Error reading archive ${file.name}:`, error);
+      const message = error instanceof Error ? error.message : 'Unknown error';
+      this.showNotification(`Failed to read ${file.name}: ${message}`, 'error');
+    }
+
+    return tokenFiles;
+  }
+
+  /**
+   * Read file as binary
+   */
+  private readFileAsArrayBuffer(file: File): Promise<ArrayBuffer> {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result as ArrayBuffer);
+      reader.onerror = reject;
+      reader.readAsArrayBuffer(file);
+    });
+  }
+
   /**
    * Read file as text
    */
@@ -456,20 +698,23 @@ export class ImportScreen extends BaseComponent {
   /**
    * Update mode (GitHub or Local)
    */
-  private updateMode(mode: 'github' | 'local'): void {
+  private updateMode(mode: ImportMode): void {
+    this.githubContent.classList.toggle(CSS_CLASSES.ACTIVE, mode === 'github');
+    this.gitlabContent.classList.toggle(CSS_CLASSES.ACTIVE, mode === 'gitlab');
+    this.localContent.classList.toggle(CSS_CLASSES.ACTIVE, mode === 'local');
+
     if (mode === 'github') {
       this.importTitle.textContent = 'Connect to github';
       this.importSubtitle.textContent = 'Connect to a GitHub repository to import and synchronize design tokens.';
-      this.githubContent.classList.add(CSS_CLASSES.ACTIVE);
-      this.localContent.classList.remove(CSS_CLASSES.ACTIVE);
 
       // Load saved GitHub config
       this.bridge.sendAsync('load-github-config');
+    } else if (mode === 'gitlab') {
+      this.importTitle.textContent = 'Connect to GitLab';
+      this.importSubtitle.textContent = 'Connect to a gitlab.com or self-managed GitLab project to import design tokens.';
     } else {
       this.importTitle.textContent = 'Import from local';
       this.importSubtitle.textContent = 'Import local design tokens from your files.';
-      this.localContent.classList.add(CSS_CLASSES.ACTIVE);
-      this.githubContent.classList.remove(CSS_CLASSES.ACTIVE);
     }
   }
 
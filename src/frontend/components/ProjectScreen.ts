@@ -0,0 +1,445 @@
+// ====================================================================================
+// PROJECT SCREEN COMPONENT
+// Create, switch, rename and delete the token projects of the workspace
+// ====================================================================================
+
+import { BaseComponent } from './BaseComponent';
+import { AppState } from '../state/AppState';
+import { PluginBridge } from '../services/PluginBridge';
+import { SCREEN_IDS } from '../../shared/constants';
+import { ProjectInfo, ProjectList, ProjectSummary, ProjectSyncEntry, ProjectSettings, TokenState } from '../../shared/types';
+import { escapeHtml } from '../../utils/htmlSanitizer';
+
+/**
+ * Project switch response: the project list plus the token state the project saved
+ */
+interface ProjectSwitchResponse extends ProjectList {
+  tokenState: TokenState | null;
+}
+
+// Settings of the active project, in display order
+const SETTING_FIELDS: Array<{ key: keyof ProjectSettings; label: string; hint: string }> = [
+  { key: 'lint', label: 'Lint tokens', hint: 'Check every import against the lint rules and offer the Lint report' },
+  { key: 'fontPreflight', label: 'Check fonts before syncing', hint: 'Review the fonts Figma cannot load before anything is written' },
+  {
+    key: 'displayP3',
+    label: 'Display P3 colors',
+    hint: 'In Display P3 files, wide-gamut colors keep their P3 value instead of being mapped to sRGB',
+  },
+  {
+    key: 'dryRun',
+    label: 'Review changes before syncing',
+    hint: 'Every import shows the planned variable changes; nothing is written until you confirm',
+  },
+  {
+    key: 'transactionalSync',
+    label: 'Roll back failed syncs',
+    hint: 'A sync that fails or is cancelled restores the variables and styles it changed',
+  },
+  {
+    key: 'syncStateTracking',
+    label: 'Track sync state',
+    hint: 'Show which tokens are synced, modified since their sync, pending or failed',
+  },
+  {
+    key: 'crossProjectRefs',
+    label: 'Cross-project references',
+    hint: '{project::path} references alias the variables another project synced; synced tokens are stored for other projects',
+  },
+];
+
+/**
+ * ProjectScreen component
+ *
+ * Features:
+ * - List projects with their collections and sync history
+ * - Create a project and switch to it
+ * - Switch, rename (inline) and delete (with confirmation) projects
+ * - Turn the active project's settings on and off
+ *
+ * Principles:
+ * - Extends BaseComponent for lifecycle management
+ * - Observable Pattern: Re-renders on 'projects-changed' and 'settings-changed'
+ * - Event Delegation: One click listener handles every project row
+ */
+export class ProjectScreen extends BaseComponent {
+  private bridge: PluginBridge;
+  private projectList!: HTMLDivElement;
+  private settingsList!: HTMLDivElement;
+  private nameInput!: HTMLInputElement;
+  private createBtn!: HTMLButtonElement;
+  private backLink!: HTMLAnchorElement;
+  private renamingId: string | null = null;
+  private deletingId: string | null = null;
+
+  // Called with the saved token state of the project switched to (set by the app)
+  public onProjectSwitched: ((tokenState: TokenState | null) => void) | null = null;
+
+  constructor(state: AppState, bridge: PluginBridge) {
+    super(state);
+    this.bridge = bridge;
+  }
+
+  protected createElement(): HTMLElement {
+    const screen = document.createElement('div');
+    screen.id = SCREEN_IDS.PROJECTS;
+    screen.className = 'screen projects-screen';
+
+    screen.innerHTML = `
+      <div class="import-header">
+        <a class="back-link" id="projects-back">← Back</a>
+        <h1 class="import-title">Projects</h1>
+        <p class="import-subtitle">Each token repository syncing into this file is a project with its own source, collections and sync history</p>
+      </div>
+
+      <div class="project-list" id="project-list"></div>
+
+      <div class="project-settings">
+        <h3 class="doc-section-title">Settings of the active project</h3>
+        <div id="project-settings-list"></div>
+      </div>
+
+      <div class="project-create">
+        <div class="input-group">
+          <label for="project-name-input">New project</label>
+          <input type="text" id="project-name-input" placeholder="Project name">
+        </div>
+        <button class="btn btn-primary" id="project-create-btn">Create project</button>
+      </div>
+    `;
+
+    this.projectList = screen.querySelector('#project-list')!;
+    this.settingsList = screen.querySelector('#project-settings-list')!;
+    this.nameInput = screen.querySelector('#project-name-input')!;
+    this.createBtn = screen.querySelector('#project-create-btn')!;
+    this.backLink = screen.querySelector('#projects-back')!;
+
+    return screen;
+  }
+
+  protected bindEvents(): void {
+    this.addEventListener(this.backLink, 'click', () => {
+      this.state.setCurrentScreen(this.state.tokenFiles.size > 0 ? 'token' : 'welcome');
+    });
+
+    this.addEventListener(this.createBtn, 'click', () => {
+      this.handleCreate();
+    });
+
+    this.addEventListener(this.nameInput, 'keydown', (event: KeyboardEvent) => {
+      if (event.key === 'Enter') {
+        this.handleCreate();
+      }
+    });
+
+    this.addEventListener(this.projectList, 'click', (event: MouseEvent) => {
+      const button = (event.target as HTMLElement).closest<HTMLElement>('[data-action]');
+      if (button) {
+        this.handleAction(button.dataset.action!, button.dataset.projectId!);
+      }
+    });
+
+    this.addEventListener(this.settingsList, 'change', (event: Event) => {
+      const input = event.target as HTMLInputElement;
+      if (input.dataset.setting) {
+        this.saveSetting(input.dataset.setting as keyof ProjectSettings, input.checked);
+      }
+    });
+
+    this.subscribeToState('projects-changed', () => {
+      this.render();
+    });
+
+    this.subscribeToState('settings-changed', () => {
+      this.renderSettings();
+    });
+  }
+
+  /**
+   * Show the screen with a fresh project list (history changes with every sync)
+   */
+  show(): void {
+    super.show();
+    this.renamingId = null;
+    this.deletingId = null;
+    this.render();
+    this.renderSettings();
+    this.refresh();
+  }
+
+  /**
+   * Load the project list and the active project's settings from the backend
+   */
+  async refresh(): Promise<void> {
+    try {
+      const list: ProjectList = await this.bridge.send('list-projects');
+      this.state.setProjects(list);
+    } catch (error) {
+      console.error('[ProjectScreen] Failed to load projects:', error);
+    }
+
+    await this.refreshSettings();
+  }
+
+  /**
+   * Load the active project's settings
+   */
+  async refreshSettings(): Promise<void> {
+    try {
+      const response = await this.bridge.send('get-settings');
+      this.state.setSettings(response.settings);
+    } catch (error) {
+      console.error('[ProjectScreen] Failed to load settings:', error);
+    }
+  }
+
+  // ==================== ACTIONS ====================
+
+  private handleAction(action: string, projectId: string): void {
+    switch (action) {
+      case 'switch':
+        this.switchProject(projectId);
+        break;
+      case 'rename':
+        this.renamingId = projectId;
+        this.deletingId = null;
+        this.render();
+        break;
+      case 'rename-save':
+        this.renameProject(projectId);
+        break;
+      case 'delete':
+        this.deletingId = projectId;
+        this.renamingId = null;
+        this.render();
+        break;
+      case 'delete-confirm':
+        this.deleteProject(projectId);
+        break;
+      case 'cancel':
+        this.renamingId = null;
+        this.deletingId = null;
+        this.render();
+        break;
+    }
+  }
+
+  /**
+   * Create a project and switch to it
+   */
+  private async handleCreate(): Promise<void> {
+    const name = this.nameInput.value.trim();
+    if (!name) {
+      this.showNotification('Enter a project name', 'error');
+      return;
+    }
+
+    this.setLoading(this.createBtn, true);
+    try {
+      const project: ProjectInfo = await this.bridge.send('create-project', { name });
+      this.nameInput.value = '';
+      await this.switchProject(project.id);
+    } catch (error) {
+      console.error('[ProjectScreen] Failed to create project:', error);
+      this.showNotification(`Failed to create project: ${this.errorMessage(error)}`, 'error');
+    } finally {
+      this.setLoading(this.createBtn, false);
+    }
+  }
+
+  private async switchProject(projectId: string): Promise<void> {
+    if (this.state.syncInProgress) {
+      this.showNotification('Wait for the running sync to finish before switching projects', 'info');
+      return;
+    }
+
+    try {
+      const response: ProjectSwitchResponse = await this.bridge.send('switch-project', { projectId });
+      this.state.setProjects(response);
+
+      const project = this.state.activeProject;
+      this.showNotification(`Switched to ${project ? project.name : projectId}`, 'success');
+
+      await this.refreshSettings();
+
+      if (this.onProjectSwitched) {
+        this.onProjectSwitched(response.tokenState || null);
+      }
+    } catch (error) {
+      console.error('[ProjectScreen] Failed to switch project:', error);
+      this.showNotification(`Failed to switch project: ${this.errorMessage(error)}`, 'error');
+    }
+  }
+
+  private async renameProject(projectId: string): Promise<void> {
+    const input = this.projectList.querySelector<HTMLInputElement>('.project-rename-input');
+    const name = input ? input.value.trim() : '';
+    if (!name) {
+      this.showNotification('Enter a project name', 'error');
+      return;
+    }
+
+    try {
+      const list: ProjectList = await this.bridge.send('rename-project', { projectId, name });
+      this.renamingId = null;
+      this.state.setProjects(list);
+    } catch (error) {
+      console.error('[ProjectScreen] Failed to rename project:', error);
+      this.showNotification(`Failed to rename project: ${this.errorMessage(error)}`, 'error');
+    }
+  }
+
+  private async deleteProject(projectId: string): Promise<void> {
+    try {
+      const list: ProjectList = await this.bridge.send('delete-project', { projectId });
+      this.deletingId = null;
+      this.state.setProjects(list);
+      this.showNotification('Project deleted', 'success');
+    } catch (error) {
+      console.error('[ProjectScreen] Failed to delete project:', error);
+      this.showNotification(`Failed to delete project: ${this.errorMessage(error)}`, 'error');
+    }
+  }
+
+  private async saveSetting(key: keyof ProjectSettings, enabled: boolean): Promise<void> {
+    try {
+      const response = await this.bridge.send('save-settings', { settings: { [key]: enabled } });
+      this.state.setSettings(response.settings);
+    } catch (error) {
+      console.error('[ProjectScreen] Failed to save settings:', error);
+      this.showNotification(`Failed to save settings: ${this.errorMessage(error)}`, 'error');
+      this.renderSettings();
+    }
+  }
+
+  // ==================== RENDERING ====================
+
+  private render(): void {
+    const projects = this.state.projects;
+    const active = this.state.activeProject;
+
+    if (projects.length === 0) {
+      this.projectList.innerHTML = '<p class="text-weak">Loading projects...</p>';
+      return;
+    }
+
+    this.projectList.innerHTML = projects
+      .map(project => this.renderProject(project, !!active && active.id === project.id))
+      .join('');
+
+    const renameInput = this.projectList.querySelector<HTMLInputElement>('.project-rename-input');
+    if (renameInput) {
+      renameInput.focus();
+      renameInput.select();
+    }
+  }
+
+  private renderSettings(): void {
+    const settings = this.state.settings;
+
+    if (!settings) {
+      this.settingsList.innerHTML = '<p class="text-weak">Loading settings...</p>';
+      return;
+    }
+
+    this.settingsList.innerHTML = SETTING_FIELDS.map(field => `
+      <label class="checkbox-label" title="${escapeHtml(field.hint)}">
+        <input type="checkbox" data-setting="${field.key}"${settings[field.key] ? ' checked' : ''} />
+        <span>${escapeHtml(field.label)}</span>
+      </label>
+      <p class="project-setting-hint">${escapeHtml(field.hint)}</p>
+    `).join('');
+  }
+
+  private renderProject(project: ProjectSummary, isActive: boolean): string {
+    const id = escapeHtml(project.id);
+    const name = escapeHtml(project.name);
+    const collections = project.collections.length > 0
+      ? project.collections.map(collection => escapeHtml(collection)).join(', ')
+      : 'No collections synced yet';
+
+    let header = `
+      <div class="project-card-title">
+        <span class="project-name">${name}</span>
+        ${isActive ? '<span class="badge badge-info">Active</span>' : ''}
+      </div>
+      <div class="project-card-actions">
+        ${isActive ? '' : `<button class="btn-switch-source" data-action="switch" data-project-id="${id}">Switch</button>`}
+        <button class="btn-switch-source" data-action="rename" data-project-id="${id}">Rename</button>
+        ${isActive ? '' : `<button class="btn-switch-source" data-action="delete" data-project-id="${id}">Delete</button>`}
+      </div>
+    `;
+
+    if (this.renamingId === project.id) {
+      header = `
+        <input type="text" class="project-rename-input" value="${name}">
+        <div class="project-card-actions">
+          <button class="btn-switch-source" data-action="rename-save" data-project-id="${id}">Save</button>
+          <button class="btn-switch-source" data-action="cancel" data-project-id="${id}">Cancel</button>
+        </div>
+      `;
+    }
+
+    const confirmDelete = this.deletingId === project.id
+      ? `
+        <div class="project-confirm">
+          <span>Delete "${name}" and its saved source, sync state and history? Its variables stay in this file.</span>
+          <div class="project-card-actions">
+            <button class="btn-switch-source" data-action="cancel" data-project-id="${id}">Cancel</button>
+            <button class="btn-switch-source project-delete-confirm" data-action="delete-confirm" data-project-id="${id}">Delete</button>
+          </div>
+        </div>
+      `
+      : '';
+
+    return `
+      <div class="project-card${isActive ? ' active' : ''}">
+        <div class="project-card-header">${header}</div>
+        <div class="project-meta">
+          <span class="project-id">{${id}::…}</span>
+          <span>${collections}</span>
+        </div>
+        ${this.renderHistory(project.history)}
+        ${confirmDelete}
+      </div>
+    `;
+  }
+
+  private renderHistory(history: ProjectSyncEntry[]): string {
+    if (history.length === 0) {
+      return '<div class="project-history-empty">Never synced</div>';
+    }
+
+    const rows = history.map(entry => `
+      <div class="project-history-row">
+        <span class="sync-badge sync-badge-${entry.success ? 'synced' : 'error'}">${entry.success ? 'Synced' : 'Failed'}</span>
+        <span>${escapeHtml(this.formatDate(entry.syncedAt))}</span>
+        <span class="project-history-detail">${escapeHtml(
+          entry.success
+            ? `${entry.tokenCount} tokens → ${entry.collections.join(', ') || 'styles only'}`
+            : entry.error || 'Sync failed'
+        )}</span>
+      </div>
+    `).join('');
+
+    return `
+      <details class="project-history">
+        <summary>Last sync ${escapeHtml(this.formatDate(history[0].syncedAt))} · ${history.length} in history</summary>
+        ${rows}
+      </details>
+    `;
+  }
+
+  private formatDate(iso: string): string {
+    return new Date(iso).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    });
+  }
+
+  private errorMessage(error: unknown): string {
+    return error instanceof Error ? error.message : 'Unknown error';
+  }
+}
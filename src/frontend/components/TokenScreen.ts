@@ -6,16 +6,95 @@
 import { BaseComponent } from './BaseComponent';
 import { AppState } from '../state/AppState';
 import { PluginBridge } from '../services/PluginBridge';
+import { ImportConfigService } from '../services/ImportConfigService';
+import {
+  TokenFile,
+  VariableExportFile,
+  GitHubPullRequestResult,
+  TokenData,
+  SyncPlan,
+  SyncChangeAction,
+  FontPreflightReport,
+  FontPreflightReview,
+  FontStyleMapping,
+  OrphanReport,
+  OrphanAction,
+  OrphanResolution,
+  TokenSyncState,
+  TokenSyncStatus,
+  LintReport,
+  LintRuleInfo,
+  LintRuleConfig,
+  LintSeverity,
+  ContrastReport,
+} from '../../shared/types';
+import { CONTRAST_CONFIG_FILE_NAME } from '../../shared/constants';
+
+// Dry run plan: display order and labels per action
+const SYNC_PLAN_LABELS: Record<SyncChangeAction, string> = {
+  create: 'Create',
+  'type-change': 'Type change',
+  rename: 'Rename',
+  'update-alias': 'Update alias',
+  'update-value': 'Update value',
+  orphaned: 'Orphaned',
+  untouched: 'Untouched',
+};
+
+// Orphaned variables: choices offered per variable (first is the default)
+const ORPHAN_ACTION_LABELS: Record<OrphanAction, string> = {
+  deprecate: 'Deprecate',
+  keep: 'Keep',
+  delete: 'Delete',
+};
+
+// Sync state badges: filter order and labels
+const SYNC_STATUS_LABELS: Record<TokenSyncStatus, string> = {
+  synced: 'Synced',
+  modified: 'Modified',
+  pending: 'Pending',
+  error: 'Error',
+};
+
+// Lint report: severities offered per rule and their labels
+const LINT_SEVERITY_LABELS: Record<LintSeverity, string> = {
+  error: 'Error',
+  warning: 'Warning',
+  off: 'Off',
+};
+
+// A token path synced once per theme shows its most urgent state
+const SYNC_STATUS_PRIORITY: TokenSyncStatus[] = ['error', 'modified', 'pending', 'synced'];
+
+/**
+ * Sync status shown for one token path of the previewed file
+ */
+interface TokenSyncBadge {
+  status: TokenSyncStatus;
+  detail: string;
+}
 
 export class TokenScreen extends BaseComponent {
   private bridge: PluginBridge;
+  private importConfig = new ImportConfigService();
   private fileTabsList!: HTMLDivElement;
   private tokenTreeContent!: HTMLDivElement;
   private lastUpdatedText!: HTMLDivElement;
+  private syncStates: Map<string, TokenSyncState[]> | null = null; // qualifiedName -> states, null while tracking is off
+  private syncStatusFilter: TokenSyncStatus | 'all' = 'all';
+  private lintRules: LintRuleInfo[] | null = null; // null while linting is off
+  private lintSeverityFilter: LintSeverity | 'all' = 'all';
+  private contrastModeFilter: string = 'all';
 
   // Callback for layout to update pull button state
   public onPullButtonUpdate: ((visible: boolean, hasChanges: boolean) => void) | null = null;
 
+  // Callback for layout to show/hide the propose changes button
+  public onProposeButtonUpdate: ((visible: boolean) => void) | null = null;
+
+  // Callback for layout to show/hide the lint button
+  public onLintButtonUpdate: ((visible: boolean) => void) | null = null;
+
   constructor(state: AppState, bridge: PluginBridge) {
     super(state);
     this.bridge = bridge;
@@ -65,11 +144,24 @@ export class TokenScreen extends BaseComponent {
       this.renderFileList();
       this.updatePullButton();
       this.updateLastUpdatedText();
+
+      if (this.onProposeButtonUpdate) {
+        this.onProposeButtonUpdate(this.state.tokenSource === 'github' && !!this.state.githubConfig);
+      }
+
+      this.refreshSyncState();
+      this.refreshLintConfig();
     });
 
     this.subscribeToState('file-selected', (fileName) => {
       this.renderFilePreview(fileName);
     });
+
+    // Turning linting or sync state tracking on or off shows or hides the lint button and badges
+    this.subscribeToState('settings-changed', () => {
+      this.refreshLintConfig();
+      this.refreshSyncState();
+    });
   }
 
   /**
@@ -128,8 +220,19 @@ export class TokenScreen extends BaseComponent {
       return;
     }
 
-    // Render token tree
-    this.tokenTreeContent.innerHTML = this.renderTokenTree(file.content);
+    // Render token tree, with sync state badges and filters when tracking is on
+    const badges = this.syncStates ? this.collectSyncBadges(file, file.content) : null;
+    const tree = this.renderTokenTree(file.content, 0, [], badges);
+    this.tokenTreeContent.innerHTML = badges
+      ? this.renderSyncFilter(badges) + (tree.trim() || '<div class="empty-state">No tokens match this filter</div>')
+      : tree;
+
+    this.tokenTreeContent.querySelectorAll<HTMLElement>('.sync-filter-btn').forEach(btn => {
+      btn.addEventListener('click', () => {
+        this.syncStatusFilter = btn.dataset.status as TokenSyncStatus | 'all';
+        this.renderFilePreview(fileName);
+      });
+    });
 
     // Add click handlers for expand/collapse
     const toggleBtns = this.tokenTreeContent.querySelectorAll('.tree-toggle');
@@ -144,8 +247,9 @@ export class TokenScreen extends BaseComponent {
 
   /**
    * Render token tree recursively
+   * With sync badges, tokens outside the active status filter (and groups left empty) are omitted
    */
-  private renderTokenTree(obj: any, level: number = 0): string {
+  private renderTokenTree(obj: any, level: number = 0, path: string[] = [], badges: Map<string, TokenSyncBadge> | null = null): string {
     if (typeof obj !== 'object' || obj === null) {
       return `<div class="tree-value">${this.escapeHtml(JSON.stringify(obj))}</div>`;
     }
@@ -157,8 +261,16 @@ export class TokenScreen extends BaseComponent {
     for (const [key, value] of Object.entries(obj)) {
       // Check if this is a token group or a token value
       const isGroup = typeof value === 'object' && value !== null && !value.$value;
+      const itemPath = [...path, key];
+      const badge = badges ? badges.get(itemPath.join('.')) : undefined;
+      const matchesFilter = this.syncStatusFilter === 'all' || (!!badge && badge.status === this.syncStatusFilter);
 
       if (isGroup) {
+        const children = this.renderTokenTree(value, level + 1, itemPath, badges);
+        if (badges && !matchesFilter && !children.trim()) {
+          continue;
+        }
+
         html += `
           <div class="tree-group tree-indent-${cappedLevel}">
             <div class="tree-header">
@@ -168,13 +280,18 @@ export class TokenScreen extends BaseComponent {
                 </svg>
               </span>
               <span class="tree-label">${this.escapeHtml(key)}</span>
+              ${badge ? this.renderSyncBadge(badge) : ''}
             </div>
             <div class="tree-children">
-              ${this.renderTokenTree(value, level + 1)}
+              ${children}
             </div>
           </div>
         `;
       } else {
+        if (badges && !matchesFilter) {
+          continue;
+        }
+
         // Get the display value
         let displayValue = '';
         if (value && typeof value === 'object' && value.$value !== undefined) {
@@ -186,6 +303,7 @@ export class TokenScreen extends BaseComponent {
         html += `
           <div class="tree-item tree-item-indent-${cappedLevel}">
             <span class="tree-item-label">${this.escapeHtml(key)}</span>
+            ${badge ? this.renderSyncBadge(badge) : ''}
             <span class="tree-item-meta">${displayValue}</span>
           </div>
         `;
@@ -195,6 +313,114 @@ export class TokenScreen extends BaseComponent {
     return html;
   }
 
+  // ==================== SYNC STATE ====================
+
+  /**
+   * Fetch the per-token sync state and redraw the preview
+   * A sync plan or orphan review on screen is left alone
+   */
+  private async refreshSyncState(): Promise<void> {
+    try {
+      const response = await this.bridge.send('get-sync-state');
+      const states: TokenSyncState[] | null = response && response.states;
+      this.syncStates = states ? this.groupSyncStates(states) : null;
+    } catch (error) {
+      console.error('Error loading sync state:', error);
+      this.syncStates = null;
+    }
+
+    if (!this.tokenTreeContent.querySelector('.sync-plan')) {
+      this.renderFilePreview(this.state.selectedFile);
+    }
+  }
+
+  /**
+   * Index sync states by token path (themes of one token share a path)
+   */
+  private groupSyncStates(states: TokenSyncState[]): Map<string, TokenSyncState[]> {
+    const grouped = new Map<string, TokenSyncState[]>();
+
+    for (const state of states) {
+      const existing = grouped.get(state.qualifiedName);
+      if (existing) {
+        existing.push(state);
+      } else {
+        grouped.set(state.qualifiedName, [state]);
+      }
+    }
+
+    return grouped;
+  }
+
+  /**
+   * Resolve a badge for every token path in a file
+   * States recorded for this file win over same-named tokens from other files;
+   * W3C tokens without any state were never synced
+   */
+  private collectSyncBadges(file: TokenFile, obj: unknown, path: string[] = [], badges = new Map<string, TokenSyncBadge>()): Map<string, TokenSyncBadge> {
+    if (typeof obj !== 'object' || obj === null) {
+      return badges;
+    }
+
+    for (const [key, value] of Object.entries(obj)) {
+      const itemPath = [...path, key];
+      const name = itemPath.join('.');
+      const isToken = typeof value === 'object' && value !== null && (value as { $value?: unknown }).$value !== undefined;
+      const states = this.syncStates!.get(name);
+
+      if (states) {
+        const ownStates = states.filter(state => state.file === file.path);
+        badges.set(name, this.toSyncBadge(ownStates.length > 0 ? ownStates : states));
+      } else if (isToken) {
+        badges.set(name, { status: 'pending', detail: 'Never synced' });
+      }
+
+      if (!isToken) {
+        this.collectSyncBadges(file, value, itemPath, badges);
+      }
+    }
+
+    return badges;
+  }
+
+  private toSyncBadge(states: TokenSyncState[]): TokenSyncBadge {
+    const status = SYNC_STATUS_PRIORITY.find(candidate => states.some(state => state.status === candidate))!;
+    const state = states.find(candidate => candidate.status === status)!;
+
+    if (status === 'error') {
+      return { status, detail: state.error || 'Sync failed' };
+    }
+    if (!state.syncedAt) {
+      return { status, detail: 'Never synced' };
+    }
+
+    const syncedAt = `Last synced ${this.formatDateTime(new Date(state.syncedAt))}`;
+    return { status, detail: status === 'modified' ? `Changed since sync · ${syncedAt}` : syncedAt };
+  }
+
+  private renderSyncBadge(badge: TokenSyncBadge): string {
+    return `<span class="sync-badge sync-badge-${badge.status}" title="${this.escapeHtml(badge.detail)}">${SYNC_STATUS_LABELS[badge.status]}</span>`;
+  }
+
+  /**
+   * Status filter buttons with the number of tokens per status in the file
+   */
+  private renderSyncFilter(badges: Map<string, TokenSyncBadge>): string {
+    const counts: Record<string, number> = { all: badges.size };
+    badges.forEach(badge => {
+      counts[badge.status] = (counts[badge.status] || 0) + 1;
+    });
+
+    const filters: Array<TokenSyncStatus | 'all'> = ['all', ...(Object.keys(SYNC_STATUS_LABELS) as TokenSyncStatus[])];
+    const buttons = filters.map(filter => {
+      const label = filter === 'all' ? 'All' : SYNC_STATUS_LABELS[filter];
+      const active = filter === this.syncStatusFilter ? ' active' : '';
+      return `<button class="sync-filter-btn${active}" data-status="${filter}">${label} <span class="sync-filter-count">${counts[filter] || 0}</span></button>`;
+    }).join('');
+
+    return `<div class="sync-filter">${buttons}</div>`;
+  }
+
   /**
    * Format token value for display
    */
@@ -229,43 +455,766 @@ export class TokenScreen extends BaseComponent {
 
   /**
    * Handle sync to Figma (called from AppLayout)
+   * The sync button turns into a cancel button until the sync finishes
    */
   public async handleSyncToFigma(): Promise<void> {
-    const files = Array.from(this.state.tokenFiles.values());
+    this.state.setSyncInProgress(true);
+    try {
+      await this.syncFiles();
+    } finally {
+      this.state.setSyncInProgress(false);
+      this.refreshSyncState();
+    }
+  }
 
-    if (files.length === 0) {
-      this.showNotification('No token files loaded', 'error');
+  /**
+   * Cancel the running sync (called from AppLayout)
+   * Only transactional syncs stop early; they restore the document before reporting back
+   */
+  public async handleCancelSync(): Promise<void> {
+    try {
+      const message = await this.bridge.send('cancel-sync');
+      this.showNotification(message, 'info');
+    } catch (error) {
+      console.error('Error cancelling sync:', error);
+      this.showNotification('Failed to cancel sync', 'error');
+    }
+  }
+
+  /**
+   * Send the loaded token files to the backend with the import message that fits their layout
+   */
+  private async syncFiles(): Promise<void> {
+    const request = this.importConfig.buildSyncRequest(Array.from(this.state.tokenFiles.values()), this.state.tokenSource);
+    if (!request.success) {
+      this.showNotification(request.error!, 'error');
       return;
     }
 
-    // Organize tokens by type (primitives/semantics)
-    let primitives = null;
-    let semantics = null;
+    try {
+      // Disabled state managed by AppLayout
+      const response = await this.bridge.send(request.data!.type, request.data!.data);
+      this.handleSyncResponse(response);
+    } catch (error) {
+      console.error('Error syncing to Figma:', error);
+      this.showNotification('Failed to sync tokens', 'error');
+    }
+  }
 
-    files.forEach(file => {
-      if (file.name.toLowerCase().includes('primitive')) {
-        primitives = file.content;
-      } else if (file.name.toLowerCase().includes('semantic')) {
-        semantics = file.content;
+  /**
+   * Export Figma variables as W3C token files and download them
+   * Public method called by AppLayout
+   */
+  public async handleExportVariables(): Promise<void> {
+    try {
+      const response = await this.bridge.send('export-variables');
+      const files: VariableExportFile[] = (response && response.files) || [];
+
+      files.forEach(file => this.downloadJson(file.name, file.content));
+      this.showNotification(`Exported ${files.length} collection(s)`, 'success');
+    } catch (error) {
+      console.error('Error exporting variables:', error);
+      this.showNotification('Failed to export variables', 'error');
+    }
+  }
+
+  /**
+   * Propose the active project's Figma variables as a GitHub pull request
+   * Exports the collections the project synced and asks for the repository file of each
+   * before anything is written; proposed files replace the repository files whole
+   */
+  public async handleProposeChanges(): Promise<void> {
+    const githubConfig = this.state.githubConfig;
+
+    if (this.state.tokenSource !== 'github' || !githubConfig) {
+      this.showNotification('Proposing changes requires a GitHub source', 'error');
+      return;
+    }
+
+    try {
+      this.showNotification('Preparing pull request...', 'info');
+
+      const exported = await this.bridge.send('export-project-variables');
+      const exportFiles: VariableExportFile[] = (exported && exported.files) || [];
+
+      if (exportFiles.length === 0) {
+        this.showNotification('No Figma variables to propose', 'error');
+        return;
       }
+
+      this.renderProposalReview(exportFiles, githubConfig.files || []);
+    } catch (error) {
+      console.error('Error proposing changes:', error);
+      const message = error instanceof Error ? error.message : 'Failed to propose changes';
+      this.showNotification(message, 'error');
+    }
+  }
+
+  /**
+   * List the exported collections with the repository file each one replaces
+   * Paths start at the collection's source file (or a file of the same name) and can be
+   * edited or cleared to leave a collection out
+   */
+  private renderProposalReview(exportFiles: VariableExportFile[], repoFiles: string[]): void {
+    const rows = exportFiles.map((file, index) => {
+      const path = file.sourcePath || this.resolveRepoPath(file.name, repoFiles);
+      const isSource = !!file.sourcePath;
+
+      return `
+        <div class="sync-plan-row">
+          <span class="sync-plan-action ${isSource ? 'proposal-source' : 'proposal-guessed'}">${isSource ? 'Source' : 'Check path'}</span>
+          <span class="sync-plan-name">${this.escapeHtml(file.collection)}</span>
+          <input type="text" class="proposal-path-input" data-index="${index}" value="${this.escapeHtml(path)}">
+        </div>
+      `;
+    }).join('');
+
+    this.tokenTreeContent.innerHTML = `
+      <div class="sync-plan">
+        <div class="sync-plan-header">
+          <div class="sync-plan-title">Confirm the files to propose</div>
+          <div class="sync-plan-summary">Each collection replaces the whole file at its path; clear a path to leave the collection out</div>
+        </div>
+        <div class="sync-plan-list">${rows}</div>
+        <div class="sync-plan-actions">
+          <button class="btn btn-secondary" id="proposal-cancel">Cancel</button>
+          <button class="btn btn-primary" id="proposal-confirm">Open pull request</button>
+        </div>
+      </div>
+    `;
+
+    const inputs = Array.from(this.tokenTreeContent.querySelectorAll<HTMLInputElement>('.proposal-path-input'));
+
+    this.addEventListener(this.tokenTreeContent.querySelector<HTMLElement>('#proposal-cancel')!, 'click', () => {
+      this.renderFilePreview(this.state.selectedFile);
     });
+    this.addEventListener(this.tokenTreeContent.querySelector<HTMLElement>('#proposal-confirm')!, 'click', () => {
+      const files = inputs
+        .filter(input => input.value.trim())
+        .map(input => ({ path: input.value.trim(), content: exportFiles[Number(input.dataset.index)].content }));
+      this.openPullRequest(files);
+    });
+  }
 
-    // If not found by name, use first as primitives
-    if (!primitives && files.length > 0) {
-      primitives = files[0].content;
+  /**
+   * Open the pull request for the confirmed files, then return to the file preview
+   */
+  private async openPullRequest(files: Array<{ path: string; content: TokenData }>): Promise<void> {
+    if (files.length === 0) {
+      this.showNotification('No files to propose', 'error');
+      return;
     }
 
     try {
-      // Disabled state managed by AppLayout
-      const message = await this.bridge.send('import-tokens', {
-        primitives,
-        semantics,
-        source: this.state.tokenSource
+      const result: GitHubPullRequestResult = await this.bridge.send('github-propose-changes', {
+        config: this.state.githubConfig,
+        request: { files },
       });
+
+      this.showNotification(`Opened pull request #${result.number}: ${result.url}`, 'success');
+      this.renderFilePreview(this.state.selectedFile);
+    } catch (error) {
+      console.error('Error proposing changes:', error);
+      const message = error instanceof Error ? error.message : 'Failed to propose changes';
+      this.showNotification(message, 'error');
+    }
+  }
+
+  /**
+   * Find the repository path for an exported file
+   * Matches on file name; otherwise places it next to the first imported file
+   */
+  private resolveRepoPath(fileName: string, repoFiles: string[]): string {
+    const target = fileName.toLowerCase();
+    const match = repoFiles.find(path => (path.split('/').pop() || '').toLowerCase() === target);
+
+    if (match) {
+      return match;
+    }
+
+    const directory = repoFiles.length > 0 ? repoFiles[0].split('/').slice(0, -1).join('/') : '';
+    return directory ? `${directory}/${fileName}` : fileName;
+  }
+
+  /**
+   * Trigger a browser download for a JSON document
+   */
+  private downloadJson(fileName: string, content: unknown): void {
+    const blob = new Blob([JSON.stringify(content, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Show the result of a sync request
+   * Dry runs answer with a change plan and syncs needing fonts Figma cannot load with those
+   * fonts, both to be confirmed before anything is written;
+   * syncs that left orphaned variables behind answer with those variables
+   */
+  private handleSyncResponse(response: string | SyncPlan | FontPreflightReview | OrphanReport): void {
+    if (typeof response === 'object' && response !== null && Array.isArray((response as SyncPlan).entries)) {
+      this.renderSyncPlan(response as SyncPlan);
+      return;
+    }
+
+    if (typeof response === 'object' && response !== null && (response as FontPreflightReview).fonts) {
+      this.renderFontPreflight((response as FontPreflightReview).fonts);
+      return;
+    }
+
+    if (typeof response === 'object' && response !== null && Array.isArray((response as OrphanReport).orphans)) {
+      this.showNotification((response as OrphanReport).message, 'success');
+      this.renderOrphanReview(response as OrphanReport);
+      return;
+    }
+
+    this.showNotification(response as string, 'success');
+  }
+
+  /**
+   * List orphaned variables with a delete/deprecate/keep choice each
+   */
+  private renderOrphanReview(report: OrphanReport): void {
+    const actions = Object.keys(ORPHAN_ACTION_LABELS) as OrphanAction[];
+    const options = actions.map(action => `<option value="${action}">${ORPHAN_ACTION_LABELS[action]}</option>`).join('');
+
+    const rows = report.orphans.map(orphan => `
+      <div class="sync-plan-row">
+        <span class="sync-plan-action sync-plan-orphaned">Orphaned</span>
+        <span class="sync-plan-name">${this.escapeHtml(`${orphan.collection} / ${orphan.name}`)}</span>
+        <select class="orphan-action-select" data-variable-id="${this.escapeHtml(orphan.id)}">${options}</select>
+      </div>
+    `).join('');
+
+    this.tokenTreeContent.innerHTML = `
+      <div class="sync-plan">
+        <div class="sync-plan-header">
+          <div class="sync-plan-title">${report.orphans.length} variable(s) no longer match a token</div>
+          <div class="sync-plan-summary">
+            Deprecate moves a variable under _deprecated/ so bound layers keep working
+            <select class="orphan-action-select" id="orphan-bulk-action">
+              <option value="">Set all…</option>${options}
+            </select>
+          </div>
+        </div>
+        <div class="sync-plan-list">${rows}</div>
+        <div class="sync-plan-actions">
+          <button class="btn btn-secondary" id="orphan-dismiss">Decide later</button>
+          <button class="btn btn-primary" id="orphan-apply">Apply</button>
+        </div>
+      </div>
+    `;
+
+    const rowSelects = Array.from(this.tokenTreeContent.querySelectorAll<HTMLSelectElement>('.orphan-action-select[data-variable-id]'));
+    const bulkSelect = this.tokenTreeContent.querySelector<HTMLSelectElement>('#orphan-bulk-action')!;
+
+    this.addEventListener(bulkSelect, 'change', () => {
+      if (bulkSelect.value) {
+        rowSelects.forEach(select => (select.value = bulkSelect.value));
+      }
+    });
+    this.addEventListener(this.tokenTreeContent.querySelector<HTMLElement>('#orphan-dismiss')!, 'click', () => {
+      this.renderFilePreview(this.state.selectedFile);
+    });
+    this.addEventListener(this.tokenTreeContent.querySelector<HTMLElement>('#orphan-apply')!, 'click', () => {
+      this.resolveOrphans(rowSelects.map(select => ({
+        variableId: select.dataset.variableId!,
+        action: select.value as OrphanAction,
+      })));
+    });
+  }
+
+  /**
+   * Send the chosen orphan actions, then return to the file preview
+   */
+  private async resolveOrphans(resolutions: OrphanResolution[]): Promise<void> {
+    try {
+      const message = await this.bridge.send('resolve-orphans', { resolutions });
       this.showNotification(message, 'success');
     } catch (error) {
-      console.error('Error syncing to Figma:', error);
-      this.showNotification('Failed to sync tokens', 'error');
+      console.error('Error resolving orphaned variables:', error);
+      this.showNotification('Failed to update orphaned variables', 'error');
+    } finally {
+      this.renderFilePreview(this.state.selectedFile);
+    }
+  }
+
+  /**
+   * Render a dry run plan as a reviewable diff with confirm/cancel actions
+   * Untouched variables are only counted; orphans are listed but never deleted
+   */
+  private renderSyncPlan(plan: SyncPlan): void {
+    const actions = Object.keys(SYNC_PLAN_LABELS) as SyncChangeAction[];
+    const changes = plan.entries
+      .filter(entry => entry.action !== 'untouched')
+      .sort((a, b) => actions.indexOf(a.action) - actions.indexOf(b.action));
+
+    const summary = actions
+      .filter(action => plan.counts[action] > 0)
+      .map(action => `<span class="sync-plan-count sync-plan-${action}">${plan.counts[action]} ${SYNC_PLAN_LABELS[action].toLowerCase()}</span>`)
+      .join('');
+
+    const rows = changes.map(entry => {
+      const target = entry.kind === 'style' ? `${entry.name} (style)` : `${entry.collection} / ${entry.name}`;
+      const mode = entry.modeName ? ` · ${entry.modeName}` : '';
+      const diff = [entry.before, entry.after].filter(value => value !== undefined).join(' → ');
+
+      return `
+        <div class="sync-plan-row">
+          <span class="sync-plan-action sync-plan-${entry.action}">${SYNC_PLAN_LABELS[entry.action]}</span>
+          <span class="sync-plan-name">${this.escapeHtml(target + mode)}</span>
+          <span class="sync-plan-diff">${this.escapeHtml(diff)}</span>
+        </div>
+      `;
+    }).join('');
+
+    this.tokenTreeContent.innerHTML = `
+      <div class="sync-plan">
+        <div class="sync-plan-header">
+          <div class="sync-plan-title">Review changes before syncing</div>
+          <div class="sync-plan-summary">${summary || 'Nothing to sync'}</div>
+        </div>
+        ${plan.fonts ? this.renderMissingFonts(plan.fonts) : ''}
+        <div class="sync-plan-list">
+          ${rows || '<div class="empty-state">All variables are up to date</div>'}
+        </div>
+        <div class="sync-plan-actions">
+          <button class="btn btn-secondary" id="sync-plan-cancel">Cancel</button>
+          <button class="btn btn-primary" id="sync-plan-apply">Confirm sync</button>
+        </div>
+      </div>
+    `;
+
+    this.bindSyncPlanActions();
+  }
+
+  /**
+   * Show the fonts the held sync cannot load; the sync runs once the user confirms
+   */
+  private renderFontPreflight(report: FontPreflightReport): void {
+    this.tokenTreeContent.innerHTML = `
+      <div class="sync-plan">
+        <div class="sync-plan-header">
+          <div class="sync-plan-title">Review fonts before syncing</div>
+          <div class="sync-plan-summary">Missing weights use the family's Regular style unless another is picked; text styles of a missing family are skipped</div>
+        </div>
+        ${this.renderMissingFonts(report)}
+        <div class="sync-plan-actions">
+          <button class="btn btn-secondary" id="sync-plan-cancel">Cancel</button>
+          <button class="btn btn-primary" id="sync-plan-apply">Confirm sync</button>
+        </div>
+      </div>
+    `;
+
+    this.bindSyncPlanActions();
+  }
+
+  /**
+   * Confirm (saving the styles picked for missing fonts) or cancel the held sync
+   */
+  private bindSyncPlanActions(): void {
+    const fontSelects = Array.from(this.tokenTreeContent.querySelectorAll<HTMLSelectElement>('.font-style-select'));
+
+    this.addEventListener(this.tokenTreeContent.querySelector<HTMLElement>('#sync-plan-apply')!, 'click', async () => {
+      await this.saveFontStyles(fontSelects);
+      this.resolveSyncPlan('apply-sync');
+    });
+    this.addEventListener(this.tokenTreeContent.querySelector<HTMLElement>('#sync-plan-cancel')!, 'click', () => this.resolveSyncPlan('cancel-sync'));
+  }
+
+  /**
+   * List the fonts the sync cannot load; a missing weight gets a choice of the family's styles
+   */
+  private renderMissingFonts(report: FontPreflightReport): string {
+    if (report.missing.length === 0) {
+      return '';
+    }
+
+    const rows = report.missing.map(font => {
+      const tokens = this.escapeHtml(font.tokens.join(', '));
+
+      if (font.weight === undefined || font.availableStyles.length === 0) {
+        return `
+          <div class="sync-plan-row" title="${tokens}">
+            <span class="sync-plan-action sync-plan-missing-font">Missing</span>
+            <span class="sync-plan-name">${this.escapeHtml(font.family)}</span>
+            <span class="sync-plan-diff">not installed</span>
+          </div>
+        `;
+      }
+
+      const options = font.availableStyles
+        .map(style => `<option value="${this.escapeHtml(style)}">${this.escapeHtml(style)}</option>`)
+        .join('');
+
+      return `
+        <div class="sync-plan-row" title="${tokens}">
+          <span class="sync-plan-action sync-plan-missing-font">Missing</span>
+          <span class="sync-plan-name">${this.escapeHtml(`${font.family} ${font.weight} (${font.style})`)}</span>
+          <select class="font-style-select" data-family="${this.escapeHtml(font.family)}" data-weight="${font.weight}">
+            <option value="">Use Regular</option>${options}
+          </select>
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="sync-plan-section-title">${report.missing.length} font(s) not available in Figma</div>
+      <div class="sync-plan-list">${rows}</div>
+    `;
+  }
+
+  /**
+   * Save the styles picked for missing weights as family overrides of the project's font styles
+   */
+  private async saveFontStyles(selects: HTMLSelectElement[]): Promise<void> {
+    const picks = selects.filter(select => select.value);
+    if (picks.length === 0) {
+      return;
+    }
+
+    try {
+      const response = await this.bridge.send('get-font-styles');
+      const mapping: FontStyleMapping = (response && response.mapping) || {};
+      const families = mapping.families || {};
+
+      for (const select of picks) {
+        const family = select.dataset.family!;
+        families[family] = { ...families[family], [select.dataset.weight!]: select.value };
+      }
+
+      await this.bridge.send('save-font-styles', { mapping: { ...mapping, families } });
+    } catch (error) {
+      console.error('Error saving font styles:', error);
+      this.showNotification('Failed to save font styles', 'error');
+    }
+  }
+
+  /**
+   * Confirm or discard the planned sync, then return to the file preview
+   */
+  private async resolveSyncPlan(type: 'apply-sync' | 'cancel-sync'): Promise<void> {
+    const applying = type === 'apply-sync';
+    if (applying) {
+      this.state.setSyncInProgress(true);
+    }
+
+    try {
+      const message = await this.bridge.send(type);
+      this.showNotification(message, applying ? 'success' : 'info');
+    } catch (error) {
+      console.error('Error resolving sync plan:', error);
+      this.showNotification(applying ? 'Failed to sync tokens' : 'Failed to cancel sync', 'error');
+    } finally {
+      if (applying) {
+        this.state.setSyncInProgress(false);
+      }
+      this.renderFilePreview(this.state.selectedFile);
+      if (applying) {
+        this.refreshSyncState();
+      }
+    }
+  }
+
+  // ==================== LINT ====================
+
+  /**
+   * Load the lint rules; the lint button only shows while linting is enabled
+   */
+  private async refreshLintConfig(): Promise<void> {
+    try {
+      const response = await this.bridge.send('get-lint-config');
+      this.lintRules = (response && response.rules) || null;
+    } catch (error) {
+      console.error('Error loading lint config:', error);
+      this.lintRules = null;
+    }
+
+    if (this.onLintButtonUpdate) {
+      this.onLintButtonUpdate(!!this.lintRules);
+    }
+  }
+
+  /**
+   * Lint the loaded token files with the project's rules (called from AppLayout)
+   * Files go to the backend in the same layout as a sync, so collections match
+   */
+  public async handleLint(): Promise<void> {
+    const data = this.importConfig.buildLintData(Array.from(this.state.tokenFiles.values()), this.state.tokenSource);
+    if (!data.success) {
+      this.showNotification(data.error!, 'error');
+      return;
+    }
+
+    try {
+      const response = await this.bridge.send('lint-tokens', data.data);
+      const report: LintReport | null = response && response.report;
+
+      if (!report) {
+        this.showNotification('Token lint is turned off in the project settings', 'info');
+        return;
+      }
+
+      this.lintRules = report.rules;
+      this.renderLintReport(report);
+    } catch (error) {
+      console.error('Error linting tokens:', error);
+      this.showNotification('Failed to lint tokens', 'error');
+    }
+  }
+
+  /**
+   * Render lint findings with severity filters, plus the rule settings
+   */
+  private renderLintReport(report: LintReport): void {
+    const issues = report.issues.filter(issue =>
+      this.lintSeverityFilter === 'all' || issue.severity === this.lintSeverityFilter
+    );
+
+    const filters: Array<LintSeverity | 'all'> = ['all', 'error', 'warning'];
+    const buttons = filters.map(filter => {
+      const label = filter === 'all' ? 'All' : LINT_SEVERITY_LABELS[filter];
+      const count = filter === 'all' ? report.issues.length : report.counts[filter as 'error' | 'warning'];
+      const active = filter === this.lintSeverityFilter ? ' active' : '';
+      return `<button class="sync-filter-btn${active}" data-severity="${filter}">${label} <span class="sync-filter-count">${count}</span></button>`;
+    }).join('');
+
+    const rows = issues.map(issue => `
+      <div class="sync-plan-row">
+        <span class="lint-severity lint-severity-${issue.severity}">${LINT_SEVERITY_LABELS[issue.severity]}</span>
+        <span class="sync-plan-name" title="${this.escapeHtml(issue.file)}">${this.escapeHtml(`${issue.collection} / ${issue.qualifiedName}`)}</span>
+        <span class="sync-plan-diff">${this.escapeHtml(issue.message)} <span class="lint-rule-id">${this.escapeHtml(issue.ruleId)}</span></span>
+      </div>
+    `).join('');
+
+    const title = report.issues.length > 0
+      ? `${report.counts.error} errors, ${report.counts.warning} warnings`
+      : 'No lint findings';
+
+    this.tokenTreeContent.innerHTML = `
+      <div class="sync-plan lint-report">
+        <div class="sync-plan-header">
+          <div class="sync-plan-title">${title}</div>
+          <div class="sync-plan-summary">${report.tokenCount} tokens checked by ${report.rules.filter(rule => rule.config.severity !== 'off').length} rules</div>
+        </div>
+        <div class="sync-filter">${buttons}</div>
+        <div class="sync-plan-list">
+          ${rows || '<div class="empty-state">Every token follows the rules</div>'}
+        </div>
+        <details class="lint-rules">
+          <summary>Rules</summary>
+          ${report.rules.map(rule => this.renderLintRule(rule)).join('')}
+        </details>
+        <div class="sync-plan-actions">
+          <button class="btn btn-secondary" id="lint-close">Close</button>
+          <button class="btn btn-primary" id="lint-save">Save rules &amp; re-run</button>
+        </div>
+      </div>
+    `;
+
+    // Values are assigned after rendering so patterns never need attribute escaping
+    this.tokenTreeContent.querySelectorAll<HTMLSelectElement | HTMLInputElement | HTMLTextAreaElement>('[data-lint-rule]').forEach(field => {
+      const rule = report.rules.find(candidate => candidate.id === field.dataset.lintRule)!;
+      const option = field.dataset.lintOption;
+      field.value = option ? this.formatLintOption((rule.config.options || {})[option]) : rule.config.severity;
+    });
+
+    this.tokenTreeContent.querySelectorAll<HTMLElement>('.sync-filter-btn').forEach(btn => {
+      this.addEventListener(btn, 'click', () => {
+        this.lintSeverityFilter = btn.dataset.severity as LintSeverity | 'all';
+        this.renderLintReport(report);
+      });
+    });
+    this.addEventListener(this.tokenTreeContent.querySelector<HTMLElement>('#lint-close')!, 'click', () => {
+      this.renderFilePreview(this.state.selectedFile);
+    });
+    this.addEventListener(this.tokenTreeContent.querySelector<HTMLElement>('#lint-save')!, 'click', () => {
+      this.saveLintConfig(report.rules);
+    });
+  }
+
+  /**
+   * Severity select and one field per option (arrays as one entry per line)
+   */
+  private renderLintRule(rule: LintRuleInfo): string {
+    const id = this.escapeHtml(rule.id);
+    const severities = (Object.keys(LINT_SEVERITY_LABELS) as LintSeverity[])
+      .map(severity => `<option value="${severity}">${LINT_SEVERITY_LABELS[severity]}</option>`)
+      .join('');
+
+    const options = Object.keys(rule.config.options || {}).map(option => {
+      const value = rule.config.options![option];
+      const field = Array.isArray(value)
+        ? `<textarea rows="2" data-lint-rule="${id}" data-lint-option="${this.escapeHtml(option)}"></textarea>`
+        : `<input type="${typeof value === 'number' ? 'number' : 'text'}" data-lint-rule="${id}" data-lint-option="${this.escapeHtml(option)}">`;
+      return `<label class="lint-rule-option"><span>${this.escapeHtml(option)}</span>${field}</label>`;
+    }).join('');
+
+    return `
+      <div class="lint-rule">
+        <div class="lint-rule-header">
+          <span class="lint-rule-id">${id}</span>
+          <span class="lint-rule-description">${this.escapeHtml(rule.description)}</span>
+          <select data-lint-rule="${id}">${severities}</select>
+        </div>
+        ${options}
+      </div>
+    `;
+  }
+
+  private formatLintOption(value: unknown): string {
+    if (Array.isArray(value)) return value.join('\n');
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  /**
+   * Read the rule settings from the report, save them and lint again
+   * Option fields keep the type of the rule's current value
+   */
+  private async saveLintConfig(rules: LintRuleInfo[]): Promise<void> {
+    const config: Record<string, LintRuleConfig> = {};
+
+    for (const rule of rules) {
+      const severity = this.tokenTreeContent.querySelector<HTMLSelectElement>(`select[data-lint-rule="${rule.id}"]`);
+      const options: Record<string, unknown> = {};
+
+      this.tokenTreeContent
+        .querySelectorAll<HTMLInputElement | HTMLTextAreaElement>(`[data-lint-rule="${rule.id}"][data-lint-option]`)
+        .forEach(field => {
+          const current = (rule.config.options || {})[field.dataset.lintOption!];
+          options[field.dataset.lintOption!] = Array.isArray(current)
+            ? field.value.split('\n').map(line => line.trim()).filter(line => line.length > 0)
+            : typeof current === 'number' ? Number(field.value) : field.value;
+        });
+
+      config[rule.id] = {
+        severity: severity ? (severity.value as LintSeverity) : rule.config.severity,
+        options,
+      };
+    }
+
+    try {
+      await this.bridge.send('save-lint-config', { config: { rules: config } });
+      this.showNotification('Lint rules saved', 'success');
+    } catch (error) {
+      console.error('Error saving lint config:', error);
+      this.showNotification('Failed to save lint rules', 'error');
+      return;
+    }
+
+    await this.handleLint();
+  }
+
+  // ==================== CONTRAST ====================
+
+  /**
+   * Audit the contrast of foreground/background color pairs (called from AppLayout)
+   * Pairs and minimums come from token-contrast.json when it is loaded, else the defaults;
+   * a matrix config is kept so every brand × theme combination becomes a mode
+   */
+  public async handleContrastAudit(): Promise<void> {
+    const request = this.importConfig.buildContrastRequest(Array.from(this.state.tokenFiles.values()), this.state.tokenSource);
+    if (!request.success) {
+      this.showNotification(request.error!, 'error');
+      return;
+    }
+
+    try {
+      const response = await this.bridge.send('audit-contrast', request.data);
+      this.contrastModeFilter = 'all';
+      this.renderContrastReport(response.report);
+    } catch (error) {
+      console.error('Error auditing contrast:', error);
+      this.showNotification('Failed to audit contrast', 'error');
+    }
+  }
+
+  /**
+   * Render contrast results per pair and mode, with a mode filter
+   */
+  private renderContrastReport(report: ContrastReport): void {
+    const results = report.results.filter(result =>
+      this.contrastModeFilter === 'all' || result.mode === this.contrastModeFilter
+    );
+
+    const filters = ['all'].concat(report.modes);
+    const buttons = report.modes.length > 1
+      ? `<div class="sync-filter">${filters.map(filter => {
+        const label = filter === 'all' ? 'All' : this.escapeHtml(filter);
+        const count = filter === 'all' ? report.results.length : report.results.filter(result => result.mode === filter).length;
+        const active = filter === this.contrastModeFilter ? ' active' : '';
+        return `<button class="sync-filter-btn${active}" data-mode="${this.escapeHtml(filter)}">${label} <span class="sync-filter-count">${count}</span></button>`;
+      }).join('')}</div>`
+      : '';
+
+    const rows = results.map(result => {
+      const mode = report.modes.length > 1 ? ` · ${result.mode}` : '';
+      const swatch = result.error
+        ? '<span class="contrast-swatch contrast-swatch-empty">?</span>'
+        : `<span class="contrast-swatch" style="color: ${this.escapeHtml(result.foregroundColor!)}; background: ${this.escapeHtml(result.backgroundColor!)}">Aa</span>`;
+      const detail = result.error
+        ? result.error
+        : `${result.ratio}:1 ${result.wcag} · Lc ${result.apca}`;
+
+      return `
+        <div class="sync-plan-row">
+          ${swatch}
+          <span class="sync-plan-name">${this.escapeHtml(`${result.foreground} on ${result.background}${mode}`)}</span>
+          <span class="sync-plan-diff">${this.escapeHtml(detail)}</span>
+          <span class="contrast-status contrast-${result.pass ? 'pass' : 'fail'}">${result.pass ? 'Pass' : 'Fail'}</span>
+        </div>
+      `;
+    }).join('');
+
+    const minimum = `WCAG ≥ ${report.minimum.wcag}:1${report.minimum.apca > 0 ? ` · APCA ≥ Lc ${report.minimum.apca}` : ''}`;
+    const title = report.results.length > 0
+      ? `${report.counts.fail} of ${report.results.length} pairs failing`
+      : 'No color pairs found';
+
+    this.tokenTreeContent.innerHTML = `
+      <div class="sync-plan contrast-report">
+        <div class="sync-plan-header">
+          <div class="sync-plan-title">${title}</div>
+          <div class="sync-plan-summary">${this.escapeHtml(minimum)}</div>
+        </div>
+        ${buttons}
+        <div class="sync-plan-list">
+          ${rows || `<div class="empty-state">Pair tokens by path in ${CONTRAST_CONFIG_FILE_NAME} or with $extensions.contrast.background</div>`}
+        </div>
+        <div class="sync-plan-actions">
+          <button class="btn btn-secondary" id="contrast-close">Close</button>
+          <button class="btn btn-primary" id="contrast-matrix"${report.results.length > 0 ? '' : ' disabled'}>Generate matrix frame</button>
+        </div>
+      </div>
+    `;
+
+    this.tokenTreeContent.querySelectorAll<HTMLElement>('.sync-filter-btn').forEach(btn => {
+      this.addEventListener(btn, 'click', () => {
+        this.contrastModeFilter = btn.dataset.mode!;
+        this.renderContrastReport(report);
+      });
+    });
+    this.addEventListener(this.tokenTreeContent.querySelector<HTMLElement>('#contrast-close')!, 'click', () => {
+      this.renderFilePreview(this.state.selectedFile);
+    });
+    this.addEventListener(this.tokenTreeContent.querySelector<HTMLElement>('#contrast-matrix')!, 'click', () => {
+      this.generateContrastMatrix(report);
+    });
+  }
+
+  private async generateContrastMatrix(report: ContrastReport): Promise<void> {
+    try {
+      await this.bridge.send('generate-contrast-matrix', { report });
+      this.showNotification('Contrast matrix generated', 'success');
+    } catch (error) {
+      console.error('Error generating contrast matrix:', error);
+      this.showNotification('Failed to generate contrast matrix', 'error');
     }
   }
 
@@ -360,7 +1309,7 @@ export class TokenScreen extends BaseComponent {
     const githubConfig = this.state.githubConfig;
 
     // Handle local source - navigate to import screen
-    if (tokenSource === 'local' || !githubConfig) {
+    if (tokenSource !== 'github' || !githubConfig) {
       this.showNotification('Re-import your token files from the import screen', 'info');
       this.state.setCurrentScreen('import');
       return;
@@ -6,14 +6,16 @@
 import { BaseComponent } from './BaseComponent';
 import { AppState } from '../state/AppState';
 import { SCREEN_IDS, CSS_CLASSES } from '../../shared/constants';
+import { ProjectSummary } from '../../shared/types';
 
 /**
  * Welcome screen component
  *
  * Features:
  * - Logo and title
- * - Two import options: GitHub or Local
+ * - Import options: GitHub, GitLab or Local
  * - Back button (shown when returning from token screen)
+ * - Active project with a link to project management
  *
  * Principles:
  * - Extends BaseComponent for lifecycle management
@@ -22,8 +24,10 @@ import { SCREEN_IDS, CSS_CLASSES } from '../../shared/constants';
  */
 export class WelcomeScreen extends BaseComponent {
   private connectGithubBtn!: HTMLButtonElement;
+  private connectGitlabBtn!: HTMLButtonElement;
   private importLocalBtn!: HTMLButtonElement;
   private backToTokensBtn!: HTMLButtonElement;
+  private manageProjectsBtn!: HTMLButtonElement;
 
   constructor(state: AppState) {
     super(state);
@@ -47,6 +51,12 @@ export class WelcomeScreen extends BaseComponent {
           </svg>
           Connect to Github
         </button>
+        <button class="btn btn-secondary" id="connect-gitlab-btn">
+          <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
+            <path d="M12 21.5L15.7 10.1H8.3L12 21.5ZM12 21.5L3.1 10.1L2.1 13.3C2 13.6 2.1 14 2.4 14.2L12 21.5ZM12 21.5L20.9 10.1L21.9 13.3C22 13.6 21.9 14 21.6 14.2L12 21.5ZM3.1 10.1H8.3L6.1 3.2C6 2.9 5.5 2.9 5.4 3.2L3.1 10.1ZM20.9 10.1H15.7L17.9 3.2C18 2.9 18.5 2.9 18.6 3.2L20.9 10.1Z" stroke="currentColor" stroke-width="1.5" stroke-linejoin="round"/>
+          </svg>
+          Connect to GitLab
+        </button>
         <button class="btn btn-secondary" id="import-local-btn">
           <svg width="20" height="20" viewBox="0 0 24 24" fill="none" xmlns="http://www.w3.org/2000/svg">
             <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4M17 8l-5-5-5 5M12 3v12" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
@@ -55,6 +65,10 @@ export class WelcomeScreen extends BaseComponent {
         </button>
       </div>
 
+      <button class="welcome-back-btn" id="manage-projects-btn">
+        Project: Default · Manage projects
+      </button>
+
       <button class="welcome-back-btn hidden" id="back-to-tokens-btn">
         � Back to Tokens
       </button>
@@ -62,8 +76,10 @@ export class WelcomeScreen extends BaseComponent {
 
     // Cache button references
     this.connectGithubBtn = screen.querySelector('#connect-github-btn')!;
+    this.connectGitlabBtn = screen.querySelector('#connect-gitlab-btn')!;
     this.importLocalBtn = screen.querySelector('#import-local-btn')!;
     this.backToTokensBtn = screen.querySelector('#back-to-tokens-btn')!;
+    this.manageProjectsBtn = screen.querySelector('#manage-projects-btn')!;
 
     return screen;
   }
@@ -74,6 +90,11 @@ export class WelcomeScreen extends BaseComponent {
       this.handleGitHubConnect();
     });
 
+    // Connect to GitLab button
+    this.addEventListener(this.connectGitlabBtn, 'click', () => {
+      this.handleGitLabConnect();
+    });
+
     // Import Local Files button
     this.addEventListener(this.importLocalBtn, 'click', () => {
       this.handleLocalImport();
@@ -84,6 +105,15 @@ export class WelcomeScreen extends BaseComponent {
       this.handleBackToTokens();
     });
 
+    // Manage projects button
+    this.addEventListener(this.manageProjectsBtn, 'click', () => {
+      this.state.setCurrentScreen('projects');
+    });
+
+    this.subscribeToState('projects-changed', (project: ProjectSummary | null) => {
+      this.manageProjectsBtn.textContent = `Project: ${project ? project.name : 'Default'} · Manage projects`;
+    });
+
     // Listen to state changes to show/hide back button
     this.subscribeToState('files-loaded', () => {
       this.updateBackButton();
@@ -102,6 +132,17 @@ export class WelcomeScreen extends BaseComponent {
     this.state.setCurrentScreen('import');
   }
 
+  /**
+   * Handle GitLab connect button click
+   * Navigates to import screen with GitLab mode
+   */
+  private handleGitLabConnect(): void {
+    console.log('[WelcomeScreen] GitLab connect clicked');
+
+    this.state.setImportMode('gitlab');
+    this.state.setCurrentScreen('import');
+  }
+
   /**
    * Handle local import button click
    * Navigates to import screen with local mode
@@ -10,9 +10,10 @@ import { ImportScreen } from './components/ImportScreen';
 import { TokenScreen } from './components/TokenScreen';
 import { ScopeScreen } from './components/ScopeScreen';
 import { DocumentationScreen } from './components/DocumentationScreen';
+import { ProjectScreen } from './components/ProjectScreen';
 import { AppLayout } from './components/AppLayout';
 import { NotificationManager } from './components/NotificationManager';
-import { ScreenType } from '../shared/types';
+import { ScreenType, TokenState, ProjectList } from '../shared/types';
 import { debug } from '../shared/logger';
 
 /**
@@ -29,6 +30,7 @@ class FrontendApp {
   private tokenScreen: TokenScreen;
   private scopeScreen: ScopeScreen;
   private documentationScreen: DocumentationScreen;
+  private projectScreen: ProjectScreen;
   private appLayout: AppLayout;
   private notificationManager: NotificationManager;
 
@@ -46,6 +48,7 @@ class FrontendApp {
     this.tokenScreen = new TokenScreen(this.state, this.bridge);
     this.scopeScreen = new ScopeScreen(this.state, this.bridge);
     this.documentationScreen = new DocumentationScreen(this.state, this.bridge);
+    this.projectScreen = new ProjectScreen(this.state, this.bridge);
     this.appLayout = new AppLayout(this.state);
     this.notificationManager = new NotificationManager();
 
@@ -55,6 +58,7 @@ class FrontendApp {
     this.tokenScreen.init();
     this.scopeScreen.init();
     this.documentationScreen.init();
+    this.projectScreen.init();
     this.appLayout.init();
     this.notificationManager.init();
 
@@ -65,6 +69,7 @@ class FrontendApp {
       ['token', this.tokenScreen],
       ['scope', this.scopeScreen],
       ['documentation', this.documentationScreen],
+      ['projects', this.projectScreen],
     ]);
 
     // Wire up callbacks between layout and screens
@@ -80,6 +85,14 @@ class FrontendApp {
       this.appLayout.updatePullButton(visible, hasChanges);
     };
 
+    this.tokenScreen.onProposeButtonUpdate = (visible: boolean) => {
+      this.appLayout.updateProposeButton(visible);
+    };
+
+    this.tokenScreen.onLintButtonUpdate = (visible: boolean) => {
+      this.appLayout.updateLintButton(visible);
+    };
+
     // Layout button callbacks - delegate to current screen
     this.appLayout.onSync = () => {
       const currentScreen = this.state.currentScreen;
@@ -90,6 +103,33 @@ class FrontendApp {
       }
     };
 
+    this.appLayout.onCancelSync = () => {
+      this.tokenScreen.handleCancelSync();
+    };
+
+    this.appLayout.onExport = () => {
+      this.tokenScreen.handleExportVariables();
+    };
+
+    this.appLayout.onLint = () => {
+      this.state.setCurrentScreen('token');
+      this.tokenScreen.handleLint();
+    };
+
+    this.appLayout.onContrast = () => {
+      this.state.setCurrentScreen('token');
+      this.tokenScreen.handleContrastAudit();
+    };
+
+    this.appLayout.onPropose = () => {
+      this.tokenScreen.handleProposeChanges();
+    };
+
+    // Project switches replace the loaded token files with the project's saved ones
+    this.projectScreen.onProjectSwitched = (tokenState: TokenState | null) => {
+      this.applyProjectSwitch(tokenState);
+    };
+
     this.appLayout.onPull = () => {
       const currentScreen = this.state.currentScreen;
       if (currentScreen === 'token') {
@@ -114,9 +154,10 @@ class FrontendApp {
     this.scopeScreen.mount(contentArea);
     this.documentationScreen.mount(contentArea);
 
-    // Mount welcome and import screens directly to body
+    // Mount welcome, import and project screens directly to body
     this.welcomeScreen.mount(body);
     this.importScreen.mount(body);
+    this.projectScreen.mount(body);
 
     // Mount notification manager
     this.notificationManager.mount(body);
@@ -127,6 +168,7 @@ class FrontendApp {
     this.tokenScreen.hide();
     this.scopeScreen.hide();
     this.documentationScreen.hide();
+    this.projectScreen.hide();
 
     // Subscribe to screen changes
     this.state.subscribe('screen-changed', (screen: ScreenType) => {
@@ -141,7 +183,8 @@ class FrontendApp {
     // Setup backend message handlers
     this.setupBackendHandlers();
 
-    // Load saved tokens if any
+    // Load the projects, then the saved tokens of the active one
+    await this.loadProjects();
     await this.loadSavedTokens();
 
     debug.log('[Frontend] Application started');
@@ -156,31 +199,7 @@ class FrontendApp {
       const response = await this.bridge.send('load-tokens');
       debug.log('[Frontend] Load tokens response:', response);
 
-      if (response && response.tokenFiles && Object.keys(response.tokenFiles).length > 0) {
-        // Restore state
-        const files = Object.values(response.tokenFiles);
-        debug.log('[Frontend] Found saved tokens:', files.length, 'files');
-
-        // Manually set token files without updating lastUpdated
-        files.forEach((file: any) => {
-          this.state.addTokenFile(file);
-        });
-        this.state.setTokenSource(response.tokenSource || 'local');
-
-        // Restore GitHub config if present
-        if (response.githubConfig) {
-          debug.log('[Frontend] Restoring GitHub config:', response.githubConfig);
-          this.state.setGitHubConfig(response.githubConfig);
-        }
-
-        // Restore lastUpdated timestamp if present
-        if (response.lastUpdated) {
-          // Access private property through snapshot
-          const snapshot = this.state.getSnapshot();
-          snapshot.lastUpdated = response.lastUpdated;
-          this.state.restoreSnapshot(snapshot);
-        }
-
+      if (this.restoreTokenState(response)) {
         // Navigate to token screen
         debug.log('[Frontend] Navigating to token screen');
         this.state.setCurrentScreen('token');
@@ -197,6 +216,67 @@ class FrontendApp {
     }
   }
 
+  /**
+   * Restore saved token files, source and GitHub config into the state
+   *
+   * @returns false when the saved state holds no token files
+   */
+  private restoreTokenState(response: TokenState | null): boolean {
+    if (!response || !response.tokenFiles || Object.keys(response.tokenFiles).length === 0) {
+      return false;
+    }
+
+    const files = Object.values(response.tokenFiles);
+    debug.log('[Frontend] Found saved tokens:', files.length, 'files');
+
+    // Manually set token files without updating lastUpdated
+    files.forEach(file => {
+      this.state.addTokenFile(file);
+    });
+    this.state.setTokenSource(response.tokenSource || 'local');
+
+    // Restore GitHub config if present
+    if (response.githubConfig) {
+      debug.log('[Frontend] Restoring GitHub config:', response.githubConfig);
+      this.state.setGitHubConfig(response.githubConfig);
+    }
+
+    // Restore lastUpdated timestamp if present
+    if (response.lastUpdated) {
+      // Access private property through snapshot
+      const snapshot = this.state.getSnapshot();
+      snapshot.lastUpdated = response.lastUpdated;
+      this.state.restoreSnapshot(snapshot);
+    }
+
+    return true;
+  }
+
+  /**
+   * Load the workspace projects (the backend has already restored the active one)
+   */
+  private async loadProjects(): Promise<void> {
+    try {
+      const list: ProjectList = await this.bridge.send('list-projects');
+      this.state.setProjects(list);
+    } catch (error) {
+      console.error('[Frontend] Failed to load projects:', error);
+    }
+  }
+
+  /**
+   * Replace the loaded tokens with those the new active project saved
+   * Projects that never imported start on the welcome screen
+   */
+  private applyProjectSwitch(tokenState: TokenState | null): void {
+    this.state.clearTokenFiles();
+    this.state.setSelectedFile(null);
+    this.state.setTokenSource(null);
+    this.state.setGitHubConfig(null);
+
+    this.state.setCurrentScreen(this.restoreTokenState(tokenState) ? 'token' : 'welcome');
+  }
+
   /**
    * Save current token state to storage
    */
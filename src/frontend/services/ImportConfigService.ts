@@ -0,0 +1,278 @@
+// ====================================================================================
+// IMPORT CONFIG SERVICE
+// Reads the plugin config files loaded next to token files and builds import payloads
+// ====================================================================================
+
+import {
+  Result,
+  Success,
+  Failure,
+  TokenFile,
+  TokenImportData,
+  TokenMatrixImportData,
+  ImportMatrixConfig,
+  TokenRenameMap,
+  ColorStyleOptions,
+  ContrastConfig,
+} from '../../shared/types';
+import {
+  CONTRAST_CONFIG_FILE_NAME,
+  IMPORT_MATRIX_FILE_NAME,
+  RENAME_MAP_FILE_NAME,
+  SYNC_CONFIG_FILE_NAME,
+  TOKENS_STUDIO_FILES,
+} from '../../shared/constants';
+
+type TokenSource = TokenImportData['source'];
+
+/**
+ * Backend message and payload that sync a set of token files
+ */
+export type TokenSyncRequest =
+  | { type: 'import-tokens'; data: TokenImportData }
+  | { type: 'import-token-matrix'; data: TokenMatrixImportData };
+
+/**
+ * Payload of a contrast audit: the token files plus the pairs config file, if any
+ */
+export interface ContrastAuditRequest {
+  data: TokenImportData | TokenMatrixImportData;
+  config: ContrastConfig | null;
+}
+
+/**
+ * Config files are matched by file name in any folder:
+ * - rename map: old -> new token paths, so renamed tokens keep their variables
+ * - sync config: collections whose color tokens (also) become paint styles
+ * - import matrix: glob rules that map files to brands and themes
+ * - contrast config: foreground/background pairs for the contrast audit
+ *
+ * Usage:
+ * const configs = new ImportConfigService();
+ * const request = configs.buildSyncRequest(files, 'local');
+ * if (request.success) await bridge.send(request.data!.type, request.data!.data);
+ */
+export class ImportConfigService {
+  /**
+   * Whether a loaded file is a plugin config file (matched by file name, any folder)
+   */
+  isConfigFile(file: TokenFile, fileName: string): boolean {
+    return (file.name.split('/').pop() || '').toLowerCase() === fileName;
+  }
+
+  /**
+   * Build the sync message for the loaded files, applying the rename map, sync config and matrix
+   */
+  buildSyncRequest(allFiles: TokenFile[], source: TokenSource | null): Result<TokenSyncRequest> {
+    let files = allFiles.filter(file => !this.isConfigFile(file, CONTRAST_CONFIG_FILE_NAME));
+
+    if (files.length === 0) {
+      return Failure('No token files loaded');
+    }
+
+    const renameFile = files.find(file => this.isConfigFile(file, RENAME_MAP_FILE_NAME));
+    let renames: TokenRenameMap | undefined;
+    if (renameFile) {
+      renames = this.readRenameMap(renameFile);
+      if (!renames) {
+        return Failure(`${RENAME_MAP_FILE_NAME} must map old token paths to new token paths`);
+      }
+      files = files.filter(file => file !== renameFile);
+    }
+
+    const syncConfigFile = files.find(file => this.isConfigFile(file, SYNC_CONFIG_FILE_NAME));
+    let colorStyles: ColorStyleOptions | undefined;
+    if (syncConfigFile) {
+      colorStyles = this.readColorStyles(syncConfigFile);
+      if (!colorStyles) {
+        return Failure(`${SYNC_CONFIG_FILE_NAME} "colorStyles" must map collection names to "also" or "instead"`);
+      }
+      files = files.filter(file => file !== syncConfigFile);
+    }
+
+    // A matrix config file switches to brand × theme import
+    const matrixFile = files.find(file => this.isConfigFile(file, IMPORT_MATRIX_FILE_NAME));
+    if (matrixFile) {
+      const matrix = this.readMatrix(matrixFile);
+      if (!matrix) {
+        return Failure(`${IMPORT_MATRIX_FILE_NAME} must contain a "rules" array`);
+      }
+
+      return Success({
+        type: 'import-token-matrix',
+        data: {
+          files: this.toPathFiles(files.filter(file => file !== matrixFile)),
+          matrix,
+          renames,
+          colorStyles,
+          source: source || 'local',
+        },
+      });
+    }
+
+    return Success({ type: 'import-tokens', data: this.buildImportData(files, source, renames, colorStyles) });
+  }
+
+  /**
+   * Build the lint payload: token files in the same layout as a sync, so collections match
+   * Matrix files are linted by path (brand/theme mapping does not change the findings)
+   */
+  buildLintData(allFiles: TokenFile[], source: TokenSource | null): Result<TokenImportData> {
+    const files = allFiles.filter(file =>
+      [RENAME_MAP_FILE_NAME, CONTRAST_CONFIG_FILE_NAME, SYNC_CONFIG_FILE_NAME].every(name => !this.isConfigFile(file, name))
+    );
+
+    if (files.length === 0) {
+      return Failure('No token files loaded');
+    }
+
+    const matrixFile = files.find(file => this.isConfigFile(file, IMPORT_MATRIX_FILE_NAME));
+    if (!matrixFile) {
+      return Success(this.buildImportData(files, source));
+    }
+
+    return Success({
+      primitives: null,
+      semantics: null,
+      files: this.toPathFiles(files.filter(file => file !== matrixFile)),
+      source: source || 'local',
+    });
+  }
+
+  /**
+   * Build the contrast audit payload
+   * A matrix config is kept so every brand × theme combination becomes a mode
+   */
+  buildContrastRequest(allFiles: TokenFile[], source: TokenSource | null): Result<ContrastAuditRequest> {
+    let files = allFiles.filter(file => !this.isConfigFile(file, RENAME_MAP_FILE_NAME) && !this.isConfigFile(file, SYNC_CONFIG_FILE_NAME));
+
+    const configFile = files.find(file => this.isConfigFile(file, CONTRAST_CONFIG_FILE_NAME));
+    const config = configFile ? configFile.content as unknown as ContrastConfig : null;
+    if (configFile) {
+      if (!config || (config.pairs !== undefined && !Array.isArray(config.pairs))) {
+        return Failure(`${CONTRAST_CONFIG_FILE_NAME} "pairs" must be an array of { foreground, background }`);
+      }
+      files = files.filter(file => file !== configFile);
+    }
+
+    if (files.length === 0) {
+      return Failure('No token files loaded');
+    }
+
+    const matrixFile = files.find(file => this.isConfigFile(file, IMPORT_MATRIX_FILE_NAME));
+    const matrix = matrixFile ? this.readMatrix(matrixFile) : undefined;
+    if (matrixFile && matrix) {
+      return Success({
+        data: { files: this.toPathFiles(files.filter(file => file !== matrixFile)), matrix, source: source || 'local' },
+        config,
+      });
+    }
+
+    return Success({ data: this.buildImportData(files, source), config });
+  }
+
+  /**
+   * Import payload for files without a matrix config
+   * Archive contents and Tokens Studio repos keep their folder structure and import by path;
+   * otherwise files named *primitive* and *semantic* fill the two collections
+   */
+  private buildImportData(
+    files: TokenFile[],
+    tokenSource: TokenSource | null,
+    renames?: TokenRenameMap,
+    colorStyles?: ColorStyleOptions
+  ): TokenImportData {
+    const source = tokenSource || 'local';
+
+    const isTokensStudio = files.some(file => {
+      const fileName = file.path.split('/').pop();
+      return fileName === TOKENS_STUDIO_FILES.THEMES || fileName === TOKENS_STUDIO_FILES.METADATA;
+    });
+    if (isTokensStudio || files.some(file => file.archive)) {
+      return { primitives: null, semantics: null, files: this.toPathFiles(files), renames, colorStyles, source };
+    }
+
+    // Organize tokens by type (primitives/semantics)
+    let primitives: TokenImportData['primitives'] = null;
+    let semantics: TokenImportData['semantics'] = null;
+
+    files.forEach(file => {
+      if (file.name.toLowerCase().includes('primitive')) {
+        primitives = file.content;
+      } else if (file.name.toLowerCase().includes('semantic')) {
+        semantics = file.content;
+      }
+    });
+
+    // If not found by name, use first as primitives
+    if (!primitives && files.length > 0) {
+      primitives = files[0].content;
+    }
+
+    return { primitives, semantics, renames, colorStyles, source };
+  }
+
+  private toPathFiles(files: TokenFile[]): TokenMatrixImportData['files'] {
+    return files.map(file => ({ path: file.path, content: file.content }));
+  }
+
+  /**
+   * Read an import matrix file
+   *
+   * @returns The config, or undefined without a "rules" array
+   */
+  private readMatrix(file: TokenFile): ImportMatrixConfig | undefined {
+    const matrix = file.content as unknown as ImportMatrixConfig;
+    return matrix && Array.isArray(matrix.rules) ? matrix : undefined;
+  }
+
+  /**
+   * Read a rename map file: a flat object of old -> new dot-separated token paths
+   *
+   * @returns The map, or undefined when the file is not a string-to-string object
+   */
+  private readRenameMap(file: TokenFile): TokenRenameMap | undefined {
+    const content = file.content as Record<string, unknown>;
+    if (typeof content !== 'object' || content === null || Array.isArray(content)) {
+      return undefined;
+    }
+
+    const renames: TokenRenameMap = {};
+    for (const oldPath of Object.keys(content)) {
+      const newPath = content[oldPath];
+      if (typeof newPath !== 'string') {
+        return undefined;
+      }
+      renames[oldPath] = newPath;
+    }
+
+    return renames;
+  }
+
+  /**
+   * Read the color style settings of a sync config file: collection name -> 'also' | 'instead'
+   *
+   * @returns The settings (empty without "colorStyles"), or undefined when they are malformed
+   */
+  private readColorStyles(file: TokenFile): ColorStyleOptions | undefined {
+    const content = file.content as Record<string, unknown>;
+    const settings = typeof content === 'object' && content !== null ? content.colorStyles : undefined;
+    if (settings === undefined) {
+      return {};
+    }
+    if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+      return undefined;
+    }
+
+    const colorStyles: ColorStyleOptions = {};
+    for (const collection of Object.keys(settings)) {
+      const mode = (settings as Record<string, unknown>)[collection];
+      if (mode !== 'also' && mode !== 'instead') {
+        return undefined;
+      }
+      colorStyles[collection] = mode;
+    }
+
+    return colorStyles;
+  }
+}
@@ -10,7 +10,10 @@ import {
   TabType,
   ImportMode,
   GitHubConfig,
-  FigmaVariableData
+  FigmaVariableData,
+  ProjectList,
+  ProjectSummary,
+  ProjectSettings
 } from '../../shared/types';
 import { debug } from '../../shared/logger';
 
@@ -39,11 +42,15 @@ export class AppState {
   private _currentScreen: ScreenType = 'welcome';
   private _currentTab: TabType = 'tokens';
   private _importMode: ImportMode = 'github';
-  private _tokenSource: 'github' | 'local' | null = null;
+  private _tokenSource: 'github' | 'gitlab' | 'local' | null = null;
   private _githubConfig: GitHubConfig | null = null;
   private _figmaVariables: Map<string, FigmaVariableData> = new Map();
   private _tokenScopesMap: Map<string, string[]> = new Map();
   private _lastUpdated: string | null = null; // ISO timestamp of last token update
+  private _syncInProgress = false;
+  private _projects: ProjectSummary[] = [];
+  private _activeProjectId: string | null = null;
+  private _settings: ProjectSettings | null = null; // Active project's settings, null until loaded
 
   // ==================== OBSERVABLE PATTERN ====================
 
@@ -118,7 +125,7 @@ export class AppState {
     return this._importMode;
   }
 
-  get tokenSource(): 'github' | 'local' | null {
+  get tokenSource(): 'github' | 'gitlab' | 'local' | null {
     return this._tokenSource;
   }
 
@@ -138,6 +145,22 @@ export class AppState {
     return this._lastUpdated;
   }
 
+  get syncInProgress(): boolean {
+    return this._syncInProgress;
+  }
+
+  get projects(): ProjectSummary[] {
+    return this._projects.slice(); // Return copy for immutability
+  }
+
+  get activeProject(): ProjectSummary | null {
+    return this._projects.find(project => project.id === this._activeProjectId) || null;
+  }
+
+  get settings(): ProjectSettings | null {
+    return this._settings;
+  }
+
   // ==================== SETTERS WITH EVENTS ====================
 
   /**
@@ -248,6 +271,34 @@ export class AppState {
     debug.log(`[AppState] Tab changed to: ${tab}`);
   }
 
+  /**
+   * Mark a sync to Figma as running or finished and emit event
+   */
+  setSyncInProgress(inProgress: boolean): void {
+    this._syncInProgress = inProgress;
+    this.emit('sync-state-changed', inProgress);
+    debug.log(`[AppState] Sync in progress: ${inProgress}`);
+  }
+
+  /**
+   * Set the workspace projects and the active one, and emit event
+   */
+  setProjects(list: ProjectList): void {
+    this._projects = list.projects.slice();
+    this._activeProjectId = list.activeProjectId;
+    this.emit('projects-changed', this.activeProject);
+    debug.log(`[AppState] Projects updated: ${list.projects.length} projects, active: ${list.activeProjectId}`);
+  }
+
+  /**
+   * Set the active project's settings and emit event
+   */
+  setSettings(settings: ProjectSettings): void {
+    this._settings = { ...settings };
+    this.emit('settings-changed', this._settings);
+    debug.log('[AppState] Settings updated');
+  }
+
   /**
    * Set import mode and emit event
    */
@@ -260,7 +311,7 @@ export class AppState {
   /**
    * Set token source
    */
-  setTokenSource(source: 'github' | 'local' | null): void {
+  setTokenSource(source: 'github' | 'gitlab' | 'local' | null): void {
     this._tokenSource = source;
     debug.log(`[AppState] Token source set to: ${source}`);
   }
@@ -6,13 +6,14 @@
 import { Base64Decoder } from '../utils/Base64Decoder';
 import { FileClassifier } from '../utils/FileClassifier';
 import { BatchProcessor } from '../utils/BatchProcessor';
-import { FEATURE_FLAGS } from '../shared/constants';
+import { FEATURE_FLAGS, GITHUB_DEFAULTS } from '../shared/constants';
 
 interface GitHubConfig {
   token: string;
   owner: string;
   repo: string;
   branch: string;
+  apiBaseUrl?: string;
 }
 
 interface GitHubFile {
@@ -21,6 +22,25 @@ interface GitHubFile {
   sha: string;
 }
 
+interface GitHubCommitFile {
+  path: string;
+  content: string;
+}
+
+interface GitHubProposal {
+  branchName: string;
+  message: string;
+  title: string;
+  body: string;
+  files: GitHubCommitFile[];
+}
+
+interface GitHubPullRequest {
+  number: number;
+  url: string;
+  branch: string;
+}
+
 /**
  * GitHub service - refactored with Single Responsibility
  *
@@ -33,6 +53,7 @@ interface GitHubFile {
  * - Fetch repository file lists
  * - Fetch individual file content
  * - Fetch multiple files in batch
+ * - Commit files to a new branch and open a pull request (Git Data API)
  * - Parse repository URLs
  *
  * Delegated Responsibilities (extracted):
@@ -45,7 +66,7 @@ export class GitHubService {
    */
   async fetchRepositoryFiles(config: GitHubConfig): Promise<GitHubFile[]> {
     try {
-      const url = `https://api.github.com/repos/${config.owner}/${config.repo}/git/trees/${config.branch}?recursive=1`;
+      const url = `${this.getApiBaseUrl(config)}/repos/${config.owner}/${config.repo}/git/trees/${config.branch}?recursive=1`;
 
       const response = await fetch(url, {
         headers: {
@@ -83,7 +104,7 @@ export class GitHubService {
    */
   async fetchFileContent(config: GitHubConfig, filePath: string): Promise<any> {
     try {
-      const url = `https://api.github.com/repos/${config.owner}/${config.repo}/contents/${filePath}?ref=${config.branch}`;
+      const url = `${this.getApiBaseUrl(config)}/repos/${config.owner}/${config.repo}/contents/${filePath}?ref=${config.branch}`;
 
       const response = await fetch(url, {
         headers: {
@@ -96,7 +117,7 @@ export class GitHubService {
       if (!response.ok) {
         const errorText = await response.text();
         console.error(`GitHub API error for ${filePath}:`, response.status, errorText);
-        throw new Error(`Failed to fetch ${filePath}: ${response.statusText}`);
+        throw new Error(`Failed to fetch ${filePath} (${response.status}): ${response.statusText}`);
       }
 
       const data = await response.json();
@@ -199,6 +220,64 @@ export class GitHubService {
     return { primitives: primitivesData, semantics: semanticsData };
   }
 
+  /**
+   * Commit files to a new branch and open a pull request against config.branch
+   *
+   * Uses the Git Data API so any number of files lands in a single commit:
+   * base ref → base tree → blobs → tree → commit → new ref → pull request
+   */
+  async proposeChanges(config: GitHubConfig, proposal: GitHubProposal): Promise<GitHubPullRequest> {
+    try {
+      const repoPath = `/repos/${config.owner}/${config.repo}`;
+
+      const baseRef = await this.apiRequest<{ object: { sha: string } }>(config, 'GET', `${repoPath}/git/ref/heads/${config.branch}`);
+      const baseSha = baseRef.object.sha;
+
+      const baseCommit = await this.apiRequest<{ tree: { sha: string } }>(config, 'GET', `${repoPath}/git/commits/${baseSha}`);
+
+      const treeEntries = [];
+      for (const file of proposal.files) {
+        const blob = await this.apiRequest<{ sha: string }>(config, 'POST', `${repoPath}/git/blobs`, {
+          content: file.content,
+          encoding: 'utf-8'
+        });
+        treeEntries.push({ path: file.path, mode: '100644', type: 'blob', sha: blob.sha });
+      }
+
+      const tree = await this.apiRequest<{ sha: string }>(config, 'POST', `${repoPath}/git/trees`, {
+        base_tree: baseCommit.tree.sha,
+        tree: treeEntries
+      });
+
+      const commit = await this.apiRequest<{ sha: string }>(config, 'POST', `${repoPath}/git/commits`, {
+        message: proposal.message,
+        tree: tree.sha,
+        parents: [baseSha]
+      });
+
+      await this.apiRequest(config, 'POST', `${repoPath}/git/refs`, {
+        ref: `refs/heads/${proposal.branchName}`,
+        sha: commit.sha
+      });
+
+      const pullRequest = await this.apiRequest<{ number: number; html_url: string }>(config, 'POST', `${repoPath}/pulls`, {
+        title: proposal.title,
+        body: proposal.body,
+        head: proposal.branchName,
+        base: config.branch
+      });
+
+      return {
+        number: pullRequest.number,
+        url: pullRequest.html_url,
+        branch: proposal.branchName
+      };
+    } catch (error) {
+      console.error('GitHub propose error:', error);
+      throw new Error(`Failed to propose changes: ${error instanceof Error ? error.message : 'Unknown error'}`);
+    }
+  }
+
   /**
    * Parse GitHub repository URL
    */
@@ -213,4 +292,41 @@ export class GitHubService {
       repo: match[2].replace('.git', '')
     };
   }
+
+  /**
+   * Resolve API base URL (GitHub Enterprise or local mock when configured)
+   * @private
+   */
+  private getApiBaseUrl(config: GitHubConfig): string {
+    return (config.apiBaseUrl || GITHUB_DEFAULTS.API_BASE_URL).replace(/\/+$/, '');
+  }
+
+  /**
+   * Authenticated JSON request against the GitHub REST API
+   * @private
+   */
+  private async apiRequest<T>(config: GitHubConfig, method: string, path: string, body?: unknown): Promise<T> {
+    const headers: Record<string, string> = {
+      'Authorization': `token ${config.token}`,
+      'Accept': 'application/vnd.github.v3+json',
+      'User-Agent': 'Figma-W3C-Tokens-Plugin'
+    };
+
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetch(`${this.getApiBaseUrl(config)}${path}`, {
+      method,
+      headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`GitHub API error (${response.status}) on ${method} ${path}: ${errorText || response.statusText}`);
+    }
+
+    return response.json();
+  }
 }
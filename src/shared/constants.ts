@@ -58,14 +58,55 @@ export const FEATURE_FLAGS = {
 export const STORAGE_KEYS = {
   TOKEN_STATE: 'tokenState',
   GITHUB_CONFIG: 'githubConfig',
+  PROJECTS: 'projects', // Project index (id, name, created) - clientStorage has no keys()
+  ACTIVE_PROJECT: 'activeProject',
+  LINT_CONFIG: 'lintConfig',
+  FONT_STYLES: 'fontStyles',
+  SETTINGS: 'settings',
 } as const;
 
+// ==================== SETTINGS ====================
+// Settings of a project that never saved any
+export const DEFAULT_PROJECT_SETTINGS = {
+  lint: true,
+  fontPreflight: true,
+  displayP3: false,
+  dryRun: false,
+  transactionalSync: true,
+  syncStateTracking: true,
+  crossProjectRefs: false,
+} as const;
+
+// ==================== PROJECTS ====================
+// Project that existed before workspaces - its token state and GitHub config keep the unscoped keys
+export const DEFAULT_PROJECT_ID = 'default';
+
+// Sync history entries kept per project (oldest dropped first)
+export const PROJECT_HISTORY_LIMIT = 20;
+
+// ==================== PLUGIN DATA ====================
+// Keys stored on Figma variables via setPluginData
+export const PLUGIN_DATA_KEYS = {
+  TOKEN_ID: 'tokenId', // Token the variable was synced from (marks plugin-managed variables)
+  ORPHAN_KEPT: 'orphanKept', // User chose to keep the variable after its token was removed
+  STABLE_ID: 'stableId', // Token's $extensions id - survives renames of the token path
+  PROJECT_ID: 'projectId', // Project of the token - other projects never report the variable as orphaned
+} as const;
+
+// Group orphaned variables are moved into when deprecated
+export const DEPRECATED_GROUP = '_deprecated';
+
+// ==================== REFERENCES ====================
+// Separates a project id from the token path in cross-project references: {core::color.blue.500}
+export const PROJECT_REFERENCE_SEPARATOR = '::';
+
 // ==================== SCREEN IDS ====================
 // HTML element IDs for screens
 export const SCREEN_IDS = {
   WELCOME: 'welcome-screen',
   IMPORT: 'import-screen',
   TOKEN: 'token-screen',
+  PROJECTS: 'projects-screen',
 } as const;
 
 // ==================== TAB IDS ====================
@@ -173,12 +214,43 @@ export const ALLOWED_FILE_EXTENSIONS = ['.json', '.zip'] as const;
 export const JSON_FILE_PATTERN = /\.json$/i;
 export const ZIP_FILE_PATTERN = /\.zip$/i;
 
+// Token file holding brand × theme import rules ({ "rules": [{ "pattern": "brands/{brand}/{theme}.json" }] })
+export const IMPORT_MATRIX_FILE_NAME = 'token-matrix.json';
+
+// Token file mapping renamed token paths ({ "color.brand.primary": "color.brand.main" })
+export const RENAME_MAP_FILE_NAME = 'token-renames.json';
+
+// Token file with sync settings per collection ({ "colorStyles": { "primitive": "also", "legacy": "instead" } })
+export const SYNC_CONFIG_FILE_NAME = 'token-sync.json';
+
+// Token file declaring contrast pairs and minimums ({ "pairs": [{ "foreground": "text.*", "background": "surface.*" }] })
+export const CONTRAST_CONFIG_FILE_NAME = 'token-contrast.json';
+
+// Contrast audit defaults: text tokens on surface tokens, WCAG AA body text and APCA Lc 60
+export const CONTRAST_DEFAULTS = {
+  pairs: [{ foreground: 'text.**', background: 'surface.**' }],
+  minimum: { wcag: 4.5, apca: 60 },
+} as const;
+
+// Tokens Studio multi-file layout: theme definitions and token set order live next to the set files
+export const TOKENS_STUDIO_FILES = {
+  THEMES: '$themes.json',
+  METADATA: '$metadata.json',
+};
+
 // ==================== GITHUB DEFAULTS ====================
 export const GITHUB_DEFAULTS = {
   BRANCH: 'main',
   API_BASE_URL: 'https://api.github.com',
 };
 
+// ==================== GITLAB DEFAULTS ====================
+export const GITLAB_DEFAULTS = {
+  BASE_URL: 'https://gitlab.com',
+  REF: 'main',
+  PER_PAGE: 100, // GitLab's maximum page size
+};
+
 // ==================== ERROR MESSAGES ====================
 export const ERROR_MESSAGES = {
   // GitHub errors
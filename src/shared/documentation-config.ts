@@ -133,6 +133,23 @@ export const DOCUMENTATION_LAYOUT_CONFIG = {
   },
 } as const;
 
+// ==================== CONTRAST MATRIX CONFIGURATION ====================
+/**
+ * Layout of the contrast matrix frame (foregrounds as rows, backgrounds as columns)
+ */
+export const CONTRAST_MATRIX_LAYOUT = {
+  cellWidth: 140,
+  cellHeight: 96,
+  labelWidth: 220,
+  gap: 4,
+  sampleFontSize: 24,
+  metaFontSize: 11,
+  labelFontSize: 12,
+  offset: 100, // Distance from the documentation frame the matrix is placed next to
+  failColor: { r: 0.85, g: 0.15, b: 0.15 },
+  emptyColor: { r: 0.95, g: 0.95, b: 0.95 },
+} as const;
+
 // ==================== VISUALIZATION CONFIGURATION ====================
 /**
  * Token type to visualization mapping
@@ -33,6 +33,11 @@ export interface ProcessedToken {
   value: any;
   type: string;
   originalValue?: any;
+  extensions?: Record<string, unknown>; // Raw $extensions from the source format
+  description?: string;
+  groupDescription?: string; // Nearest enclosing group $description
+  deprecated?: boolean | string; // $deprecated, own or inherited from a group (a string is the message)
+  collection?: string; // Collection the format assigns (Tokens Studio theme group), wins over the file's
 }
 
 export interface TokenMetadata {
@@ -42,6 +47,9 @@ export interface TokenMetadata {
   value: any;
   originalValue: any;
   description?: string;
+  groupDescription?: string;
+  deprecated?: boolean | string;
+  expression?: string; // Math expression the value is computed from
   aliasTo?: string;
   collection: string;
 }
@@ -57,12 +65,296 @@ export interface ImportStats {
   added: number;
   updated: number;
   skipped: number;
+  plan?: SyncPlan; // Dry run: the changes a sync would make (nothing written to Figma)
+  orphans?: OrphanedVariable[]; // Plugin-managed variables no synced token maps to any more
+  lint?: LintReport; // Lint findings of the imported tokens (ProjectSettings.lint)
+  fonts?: FontPreflightReport; // Missing fonts the user reviews before the held sync runs (ProjectSettings.fontPreflight)
+  warnings?: string[]; // Problems that did not fail the sync (text style fields left unbound)
+}
+
+// ==================== SETTINGS TYPES ====================
+/**
+ * Per-project settings the user turns on and off on the projects screen
+ */
+export interface ProjectSettings {
+  lint: boolean; // Lint every import and offer the lint report
+  fontPreflight: boolean; // Check fonts before syncing; missing fonts are reviewed before the sync runs
+  displayP3: boolean; // Sync colors as Display P3 values in documents using the Display P3 profile
+  dryRun: boolean; // Answer imports with a change plan; the sync runs only once the user confirms it
+  transactionalSync: boolean; // Snapshot variables and styles before a sync and restore them if it fails or is cancelled
+  syncStateTracking: boolean; // Record what each sync did per token and show synced/modified/pending/error badges
+  crossProjectRefs: boolean; // Resolve {project::path} references and store synced tokens for other projects
+}
+
+// ==================== FONT TYPES ====================
+/**
+ * Figma font style names for font weights ("600" -> "Semi Bold")
+ * Family overrides win over the weights of every family, which win over the built-in names
+ */
+export interface FontStyleMapping {
+  weights?: Record<string, string>;
+  families?: Record<string, Record<string, string>>; // family -> (weight -> style)
+}
+
+/**
+ * A font typography tokens use that Figma cannot load
+ */
+export interface MissingFont {
+  family: string;
+  weight?: number; // Unset when the family itself is missing
+  style?: string; // Style the weight maps to
+  availableStyles: string[]; // Styles Figma has for the family (empty when the family is missing)
+  tokens: string[]; // Qualified names of the tokens using the font
+}
+
+export interface FontPreflightReport {
+  checked: number; // Distinct family/weight pairs
+  missing: MissingFont[];
+}
+
+/**
+ * Sync held until the user reviews the fonts Figma cannot load
+ */
+export interface FontPreflightReview {
+  fonts: FontPreflightReport;
+}
+
+// ==================== LINT TYPES ====================
+/**
+ * Severity of a lint rule - 'off' disables the rule
+ */
+export type LintSeverity = 'error' | 'warning' | 'off';
+
+/**
+ * Configuration of one lint rule
+ * Options are rule specific (e.g. naming patterns, the maximum alias depth)
+ */
+export interface LintRuleConfig {
+  severity: LintSeverity;
+  options?: Record<string, unknown>;
+}
+
+/**
+ * Lint configuration of a project, keyed by rule id
+ * Rules missing from the config run with their defaults
+ */
+export interface LintConfig {
+  rules: Record<string, LintRuleConfig>;
+}
+
+/**
+ * Rule as listed in the UI: its description and the effective configuration
+ */
+export interface LintRuleInfo {
+  id: string;
+  description: string;
+  config: LintRuleConfig;
+}
+
+/**
+ * One finding of a lint rule
+ */
+export interface LintIssue {
+  tokenId: string;
+  qualifiedName: string;
+  file: string; // Token source location (file path)
+  collection: string;
+  ruleId: string;
+  severity: Exclude<LintSeverity, 'off'>;
+  message: string;
+}
+
+/**
+ * Findings of a lint run
+ */
+export interface LintReport {
+  issues: LintIssue[];
+  counts: { error: number; warning: number };
+  tokenCount: number;
+  rules: LintRuleInfo[]; // Rules the run used, with their effective configuration
+}
+
+// ==================== CONTRAST TYPES ====================
+/**
+ * Foreground/background pairing by token path
+ * Patterns are dot-separated globs ("text.*", "surface.**"); a {name} capture used in
+ * both patterns pairs only tokens with the same capture ("text.{role}" on "surface.{role}")
+ */
+export interface ContrastPairRule {
+  foreground: string;
+  background: string;
+}
+
+/**
+ * Contrast audit configuration (token-contrast.json)
+ */
+export interface ContrastConfig {
+  pairs?: ContrastPairRule[];
+  minimum?: {
+    wcag?: number; // Minimum WCAG 2.x ratio (e.g. 4.5 for AA body text)
+    apca?: number; // Minimum absolute APCA Lc (0 to ignore APCA)
+  };
+}
+
+/**
+ * WCAG 2.x level a contrast ratio reaches (AA Large also covers UI components)
+ */
+export type WcagLevel = 'AAA' | 'AA' | 'AA Large' | 'Fail';
+
+/**
+ * Contrast of one foreground/background pair in one mode
+ */
+export interface ContrastResult {
+  foreground: string; // Qualified token name
+  background: string;
+  mode: string;
+  foregroundColor?: string; // Hex (#RRGGBB or #RRGGBBAA) of the resolved color
+  backgroundColor?: string;
+  ratio?: number; // WCAG 2.x ratio, 2 decimals
+  wcag?: WcagLevel;
+  apca?: number; // APCA Lc, 1 decimal
+  pass: boolean;
+  source: 'path' | 'extension'; // Paired by a path rule or by $extensions.contrast
+  error?: string; // Set when a color could not be resolved in this mode
+}
+
+/**
+ * Contrast of every declared pair in every mode
+ */
+export interface ContrastReport {
+  results: ContrastResult[];
+  counts: { pass: number; fail: number };
+  modes: string[];
+  minimum: { wcag: number; apca: number };
+}
+
+/**
+ * Contrast audit request: the token files (in import layout) and the audit config
+ */
+export interface ContrastAuditRequest {
+  data: TokenImportData | TokenMatrixImportData;
+  config?: ContrastConfig | null;
+}
+
+// ==================== ORPHAN TYPES ====================
+/**
+ * A variable the plugin created (or linked to a token) that no token in the last sync maps to
+ */
+export interface OrphanedVariable {
+  id: string;
+  name: string;
+  collection: string;
+  resolvedType: VariableResolvedDataType;
+  tokenId?: string; // Token the variable was last synced from
+}
+
+/**
+ * What to do with an orphaned variable
+ * - deprecate: move it under the _deprecated/ group so bindings keep working
+ * - keep: leave it as is and stop reporting it
+ */
+export type OrphanAction = 'delete' | 'deprecate' | 'keep';
+
+export interface OrphanResolution {
+  variableId: string;
+  action: OrphanAction;
+}
+
+export interface OrphanReport {
+  message: string; // Sync summary
+  orphans: OrphanedVariable[];
+}
+
+// ==================== SYNC PLAN TYPES ====================
+/**
+ * What a sync would do to one Figma variable or style
+ * - type-change: the variable's resolved type differs; a transactional sync recreates it, others report an error
+ * - rename: an existing variable linked to the token is renamed in place (before/after are names)
+ * - orphaned: the variable exists in a synced collection but no token maps to it
+ */
+export type SyncChangeAction =
+  | 'create'
+  | 'update-value'
+  | 'update-alias'
+  | 'rename'
+  | 'type-change'
+  | 'untouched'
+  | 'orphaned';
+
+export interface SyncPlanEntry {
+  action: SyncChangeAction;
+  kind: 'variable' | 'style';
+  collection: string; // Variable collection name ('' for styles)
+  name: string; // Variable or style name (slash-separated path)
+  tokenPath?: string; // Source token (absent for orphans)
+  modeName?: string; // Mode the change applies to
+  before?: string; // Current Figma value, formatted for display
+  after?: string; // Value the sync would write, formatted for display
+}
+
+export interface SyncPlan {
+  entries: SyncPlanEntry[];
+  counts: Record<SyncChangeAction, number>;
+  fonts?: FontPreflightReport; // Fonts to resolve before confirming (ProjectSettings.fontPreflight)
 }
 
 export interface TokenImportData {
   primitives: TokenData | null;
   semantics: TokenData | null;
-  source: 'github' | 'local';
+  source: 'github' | 'gitlab' | 'local';
+  files?: Array<{ path: string; content: TokenData }>; // Path-aware import (collections inferred from paths)
+  renames?: TokenRenameMap;
+  colorStyles?: ColorStyleOptions;
+}
+
+/**
+ * Renamed token paths: old qualified name -> new qualified name
+ * Lets sync rename the existing variable instead of creating a new one
+ */
+export type TokenRenameMap = Record<string, string>;
+
+/**
+ * Paint style output for the color tokens of a collection
+ * 'also' adds a style bound to each color variable, 'instead' writes styles and no variables
+ */
+export type ColorStyleMode = 'also' | 'instead';
+
+/**
+ * Collection name -> paint style output for its color tokens (collections not listed get none)
+ */
+export type ColorStyleOptions = Record<string, ColorStyleMode>;
+
+// ==================== IMPORT MATRIX TYPES ====================
+/**
+ * Maps files matching a glob to brand/theme dimensions
+ * `{brand}`, `{theme}` and `{collection}` placeholders in the pattern capture values,
+ * explicit fields win over captures and may reference them (e.g. "{brand}-semantic")
+ */
+export interface ImportMatrixRule {
+  pattern: string; // e.g. "brands/{brand}/{theme}.json" or "brands/acme/dark.json"
+  brand?: string;
+  theme?: string;
+  collection?: string;
+}
+
+export interface ImportMatrixConfig {
+  rules: ImportMatrixRule[];
+}
+
+export interface TokenMatrixImportData {
+  files: Array<{ path: string; content: TokenData }>;
+  matrix: ImportMatrixConfig;
+  source: 'github' | 'gitlab' | 'local';
+  renames?: TokenRenameMap;
+  colorStyles?: ColorStyleOptions;
+}
+
+// ==================== EXPORT TYPES ====================
+export interface VariableExportFile {
+  name: string; // File name, e.g. "primitive.json"
+  collection: string; // Source Figma collection name
+  content: TokenData; // W3C Design Tokens JSON
+  sourcePath?: string; // File the collection's tokens were imported from, when they all came from one
 }
 
 // ==================== GITHUB TYPES ====================
@@ -72,6 +364,21 @@ export interface GitHubConfig {
   repo: string;
   branch: string;
   files?: string[];
+  apiBaseUrl?: string; // GitHub Enterprise / local API mock (defaults to api.github.com)
+}
+
+export interface GitHubChangeRequest {
+  files: Array<{ path: string; content: TokenData }>; // Repository path → proposed content
+  title?: string;
+  branchName?: string; // Defaults to tokens/update-<timestamp>
+  message?: string; // Commit message
+}
+
+export interface GitHubPullRequestResult {
+  number: number;
+  url: string;
+  branch: string;
+  files: string[]; // Paths committed (unchanged files are skipped)
 }
 
 export interface GitHubFileObject {
@@ -80,6 +387,15 @@ export interface GitHubFileObject {
   size?: number;
 }
 
+// ==================== GITLAB TYPES ====================
+export interface GitLabConfig {
+  token: string; // Personal, project or group access token
+  baseUrl: string; // Instance URL, e.g. https://gitlab.example.com
+  projectId: string; // Numeric ID or namespace path (group/project)
+  ref: string; // Branch, tag or commit SHA
+  files?: string[];
+}
+
 // ==================== SCOPE TYPES ====================
 export interface ScopeAssignments {
   [tokenPath: string]: string[]; // Maps token path to array of scope strings
@@ -102,7 +418,7 @@ export interface FigmaVariableData {
  */
 export interface TokenState {
   tokenFiles: { [fileName: string]: TokenFile };
-  tokenSource: 'github' | 'local' | null;
+  tokenSource: 'github' | 'gitlab' | 'local' | null;
   githubConfig?: GitHubConfig;
   lastUpdated?: string; // ISO timestamp of last token update
 }
@@ -120,6 +436,81 @@ export interface ProjectStorage {
     source: FileSourceConfig;
     importStats: ImportStats;
   };
+  syncState?: Record<string, TokenSyncRecord>; // Last sync outcome per token id (ProjectSettings.syncStateTracking)
+  history?: ProjectSyncEntry[]; // Syncs of the project, newest first
+}
+
+/**
+ * One sync of a project to Figma
+ */
+export interface ProjectSyncEntry {
+  syncedAt: string; // ISO timestamp
+  tokenCount: number;
+  collections: string[]; // Collections the sync wrote to
+  success: boolean;
+  error?: string;
+}
+
+/**
+ * Token project of the workspace: one token repository synced into the Figma file
+ * Each project keeps its own source config, collections and sync history
+ */
+export interface ProjectInfo {
+  id: string; // Stable - used in {project::path} references and storage keys
+  name: string;
+  created: string; // ISO timestamp
+}
+
+/**
+ * Project as listed in the UI, with what its syncs produced
+ */
+export interface ProjectSummary extends ProjectInfo {
+  collections: string[]; // Collections of the last successful sync
+  history: ProjectSyncEntry[]; // Newest first
+}
+
+/**
+ * Projects of the workspace and the one imports and syncs currently use
+ */
+export interface ProjectList {
+  projects: ProjectSummary[];
+  activeProjectId: string;
+}
+
+/**
+ * Sync status of a token (ProjectSettings.syncStateTracking)
+ * - synced: Figma holds the token's current value
+ * - modified: the token changed since its last sync
+ * - pending: the token was never synced
+ * - error: the last sync of the token failed
+ */
+export type TokenSyncStatus = 'synced' | 'modified' | 'pending' | 'error';
+
+/**
+ * Last sync outcome of a token, persisted with the project
+ */
+export interface TokenSyncRecord {
+  qualifiedName: string;
+  file: string; // Token source location (file path)
+  collection: string;
+  valueHash?: string; // Hash of the value the last successful sync wrote
+  variableId?: string; // Unset for tokens synced as styles
+  syncedAt?: string; // ISO timestamp of the last successful sync
+  error?: string; // Error of the last failed sync (cleared once the token syncs again)
+}
+
+/**
+ * Sync state of a token as reported to the UI
+ */
+export interface TokenSyncState {
+  tokenId: string;
+  qualifiedName: string;
+  file: string;
+  collection: string;
+  status: TokenSyncStatus;
+  variableId?: string;
+  syncedAt?: string;
+  error?: string;
 }
 
 /**
@@ -136,8 +527,14 @@ export interface FileSourceConfig {
 // Messages sent from frontend to backend
 export type PluginMessageType =
   | 'import-tokens'
+  | 'import-token-matrix'
+  | 'export-variables'
+  | 'export-project-variables'
   | 'github-fetch-files'
   | 'github-import-files'
+  | 'github-propose-changes'
+  | 'gitlab-fetch-files'
+  | 'gitlab-import-files'
   | 'load-github-config'
   | 'save-github-config'
   | 'save-tokens'
@@ -145,6 +542,24 @@ export type PluginMessageType =
   | 'get-figma-variables'
   | 'apply-variable-scopes'
   | 'generate-documentation'
+  | 'apply-sync'
+  | 'cancel-sync'
+  | 'resolve-orphans'
+  | 'get-sync-state'
+  | 'list-projects'
+  | 'create-project'
+  | 'switch-project'
+  | 'rename-project'
+  | 'delete-project'
+  | 'lint-tokens'
+  | 'get-lint-config'
+  | 'save-lint-config'
+  | 'get-settings'
+  | 'save-settings'
+  | 'get-font-styles'
+  | 'save-font-styles'
+  | 'audit-contrast'
+  | 'generate-contrast-matrix'
   | 'cancel';
 
 export interface PluginMessage {
@@ -157,13 +572,35 @@ export interface PluginMessage {
 // Messages sent from backend to frontend
 export type UIMessageType =
   | 'import-success'
+  | 'sync-plan'
+  | 'font-preflight'
+  | 'sync-cancelled'
+  | 'orphans-found'
+  | 'orphans-resolved'
+  | 'sync-state-loaded'
+  | 'projects-loaded'
+  | 'project-created'
+  | 'project-switched'
+  | 'lint-report'
+  | 'lint-config-loaded'
+  | 'lint-config-saved'
+  | 'settings-loaded'
+  | 'settings-saved'
+  | 'font-styles-loaded'
+  | 'font-styles-saved'
+  | 'contrast-report'
+  | 'contrast-matrix-generated'
   | 'github-files-fetched'
   | 'github-files-imported'
+  | 'github-changes-proposed'
+  | 'gitlab-files-fetched'
+  | 'gitlab-files-imported'
   | 'github-config-loaded'
   | 'tokens-loaded'
   | 'figma-variables-loaded'
   | 'scopes-applied'
   | 'documentation-generated'
+  | 'variables-exported'
   | 'error';
 
 export interface UIMessage {
@@ -178,17 +615,18 @@ export interface TokenFile {
   name: string;
   path: string;
   content: TokenData;
-  source: 'github' | 'local';
+  source: 'github' | 'gitlab' | 'local';
+  archive?: string; // ZIP file name when extracted from an archive (path is archive-relative)
 }
 
 export interface AppStateData {
   tokenFiles: Map<string, TokenFile>;
   selectedFile: string | null;
   selectedTokens: Set<string>;
-  currentScreen: 'welcome' | 'import' | 'token' | 'documentation';
+  currentScreen: 'welcome' | 'import' | 'token' | 'documentation' | 'projects';
   currentTab: 'tokens' | 'scopes' | 'documentation';
-  importMode: 'github' | 'local';
-  tokenSource: 'github' | 'local' | null;
+  importMode: 'github' | 'gitlab' | 'local';
+  tokenSource: 'github' | 'gitlab' | 'local' | null;
   githubConfig: GitHubConfig | null;
   figmaVariables: Map<string, FigmaVariableData>;
   tokenScopesMap: Map<string, string[]>;
@@ -203,12 +641,15 @@ export type AppStateEvent =
   | 'tokens-selected'
   | 'variables-loaded'
   | 'scopes-updated'
-  | 'import-mode-changed';
+  | 'import-mode-changed'
+  | 'sync-state-changed'
+  | 'projects-changed'
+  | 'settings-changed';
 
 // ==================== COMPONENT TYPES ====================
-export type ScreenType = 'welcome' | 'import' | 'token' | 'documentation';
+export type ScreenType = 'welcome' | 'import' | 'token' | 'documentation' | 'projects';
 export type TabType = 'tokens' | 'scopes' | 'documentation';
-export type ImportMode = 'github' | 'local';
+export type ImportMode = 'github' | 'gitlab' | 'local';
 
 // ==================== NOTIFICATION TYPES ====================
 export type NotificationType = 'success' | 'error' | 'info';
@@ -284,6 +725,7 @@ export interface DocumentationTokenRow {
   resolvedValue: string;
   type: string;
   description?: string;
+  groupDescription?: string;
   category: string;
   path: string;
   originalToken: TokenMetadata;
@@ -302,3 +744,9 @@ export interface DocumentationResult {
   tokenCount: number;
   categoryCount: number;
 }
+
+export interface ContrastMatrixResult {
+  frameId: string;
+  pairCount: number;
+  modeCount: number;
+}
@@ -0,0 +1,111 @@
+// ====================================================================================
+// GLOB MATCHER
+// Matches file paths against glob patterns with named captures
+// ====================================================================================
+
+/**
+ * Glob matcher utility
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only matches paths against patterns
+ * - No dependencies: Pure utility class
+ *
+ * Supported syntax:
+ * - `*` matches within a single path segment
+ * - `**` matches across any number of segments (including none)
+ * - `?` matches a single character (not `/`)
+ * - `{name}` captures a single segment part as `name`
+ *
+ * Usage:
+ * ```typescript
+ * GlobMatcher.match('brands/{brand}/{theme}.json', 'brands/acme/dark.json');
+ * // → { brand: 'acme', theme: 'dark' }
+ * GlobMatcher.match('**\/primitives/*.json', 'tokens/primitives/color.json');
+ * // → {}
+ * ```
+ */
+export class GlobMatcher {
+  /**
+   * Match a path against a glob pattern
+   *
+   * @param pattern - Glob pattern (forward slashes)
+   * @param path - File path to test
+   * @returns Named captures on match, null otherwise
+   */
+  static match(pattern: string, path: string): Record<string, string> | null {
+    const { regex, names } = this.compile(pattern);
+    const match = this.normalizePath(path).match(regex);
+
+    if (!match) {
+      return null;
+    }
+
+    const captures: Record<string, string> = {};
+    names.forEach((name, index) => {
+      captures[name] = match[index + 1];
+    });
+    return captures;
+  }
+
+  /**
+   * Check if a path matches a glob pattern
+   */
+  static test(pattern: string, path: string): boolean {
+    return this.match(pattern, path) !== null;
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Compile glob pattern to an anchored regex
+   */
+  private static compile(pattern: string): { regex: RegExp; names: string[] } {
+    const names: string[] = [];
+    const normalized = this.normalizePath(pattern);
+    let source = '';
+    let i = 0;
+
+    while (i < normalized.length) {
+      const char = normalized[i];
+
+      if (char === '*' && normalized[i + 1] === '*') {
+        // `**/` may match zero segments, bare `**` matches the rest
+        if (normalized[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 3;
+        } else {
+          source += '.*';
+          i += 2;
+        }
+        continue;
+      }
+
+      if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else if (char === '{') {
+        const end = normalized.indexOf('}', i);
+        if (end === -1) {
+          source += '\\{';
+        } else {
+          names.push(normalized.slice(i + 1, end));
+          source += '([^/]+?)';
+          i = end;
+        }
+      } else {
+        source += char.replace(/[.+^$()|[\]\\]/g, '\\$&');
+      }
+      i++;
+    }
+
+    return { regex: new RegExp(`^${source}$`, 'i'), names };
+  }
+
+  /**
+   * Normalize separators and strip leading "./" or "/"
+   */
+  private static normalizePath(path: string): string {
+    return path.replace(/\\/g, '/').replace(/^\.?\//, '');
+  }
+}
@@ -0,0 +1,339 @@
+// ====================================================================================
+// INFLATE
+// Pure DEFLATE (RFC 1951) decompressor for ZIP archive entries
+// ====================================================================================
+
+/**
+ * Canonical Huffman table: code counts per bit length + symbols ordered by code
+ */
+interface HuffmanTable {
+  counts: Uint16Array;
+  symbols: Uint16Array;
+}
+
+const MAX_BITS = 15;
+
+// Base lengths / extra bits for length codes 257..285
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+
+// Base offsets / extra bits for distance codes 0..29
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+
+// Order in which code length code lengths are stored in dynamic blocks
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Inflate utility
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only decompresses raw DEFLATE streams
+ * - No dependencies: Pure utility class (no zlib / DecompressionStream)
+ *
+ * Supports stored, fixed-Huffman and dynamic-Huffman blocks.
+ * Decoding follows the canonical-code approach from zlib's "puff" reference.
+ *
+ * Usage:
+ * ```typescript
+ * const bytes = Inflate.inflate(compressed, expectedSize);
+ * ```
+ */
+export class Inflate {
+  private static fixedTables: { lengths: HuffmanTable; distances: HuffmanTable } | null = null;
+
+  private input: Uint8Array;
+  private position = 0;
+  private bitBuffer = 0;
+  private bitCount = 0;
+  private output: Uint8Array;
+  private outputLength = 0;
+
+  private constructor(input: Uint8Array, expectedSize: number) {
+    this.input = input;
+    this.output = new Uint8Array(Math.max(expectedSize, 1024));
+  }
+
+  /**
+   * Decompress a raw DEFLATE stream
+   *
+   * @param input - Compressed bytes (no zlib/gzip header)
+   * @param expectedSize - Uncompressed size hint (pre-allocates output)
+   * @returns Decompressed bytes
+   * @throws Error on malformed input
+   */
+  static inflate(input: Uint8Array, expectedSize: number = 0): Uint8Array {
+    const inflater = new Inflate(input, expectedSize || input.length * 4);
+    inflater.run();
+    return inflater.output.subarray(0, inflater.outputLength);
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Process blocks until the final block is done
+   */
+  private run(): void {
+    let isFinal = false;
+
+    while (!isFinal) {
+      isFinal = this.bits(1) === 1;
+      const blockType = this.bits(2);
+
+      if (blockType === 0) {
+        this.storedBlock();
+      } else if (blockType === 1) {
+        const fixed = Inflate.getFixedTables();
+        this.huffmanBlock(fixed.lengths, fixed.distances);
+      } else if (blockType === 2) {
+        const dynamic = this.readDynamicTables();
+        this.huffmanBlock(dynamic.lengths, dynamic.distances);
+      } else {
+        throw new Error('Invalid DEFLATE block type');
+      }
+    }
+  }
+
+  /**
+   * Copy an uncompressed block
+   */
+  private storedBlock(): void {
+    // Stored blocks start on a byte boundary
+    this.bitBuffer = 0;
+    this.bitCount = 0;
+
+    if (this.position + 4 > this.input.length) {
+      throw new Error('Unexpected end of DEFLATE data');
+    }
+
+    const length = this.input[this.position] | (this.input[this.position + 1] << 8);
+    const inverse = this.input[this.position + 2] | (this.input[this.position + 3] << 8);
+    this.position += 4;
+
+    if (length !== (~inverse & 0xffff)) {
+      throw new Error('Corrupt stored block length');
+    }
+    if (this.position + length > this.input.length) {
+      throw new Error('Unexpected end of DEFLATE data');
+    }
+
+    this.ensureCapacity(length);
+    this.output.set(this.input.subarray(this.position, this.position + length), this.outputLength);
+    this.outputLength += length;
+    this.position += length;
+  }
+
+  /**
+   * Decode literal/length + distance codes until end-of-block
+   */
+  private huffmanBlock(lengths: HuffmanTable, distances: HuffmanTable): void {
+    for (;;) {
+      const symbol = this.decodeSymbol(lengths);
+
+      if (symbol < 256) {
+        this.ensureCapacity(1);
+        this.output[this.outputLength++] = symbol;
+        continue;
+      }
+
+      if (symbol === 256) {
+        return;
+      }
+
+      const lengthIndex = symbol - 257;
+      if (lengthIndex >= LENGTH_BASE.length) {
+        throw new Error('Invalid DEFLATE length code');
+      }
+      const length = LENGTH_BASE[lengthIndex] + this.bits(LENGTH_EXTRA[lengthIndex]);
+
+      const distIndex = this.decodeSymbol(distances);
+      if (distIndex >= DIST_BASE.length) {
+        throw new Error('Invalid DEFLATE distance code');
+      }
+      const distance = DIST_BASE[distIndex] + this.bits(DIST_EXTRA[distIndex]);
+
+      if (distance > this.outputLength) {
+        throw new Error('DEFLATE distance too far back');
+      }
+
+      // Byte-by-byte copy: source and destination may overlap
+      this.ensureCapacity(length);
+      let from = this.outputLength - distance;
+      for (let i = 0; i < length; i++) {
+        this.output[this.outputLength++] = this.output[from++];
+      }
+    }
+  }
+
+  /**
+   * Read code length tables for a dynamic Huffman block
+   */
+  private readDynamicTables(): { lengths: HuffmanTable; distances: HuffmanTable } {
+    const literalCount = this.bits(5) + 257;
+    const distanceCount = this.bits(5) + 1;
+    const codeLengthCount = this.bits(4) + 4;
+
+    if (literalCount > 286 || distanceCount > 30) {
+      throw new Error('Too many DEFLATE length or distance codes');
+    }
+
+    const codeLengthLengths = new Uint8Array(19);
+    for (let i = 0; i < codeLengthCount; i++) {
+      codeLengthLengths[CODE_LENGTH_ORDER[i]] = this.bits(3);
+    }
+    const codeLengthTable = Inflate.buildTable(codeLengthLengths);
+
+    const lengths = new Uint8Array(literalCount + distanceCount);
+    let index = 0;
+
+    while (index < lengths.length) {
+      const symbol = this.decodeSymbol(codeLengthTable);
+
+      if (symbol < 16) {
+        lengths[index++] = symbol;
+        continue;
+      }
+
+      let repeatValue = 0;
+      let repeat: number;
+
+      if (symbol === 16) {
+        if (index === 0) {
+          throw new Error('DEFLATE repeat with no previous length');
+        }
+        repeatValue = lengths[index - 1];
+        repeat = 3 + this.bits(2);
+      } else if (symbol === 17) {
+        repeat = 3 + this.bits(3);
+      } else {
+        repeat = 11 + this.bits(7);
+      }
+
+      if (index + repeat > lengths.length) {
+        throw new Error('Too many DEFLATE code lengths');
+      }
+      while (repeat-- > 0) {
+        lengths[index++] = repeatValue;
+      }
+    }
+
+    if (lengths[256] === 0) {
+      throw new Error('DEFLATE block has no end-of-block code');
+    }
+
+    return {
+      lengths: Inflate.buildTable(lengths.subarray(0, literalCount)),
+      distances: Inflate.buildTable(lengths.subarray(literalCount)),
+    };
+  }
+
+  /**
+   * Decode one symbol using a canonical Huffman table
+   */
+  private decodeSymbol(table: HuffmanTable): number {
+    let code = 0;
+    let first = 0;
+    let index = 0;
+
+    for (let length = 1; length <= MAX_BITS; length++) {
+      code |= this.bits(1);
+      const count = table.counts[length];
+
+      if (code - first < count) {
+        return table.symbols[index + (code - first)];
+      }
+
+      index += count;
+      first = (first + count) << 1;
+      code <<= 1;
+    }
+
+    throw new Error('Invalid DEFLATE Huffman code');
+  }
+
+  /**
+   * Read `count` bits, least significant first
+   */
+  private bits(count: number): number {
+    while (this.bitCount < count) {
+      if (this.position >= this.input.length) {
+        throw new Error('Unexpected end of DEFLATE data');
+      }
+      this.bitBuffer |= this.input[this.position++] << this.bitCount;
+      this.bitCount += 8;
+    }
+
+    const value = this.bitBuffer & ((1 << count) - 1);
+    this.bitBuffer >>>= count;
+    this.bitCount -= count;
+    return value;
+  }
+
+  /**
+   * Grow the output buffer to fit `extra` more bytes
+   */
+  private ensureCapacity(extra: number): void {
+    const required = this.outputLength + extra;
+    if (required <= this.output.length) {
+      return;
+    }
+
+    let size = this.output.length * 2;
+    while (size < required) {
+      size *= 2;
+    }
+
+    const grown = new Uint8Array(size);
+    grown.set(this.output.subarray(0, this.outputLength));
+    this.output = grown;
+  }
+
+  /**
+   * Build a canonical Huffman table from per-symbol code lengths
+   */
+  private static buildTable(codeLengths: Uint8Array): HuffmanTable {
+    const counts = new Uint16Array(MAX_BITS + 1);
+    const symbols = new Uint16Array(codeLengths.length);
+    const offsets = new Uint16Array(MAX_BITS + 2);
+
+    for (let symbol = 0; symbol < codeLengths.length; symbol++) {
+      counts[codeLengths[symbol]]++;
+    }
+    counts[0] = 0;
+
+    for (let length = 1; length <= MAX_BITS; length++) {
+      offsets[length + 1] = offsets[length] + counts[length];
+    }
+
+    for (let symbol = 0; symbol < codeLengths.length; symbol++) {
+      if (codeLengths[symbol] !== 0) {
+        symbols[offsets[codeLengths[symbol]]++] = symbol;
+      }
+    }
+
+    return { counts, symbols };
+  }
+
+  /**
+   * Fixed Huffman tables (RFC 1951 §3.2.6), built once
+   */
+  private static getFixedTables(): { lengths: HuffmanTable; distances: HuffmanTable } {
+    if (!this.fixedTables) {
+      const lengths = new Uint8Array(288);
+      for (let i = 0; i < 144; i++) lengths[i] = 8;
+      for (let i = 144; i < 256; i++) lengths[i] = 9;
+      for (let i = 256; i < 280; i++) lengths[i] = 7;
+      for (let i = 280; i < 288; i++) lengths[i] = 8;
+
+      const distances = new Uint8Array(30);
+      distances.fill(5);
+
+      this.fixedTables = {
+        lengths: this.buildTable(lengths),
+        distances: this.buildTable(distances),
+      };
+    }
+
+    return this.fixedTables;
+  }
+}
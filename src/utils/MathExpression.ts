@@ -0,0 +1,323 @@
+// ====================================================================================
+// MATH EXPRESSION
+// Pure unit-aware arithmetic evaluator for token values (e.g. "4px * 2 + 1px", "calc(1rem + 2rem)")
+// ====================================================================================
+
+/**
+ * A number with an optional CSS unit ('' when unitless)
+ */
+export interface MathQuantity {
+  value: number;
+  unit: string;
+}
+
+type MathOperator = '+' | '-' | '*' | '/' | '^';
+
+type MathToken =
+  | { kind: 'number'; value: number; unit: string }
+  | { kind: 'operator'; value: MathOperator }
+  | { kind: 'paren'; value: '(' | ')' }
+  | { kind: 'function'; value: string } // Name of a call, its "(" included
+  | { kind: 'comma'; value: ',' };
+
+const SUPPORTED_UNITS = ['px', 'rem', 'em', '%', 'pt', 'vw', 'vh', 'ms', 's', 'deg'];
+
+// Functions by lowercase name; calc() only groups, like CSS
+const SUPPORTED_FUNCTIONS = ['calc', 'roundto', 'round', 'floor', 'ceil', 'abs', 'min', 'max'];
+
+const ROUNDING: Record<string, (value: number) => number> = {
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  abs: Math.abs,
+};
+
+// Rounds away floating point noise (0.1 + 0.2) without hiding meaningful decimals
+const PRECISION = 10000;
+
+/**
+ * Math expression utility
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only tokenizes and evaluates arithmetic
+ * - No dependencies: Pure utility class, no eval()
+ *
+ * Supported syntax: + - * / ^ with parentheses and unary minus, and the functions
+ * calc(x), roundTo(x, decimals = 0), round(x), floor(x), ceil(x), abs(x), min(…) and max(…).
+ * Unit rules:
+ * - Addition/subtraction need matching units (a unitless operand adopts the other unit)
+ * - Multiplication allows at most one operand with a unit
+ * - Division by a unitless number keeps the unit; equal units cancel out
+ * - Powers need a unitless base and exponent
+ * - Rounding keeps the unit, min()/max() follow the addition rule
+ *
+ * References must be substituted before evaluation.
+ *
+ * Usage:
+ * ```typescript
+ * MathExpression.isExpression('{spacing.base} * 2'.replace(/\{[^}]+\}/g, '1')); // true
+ * MathExpression.format(MathExpression.evaluate('8px * 2')); // '16px'
+ * ```
+ */
+export class MathExpression {
+  /**
+   * Check whether a string is an arithmetic expression (a binary operator or a function call)
+   * Plain values such as "16px" or "-1" are not expressions
+   */
+  static isExpression(input: string): boolean {
+    try {
+      const tokens = this.tokenize(input);
+      return tokens.some((token, index) =>
+        token.kind === 'function' || (token.kind === 'operator' && this.isBinary(tokens, index))
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Evaluate an expression
+   *
+   * @param input - Expression with numbers, units, operators and parentheses
+   * @returns Result value and unit
+   * @throws Error on syntax errors, unit mismatches or division by zero
+   */
+  static evaluate(input: string): MathQuantity {
+    const tokens = this.tokenize(input);
+    if (tokens.length === 0) {
+      throw new Error('Empty expression');
+    }
+
+    let position = 0;
+    const peek = (): MathToken | undefined => tokens[position];
+
+    const parseExpression = (): MathQuantity => {
+      let left = parseTerm();
+      let next = peek();
+      while (next && next.kind === 'operator' && (next.value === '+' || next.value === '-')) {
+        position++;
+        left = this.apply(next.value, left, parseTerm());
+        next = peek();
+      }
+      return left;
+    };
+
+    const parseTerm = (): MathQuantity => {
+      let left = parseFactor();
+      let next = peek();
+      while (next && next.kind === 'operator' && (next.value === '*' || next.value === '/')) {
+        position++;
+        left = this.apply(next.value, left, parseFactor());
+        next = peek();
+      }
+      return left;
+    };
+
+    // Unary signs bind looser than ^, so -2 ^ 2 is -4
+    const parseFactor = (): MathQuantity => {
+      const token = peek();
+      if (token && token.kind === 'operator' && (token.value === '-' || token.value === '+')) {
+        position++;
+        const operand = parseFactor();
+        return token.value === '-' ? { value: -operand.value, unit: operand.unit } : operand;
+      }
+      return parsePower();
+    };
+
+    // ^ is right-associative: 2 ^ 3 ^ 2 is 2 ^ 9
+    const parsePower = (): MathQuantity => {
+      const base = parsePrimary();
+      const next = peek();
+      if (next && next.kind === 'operator' && next.value === '^') {
+        position++;
+        return this.apply('^', base, parseFactor());
+      }
+      return base;
+    };
+
+    const expectClosing = () => {
+      const closing = tokens[position++];
+      if (!closing || closing.kind !== 'paren' || closing.value !== ')') {
+        throw new Error(`Missing closing parenthesis: ${input}`);
+      }
+    };
+
+    const parsePrimary = (): MathQuantity => {
+      const token = tokens[position++];
+
+      if (!token) {
+        throw new Error(`Unexpected end of expression: ${input}`);
+      }
+      if (token.kind === 'number') {
+        return { value: token.value, unit: token.unit };
+      }
+      if (token.kind === 'paren' && token.value === '(') {
+        const inner = parseExpression();
+        expectClosing();
+        return inner;
+      }
+      if (token.kind === 'function') {
+        const args = [parseExpression()];
+        let next = peek();
+        while (next && next.kind === 'comma') {
+          position++;
+          args.push(parseExpression());
+          next = peek();
+        }
+        expectClosing();
+        return this.call(token.value, args);
+      }
+
+      throw new Error(`Unexpected "${token.value}" in expression: ${input}`);
+    };
+
+    const result = parseExpression();
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${tokens[position].value}" in expression: ${input}`);
+    }
+
+    return { value: Math.round(result.value * PRECISION) / PRECISION, unit: result.unit };
+  }
+
+  /**
+   * Format a result as a token value: unitless results stay numbers, others become "16px"
+   */
+  static format(quantity: MathQuantity): number | string {
+    return quantity.unit ? `${quantity.value}${quantity.unit}` : quantity.value;
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Split an expression into numbers (with units), operators and parentheses
+   */
+  private static tokenize(input: string): MathToken[] {
+    const tokens: MathToken[] = [];
+    const pattern = /\s*(?:(\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?([a-z%]*)|([-+*/^])|([()])|([a-z]+)\s*\(|(,))/iy;
+    let index = 0;
+
+    while (index < input.length) {
+      if (/^\s+$/.test(input.slice(index))) break;
+
+      pattern.lastIndex = index;
+      const match = pattern.exec(input);
+      if (!match) {
+        throw new Error(`Invalid character in expression: ${input}`);
+      }
+      index = pattern.lastIndex;
+
+      if (match[1] !== undefined) {
+        const numberText = match[0].trim().slice(0, match[0].trim().length - match[2].length);
+        const unit = match[2].toLowerCase();
+        if (unit && SUPPORTED_UNITS.indexOf(unit) === -1) {
+          throw new Error(`Unsupported unit "${match[2]}" in expression: ${input}`);
+        }
+        tokens.push({ kind: 'number', value: parseFloat(numberText), unit });
+      } else if (match[3] !== undefined) {
+        tokens.push({ kind: 'operator', value: match[3] as MathOperator });
+      } else if (match[4] !== undefined) {
+        tokens.push({ kind: 'paren', value: match[4] as '(' | ')' });
+      } else if (match[5] !== undefined) {
+        const name = match[5].toLowerCase();
+        if (SUPPORTED_FUNCTIONS.indexOf(name) === -1) {
+          throw new Error(`Unsupported function "${match[5]}" in expression: ${input}`);
+        }
+        tokens.push({ kind: 'function', value: name });
+      } else {
+        tokens.push({ kind: 'comma', value: ',' });
+      }
+    }
+
+    return tokens;
+  }
+
+  /**
+   * An operator is binary when it follows a number or a closing parenthesis
+   */
+  private static isBinary(tokens: MathToken[], index: number): boolean {
+    const previous = tokens[index - 1];
+    return !!previous && (previous.kind === 'number' || (previous.kind === 'paren' && previous.value === ')'));
+  }
+
+  /**
+   * Call a function with its evaluated arguments
+   */
+  private static call(name: string, args: MathQuantity[]): MathQuantity {
+    const [first, second] = args;
+    const single = () => {
+      if (args.length !== 1) {
+        throw new Error(`${name}() takes 1 argument, got ${args.length}`);
+      }
+    };
+
+    switch (name) {
+      case 'calc':
+        single();
+        return first;
+      case 'round':
+      case 'floor':
+      case 'ceil':
+      case 'abs':
+        single();
+        return { value: ROUNDING[name](first.value), unit: first.unit };
+      case 'roundto': {
+        if (args.length > 2) {
+          throw new Error(`roundTo() takes 1 or 2 arguments, got ${args.length}`);
+        }
+        if (second && (second.unit || second.value < 0 || Math.floor(second.value) !== second.value)) {
+          throw new Error('roundTo() decimals must be a whole unitless number');
+        }
+        const factor = Math.pow(10, second ? second.value : 0);
+        return { value: Math.round(first.value * factor) / factor, unit: first.unit };
+      }
+      default: {
+        // min / max: operands must be combinable like in an addition
+        const unit = args.reduce((current, arg) => {
+          if (current && arg.unit && current !== arg.unit) {
+            throw new Error(`Cannot combine ${current} and ${arg.unit}`);
+          }
+          return current || arg.unit;
+        }, '');
+        const values = args.map(arg => arg.value);
+        return { value: name === 'min' ? Math.min(...values) : Math.max(...values), unit };
+      }
+    }
+  }
+
+  /**
+   * Apply a binary operator, enforcing unit compatibility
+   */
+  private static apply(operator: MathOperator, left: MathQuantity, right: MathQuantity): MathQuantity {
+    switch (operator) {
+      case '+':
+      case '-': {
+        if (left.unit && right.unit && left.unit !== right.unit) {
+          throw new Error(`Cannot combine ${left.unit} and ${right.unit}`);
+        }
+        const value = operator === '+' ? left.value + right.value : left.value - right.value;
+        return { value, unit: left.unit || right.unit };
+      }
+      case '*': {
+        if (left.unit && right.unit) {
+          throw new Error(`Cannot multiply ${left.unit} by ${right.unit}`);
+        }
+        return { value: left.value * right.value, unit: left.unit || right.unit };
+      }
+      case '/': {
+        if (right.value === 0) {
+          throw new Error('Division by zero');
+        }
+        if (right.unit && right.unit !== left.unit) {
+          throw new Error(`Cannot divide ${left.unit || 'a number'} by ${right.unit}`);
+        }
+        return { value: left.value / right.value, unit: right.unit ? '' : left.unit };
+      }
+      case '^': {
+        if (left.unit || right.unit) {
+          throw new Error(`Powers need unitless operands: ${left.unit || 'number'} ^ ${right.unit || 'number'}`);
+        }
+        return { value: Math.pow(left.value, right.value), unit: '' };
+      }
+    }
+  }
+}
@@ -0,0 +1,187 @@
+// ====================================================================================
+// TOKEN CHANGE SUMMARY
+// Compares two token documents and describes the differences
+// ====================================================================================
+
+import { TokenData } from '../shared/types';
+
+/**
+ * Token-level differences between two versions of a file
+ */
+export interface TokenFileChanges {
+  path: string;
+  isNewFile: boolean;
+  added: string[];
+  removed: string[];
+  changed: string[];
+}
+
+/**
+ * Token change summary utility
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only diffs token documents and formats summaries
+ * - No dependencies: Pure utility class
+ *
+ * Works on both W3C ($value) and Style Dictionary (value) documents.
+ * Tokens are compared by dotted path on value, type and description;
+ * extension-only edits (e.g. scopes) don't show up as changed tokens.
+ */
+export class TokenChangeSummary {
+  /**
+   * Diff two versions of a token file
+   *
+   * @param path - Repository path of the file
+   * @param before - Current content (null for a new file)
+   * @param after - Proposed content
+   */
+  static compare(path: string, before: TokenData | null, after: TokenData): TokenFileChanges {
+    const beforeTokens = before ? this.flatten(before) : new Map<string, string>();
+    const afterTokens = this.flatten(after);
+
+    const changes: TokenFileChanges = {
+      path,
+      isNewFile: before === null,
+      added: [],
+      removed: [],
+      changed: [],
+    };
+
+    afterTokens.forEach((serialized, tokenPath) => {
+      if (!beforeTokens.has(tokenPath)) {
+        changes.added.push(tokenPath);
+      } else if (beforeTokens.get(tokenPath) !== serialized) {
+        changes.changed.push(tokenPath);
+      }
+    });
+
+    beforeTokens.forEach((_serialized, tokenPath) => {
+      if (!afterTokens.has(tokenPath)) {
+        changes.removed.push(tokenPath);
+      }
+    });
+
+    return changes;
+  }
+
+  /**
+   * Check if two documents are identical (ignoring key order)
+   */
+  static isIdentical(before: TokenData | null, after: TokenData): boolean {
+    return before !== null && this.stableStringify(before) === this.stableStringify(after);
+  }
+
+  /**
+   * Check if a diff contains any token changes
+   */
+  static hasChanges(changes: TokenFileChanges): boolean {
+    return changes.added.length + changes.removed.length + changes.changed.length > 0;
+  }
+
+  /**
+   * Format diffs as a Markdown pull request body
+   *
+   * @param changes - Per-file diffs
+   * @param maxListed - Max token paths listed per section
+   */
+  static toMarkdown(changes: TokenFileChanges[], maxListed: number = 20): string {
+    const totals = changes.reduce(
+      (acc, file) => ({
+        added: acc.added + file.added.length,
+        removed: acc.removed + file.removed.length,
+        changed: acc.changed + file.changed.length,
+      }),
+      { added: 0, removed: 0, changed: 0 }
+    );
+
+    const lines: string[] = [
+      '## Token changes',
+      '',
+      `**${totals.changed}** changed, **${totals.added}** added, **${totals.removed}** removed across ${changes.length} file(s).`,
+    ];
+
+    for (const file of changes) {
+      lines.push('', `### \`${file.path}\`${file.isNewFile ? ' (new file)' : ''}`);
+      this.appendSection(lines, 'Changed', file.changed, maxListed);
+      this.appendSection(lines, 'Added', file.added, maxListed);
+      this.appendSection(lines, 'Removed', file.removed, maxListed);
+    }
+
+    lines.push('', '_Proposed from the Figma Tokens plugin._');
+    return lines.join('\n');
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Flatten a token document to path -> serialized token
+   */
+  private static flatten(data: TokenData): Map<string, string> {
+    const tokens = new Map<string, string>();
+
+    const traverse = (node: Record<string, unknown>, path: string[]) => {
+      for (const key of Object.keys(node)) {
+        if (key.startsWith('$')) continue;
+
+        const child = node[key];
+        if (typeof child !== 'object' || child === null) continue;
+
+        const childPath = path.concat(key);
+        if ('$value' in child || 'value' in child) {
+          tokens.set(childPath.join('.'), this.stableStringify(this.pickComparable(child as Record<string, unknown>)));
+        } else {
+          traverse(child as Record<string, unknown>, childPath);
+        }
+      }
+    };
+
+    traverse(data, []);
+    return tokens;
+  }
+
+  /**
+   * Fields that define a token for change reporting
+   */
+  private static pickComparable(token: Record<string, unknown>): Record<string, unknown> {
+    const comparable: Record<string, unknown> = {};
+    ['$value', '$type', '$description', 'value', 'type', 'description'].forEach(key => {
+      if (key in token) {
+        comparable[key] = token[key];
+      }
+    });
+    return comparable;
+  }
+
+  /**
+   * JSON serialization with sorted keys so key order doesn't count as a change
+   */
+  private static stableStringify(value: unknown): string {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+
+    if (typeof value === 'object' && value !== null) {
+      const record = value as Record<string, unknown>;
+      const entries = Object.keys(record)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(record[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+  }
+
+  /**
+   * Append a bulleted section, truncated to maxListed entries
+   */
+  private static appendSection(lines: string[], title: string, paths: string[], maxListed: number): void {
+    if (paths.length === 0) return;
+
+    lines.push('', `**${title}** (${paths.length})`);
+    paths.slice(0, maxListed).forEach(path => lines.push(`- \`${path}\``));
+
+    if (paths.length > maxListed) {
+      lines.push(`- …and ${paths.length - maxListed} more`);
+    }
+  }
+}
@@ -0,0 +1,230 @@
+// ====================================================================================
+// ZIP DECODER
+// Pure utility for reading files out of ZIP archives
+// ====================================================================================
+
+import { Inflate } from './Inflate';
+
+/**
+ * A file extracted from a ZIP archive
+ */
+export interface ZipEntry {
+  path: string; // Archive-relative path with forward slashes (e.g. tokens/semantic/color.json)
+  data: Uint8Array;
+}
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+const LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * ZIP decoder utility
+ *
+ * SOLID Principles:
+ * - Single Responsibility: Only reads the ZIP container format
+ * - Dependency Inversion: Decompression delegated to Inflate
+ * - No dependencies: Runs in the plugin UI without JSZip or DecompressionStream
+ *
+ * Supported:
+ * - Stored and DEFLATE entries
+ * - CRC-32 verification
+ * - UTF-8 file names
+ *
+ * Not supported (rejected with an error): encryption, ZIP64, multi-disk archives.
+ * Directory entries are skipped.
+ *
+ * Usage:
+ * ```typescript
+ * const entries = ZipDecoder.decode(new Uint8Array(await file.arrayBuffer()));
+ * const json = JSON.parse(ZipDecoder.toText(entries[0].data));
+ * ```
+ */
+export class ZipDecoder {
+  private static crcTable: Uint32Array | null = null;
+
+  /**
+   * Extract all file entries from an archive
+   *
+   * @param bytes - Raw archive bytes
+   * @returns File entries in central directory order
+   * @throws Error if the archive is malformed or uses unsupported features
+   */
+  static decode(bytes: Uint8Array): ZipEntry[] {
+    const eocdOffset = this.findEndOfCentralDirectory(bytes);
+    const entryCount = this.readUint16(bytes, eocdOffset + 10);
+    let offset = this.readUint32(bytes, eocdOffset + 16);
+
+    if (entryCount === 0xffff || offset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    const entries: ZipEntry[] = [];
+
+    for (let i = 0; i < entryCount; i++) {
+      if (this.readUint32(bytes, offset) !== CENTRAL_DIRECTORY_SIGNATURE) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+
+      const flags = this.readUint16(bytes, offset + 8);
+      const method = this.readUint16(bytes, offset + 10);
+      const crc = this.readUint32(bytes, offset + 16);
+      const compressedSize = this.readUint32(bytes, offset + 20);
+      const uncompressedSize = this.readUint32(bytes, offset + 24);
+      const nameLength = this.readUint16(bytes, offset + 28);
+      const extraLength = this.readUint16(bytes, offset + 30);
+      const commentLength = this.readUint16(bytes, offset + 32);
+      const localHeaderOffset = this.readUint32(bytes, offset + 42);
+      const path = this.toText(bytes.subarray(offset + 46, offset + 46 + nameLength)).replace(/\\/g, '/');
+
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (path.endsWith('/')) {
+        continue;
+      }
+
+      if (flags & 0x1) {
+        throw new Error(`Encrypted ZIP entries are not supported: ${path}`);
+      }
+
+      const data = this.readEntryData(bytes, localHeaderOffset, method, compressedSize, uncompressedSize, path);
+
+      if (this.crc32(data) !== crc) {
+        throw new Error(`CRC mismatch in ZIP entry: ${path}`);
+      }
+
+      entries.push({ path, data });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Check whether bytes start with a ZIP local file header ("PK\x03\x04")
+   */
+  static isZip(bytes: Uint8Array): boolean {
+    return bytes.length >= 4 && this.readUint32(bytes, 0) === LOCAL_HEADER_SIGNATURE;
+  }
+
+  /**
+   * Decode UTF-8 bytes to a string (handles 4-byte sequences as surrogate pairs)
+   */
+  static toText(bytes: Uint8Array): string {
+    let result = '';
+    let i = 0;
+
+    // Skip UTF-8 byte order mark
+    if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) {
+      i = 3;
+    }
+
+    while (i < bytes.length) {
+      const byte1 = bytes[i++];
+
+      if (byte1 < 0x80) {
+        result += String.fromCharCode(byte1);
+      } else if (byte1 >= 0xc0 && byte1 < 0xe0) {
+        result += String.fromCharCode(((byte1 & 0x1f) << 6) | (bytes[i++] & 0x3f));
+      } else if (byte1 >= 0xe0 && byte1 < 0xf0) {
+        result += String.fromCharCode(((byte1 & 0x0f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f));
+      } else if (byte1 >= 0xf0) {
+        const codePoint =
+          ((byte1 & 0x07) << 18) | ((bytes[i++] & 0x3f) << 12) | ((bytes[i++] & 0x3f) << 6) | (bytes[i++] & 0x3f);
+        const offset = codePoint - 0x10000;
+        result += String.fromCharCode(0xd800 + (offset >> 10), 0xdc00 + (offset & 0x3ff));
+      }
+    }
+
+    return result;
+  }
+
+  // ==================== PRIVATE METHODS ====================
+
+  /**
+   * Locate the End Of Central Directory record (scans back over the archive comment)
+   */
+  private static findEndOfCentralDirectory(bytes: Uint8Array): number {
+    const lowest = Math.max(0, bytes.length - EOCD_MIN_SIZE - MAX_COMMENT_SIZE);
+
+    for (let offset = bytes.length - EOCD_MIN_SIZE; offset >= lowest; offset--) {
+      if (this.readUint32(bytes, offset) === EOCD_SIGNATURE) {
+        if (this.readUint16(bytes, offset + 4) !== 0) {
+          throw new Error('Multi-disk ZIP archives are not supported');
+        }
+        return offset;
+      }
+    }
+
+    throw new Error('Not a ZIP archive (end of central directory not found)');
+  }
+
+  /**
+   * Read and decompress an entry's data via its local header
+   */
+  private static readEntryData(
+    bytes: Uint8Array,
+    localHeaderOffset: number,
+    method: number,
+    compressedSize: number,
+    uncompressedSize: number,
+    path: string
+  ): Uint8Array {
+    if (this.readUint32(bytes, localHeaderOffset) !== LOCAL_HEADER_SIGNATURE) {
+      throw new Error(`Corrupt ZIP local header: ${path}`);
+    }
+
+    // Local name/extra lengths can differ from the central directory copy
+    const nameLength = this.readUint16(bytes, localHeaderOffset + 26);
+    const extraLength = this.readUint16(bytes, localHeaderOffset + 28);
+    const dataStart = localHeaderOffset + 30 + nameLength + extraLength;
+    const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+    if (compressed.length !== compressedSize) {
+      throw new Error(`Truncated ZIP entry: ${path}`);
+    }
+
+    if (method === METHOD_STORED) {
+      return compressed;
+    }
+
+    if (method === METHOD_DEFLATE) {
+      return Inflate.inflate(compressed, uncompressedSize);
+    }
+
+    throw new Error(`Unsupported ZIP compression method ${method}: ${path}`);
+  }
+
+  /**
+   * CRC-32 (IEEE) checksum
+   */
+  private static crc32(data: Uint8Array): number {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  private static readUint16(bytes: Uint8Array, offset: number): number {
+    return bytes[offset] | (bytes[offset + 1] << 8);
+  }
+
+  private static readUint32(bytes: Uint8Array, offset: number): number {
+    return (bytes[offset] | (bytes[offset + 1] << 8) | (bytes[offset + 2] << 16) | (bytes[offset + 3] << 24)) >>> 0;
+  }
+}